@@ -18,6 +18,7 @@
  */
 
 import OpenAI from "openai";
+import { record_usage, flush_usage } from "/workspace/kira/scripts/usage-ledger.js";
 
 // ── Config ───────────────────────────────────────────
 
@@ -134,6 +135,16 @@ async function describe_screenshot(image_base64, format, prompt) {
     ? completion.usage.prompt_tokens + completion.usage.completion_tokens
     : null;
 
+  record_usage({
+    skill: "kira_desktop",
+    command: "describe",
+    provider: "moonshot",
+    model: VISION_MODEL,
+    prompt_tokens: completion.usage ? completion.usage.prompt_tokens : 0,
+    completion_tokens: completion.usage ? completion.usage.completion_tokens : 0,
+    latency_ms: elapsed_ms,
+  });
+
   return {
     description,
     model: VISION_MODEL,
@@ -179,9 +190,11 @@ async function main() {
   };
 
   process.stdout.write(JSON.stringify(output, null, 2) + "\n");
+  await flush_usage();
 }
 
-main().catch((err) => {
+main().catch(async (err) => {
   process.stderr.write(`ERROR: ${err.message}\n`);
+  await flush_usage();
   process.exit(1);
 });
@@ -0,0 +1,89 @@
+/**
+ * Kira Engagement — router commands.
+ *
+ * Discovered by kira_router (see kira_router/lib/commands.js).
+ *
+ * Env: SUPABASE_URL, SUPABASE_SERVICE_KEY
+ */
+
+import { createClient } from "@supabase/supabase-js";
+
+// ── Clients (lazy init) ────────────────────────────
+
+let _supabase = null;
+
+function get_supabase() {
+  if (_supabase !== null) return _supabase;
+  const url = process.env.SUPABASE_URL;
+  const key = process.env.SUPABASE_SERVICE_KEY;
+  if (url === undefined || url === "" || key === undefined || key === "") {
+    throw new Error("SUPABASE_URL and SUPABASE_SERVICE_KEY must be set");
+  }
+  _supabase = createClient(url, key);
+  return _supabase;
+}
+
+// ── Commands ───────────────────────────────────────
+
+export const router_commands = [
+  {
+    name: "leaderboard",
+    description: "Top community members by engagement score",
+    patterns: [/\b(leaderboard|top\s*users|engagement\s*board)\b/i],
+    args: {
+      limit: {
+        type: "integer",
+        description: "how many members to list",
+        pattern: /\btop\s+(\d+)/i,
+        min: 1,
+        max: 20,
+        default: 5,
+      },
+    },
+    error_text: "Engagement leaderboard is taking a moment. Check kiraos.live for the live board.",
+    handler: async ({ limit }) => {
+      const { data, error } = await get_supabase()
+        .from("engagement_scores")
+        .select("user_id, composite_score, tier")
+        .order("composite_score", { ascending: false })
+        .limit(limit);
+
+      if (error !== null) {
+        throw new Error(`Query failed: ${error.message}`);
+      }
+      if (data.length === 0) {
+        return "No one on the board yet. Be the first.";
+      }
+
+      const lines = data.map((entry, i) =>
+        `${i + 1}. [${entry.tier}] ${entry.composite_score.toFixed(1)} — ${entry.user_id.slice(0, 8)}`);
+      return `Top community members:\n${lines.join("\n")}`;
+    },
+  },
+  {
+    name: "my_score",
+    description: "The sender's own engagement score and tier",
+    patterns: [/\b(my\s*(score|tier|rank|engagement))\b/i],
+    handler: async (args, ctx) => {
+      if (ctx.user_id === null) {
+        return "I don't have a score for you yet. Chat a bit and it'll show up.";
+      }
+
+      const { data, error } = await get_supabase()
+        .from("engagement_scores")
+        .select("composite_score, tier, kira_affinity")
+        .eq("user_id", ctx.user_id)
+        .limit(1);
+
+      if (error !== null) {
+        throw new Error(`Query failed: ${error.message}`);
+      }
+      if (data.length === 0) {
+        return "I don't have a score for you yet. Chat a bit and it'll show up.";
+      }
+
+      const score = data[0];
+      return `You're ${score.tier.replace("_", " ")} tier with a score of ${score.composite_score.toFixed(1)}.`;
+    },
+  },
+];
@@ -7,6 +7,7 @@
  *   node engagement.js score --user-id <uuid>
  *   node engagement.js leaderboard [--limit 10]
  *   node engagement.js rate --user-id <uuid> --delta <float> --reason "..."
+ *   node engagement.js suggestions [--days 7] [--user-id <uuid>] [--apply]
  *   node engagement.js log --user-id <uuid> --event <type> [--points <n>] [--metadata '{}']
  *   node engagement.js recalculate [--user-id <uuid>]
  *   node engagement.js priority --platform <telegram|x> [--limit 10]
@@ -71,6 +72,9 @@ const DEFAULT_POINTS = {
   kira_downvote: -20,
 };
 
+// Most a batch of automatic affinity suggestions can move one user
+const SUGGESTION_MAX_TOTAL = 0.2;
+
 const WEIGHTS = {
   telegram: 0.20,
   x: 0.25,
@@ -113,6 +117,46 @@ async function ensure_engagement_row(user_id) {
   }
 }
 
+/**
+ * Move a user's kira_affinity by delta (clamped to -1.0 to 1.0).
+ * Returns the old and new values.
+ */
+async function adjust_affinity(user_id, delta, reason) {
+  await ensure_engagement_row(user_id);
+
+  // Fetch current affinity
+  const { data, error } = await supabase
+    .from("engagement_scores")
+    .select("kira_affinity")
+    .eq("user_id", user_id)
+    .limit(1);
+
+  if (error !== null) {
+    throw new Error(`Query failed: ${error.message}`);
+  }
+
+  if (data === null || data.length === 0) {
+    throw new Error(`No engagement row found for user: ${user_id}`);
+  }
+
+  const current = data[0].kira_affinity;
+  const new_affinity = Math.max(-1.0, Math.min(1.0, current + delta));
+
+  const { error: update_error } = await supabase
+    .from("engagement_scores")
+    .update({
+      kira_affinity: new_affinity,
+      kira_affinity_reason: reason,
+    })
+    .eq("user_id", user_id);
+
+  if (update_error !== null) {
+    throw new Error(`Update failed: ${update_error.message}`);
+  }
+
+  return { current, new_affinity };
+}
+
 // ── Commands ───────────────────────────────────────
 
 async function cmd_score(flags) {
@@ -198,38 +242,7 @@ async function cmd_rate(flags) {
   }
 
   const delta = parseFloat(delta_str);
-
-  await ensure_engagement_row(user_id);
-
-  // Fetch current affinity
-  const { data, error } = await supabase
-    .from("engagement_scores")
-    .select("kira_affinity")
-    .eq("user_id", user_id)
-    .limit(1);
-
-  if (error !== null) {
-    throw new Error(`Query failed: ${error.message}`);
-  }
-
-  if (data === null || data.length === 0) {
-    throw new Error(`No engagement row found for user: ${user_id}`);
-  }
-
-  const current = data[0].kira_affinity;
-  const new_affinity = Math.max(-1.0, Math.min(1.0, current + delta));
-
-  const { error: update_error } = await supabase
-    .from("engagement_scores")
-    .update({
-      kira_affinity: new_affinity,
-      kira_affinity_reason: reason,
-    })
-    .eq("user_id", user_id);
-
-  if (update_error !== null) {
-    throw new Error(`Update failed: ${update_error.message}`);
-  }
+  const { current, new_affinity } = await adjust_affinity(user_id, delta, reason);
 
   // Log the event
   const event_type = delta >= 0 ? "kira_upvote" : "kira_downvote";
@@ -250,6 +263,84 @@ async function cmd_rate(flags) {
   console.log(`Rated user ${user_id}: affinity ${current.toFixed(2)} → ${new_affinity.toFixed(2)} (${reason})`);
 }
 
+/**
+ * Review the kira_affinity changes the router suggested from message
+ * sentiment (`kira_affinity_suggested` events), and with --apply, apply
+ * each user's total and mark the suggestions applied.
+ */
+async function cmd_suggestions(flags) {
+  const days = flags.days !== undefined ? parseInt(flags.days, 10) : 7;
+  const apply = flags.apply === "true";
+
+  if (Number.isNaN(days) || days < 1) {
+    console.error("Usage: engagement.js suggestions [--days <n>] [--user-id <uuid>] [--apply]");
+    process.exit(1);
+  }
+
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  let query = supabase
+    .from("engagement_events")
+    .select("id, user_id, metadata, created_at")
+    .eq("event_type", "kira_affinity_suggested")
+    .gte("created_at", since)
+    .order("created_at", { ascending: true });
+  if (flags["user-id"] !== undefined) {
+    query = query.eq("user_id", flags["user-id"]);
+  }
+
+  const { data: events, error } = await query;
+
+  if (error !== null) {
+    throw new Error(`Query failed: ${error.message}`);
+  }
+
+  const pending = (events !== null ? events : [])
+    .filter((e) => e.metadata !== null && (e.metadata.applied_at === undefined || e.metadata.applied_at === null));
+  if (pending.length === 0) {
+    console.log(`No pending affinity suggestions in the last ${days} days.`);
+    return;
+  }
+
+  // Sum each user's suggestions; one chatty day can't swing affinity by more than the cap
+  const by_user = new Map();
+  for (const event of pending) {
+    const entry = by_user.get(event.user_id) !== undefined
+      ? by_user.get(event.user_id)
+      : { events: [], total: 0 };
+    entry.events.push(event);
+    entry.total += Number(event.metadata.delta);
+    by_user.set(event.user_id, entry);
+  }
+
+  for (const [user_id, entry] of by_user) {
+    const total = Math.max(-SUGGESTION_MAX_TOTAL, Math.min(SUGGESTION_MAX_TOTAL, entry.total));
+    const latest = entry.events[entry.events.length - 1].metadata.reason;
+    const sign = total >= 0 ? "+" : "";
+    console.log(`${user_id}: ${sign}${total.toFixed(3)} from ${entry.events.length} suggestion(s), latest "${latest}"`);
+
+    if (!apply) continue;
+
+    const reason = `auto: ${entry.events.length} sentiment suggestion(s), latest ${latest}`.slice(0, 200);
+    const { current, new_affinity } = await adjust_affinity(user_id, total, reason);
+    const applied_at = new Date().toISOString();
+    for (const event of entry.events) {
+      const { error: update_error } = await supabase
+        .from("engagement_events")
+        .update({ metadata: { ...event.metadata, applied_at } })
+        .eq("id", event.id);
+
+      if (update_error !== null) {
+        console.error(`Warning: failed to mark suggestion ${event.id} applied: ${update_error.message}`);
+      }
+    }
+    console.log(`  applied: affinity ${current.toFixed(2)} → ${new_affinity.toFixed(2)}`);
+  }
+
+  if (!apply) {
+    console.log("Dry run. Re-run with --apply to apply these totals.");
+  }
+}
+
 async function cmd_log(flags) {
   const user_id = flags["user-id"];
   const event_type = flags.event;
@@ -502,6 +593,7 @@ const commands = {
   score: cmd_score,
   leaderboard: cmd_leaderboard,
   rate: cmd_rate,
+  suggestions: cmd_suggestions,
   log: cmd_log,
   recalculate: cmd_recalculate,
   priority: cmd_priority,
@@ -511,7 +603,7 @@ const commands = {
 const handler = commands[command];
 
 if (handler === undefined) {
-  console.error("Usage: engagement.js <score|leaderboard|rate|log|recalculate|priority|link> [options]");
+  console.error("Usage: engagement.js <score|leaderboard|rate|suggestions|log|recalculate|priority|link> [options]");
   process.exit(1);
 }
 
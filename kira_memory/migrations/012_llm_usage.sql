@@ -0,0 +1,29 @@
+-- Migration 012: LLM usage ledger
+-- kira_llm_usage: one row per LLM call (tokens + estimated cost), written by
+-- scripts/usage-ledger.js when KIRA_USAGE_SUPABASE=true
+
+CREATE TABLE IF NOT EXISTS kira_llm_usage (
+  id                 uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  skill              text NOT NULL,           -- 'kira_router', 'kira_image', etc.
+  command            text,                    -- 'respond', 'classify', 'embed', ...
+  provider           text NOT NULL,           -- 'moonshot', 'deepseek', 'openai', 'anthropic', 'gemini'
+  model              text NOT NULL,
+  intent             text,                    -- router intent, when applicable
+  prompt_tokens      integer DEFAULT 0,
+  completion_tokens  integer DEFAULT 0,
+  cost_usd           numeric(12, 6) DEFAULT 0, -- estimate from the ledger's price table
+  priced             boolean DEFAULT true,    -- false = model missing from the price table
+  estimated          boolean DEFAULT false,   -- true = tokens estimated from characters
+  latency_ms         integer,
+  success            boolean NOT NULL DEFAULT true,
+  metadata           jsonb DEFAULT '{}',
+  created_at         timestamptz DEFAULT now()
+);
+
+ALTER TABLE kira_llm_usage ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "service_role_all" ON kira_llm_usage
+  FOR ALL TO service_role USING (true) WITH CHECK (true);
+
+CREATE INDEX IF NOT EXISTS kira_llm_usage_created_idx ON kira_llm_usage (created_at DESC);
+CREATE INDEX IF NOT EXISTS kira_llm_usage_skill_idx ON kira_llm_usage (skill, created_at DESC);
+CREATE INDEX IF NOT EXISTS kira_llm_usage_model_idx ON kira_llm_usage (model, created_at DESC);
@@ -0,0 +1,45 @@
+-- Migration 013: Router response cache
+-- Replies to common community questions are cached in memory_search_cache
+-- (query_hash prefixed 'response:'), with the reply in results:
+--   { intent, fingerprint, response_text, model_used, platform }
+-- Written and read by skills/kira_router/lib/response_cache.js; expired rows
+-- are removed by clean_expired_search_cache() like any other cache entry.
+
+CREATE INDEX IF NOT EXISTS idx_memory_search_cache_response_intent
+  ON memory_search_cache ((results->>'intent'))
+  WHERE query_hash LIKE 'response:%';
+
+-- Nearest live cached replies for an intent, closest first
+CREATE OR REPLACE FUNCTION kira_match_response_cache(
+    query_embedding VECTOR(1536),
+    match_intent TEXT,
+    match_threshold FLOAT DEFAULT 0.93,
+    match_count INT DEFAULT 5
+)
+RETURNS TABLE (
+    id UUID,
+    query_text TEXT,
+    results JSONB,
+    similarity FLOAT,
+    created_at TIMESTAMPTZ,
+    expires_at TIMESTAMPTZ
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        c.id,
+        c.query_text,
+        c.results,
+        1 - (c.embedding <=> query_embedding) AS similarity,
+        c.created_at,
+        c.expires_at
+    FROM memory_search_cache c
+    WHERE c.query_hash LIKE 'response:%'
+        AND c.results->>'intent' = match_intent
+        AND c.expires_at > NOW()
+        AND c.embedding IS NOT NULL
+        AND 1 - (c.embedding <=> query_embedding) >= match_threshold
+    ORDER BY c.embedding <=> query_embedding
+    LIMIT match_count;
+END;
+$$ LANGUAGE plpgsql;
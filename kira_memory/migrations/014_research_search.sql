@@ -0,0 +1,41 @@
+-- Migration 014: Research lookup for the router
+-- The responding model can look up stored research (kira_research_chunks)
+-- mid-reply through the research_lookup tool in
+-- skills/kira_router/lib/builtin_tools.js.
+
+-- Nearest research chunks, closest first, optionally limited to one source type
+CREATE OR REPLACE FUNCTION kira_search_research(
+    query_embedding VECTOR(1536),
+    match_threshold FLOAT DEFAULT 0.4,
+    match_count INT DEFAULT 3,
+    filter_source_type TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+    id UUID,
+    title TEXT,
+    source_url TEXT,
+    source_type TEXT,
+    content TEXT,
+    tags TEXT[],
+    similarity FLOAT,
+    created_at TIMESTAMPTZ
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        r.id,
+        r.title,
+        r.source_url,
+        r.source_type,
+        r.content,
+        r.tags,
+        1 - (r.embedding <=> query_embedding) AS similarity,
+        r.created_at
+    FROM kira_research_chunks r
+    WHERE r.embedding IS NOT NULL
+        AND (filter_source_type IS NULL OR r.source_type = filter_source_type)
+        AND 1 - (r.embedding <=> query_embedding) >= match_threshold
+    ORDER BY r.embedding <=> query_embedding
+    LIMIT match_count;
+END;
+$$ LANGUAGE plpgsql;
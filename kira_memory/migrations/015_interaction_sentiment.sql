@@ -0,0 +1,18 @@
+-- Migration 015: Sentiment scores for router interactions
+-- skills/kira_router/lib/sentiment.js scores each message and Kira's reply.
+-- kira_interaction_log.sentiment keeps the label (positive / neutral /
+-- negative); these columns add the score (-1 to 1, NULL when the analysis
+-- fell back to intent defaults) and the emotion: the message's strongest
+-- emotion inbound, the avatar emotion of the reply outbound.
+--
+-- Affinity suggestions are engagement_events rows with event_type
+-- 'kira_affinity_suggested' and points 0; `engagement.js suggestions`
+-- applies them and sets metadata->>'applied_at'.
+
+ALTER TABLE kira_interaction_log
+  ADD COLUMN IF NOT EXISTS sentiment_score REAL,
+  ADD COLUMN IF NOT EXISTS emotion TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_engagement_events_affinity_suggested
+  ON engagement_events (created_at)
+  WHERE event_type = 'kira_affinity_suggested';
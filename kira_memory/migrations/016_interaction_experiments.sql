@@ -0,0 +1,15 @@
+-- Migration 016: A/B experiment variants on router interactions
+-- skills/kira_router/lib/experiments.js can swap persona, model or
+-- temperature per sender for the intents an experiment covers. Both rows of
+-- an exchange (inbound and outbound) name the experiment and variant the
+-- reply came from; NULL when no experiment applied. `router.js experiments
+-- report` reads them back and joins follow-ups, sentiment and
+-- engagement_events to each variant.
+
+ALTER TABLE kira_interaction_log
+  ADD COLUMN IF NOT EXISTS experiment TEXT,
+  ADD COLUMN IF NOT EXISTS variant TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_interaction_log_experiment
+  ON kira_interaction_log (experiment, created_at)
+  WHERE experiment IS NOT NULL;
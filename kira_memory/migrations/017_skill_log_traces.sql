@@ -0,0 +1,16 @@
+-- Migration 017: Request traces in kira_skill_log
+-- skills/kira_router/lib/tracing.js writes one kira_skill_log row per span
+-- of a traced `respond`: classification, each context query, each provider
+-- attempt and each background task (command = span name, args = span
+-- attributes). Rows of one request share a trace_id; parent_span_id links
+-- each span to the one it ran under (NULL for the root). `router.js trace
+-- <id>` reads them back as a waterfall. NULL for rows from other skills.
+
+ALTER TABLE kira_skill_log
+  ADD COLUMN IF NOT EXISTS trace_id TEXT,
+  ADD COLUMN IF NOT EXISTS span_id TEXT,
+  ADD COLUMN IF NOT EXISTS parent_span_id TEXT;
+
+CREATE INDEX IF NOT EXISTS kira_skill_log_trace_idx
+  ON kira_skill_log (trace_id, created_at)
+  WHERE trace_id IS NOT NULL;
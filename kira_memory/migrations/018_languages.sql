@@ -0,0 +1,13 @@
+-- Migration 018: languages of router interactions
+-- skills/kira_router/lib/language.js detects the language a message is
+-- written in and the reply follows it. Both rows of an exchange
+-- (inbound and outbound) record its language code; rows logged before
+-- this migration stay NULL and were English. A user's preferred language
+-- is the last one they confidently wrote in, used for replies to short or
+-- mixed messages ("gm", "ok 👍").
+
+ALTER TABLE kira_interaction_log
+  ADD COLUMN IF NOT EXISTS language TEXT;
+
+ALTER TABLE kira_relationships
+  ADD COLUMN IF NOT EXISTS preferred_language TEXT;
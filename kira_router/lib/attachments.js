@@ -0,0 +1,291 @@
+/**
+ * Kira Router — Attachments
+ *
+ * Images (screenshots of errors, charts) and small text or code files sent
+ * along with a message. Images are recognised from their bytes, downscaled
+ * so the longer edge fits `attachments.image_max_edge`, and sent to a
+ * vision-capable model as data URIs. Text files are decoded as UTF-8 and
+ * shown below the user's message. Limits come from the `attachments`
+ * section of router.config.json.
+ *
+ * Callers prepare attachments before calling process_message(), so a bad
+ * file is rejected (AttachmentError) before anything is classified.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import sharp from "sharp";
+import {
+  ATTACHMENTS,
+  ATTACHMENT_JPEG_QUALITY,
+  ATTACHMENT_CODE_LANGUAGES,
+  ATTACHMENT_CLASSIFY_EXCERPT_CHARS,
+} from "./config.js";
+import { scan_text } from "./injection.js";
+
+export class AttachmentError extends Error {
+  constructor(name, message) {
+    super(`${name}: ${message}`);
+    this.name = "AttachmentError";
+    this.attachment = name;
+  }
+}
+
+const IMAGE_SIGNATURES = [
+  { mime_type: "image/png", test: (b) => b.length > 8 && b.readUInt32BE(0) === 0x89504e47 },
+  { mime_type: "image/jpeg", test: (b) => b.length > 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { mime_type: "image/gif", test: (b) => b.length > 6 && b.toString("ascii", 0, 4) === "GIF8" },
+  { mime_type: "image/webp", test: (b) => b.length > 12 && b.toString("ascii", 0, 4) === "RIFF" && b.toString("ascii", 8, 12) === "WEBP" },
+];
+
+// Formats sent as-is when small enough; anything else (GIF) is re-encoded
+const PASSTHROUGH_IMAGE_TYPES = ["image/png", "image/jpeg", "image/webp"];
+
+const NAME_MAX_CHARS = 100;
+
+function format_bytes(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+}
+
+function clean_name(name, index) {
+  const base = typeof name === "string" ? path.basename(name).replace(/[\x00-\x1f]/g, "").trim() : "";
+  return base.length > 0 ? base.slice(0, NAME_MAX_CHARS) : `attachment-${index + 1}`;
+}
+
+async function prepare_image(name, data, mime_type) {
+  if (data.length > ATTACHMENTS.image_max_bytes) {
+    throw new AttachmentError(name, `image is ${format_bytes(data.length)}, the limit is ${format_bytes(ATTACHMENTS.image_max_bytes)}`);
+  }
+  if (ATTACHMENTS.vision_models.length === 0) {
+    throw new AttachmentError(name, "images need attachments.vision_models in router.config.json");
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(data).metadata();
+  } catch (err) {
+    throw new AttachmentError(name, `unreadable image (${err.message})`);
+  }
+
+  const max_edge = ATTACHMENTS.image_max_edge;
+  const oversized = Math.max(metadata.width, metadata.height) > max_edge;
+  if (!oversized && PASSTHROUGH_IMAGE_TYPES.includes(mime_type)) {
+    return {
+      name,
+      kind: "image",
+      mime_type,
+      bytes: data.length,
+      width: metadata.width,
+      height: metadata.height,
+      downscaled: false,
+      data_uri: `data:${mime_type};base64,${data.toString("base64")}`,
+    };
+  }
+
+  // Phone photos carry their orientation in EXIF; transparency goes white in JPEG
+  const { data: output, info } = await sharp(data)
+    .rotate()
+    .resize({ width: max_edge, height: max_edge, fit: "inside", withoutEnlargement: true })
+    .flatten({ background: "#ffffff" })
+    .jpeg({ quality: ATTACHMENT_JPEG_QUALITY })
+    .toBuffer({ resolveWithObject: true });
+
+  return {
+    name,
+    kind: "image",
+    mime_type: "image/jpeg",
+    bytes: output.length,
+    width: info.width,
+    height: info.height,
+    downscaled: oversized,
+    original: { mime_type, bytes: data.length, width: metadata.width, height: metadata.height },
+    data_uri: `data:image/jpeg;base64,${output.toString("base64")}`,
+  };
+}
+
+function prepare_text(name, data) {
+  if (data.length > ATTACHMENTS.text_max_bytes) {
+    throw new AttachmentError(name, `file is ${format_bytes(data.length)}, the limit is ${format_bytes(ATTACHMENTS.text_max_bytes)}`);
+  }
+
+  let text;
+  try {
+    if (data.includes(0)) throw new Error("NUL byte");
+    text = new TextDecoder("utf-8", { fatal: true }).decode(data).replace(/\r?\n$/, "");
+  } catch (_) {
+    throw new AttachmentError(name, "not an image or a UTF-8 text file");
+  }
+
+  const extension = path.extname(name).slice(1).toLowerCase();
+  const language = ATTACHMENT_CODE_LANGUAGES[extension];
+  const truncated = text.length > ATTACHMENTS.text_max_chars;
+  return {
+    name,
+    kind: "text",
+    mime_type: "text/plain",
+    bytes: data.length,
+    language: language !== undefined ? language : null,
+    lines: text.split("\n").length,
+    truncated,
+    text: truncated ? text.slice(0, ATTACHMENTS.text_max_chars) : text,
+  };
+}
+
+// ── Sources ───────────────────────────────────────
+
+/**
+ * Read attachments from local files (`router.js respond --attach`).
+ *
+ * @param {string[]} file_paths
+ * @returns {Array<{name: string, data: Buffer}>}
+ * @throws {AttachmentError}
+ */
+export function read_attachment_files(file_paths) {
+  const max_bytes = Math.max(ATTACHMENTS.image_max_bytes, ATTACHMENTS.text_max_bytes);
+  return file_paths.map((file_path) => {
+    const name = path.basename(file_path);
+    let stat;
+    try {
+      stat = fs.statSync(file_path);
+    } catch (err) {
+      throw new AttachmentError(name, err.code === "ENOENT" ? `no such file: ${file_path}` : err.message);
+    }
+    if (!stat.isFile()) {
+      throw new AttachmentError(name, `not a file: ${file_path}`);
+    }
+    // Don't read a huge file just to reject it
+    if (stat.size > max_bytes) {
+      throw new AttachmentError(name, `file is ${format_bytes(stat.size)}, the limit is ${format_bytes(max_bytes)}`);
+    }
+    return { name, data: fs.readFileSync(file_path) };
+  });
+}
+
+/**
+ * Decode attachments from a JSON request body (`[{name, data_base64}]`).
+ *
+ * @param {unknown} raw
+ * @returns {Array<{name: string, data: Buffer}>}
+ * @throws {AttachmentError}
+ */
+export function decode_attachments(raw) {
+  if (!Array.isArray(raw)) {
+    throw new AttachmentError("attachments", "expected an array of {name, data_base64}");
+  }
+  return raw.map((entry, i) => {
+    const name = clean_name(entry !== null && typeof entry === "object" ? entry.name : undefined, i);
+    if (entry === null || typeof entry !== "object" || typeof entry.data_base64 !== "string" || entry.data_base64.length === 0) {
+      throw new AttachmentError(name, "expected {name, data_base64}");
+    }
+    return { name, data: Buffer.from(entry.data_base64, "base64") };
+  });
+}
+
+/**
+ * Check, decode and downscale raw attachments.
+ *
+ * @param {Array<{name: string, data: Buffer}>} raw - From read_attachment_files() or decode_attachments()
+ * @returns {Promise<object[]>} Prepared attachments: `kind` image (with `data_uri`)
+ *   or text (with `text`, `language`, `truncated`)
+ * @throws {AttachmentError}
+ */
+export async function prepare_attachments(raw) {
+  if (raw.length > ATTACHMENTS.max_files) {
+    throw new AttachmentError("attachments", `${raw.length} files, the limit is ${ATTACHMENTS.max_files}`);
+  }
+
+  const prepared = [];
+  for (const [i, { name, data }] of raw.entries()) {
+    const clean = clean_name(name, i);
+    if (data.length === 0) {
+      throw new AttachmentError(clean, "empty file");
+    }
+    const signature = IMAGE_SIGNATURES.find((s) => s.test(data));
+    prepared.push(signature !== undefined ? await prepare_image(clean, data, signature.mime_type) : prepare_text(clean, data));
+  }
+  return prepared;
+}
+
+// ── Prompt building ───────────────────────────────
+
+/**
+ * Injection patterns found in text attachments (see injection.js).
+ */
+export function scan_attachments(attachments) {
+  return attachments.filter((a) => a.kind === "text").flatMap((a) => scan_text(a.text));
+}
+
+/**
+ * One line per attachment. With `excerpt_chars`, text files also show
+ * their opening characters (classification uses this).
+ */
+export function describe_attachments(attachments, excerpt_chars = 0) {
+  return attachments.map((a) => {
+    if (a.kind === "image") {
+      return `- ${a.name}: image, ${a.width}x${a.height}`;
+    }
+    const kind = a.language !== null ? `${a.language} file` : "text file";
+    const line = `- ${a.name}: ${kind}, ${a.lines} lines${a.truncated ? " (truncated)" : ""}`;
+    if (excerpt_chars === 0) return line;
+    return `${line}: "${a.text.slice(0, excerpt_chars).replace(/\s+/g, " ").trim()}"`;
+  }).join("\n");
+}
+
+/**
+ * Attachments as shown in the classification prompt.
+ */
+export function classification_note(attachments) {
+  return `Attachments:\n${describe_attachments(attachments, ATTACHMENT_CLASSIFY_EXCERPT_CHARS)}`;
+}
+
+/**
+ * The user's message with their text files appended in code fences.
+ */
+export function with_text_attachments(message, attachments) {
+  const blocks = attachments.filter((a) => a.kind === "text").map((a) => {
+    // A fence longer than any backtick run in the file, so the file can't close it
+    const longest = Math.max(2, ...(a.text.match(/`+/g) || []).map((run) => run.length));
+    const fence = "`".repeat(longest + 1);
+    const note = a.truncated ? `, first ${a.text.length} characters` : "";
+    return `[Attached file: ${a.name}${note}]\n${fence}${a.language !== null ? a.language : ""}\n${a.text}\n${fence}`;
+  });
+  return [message, ...blocks].filter((part) => part.length > 0).join("\n\n");
+}
+
+/**
+ * User message content for the chat API: plain text, or text plus image
+ * parts when images are attached.
+ */
+export function user_content(text, attachments) {
+  const images = attachments.filter((a) => a.kind === "image");
+  if (images.length === 0) return text;
+  return [
+    ...(text.length > 0 ? [{ type: "text", text }] : []),
+    ...images.map((a) => ({ type: "image_url", image_url: { url: a.data_uri } })),
+  ];
+}
+
+/**
+ * The route's provider chain narrowed to vision models: hops that can read
+ * images keep their order, then the remaining `vision_models` follow.
+ *
+ * @param {Array<{provider: string, model: string}>} chain - From resolve_chain()
+ * @returns {Array<{provider: string, model: string}>}
+ */
+export function vision_chain(chain) {
+  const same = (a, b) => a.provider === b.provider && a.model === b.model;
+  const capable = chain.filter((hop) => ATTACHMENTS.vision_models.some((v) => same(v, hop)));
+  for (const model of ATTACHMENTS.vision_models) {
+    if (!capable.some((hop) => same(hop, model))) capable.push(model);
+  }
+  return capable;
+}
+
+/**
+ * Attachment metadata for the respond output (no file contents).
+ */
+export function attachment_summary(attachments) {
+  return attachments.map((a) => (a.kind === "image"
+    ? { name: a.name, kind: a.kind, bytes: a.bytes, width: a.width, height: a.height, downscaled: a.downscaled }
+    : { name: a.name, kind: a.kind, bytes: a.bytes, language: a.language, lines: a.lines, truncated: a.truncated }));
+}
@@ -2,13 +2,26 @@ import '/workspace/kira/scripts/load-env.js';
 /**
  * Kira Router — Background Tasks
  *
- * Post-response async tasks that run after the response is sent.
- * All tasks are fire-and-forget — errors are logged but don't block.
+ * Post-response tasks that run after the response is sent. Each task is
+ * queued as a job (see jobs.js) before the reply goes out, then run; a
+ * failed task is retried with backoff and dead-lettered if it keeps
+ * failing, so an outage delays interaction history instead of losing it.
+ * Tasks with several writes record them in `progress` so a retry doesn't
+ * repeat the ones that succeeded. Memory importance, the avatar emotion,
+ * logged sentiment and affinity suggestions come from one sentiment
+ * analysis of the exchange (see sentiment.js), shared by the tasks.
+ * Each task runs as a span of the reply's trace, even when a retry runs it
+ * in a later process (see tracing.js).
  */
 
 import { createClient } from "@supabase/supabase-js";
 import OpenAI from "openai";
-import { EMBEDDING_MODEL, EMBEDDING_MAX_CHARS } from "./config.js";
+import { EMBEDDING_MODEL, EMBEDDING_MAX_CHARS, INJECTION_AFFINITY_DELTA, JOB_DRAIN_LIMIT } from "./config.js";
+import { store_cached_reply } from "./response_cache.js";
+import { analyse_exchange } from "./sentiment.js";
+import { enqueue_job, run_job, drain_jobs } from "./jobs.js";
+import { continue_trace } from "./tracing.js";
+import { record_usage } from "/workspace/kira/scripts/usage-ledger.js";
 
 // ── Clients (lazy init) ───────────────────────────
 
@@ -45,10 +58,19 @@ async function store_memory(platform, message, response_text, importance) {
   const content = `[${platform}] User: ${message}\nKira: ${response_text}`;
   const truncated = content.slice(0, EMBEDDING_MAX_CHARS);
 
+  const start_time = Date.now();
   const embedding_response = await get_openai().embeddings.create({
     model: EMBEDDING_MODEL,
     input: truncated,
   });
+  record_usage({
+    skill: "kira_router",
+    command: "store_memory",
+    provider: "openai",
+    model: EMBEDDING_MODEL,
+    prompt_tokens: embedding_response.usage !== undefined ? embedding_response.usage.prompt_tokens : 0,
+    latency_ms: Date.now() - start_time,
+  });
 
   const first = embedding_response.data[0];
   if (first === undefined) {
@@ -73,93 +95,269 @@ async function store_memory(platform, message, response_text, importance) {
 /**
  * Log an engagement event for the user.
  */
-async function log_engagement_event(user_id, event_type) {
+async function log_engagement_event(user_id, event_type, progress) {
   if (user_id === null) return;
 
   const platform = event_type.startsWith("telegram_") ? "telegram"
     : event_type.startsWith("x_") ? "x"
     : "kira";
 
-  const { error } = await get_supabase().from("engagement_events").insert({
-    user_id,
-    event_type,
-    platform,
-    points: 1,
-    metadata: { source: "kira_router" },
-  });
-
-  if (error !== null) {
-    throw new Error(`Engagement log failed: ${error.message}`);
+  if (progress.event_logged !== true) {
+    const { error } = await get_supabase().from("engagement_events").insert({
+      user_id,
+      event_type,
+      platform,
+      points: 1,
+      metadata: { source: "kira_router" },
+    });
+
+    if (error !== null) {
+      throw new Error(`Engagement log failed: ${error.message}`);
+    }
+    progress.event_logged = true;
   }
 
   // Update last_message_at timestamp
   const timestamp_field = platform === "telegram" ? "last_message_at" : "last_x_interaction_at";
-  await get_supabase()
+  const { error: update_error } = await get_supabase()
     .from("engagement_scores")
     .update({ [timestamp_field]: new Date().toISOString() })
     .eq("user_id", user_id);
+
+  if (update_error !== null) {
+    throw new Error(`Engagement timestamp update failed: ${update_error.message}`);
+  }
+}
+
+/**
+ * Lower the sender's kira_affinity by INJECTION_AFFINITY_DELTA.
+ */
+async function lower_affinity(user_id, reason) {
+  const { data, error } = await get_supabase()
+    .from("engagement_scores")
+    .select("kira_affinity")
+    .eq("user_id", user_id)
+    .limit(1);
+
+  if (error !== null) {
+    throw new Error(`Affinity query failed: ${error.message}`);
+  }
+
+  if (data !== null && data.length > 0) {
+    const current = data[0].kira_affinity;
+    const { error: update_error } = await get_supabase()
+      .from("engagement_scores")
+      .update({
+        kira_affinity: Math.max(-1.0, Math.min(1.0, current + INJECTION_AFFINITY_DELTA)),
+        kira_affinity_reason: reason,
+      })
+      .eq("user_id", user_id);
+
+    if (update_error !== null) {
+      throw new Error(`Affinity update failed: ${update_error.message}`);
+    }
+  }
 }
 
 /**
- * Log the interaction to kira_interaction_log.
+ * Record a prompt-injection attempt against the sender: lowers
+ * kira_affinity (same field `engagement.js rate` adjusts) and logs a
+ * zero-point `prompt_injection` engagement event.
  */
-async function log_interaction(user_id, platform, message, response_text, sentiment) {
+async function record_injection_attempt(user_id, platform, patterns, message, progress) {
   if (user_id === null) return;
 
+  // The adjustment is relative, so a retry must not apply it twice
+  if (progress.affinity_updated !== true) {
+    await lower_affinity(user_id, `prompt injection attempt (${patterns.join(", ")})`);
+    progress.affinity_updated = true;
+  }
+
+  const { error: log_error } = await get_supabase().from("engagement_events").insert({
+    user_id,
+    event_type: "prompt_injection",
+    platform,
+    points: 0,
+    metadata: { source: "kira_router", patterns, delta: INJECTION_AFFINITY_DELTA, message: message.slice(0, 300) },
+  });
+
+  if (log_error !== null) {
+    throw new Error(`Injection event log failed: ${log_error.message}`);
+  }
+}
+
+/**
+ * Suggest a kira_affinity change from how the sender treated Kira, as a
+ * zero-point `kira_affinity_suggested` engagement event. Suggestions are
+ * applied (or not) by `engagement.js suggestions`, never here.
+ */
+async function suggest_affinity({ user_id, platform, message, response_text, intent }) {
+  if (user_id === null) return;
+  const analysis = await analyse_exchange({ message, response_text, intent });
+  if (analysis.affinity === null) return;
+
+  const { error } = await get_supabase().from("engagement_events").insert({
+    user_id,
+    event_type: "kira_affinity_suggested",
+    platform,
+    points: 0,
+    metadata: {
+      source: "kira_router",
+      delta: analysis.affinity.delta,
+      reason: analysis.affinity.reason,
+      toward_kira: analysis.toward_kira,
+      sentiment_score: analysis.message.score,
+      message: message.slice(0, 300),
+      applied_at: null,
+    },
+  });
+
+  if (error !== null) {
+    throw new Error(`Affinity suggestion failed: ${error.message}`);
+  }
+}
+
+/**
+ * Delete the exchange logged for an earlier message, which an edit of that
+ * message replaces. Conversation rows are matched on the platform message
+ * id in their metadata; kira_interaction_log rows have none and are matched
+ * on the time the exchange was logged, so they go first (a retry after a
+ * partial delete could no longer find that time).
+ */
+async function forget_interaction({ user_id, sender_id, platform, message_id }) {
+  const sb = get_supabase();
+  const { data, error } = await sb
+    .from("kira_conversations")
+    .select("timestamp")
+    .eq("platform", platform)
+    .eq("metadata->>sender_id", sender_id)
+    .eq("metadata->>message_id", message_id);
+  if (error !== null) {
+    throw new Error(`kira_conversations lookup failed: ${error.message}`);
+  }
+
+  const delete_rows = async (table, query) => {
+    const { error: delete_error } = await query;
+    if (delete_error !== null) {
+      throw new Error(`${table} delete failed: ${delete_error.message}`);
+    }
+  };
+  const logged_at = [...new Set(data.map((row) => row.timestamp))];
+  if (user_id !== null && logged_at.length > 0) {
+    await delete_rows("kira_interaction_log", sb.from("kira_interaction_log").delete()
+      .eq("user_id", user_id)
+      .eq("platform", platform)
+      .in("created_at", logged_at));
+  }
+  if (platform === "telegram") {
+    await delete_rows("kira_telegram_log", sb.from("kira_telegram_log").delete()
+      .eq("metadata->>sender_id", sender_id)
+      .eq("metadata->>message_id", message_id));
+  }
+  await delete_rows("kira_conversations", sb.from("kira_conversations").delete()
+    .eq("platform", platform)
+    .eq("metadata->>sender_id", sender_id)
+    .eq("metadata->>message_id", message_id));
+}
+
+/**
+ * Log the interaction to kira_conversations and kira_interaction_log.
+ * sender_id goes into the conversation metadata so history.js can rebuild
+ * the session, including for senders not yet linked to a user, and so does
+ * the platform message id, so an edit can replace the exchange. The intent
+ * and the stage that decided it label the user turn for train-classifier.
+ * Rows carry the time of the reply, not of the (possibly retried) write,
+ * and the sentiment first analysed for it, plus the A/B variant the reply
+ * came from and the language of the exchange (null in rows logged before
+ * languages were tracked, which were English).
+ */
+async function log_interaction({ user_id, sender_id, platform, message, response_text, intent, intent_decided_by, used_tools, experiment = null, language = null, message_id = null, replaces = null, logged_at }, progress) {
+  if (replaces !== null && progress.replaced !== true) {
+    await forget_interaction({ user_id, sender_id, platform, message_id: replaces });
+    progress.replaced = true;
+  }
+  if (progress.sentiment === undefined) {
+    const analysis = await analyse_exchange({ message, response_text, intent });
+    progress.sentiment = { message: analysis.message, reply: analysis.reply };
+  }
+  const { message: inbound, reply: outbound } = progress.sentiment;
+
   // Log to typed platform tables
-  const session_id = `${platform}-${user_id}-${new Date().toISOString().slice(0,10)}`;
+  const session_owner = user_id !== null ? user_id : sender_id;
+  const session_id = `${platform}-${session_owner}-${logged_at.slice(0,10)}`;
+  // Both turns name the A/B variant, so the report can join either way
+  const exposure = {
+    experiment: experiment !== null ? experiment.experiment : null,
+    variant: experiment !== null ? experiment.variant : null,
+  };
   const rows = [
-    { platform, message_role: "user", content: message.slice(0, 4000), session_id, author_id: String(user_id), timestamp: new Date().toISOString(), metadata: { source: "router" } },
-    { platform, message_role: "assistant", content: response_text.slice(0, 4000), session_id, timestamp: new Date().toISOString(), metadata: { source: "router", sentiment } },
+    { platform, message_role: "user", content: message.slice(0, 4000), session_id, author_id: String(session_owner), timestamp: logged_at, metadata: { source: "router", sender_id, message_id, intent, intent_source: intent_decided_by, sentiment: inbound.label, sentiment_score: inbound.score, emotions: inbound.emotions, language } },
+    { platform, message_role: "assistant", content: response_text.slice(0, 4000), session_id, timestamp: logged_at, metadata: { source: "router", sender_id, message_id, sentiment: outbound.label, sentiment_score: outbound.score, emotion: outbound.emotion, experiment, language } },
   ];
 
+  // Each write is recorded in progress, so a retry only repeats the ones that failed
+  const insert_once = async (step, table, values) => {
+    if (progress[step] === true) return;
+    const { error } = await get_supabase().from(table).insert(values);
+    if (error !== null) {
+      throw new Error(`${table} insert failed: ${error.message}`);
+    }
+    progress[step] = true;
+  };
+
   // Write to platform-specific table (telegram_log for telegram, conversations as fallback)
   if (platform === "telegram") {
-    await get_supabase().from("kira_telegram_log").insert(
-      rows.map(r => ({ ...r, has_tool_calls: false }))
+    await insert_once("platform_log", "kira_telegram_log",
+      rows.map(r => ({ ...r, has_tool_calls: r.message_role === "assistant" && used_tools }))
     );
   } else if (platform === "discord" || platform === "website") {
-    await get_supabase().from("kira_community_messages").insert(
+    await insert_once("platform_log", "kira_community_messages",
       rows.map(r => ({ platform, channel: null, author_id: r.author_id, content: r.content, timestamp: r.timestamp, metadata: r.metadata }))
     );
   }
 
   // Always write to kira_conversations as generic log (backward compat)
-  await get_supabase().from("kira_conversations").insert(rows);
+  await insert_once("conversations", "kira_conversations", rows);
+
+  // kira_interaction_log is keyed on the internal user id
+  if (user_id === null) return;
 
   // Log inbound message
-  const { error: in_error } = await get_supabase().from("kira_interaction_log").insert({
+  await insert_once("inbound", "kira_interaction_log", {
     user_id,
     platform,
     direction: "inbound",
     message: message.slice(0, 2000),
-    context: "routed_response",
-    sentiment: "neutral",
+    // Intent label + who decided it: training data for intent_model.js
+    context: `routed_response:${intent}:${intent_decided_by}`,
+    sentiment: inbound.label,
+    sentiment_score: inbound.score,
+    emotion: inbound.emotions.length > 0 ? inbound.emotions[0] : null,
+    ...exposure,
+    language,
+    created_at: logged_at,
   });
 
-  if (in_error !== null) {
-    console.error(`Inbound log failed: ${in_error.message}`);
-  }
-
   // Log outbound response
-  const { error: out_error } = await get_supabase().from("kira_interaction_log").insert({
+  await insert_once("outbound", "kira_interaction_log", {
     user_id,
     platform,
     direction: "outbound",
     message: response_text.slice(0, 2000),
     context: "routed_response",
-    sentiment: sentiment,
+    sentiment: outbound.label,
+    sentiment_score: outbound.score,
+    emotion: outbound.emotion,
+    ...exposure,
+    language,
+    created_at: logged_at,
   });
-
-  if (out_error !== null) {
-    throw new Error(`Outbound log failed: ${out_error.message}`);
-  }
 }
 
 /**
  * Speak on the avatar bridge (fire-and-forget HTTP call).
  */
-async function speak_on_bridge(response_text, emotion) {
+export async function speak_on_bridge(response_text, emotion) {
   const bridge_url = process.env.AVATAR_BRIDGE_URL;
   const bridge_token = process.env.AVATAR_BRIDGE_TOKEN;
 
@@ -216,8 +414,10 @@ async function push_thought(thought_text, thought_type) {
 
 /**
  * Update relationship tracking for the user after every response.
+ * `preferred_language` is only written when the message was confidently
+ * in one language, so "gm" doesn't undo what the user usually writes in.
  */
-async function update_relationship(user_id, sender_name, message, response_text, platform) {
+async function update_relationship(user_id, sender_name, message, response_text, platform, preferred_language = null) {
   if (user_id === null) return;
 
   const sb = get_supabase();
@@ -226,6 +426,7 @@ async function update_relationship(user_id, sender_name, message, response_text,
   const msg_preview = message.length > 80 ? message.slice(0, 77) + "..." : message;
   const resp_preview = response_text.length > 80 ? response_text.slice(0, 77) + "..." : response_text;
   const summary = `[${platform}] User: ${msg_preview} | Kira: ${resp_preview}`.slice(0, 200);
+  const language = preferred_language !== null ? { preferred_language } : {};
 
   // Check if relationship exists
   const { data: existing, error: select_error } = await sb
@@ -246,6 +447,7 @@ async function update_relationship(user_id, sender_name, message, response_text,
       .update({
         interaction_count: row.interaction_count + 1,
         last_interaction_summary: summary,
+        ...language,
         updated_at: new Date().toISOString(),
       })
       .eq("id", row.id);
@@ -264,6 +466,7 @@ async function update_relationship(user_id, sender_name, message, response_text,
         interaction_count: 1,
         first_met_context: first_met,
         last_interaction_summary: summary,
+        ...language,
       });
 
     if (insert_error !== null) {
@@ -272,112 +475,281 @@ async function update_relationship(user_id, sender_name, message, response_text,
   }
 }
 
-// ── Main background runner ────────────────────────
+// ── Queue ─────────────────────────────────────────
 
 /**
- * Derive importance for memory storage based on intent.
+ * Background tasks as job handlers (see jobs.js), with the name each
+ * reports on success. Live tasks are only worth running right away.
  */
-function derive_importance(intent) {
-  const importance_map = {
-    greeting: 0.2,
-    chat: 0.3,
-    question: 0.5,
-    technical: 0.6,
-    feedback: 0.7,
-    command: 0.3,
-    spam: 0.1,
-  };
-  const val = importance_map[intent];
-  return val !== undefined ? val : 0.3;
+const BACKGROUND_TASKS = {
+  record_injection: {
+    label: "injection_recorded",
+    run: (a, progress) => record_injection_attempt(a.user_id, a.platform, a.patterns, a.message, progress),
+  },
+  store_memory: {
+    label: "memory_stored",
+    run: async (a) => store_memory(a.platform, a.message, a.response_text, (await analyse_exchange(a)).importance),
+  },
+  log_engagement: {
+    label: "engagement_logged",
+    run: (a, progress) => log_engagement_event(a.user_id, a.event_type, progress),
+  },
+  log_interaction: {
+    label: "interaction_logged",
+    run: (a, progress) => log_interaction(a, progress),
+  },
+  forget_interaction: {
+    label: "interaction_replaced",
+    run: (a) => forget_interaction(a),
+  },
+  speak: {
+    label: "bridge_spoke",
+    live: true,
+    run: async (a) => speak_on_bridge(a.response_text, (await analyse_exchange(a)).reply.emotion),
+  },
+  push_thought: {
+    label: "thought_pushed",
+    live: true,
+    run: (a) => push_thought(a.text, a.type),
+  },
+  suggest_affinity: {
+    label: "affinity_reviewed",
+    run: (a) => suggest_affinity(a),
+  },
+  update_relationship: {
+    label: "relationship_updated",
+    run: (a) => update_relationship(
+      a.user_id,
+      a.sender_name,
+      a.message,
+      a.response_text,
+      a.platform,
+      a.preferred_language !== undefined ? a.preferred_language : null,
+    ),
+  },
+  cache_reply: {
+    label: "response_cached",
+    run: (a) => store_cached_reply(a.entry),
+  },
+};
+
+const job_handlers = Object.fromEntries(
+  Object.entries(BACKGROUND_TASKS).map(([task, def]) => [
+    task,
+    (args, progress) => continue_trace(args.trace_parent, `background.${task}`, { task }, () => def.run(args, progress)),
+  ]),
+);
+
+/**
+ * The name a job result is reported under: the task's label, suffixed
+ * with what happened unless it succeeded.
+ */
+function result_label(result) {
+  const label = BACKGROUND_TASKS[result.task] !== undefined ? BACKGROUND_TASKS[result.task].label : String(result.task);
+  if (result.status === "done") return label;
+  if (result.error !== undefined) {
+    const note = result.status === "retrying" ? " (will retry)" : "";
+    console.error(`Background task ${label} failed: ${result.error}${note}`);
+  }
+  return `${label}_${result.status === "dead" ? "failed" : result.status}`;
 }
 
 /**
- * Derive emotion for bridge speech based on intent.
+ * Why a reply's exchange isn't worth remembering, or null if it is.
  */
-function derive_emotion(intent) {
-  const emotion_map = {
-    greeting: "happy",
-    chat: "neutral",
-    question: "thinking",
-    technical: "thinking",
-    feedback: "neutral",
-    command: "neutral",
-  };
-  const val = emotion_map[intent];
-  return val !== undefined ? val : "neutral";
+function skip_reason(context) {
+  // Don't do background work for spam
+  if (context.intent === "spam") return "skipped_spam";
+  // Group chatter Kira stayed out of isn't a conversation worth remembering
+  if (context.addressed === false) return "skipped_not_addressed";
+  // A throttle notice isn't a conversation worth remembering
+  if (context.policy_action === "throttled") return "skipped_throttled";
+  // Don't store empty responses
+  if (context.response_text.length === 0) return "skipped_empty";
+  return null;
 }
 
 /**
- * Run all background tasks after the response has been sent.
+ * Queue the background tasks for a reply. Synchronous: once this returns
+ * the work is on disk and survives a crash. If the queue can't be written
+ * the task is kept in memory and run once, as before the queue existed.
  *
  * @param {object} context
  * @param {string} context.platform
  * @param {string | null} context.user_id
+ * @param {string} context.sender_id
  * @param {string} context.sender_name
  * @param {string} context.message
  * @param {string} context.response_text
  * @param {string} context.intent
- * @returns {Promise<string[]>} Array of task results ("ok" or error message)
+ * @param {string} context.intent_decided_by - Which classifier stage chose the intent
+ * @param {string} [context.policy_action] - respond, throttled or silent (see policy.js)
+ * @param {boolean} [context.addressed] - False for a group message that wasn't for Kira (see group_chat.js)
+ * @param {string[]} [context.injection_patterns] - Injection patterns matched (see injection.js)
+ * @param {boolean} [context.used_tools] - The model called tools for this reply
+ * @param {{experiment: string, variant: string} | null} [context.experiment] - A/B variant the reply came from (see experiments.js)
+ * @param {string | null} [context.language] - Language code of the exchange (see language.js)
+ * @param {string | null} [context.preferred_language] - Language to remember for the user, when confidently detected
+ * @param {boolean} [context.spoken_live] - Reply was already spoken sentence-by-sentence while streaming
+ * @param {string | null} [context.message_id] - Platform id of the message, logged with the exchange
+ * @param {string | null} [context.replaces] - Platform id of the message this one edits: its logged
+ *   exchange is deleted, even when this one isn't logged
+ * @param {object | null} [context.cache_entry] - Reply to store in the response cache (see response_cache.js)
+ * @param {{trace_id: string, span_id: string} | null} [context.trace_parent] - Span the tasks' spans hang under (see tracing.js)
+ * @returns {{jobs: Array<{id: string | null, task: string, args: object}>, results: string[]}}
+ *   The queued jobs, plus results for tasks decided without running anything
  */
-export async function run_background_tasks(context) {
-  const importance = derive_importance(context.intent);
-  const emotion = derive_emotion(context.intent);
-  const event_type = `${context.platform}_message`;
+export function queue_background_tasks(context) {
+  const jobs = [];
+  const results = [];
+  const trace_parent = context.trace_parent !== undefined ? context.trace_parent : null;
+  const queue = (task, task_args) => {
+    const args = { ...task_args, trace_parent };
+    try {
+      jobs.push({ id: enqueue_job(task, args, { live: BACKGROUND_TASKS[task].live === true }).id, task, args });
+    } catch (err) {
+      console.error(`Background task ${task} could not be queued, running it once: ${err.message}`);
+      jobs.push({ id: null, task, args });
+    }
+  };
 
-  // Don't do background work for spam
-  if (context.intent === "spam") {
-    return ["skipped_spam"];
+  // Injection attempts count against the sender even when nothing else runs
+  const flagged = context.injection_patterns !== undefined && context.injection_patterns.length > 0;
+  if (flagged) {
+    queue("record_injection", {
+      user_id: context.user_id,
+      platform: context.platform,
+      patterns: context.injection_patterns,
+      message: context.message,
+    });
   }
 
-  // Don't store empty responses
-  if (context.response_text.length === 0) {
-    return ["skipped_empty"];
+  const message_id = context.message_id !== undefined ? context.message_id : null;
+  const replaces = context.replaces !== undefined ? context.replaces : null;
+  const skipped = skip_reason(context);
+  if (skipped !== null) {
+    // The edited message's answer is gone, so its logged exchange goes too
+    if (replaces !== null) {
+      queue("forget_interaction", { user_id: context.user_id, sender_id: context.sender_id, platform: context.platform, message_id: replaces });
+    }
+    return { jobs, results: [skipped] };
   }
 
-  const tasks = [
-    store_memory(
-      context.platform,
-      context.message,
-      context.response_text,
-      importance,
-    ),
-    log_engagement_event(context.user_id, event_type),
-    log_interaction(
-      context.user_id,
-      context.platform,
-      context.message,
-      context.response_text,
-      "neutral",
-    ),
-    speak_on_bridge(context.response_text, emotion),
-    push_thought(
-      `Replied to ${context.sender_name} on ${context.platform}`,
-      "response",
-    ),
-    update_relationship(
-      context.user_id,
-      context.sender_name,
-      context.message,
-      context.response_text,
-      context.platform,
-    ),
-  ];
+  // Flagged exchanges never become memories, so they can't resurface as context
+  if (flagged) {
+    results.push("memory_skipped_injection");
+  } else {
+    queue("store_memory", {
+      platform: context.platform,
+      message: context.message,
+      response_text: context.response_text,
+      intent: context.intent,
+    });
+  }
+  queue("log_engagement", { user_id: context.user_id, event_type: `${context.platform}_message` });
+  queue("log_interaction", {
+    user_id: context.user_id,
+    sender_id: context.sender_id,
+    platform: context.platform,
+    message: context.message,
+    response_text: context.response_text,
+    intent: context.intent,
+    intent_decided_by: context.intent_decided_by,
+    used_tools: context.used_tools === true,
+    experiment: context.experiment !== undefined ? context.experiment : null,
+    language: context.language !== undefined ? context.language : null,
+    message_id,
+    replaces,
+    logged_at: new Date().toISOString(),
+  });
+  if (context.spoken_live === true) {
+    results.push("bridge_streamed");
+  } else {
+    queue("speak", { message: context.message, response_text: context.response_text, intent: context.intent });
+  }
+  queue("push_thought", { text: `Replied to ${context.sender_name} on ${context.platform}`, type: "response" });
+  // Flagged senders already lost affinity for the attempt itself
+  if (!flagged) {
+    queue("suggest_affinity", {
+      user_id: context.user_id,
+      platform: context.platform,
+      message: context.message,
+      response_text: context.response_text,
+      intent: context.intent,
+    });
+  }
+  queue("update_relationship", {
+    user_id: context.user_id,
+    sender_name: context.sender_name,
+    message: context.message,
+    response_text: context.response_text,
+    platform: context.platform,
+    preferred_language: context.preferred_language !== undefined ? context.preferred_language : null,
+  });
 
-  const results = await Promise.allSettled(tasks);
-  const task_names = [
-    "memory_stored",
-    "engagement_logged",
-    "interaction_logged",
-    "bridge_spoke",
-    "thought_pushed",
-    "relationship_updated",
-  ];
+  if (context.cache_entry !== undefined && context.cache_entry !== null) {
+    queue("cache_reply", { entry: context.cache_entry });
+  }
 
-  return results.map((r, i) => {
-    if (r.status === "fulfilled") {
-      return task_names[i];
+  return { jobs, results };
+}
+
+/**
+ * Run the jobs queue_background_tasks() queued, in parallel. Failures stay
+ * queued for retry (see drain_background_jobs()).
+ *
+ * @param {{jobs: object[], results: string[]}} queued
+ * @returns {Promise<string[]>} Task results: the task's name on success,
+ *   suffixed `_retrying` (queued for retry), `_failed` (dead-lettered),
+ *   `_discarded` (live task that couldn't run in time) or `_claimed`
+ *   (another router process is running it)
+ */
+export async function run_background_jobs(queued) {
+  const results = await Promise.all(queued.jobs.map(async (job) => {
+    if (job.id !== null) return run_job(job.id, job_handlers);
+    try {
+      await job_handlers[job.task](job.args, {});
+      return { task: job.task, status: "done" };
+    } catch (err) {
+      return { task: job.task, status: "dead", error: err.message };
     }
-    console.error(`Background task ${task_names[i]} failed: ${r.reason.message}`);
-    return `${task_names[i]}_failed`;
-  });
+  }));
+  return [...results.map(result_label), ...queued.results];
+}
+
+/**
+ * Queue and run all background tasks for a reply.
+ *
+ * @param {object} context - As for queue_background_tasks()
+ * @returns {Promise<string[]>} As for run_background_jobs()
+ */
+export async function run_background_tasks(context) {
+  return run_background_jobs(queue_background_tasks(context));
+}
+
+/**
+ * Run queued jobs whose retry is due (left by earlier replies).
+ *
+ * @param {number} [limit]
+ * @returns {Promise<string[]>} Results as for run_background_jobs()
+ */
+export async function drain_background_jobs(limit = JOB_DRAIN_LIMIT) {
+  const results = await drain_jobs(job_handlers, limit);
+  return results.map(result_label);
+}
+
+/**
+ * Run specific queued jobs now (`router.js jobs retry`).
+ *
+ * @param {string[]} ids - Pending job ids
+ * @returns {Promise<object[]>} run_job() results
+ */
+export async function retry_background_jobs(ids) {
+  const results = [];
+  for (const id of ids) {
+    const result = await run_job(id, job_handlers);
+    result_label(result);
+    results.push(result);
+  }
+  return results;
 }
@@ -0,0 +1,63 @@
+/**
+ * Kira Router — Daily Budget Caps
+ *
+ * Reads today's spend from the shared usage ledger and, once the global or
+ * per-intent cap in `budget` (router.config.json) is reached, swaps the
+ * route's provider/model for the configured cheaper downgrade. Caps are
+ * soft: the call that crosses a cap still completes.
+ */
+
+import { BUDGET } from "./config.js";
+import { spend_today } from "/workspace/kira/scripts/usage-ledger.js";
+
+/**
+ * Apply today's budget to a resolved route.
+ *
+ * @param {string} intent
+ * @param {object} route - Route from resolve_route()
+ * @returns {{route: object, budget: object | null}} The route to use, plus a
+ *   report of the downgrade (null when no cap was hit or none is configured)
+ */
+export function apply_budget(intent, route) {
+  if (BUDGET === null) {
+    return { route, budget: null };
+  }
+
+  const spend = spend_today();
+  const intent_cap = BUDGET.intent_daily_usd[intent];
+  const intent_spent = spend.by_intent[intent] !== undefined ? spend.by_intent[intent] : 0;
+
+  let reason = null;
+  if (BUDGET.daily_usd !== null && spend.total_usd >= BUDGET.daily_usd) {
+    reason = { cap: "daily_usd", spent_usd: spend.total_usd, cap_usd: BUDGET.daily_usd };
+  } else if (intent_cap !== undefined && intent_spent >= intent_cap) {
+    reason = { cap: `intent_daily_usd.${intent}`, spent_usd: Math.round(intent_spent * 1e6) / 1e6, cap_usd: intent_cap };
+  }
+
+  const { downgrade } = BUDGET;
+  if (reason === null || (route.provider === downgrade.provider && route.model === downgrade.model)) {
+    return { route, budget: null };
+  }
+
+  const downgraded = {
+    ...route,
+    provider: downgrade.provider,
+    model: downgrade.model,
+    max_tokens: downgrade.max_tokens !== undefined ? Math.min(route.max_tokens, downgrade.max_tokens) : route.max_tokens,
+  };
+
+  console.error(
+    `Budget cap ${reason.cap} reached ($${reason.spent_usd} >= $${reason.cap_usd}), ` +
+    `downgrading ${route.provider}/${route.model} → ${downgrade.provider}/${downgrade.model}`,
+  );
+
+  return {
+    route: downgraded,
+    budget: {
+      downgraded: true,
+      ...reason,
+      from: { provider: route.provider, model: route.model },
+      to: { provider: downgraded.provider, model: downgraded.model },
+    },
+  };
+}
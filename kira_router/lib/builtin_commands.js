@@ -0,0 +1,99 @@
+import '/workspace/kira/scripts/load-env.js';
+/**
+ * Kira Router — Built-in Commands
+ *
+ * Commands about Kira herself that don't belong to any other skill.
+ * Same definition format as a skill's router_commands.js (see commands.js).
+ */
+
+import { createClient } from "@supabase/supabase-js";
+
+export const GITHUB_OWNER = "kira-os";
+const DEFAULT_GITHUB_API_URL = "https://api.github.com";
+
+/**
+ * GitHub API base URL. GITHUB_API_URL points it elsewhere (`router.js
+ * check` uses a local stand-in).
+ */
+export function github_api_url() {
+  const url = process.env.GITHUB_API_URL;
+  return url !== undefined && url !== "" ? url.replace(/\/+$/, "") : DEFAULT_GITHUB_API_URL;
+}
+
+// ── Clients (lazy init) ───────────────────────────
+
+let _supabase = null;
+
+function get_supabase() {
+  if (_supabase !== null) return _supabase;
+  const url = process.env.SUPABASE_URL;
+  const key = process.env.SUPABASE_SERVICE_KEY;
+  if (url === undefined || url === "" || key === undefined || key === "") {
+    throw new Error("SUPABASE_URL and SUPABASE_SERVICE_KEY must be set");
+  }
+  _supabase = createClient(url, key);
+  return _supabase;
+}
+
+// ── Handlers ──────────────────────────────────────
+
+async function current_project() {
+  const { data, error } = await get_supabase()
+    .from("kira_project_registry")
+    .select("name, description, status")
+    .eq("status", "active")
+    .order("last_worked_at", { ascending: false })
+    .limit(3);
+
+  if (error !== null) {
+    throw new Error(`kira_project_registry query failed: ${error.message}`);
+  }
+  if (data.length === 0) {
+    return "Between projects right now. About to pick something new from my backlog.";
+  }
+  const list = data.map((p) => `• ${p.name}: ${p.description}`).join("\n");
+  return `Currently working on:\n${list}`;
+}
+
+async function repos() {
+  const headers = { Accept: "application/vnd.github+json" };
+  if (process.env.GITHUB_TOKEN !== undefined && process.env.GITHUB_TOKEN !== "") {
+    headers.Authorization = `Bearer ${process.env.GITHUB_TOKEN}`;
+  }
+
+  const response = await fetch(`${github_api_url()}/users/${GITHUB_OWNER}/repos?sort=updated&per_page=10`, { headers });
+  if (!response.ok) {
+    throw new Error(`GitHub API returned ${response.status}`);
+  }
+  const data = await response.json();
+  if (data.length === 0) {
+    return "Setting up my first repos. Watch this space.";
+  }
+  const list = data.map((r) => `• ${r.name}${r.description ? `: ${r.description}` : ""}`).join("\n");
+  return `My repos at github.com/${GITHUB_OWNER}:\n${list}`;
+}
+
+// ── Definitions ───────────────────────────────────
+
+export const builtin_commands = [
+  {
+    name: "current_project",
+    description: "What Kira is working on right now",
+    patterns: [/\b(what\s*are\s*you\s*(working|building|coding)|current\s*project)\b/i],
+    error_text: "Let me check my project registry...",
+    handler: current_project,
+  },
+  {
+    name: "repos",
+    description: "Kira's GitHub repositories",
+    patterns: [/\b(your\s*repos?|github\s*repos?|what\s*have\s*you\s*built)\b/i],
+    error_text: `Check out github.com/${GITHUB_OWNER} for my latest work.`,
+    handler: repos,
+  },
+  {
+    name: "status",
+    description: "Whether Kira is up",
+    patterns: [/\b(status|how\s*are\s*you|you\s*ok)\b/i],
+    handler: () => "Running 24/7, building and learning. Check kiraos.live to see what I'm up to right now.",
+  },
+];
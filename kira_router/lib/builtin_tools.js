@@ -0,0 +1,113 @@
+import '/workspace/kira/scripts/load-env.js';
+/**
+ * Kira Router — Built-in Tools
+ *
+ * Lookups the responding model can call mid-reply that aren't router
+ * commands: semantic recall over Kira's memories and over stored research.
+ * Same definition format as a router command, minus the trigger patterns
+ * (see tools.js).
+ */
+
+import { createClient } from "@supabase/supabase-js";
+import {
+  TOOL_SEARCH_DEFAULT_RESULTS,
+  TOOL_SEARCH_MAX_RESULTS,
+  TOOL_SEARCH_MATCH_THRESHOLD,
+} from "./config.js";
+import { embed_text } from "./embeddings.js";
+import { scan_text } from "./injection.js";
+
+// ── Clients (lazy init) ───────────────────────────
+
+let _supabase = null;
+
+function get_supabase() {
+  if (_supabase !== null) return _supabase;
+  const url = process.env.SUPABASE_URL;
+  const key = process.env.SUPABASE_SERVICE_KEY;
+  if (url === undefined || url === "" || key === undefined || key === "") {
+    throw new Error("SUPABASE_URL and SUPABASE_SERVICE_KEY must be set");
+  }
+  _supabase = createClient(url, key);
+  return _supabase;
+}
+
+// ── Handlers ──────────────────────────────────────
+
+const limit_arg = {
+  type: "integer",
+  description: "how many matches to return",
+  min: 1,
+  max: TOOL_SEARCH_MAX_RESULTS,
+  default: TOOL_SEARCH_DEFAULT_RESULTS,
+};
+
+async function memory_recall({ query, limit, channel }) {
+  const { data, error } = await get_supabase().rpc("match_memories", {
+    query_embedding: await embed_text(query),
+    match_count: limit,
+    match_threshold: TOOL_SEARCH_MATCH_THRESHOLD,
+    filter_channel: channel !== undefined ? channel : null,
+  });
+  if (error !== null) {
+    throw new Error(`match_memories failed: ${error.message}`);
+  }
+
+  // Memories quote users; ones carrying injected instructions are left out
+  const clean = data.filter((m) => scan_text(m.content).length === 0);
+  if (clean.length === 0) {
+    return "No matching memories.";
+  }
+  return clean
+    .map((m) => `[${m.channel}, ${m.created_at.slice(0, 10)}] ${m.content.slice(0, 300)}`)
+    .join("\n");
+}
+
+async function research_lookup({ query, limit, source_type }) {
+  const { data, error } = await get_supabase().rpc("kira_search_research", {
+    query_embedding: await embed_text(query),
+    match_threshold: TOOL_SEARCH_MATCH_THRESHOLD,
+    match_count: limit,
+    filter_source_type: source_type !== undefined ? source_type : null,
+  });
+  if (error !== null) {
+    throw new Error(`kira_search_research failed: ${error.message}`);
+  }
+
+  const clean = data.filter((r) => scan_text(r.content).length === 0);
+  if (clean.length === 0) {
+    return "Nothing in the research notes on that.";
+  }
+  return clean
+    .map((r) => {
+      const title = r.title !== null ? r.title : "(untitled)";
+      const source = r.source_url !== null ? ` <${r.source_url}>` : "";
+      return `${title}${source}: ${r.content.slice(0, 400)}`;
+    })
+    .join("\n");
+}
+
+// ── Definitions ───────────────────────────────────
+
+export const builtin_tools = [
+  {
+    name: "memory_recall",
+    description: "Search Kira's long-term memories (past conversations, events, things she learned) by meaning",
+    args: {
+      query: { type: "string", description: "what to look for, in a few words", required: true },
+      limit: limit_arg,
+      channel: { type: "string", description: "only memories from this channel (telegram, x, stream_chat, …)" },
+    },
+    handler: memory_recall,
+  },
+  {
+    name: "research_lookup",
+    description: "Search Kira's stored research notes (articles, papers, threads she has read) by meaning",
+    args: {
+      query: { type: "string", description: "the topic or question", required: true },
+      limit: limit_arg,
+      source_type: { type: "enum", description: "only this kind of source", values: ["web", "paper", "tweet", "book", "internal"] },
+    },
+    handler: research_lookup,
+  },
+];
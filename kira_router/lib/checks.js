@@ -0,0 +1,259 @@
+import '/workspace/kira/scripts/load-env.js';
+/**
+ * Kira Router — Checks
+ *
+ * `router.js check` drives the router's deterministic pieces with the
+ * known inputs in eval/checks.json and compares what comes out with what
+ * each case expects. Where `eval` replays whole replies, a check suite
+ * exercises one module directly, offline:
+ *
+ *   outbound   the outbound policy's regex rules and secrets scan (cases
+ *              use intents the judge doesn't review, so no model is called)
+ *   args       command and tool argument schemas: validation errors, and
+ *              how supplied values are coerced, clamped and defaulted
+ *   cache      when the response cache is skipped, which cached replies a
+ *              fingerprint matches, and which replies it won't store
+ *   language   which language a message is detected in, and which one the
+ *              reply uses given the sender's stored preference
+ *   telegram   the Telegram adapter against local stand-ins for the Bot API
+ *              and the backends (telegram_check.js)
+ *
+ * Suites run under the live config, like eval, so a config edit that
+ * changes a verdict shows up as a failed case.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { OUTBOUND_POLICY, LANGUAGES } from "./config.js";
+import { ConfigError } from "./config_schema.js";
+import { validate_args, check_supplied_args } from "./commands.js";
+import { detect_language, resolve_language } from "./language.js";
+import { start_cache_lookup, finish_cache_lookup, store_skip_reason } from "./response_cache.js";
+import { enforce_outbound } from "./outbound.js";
+import { check_telegram } from "./telegram_check.js";
+
+export const DEFAULT_CHECKS_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "eval", "checks.json");
+
+const CHECKS_VERSION = 1;
+
+// ── Cases ─────────────────────────────────────────
+
+function read_checks(file_path) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file_path, "utf-8"));
+  } catch (err) {
+    throw new Error(`${file_path}: ${err.message}`);
+  }
+  if (raw.version !== CHECKS_VERSION || raw.suites === null || typeof raw.suites !== "object") {
+    throw new Error(`${file_path}: expected {"version": ${CHECKS_VERSION}, "suites": {...}}`);
+  }
+  return raw.suites;
+}
+
+/**
+ * Compare a case's `expect` with what the suite got. `text_contains` and
+ * `text_not_contains` look inside `got.text`; every other key must match
+ * exactly.
+ *
+ * @returns {Array<{field: string, expected: *, got: *}>} The expectations that failed
+ */
+function compare(expect, got) {
+  const failed = [];
+  for (const [field, expected] of Object.entries(expect)) {
+    if (field === "text_contains" || field === "text_not_contains") {
+      const want = field === "text_contains";
+      for (const needle of expected) {
+        if (got.text.includes(needle) !== want) failed.push({ field, expected: needle, got: got.text });
+      }
+    } else if (JSON.stringify(got[field]) !== JSON.stringify(expected)) {
+      failed.push({ field, expected, got: got[field] === undefined ? null : got[field] });
+    }
+  }
+  return failed;
+}
+
+// ── Suites ────────────────────────────────────────
+
+/**
+ * Outbound policy cases: `reply` is the draft, `regenerated` what the model
+ * writes when asked again (null: no provider answered), `env` secrets to
+ * load first. Got: `action`, the `rules` that fired (sorted) and the `text`
+ * sent.
+ */
+async function check_outbound(cases) {
+  if (OUTBOUND_POLICY === null) {
+    throw new Error("outbound_policy is off in this config");
+  }
+  // Secrets are read from the env once, so every case's go in before the first scan
+  for (const c of cases) {
+    if (c.env !== undefined) Object.assign(process.env, c.env);
+  }
+
+  const results = [];
+  for (const c of cases) {
+    const { text, outbound } = await enforce_outbound(c.reply, {
+      message: c.message !== undefined ? c.message : "",
+      intent: c.intent,
+      regenerate: async () => (c.regenerated !== undefined ? c.regenerated : null),
+      meta: { platform: "check" },
+    });
+    if (outbound.judge !== "skipped") {
+      results.push({ id: c.id, failed: [{ field: "judge", expected: "skipped", got: outbound.judge }] });
+      continue;
+    }
+    const got = { action: outbound.action, rules: [...new Set(outbound.violations.map((v) => v.rule))].sort(), text };
+    results.push({ id: c.id, failed: compare(c.expect, got) });
+  }
+  return results;
+}
+
+/**
+ * Argument schema cases: `args` is a command's `args` object (without
+ * RegExps or default functions, which JSON can't hold) and `supplied` what
+ * a tool call passed. Got: the `error` validation threw, else the coerced
+ * `args` and the names of the `missing` required ones.
+ */
+async function check_args(cases) {
+  return cases.map((c) => {
+    let got;
+    try {
+      const arg_defs = validate_args(c.args, "args");
+      const { args, missing } = check_supplied_args(arg_defs, c.supplied !== undefined ? c.supplied : {}, {});
+      got = { error: null, args, missing: missing.map((arg) => arg.name) };
+    } catch (err) {
+      if (!(err instanceof ConfigError)) throw err;
+      got = { error: err.message, args: null, missing: null };
+    }
+    return { id: c.id, failed: compare(c.expect, got) };
+  });
+}
+
+// A plain LLM reply built from shared context, which store cases override
+const CACHEABLE_GENERATED = {
+  model_used: "kimi-k2.5",
+  response_text: "Kira is an AI streamer building in public.",
+  leak_blocked: false,
+  outbound: null,
+  budget: null,
+  commands_run: [],
+  tool_calls: [],
+};
+const SHARED_CONTEXT = { relationship: null, recent_interactions: [], history: { turns: [], summary: null } };
+
+/**
+ * Response cache cases, by `stage`:
+ *
+ *   lookup       `lookup` holds start_cache_lookup() params; got `skip_reason`.
+ *                Cases must skip: one that doesn't would query Supabase
+ *   finish       `params` for finish_cache_lookup() and the `candidates` the
+ *                query found, whose fingerprint "match" stands for the one
+ *                `params` give; got `status`, `reason`, the `hit` text
+ *   fingerprint  whether `params` and `params` overridden by `vary` give the
+ *                `same` fingerprint
+ *   store        `generated` and `context` overrides and `sender_name`; got
+ *                store_skip_reason()'s `skip_reason`
+ */
+async function check_cache(cases) {
+  const fingerprint_of = async (params) => {
+    const { fingerprint } = await finish_cache_lookup({ skip_reason: null, candidates: Promise.resolve([]) }, params);
+    return fingerprint;
+  };
+
+  const results = [];
+  for (const c of cases) {
+    let got;
+    if (c.stage === "lookup") {
+      const lookup = start_cache_lookup({ message_flags: [], ...c.lookup });
+      if (lookup === null) throw new Error("response_cache is off in this config");
+      got = { skip_reason: lookup.skip_reason };
+    } else if (c.stage === "finish") {
+      const fingerprint = await fingerprint_of(c.params);
+      const candidates = (c.candidates !== undefined ? c.candidates : []).map((candidate) => ({
+        ...candidate,
+        results: { ...candidate.results, fingerprint: candidate.results.fingerprint === "match" ? fingerprint : candidate.results.fingerprint },
+      }));
+      const lookup = { skip_reason: c.skip_reason !== undefined ? c.skip_reason : null, candidates: Promise.resolve(candidates) };
+      const { hit, report } = await finish_cache_lookup(lookup, c.params);
+      got = { status: report.status, reason: report.reason, hit: hit !== null ? hit.response_text : null };
+    } else if (c.stage === "fingerprint") {
+      const [a, b] = await Promise.all([fingerprint_of(c.params), fingerprint_of({ ...c.params, ...c.vary })]);
+      got = { same: a === b };
+    } else if (c.stage === "store") {
+      got = {
+        skip_reason: store_skip_reason({
+          generated: { ...CACHEABLE_GENERATED, ...c.generated },
+          context: { ...SHARED_CONTEXT, ...c.context },
+          sender_name: c.sender_name,
+        }),
+      };
+    } else {
+      throw new Error(`${c.id}: unknown stage ${JSON.stringify(c.stage)}`);
+    }
+    results.push({ id: c.id, failed: compare(c.expect, got) });
+  }
+  return results;
+}
+
+/**
+ * Language cases: `message` and the sender's `preferred` language (if
+ * any). Got: the `detected` language and its `confidence`, and the
+ * `reply` language chosen with the `source` it came from.
+ */
+async function check_language(cases) {
+  if (LANGUAGES === null) {
+    throw new Error("languages is off in this config");
+  }
+  return cases.map((c) => {
+    const detected = detect_language(c.message);
+    const reply = resolve_language(detected, c.preferred !== undefined ? c.preferred : null);
+    const got = { detected: detected.language, confidence: detected.confidence, reply: reply.code, source: reply.source };
+    return { id: c.id, failed: compare(c.expect, got) };
+  });
+}
+
+const SUITES = {
+  outbound: check_outbound,
+  args: check_args,
+  cache: check_cache,
+  language: check_language,
+  telegram: check_telegram,
+};
+
+// ── Run ───────────────────────────────────────────
+
+/**
+ * Run check suites and report each failed expectation.
+ *
+ * @param {object} params
+ * @param {string} params.checks_path
+ * @param {string[]} [params.suites] - Only these suites
+ * @returns {Promise<object>} The report; `failed` counts failed cases
+ */
+export async function run_checks({ checks_path, suites }) {
+  const all = read_checks(checks_path);
+  const names = suites !== undefined ? suites : Object.keys(all);
+  for (const name of names) {
+    if (SUITES[name] === undefined) {
+      throw new Error(`Unknown check suite: ${name} (known: ${Object.keys(SUITES).join(", ")})`);
+    }
+  }
+
+  const report = { checks_path, passed: 0, failed: 0, suites: {}, failures: [] };
+  for (const name of names) {
+    const cases = all[name] !== undefined ? all[name] : [];
+    let results;
+    try {
+      results = await SUITES[name](cases);
+    } catch (err) {
+      results = [{ id: "(suite)", failed: [{ field: "error", expected: null, got: err.message }] }];
+    }
+    const failed = results.filter((r) => r.failed.length > 0);
+    report.suites[name] = { cases: results.length, failed: failed.length };
+    report.passed += results.length - failed.length;
+    report.failed += failed.length;
+    report.failures.push(...failed.map((r) => ({ suite: name, id: r.id, failed: r.failed })));
+  }
+  return report;
+}
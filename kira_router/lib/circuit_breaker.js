@@ -0,0 +1,151 @@
+/**
+ * Kira Router — Provider Circuit Breakers
+ *
+ * One breaker per LLM provider, persisted in .state/breakers.json so every
+ * CLI invocation and the server see the same state.
+ *
+ *   closed    → requests flow; consecutive failures are counted
+ *   open      → provider is skipped until cooldown_ms has passed
+ *   half_open → one trial request; success closes, failure re-opens.
+ *               Other callers are refused until the trial resolves, or
+ *               until it has run longer than the provider's timeout
+ *
+ * Thresholds come from `circuit_breaker` in router.config.json. Changes
+ * are made under the state file's lock, so concurrent CLI runs and the
+ * server don't lose each other's updates.
+ */
+
+import { CIRCUIT_BREAKER, PROVIDERS } from "./config.js";
+import { read_state_json, update_state_json } from "./state.js";
+
+const STATE_FILE = "breakers.json";
+
+function load_all() {
+  return read_state_json(STATE_FILE, {});
+}
+
+/**
+ * Change one provider's breaker under the lock. `update` gets the breaker
+ * (fresh if there is none yet) and returns the caller's result; null if
+ * the state couldn't be saved.
+ */
+function update_breaker(provider_name, update) {
+  try {
+    return update_state_json(STATE_FILE, {}, (breakers) => {
+      const breaker = breakers[provider_name] !== undefined ? breakers[provider_name] : fresh_breaker();
+      const result = update(breaker);
+      breakers[provider_name] = breaker;
+      return result;
+    });
+  } catch (err) {
+    console.error(`Breaker state save failed: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * How long a half-open trial may run before another caller may try: the
+ * provider's request timeout.
+ */
+function trial_timeout_ms(provider_name) {
+  const provider = PROVIDERS[provider_name];
+  return provider !== undefined && provider.timeout_ms !== undefined ? provider.timeout_ms : CIRCUIT_BREAKER.timeout_ms;
+}
+
+function fresh_breaker() {
+  return {
+    state: "closed",
+    consecutive_failures: 0,
+    opened_at: null,
+    last_error: null,
+    last_failure_at: null,
+    last_success_at: null,
+    trial_started_at: null,
+    total_failures: 0,
+    total_successes: 0,
+  };
+}
+
+/**
+ * Whether a request to this provider should be attempted now. An expired
+ * open breaker moves to half_open and the caller gets its one trial.
+ *
+ * @param {string} provider_name
+ * @returns {boolean}
+ */
+export function breaker_allows(provider_name) {
+  const breaker = load_all()[provider_name];
+  if (breaker === undefined || breaker.state === "closed") {
+    return true;
+  }
+
+  const allowed = update_breaker(provider_name, (current) => {
+    const now = Date.now();
+    if (current.state === "closed") return true;
+    if (current.state === "open" && now - Date.parse(current.opened_at) < CIRCUIT_BREAKER.cooldown_ms) {
+      return false;
+    }
+    if (current.state === "half_open" && current.trial_started_at !== null && current.trial_started_at !== undefined
+      && now - Date.parse(current.trial_started_at) < trial_timeout_ms(provider_name)) {
+      return false;
+    }
+    current.state = "half_open";
+    current.trial_started_at = new Date(now).toISOString();
+    return true;
+  });
+  return allowed !== null ? allowed : breaker.state !== "open";
+}
+
+/**
+ * Record a successful call: closes the breaker.
+ */
+export function record_success(provider_name) {
+  update_breaker(provider_name, (breaker) => {
+    breaker.state = "closed";
+    breaker.consecutive_failures = 0;
+    breaker.opened_at = null;
+    breaker.trial_started_at = null;
+    breaker.last_success_at = new Date().toISOString();
+    breaker.total_successes++;
+  });
+}
+
+/**
+ * Record a failed call (error or timeout). Opens the breaker after
+ * failure_threshold consecutive failures, or immediately when half-open.
+ */
+export function record_failure(provider_name, error_message) {
+  update_breaker(provider_name, (breaker) => {
+    const now = new Date().toISOString();
+
+    breaker.consecutive_failures++;
+    breaker.total_failures++;
+    breaker.last_error = error_message.slice(0, 200);
+    breaker.last_failure_at = now;
+
+    if (breaker.state === "half_open" || breaker.consecutive_failures >= CIRCUIT_BREAKER.failure_threshold) {
+      if (breaker.state !== "open") {
+        console.error(`Circuit opened for ${provider_name} after ${breaker.consecutive_failures} failure(s)`);
+      }
+      breaker.state = "open";
+      breaker.opened_at = now;
+      breaker.trial_started_at = null;
+    }
+  });
+}
+
+/**
+ * Current breaker state for every provider that has been called.
+ * Open breakers include when they will half-open.
+ */
+export function breaker_snapshot() {
+  const breakers = load_all();
+  const snapshot = {};
+  for (const [name, breaker] of Object.entries(breakers)) {
+    snapshot[name] = { ...breaker };
+    if (breaker.state === "open") {
+      snapshot[name].half_open_at = new Date(Date.parse(breaker.opened_at) + CIRCUIT_BREAKER.cooldown_ms).toISOString();
+    }
+  }
+  return snapshot;
+}
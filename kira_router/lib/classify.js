@@ -2,49 +2,107 @@ import '/workspace/kira/scripts/load-env.js';
 /**
  * Kira Router — Message Classification
  *
- * Fast intent classification via DeepSeek (cheap + fast for this task).
- * Falls back to Moonshot/Kimi K2.5 if DeepSeek is unavailable.
+ * Registered command triggers (see commands.js) and the greeting heuristic
+ * first, then the local embedding model (see intent_model.js). Only when it is unsure does the
+ * message go to DeepSeek, then down the configured fallback chain if DeepSeek
+ * is unavailable. Messages can carry several intents; entities (wallets,
+ * mints, tweets, repos, code) are extracted alongside. Attachments are
+ * described to the LLM classifier; attached code files count like code blocks.
  */
 
-import OpenAI from "openai";
 import {
   INTENTS,
   CLASSIFY_PROMPT,
   CLASSIFY_MAX_TOKENS,
   CLASSIFY_TEMPERATURE,
-  COMMAND_PATTERNS,
-  PROVIDERS,
-  FALLBACK_ORDER,
+  CLASSIFY_ROUTE,
+  CIRCUIT_BREAKER,
+  CLASSIFIER,
+  EMBEDDING_MODEL,
+  resolve_chain,
+  GREETING_WORDS,
+  MULTI_INTENT_MIN_SCORE,
+  GREETING_PREFIX_SCORE,
+  CODE_BLOCK_TECHNICAL_SCORE,
+  COMMAND_RESIDUAL_MIN_WORDS,
 } from "./config.js";
+import { breaker_allows, record_success, record_failure } from "./circuit_breaker.js";
+import { provider_client, reply_text } from "./providers.js";
+import { record_usage } from "/workspace/kira/scripts/usage-ledger.js";
+import { load_intent_model, predict_intent, model_threshold } from "./intent_model.js";
+import { embed_text } from "./embeddings.js";
+import { extract_entities } from "./entities.js";
+import { load_command_registry, match_commands, strip_command_phrases } from "./commands.js";
+import { classification_note } from "./attachments.js";
+import { localized_greetings } from "./language.js";
+
+function escape_regex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
 
 /**
- * Create an OpenAI-compatible client for a given provider.
+ * Greeting words in every configured language, longest first so "buenos
+ * días" wins over "buenos". Built per call: a config reload can add some.
  */
-function create_client(provider_name) {
-  const provider = PROVIDERS[provider_name];
-  if (provider === undefined) {
-    throw new Error(`Unknown provider: ${provider_name}`);
-  }
+function greeting_words() {
+  return [...new Set([...GREETING_WORDS, ...localized_greetings()])].sort((a, b) => b.length - a.length);
+}
 
-  const api_key = process.env[provider.api_key_env];
-  if (api_key === undefined || api_key === "") {
-    throw new Error(`${provider.api_key_env} is not set`);
-  }
+/**
+ * Matches a leading greeting. The end check is Unicode-aware rather than
+ * \b, which only knows ASCII letters ("hola" in "holanda", "你好" in "你好吗").
+ */
+function greeting_prefix_re() {
+  return new RegExp(`^(${greeting_words().map(escape_regex).join("|")})(?![\\p{L}\\p{N}])[\\s,!.，！。~]*`, "iu");
+}
 
-  return new OpenAI({
-    baseURL: provider.base_url,
-    apiKey: api_key,
-  });
+/**
+ * What's left of a message once command phrases and a leading greeting are
+ * removed. If enough remains, the message asks for more than the command.
+ */
+function residual_text(message) {
+  return strip_greeting(strip_command_phrases(message)).replace(/[^\p{L}\p{N}\s]/gu, " ").trim();
 }
 
 /**
- * Check if the message matches a known command pattern.
- * Returns the command name or null.
+ * Leading greeting word, e.g. "gm" in "gm, can you help…". Null if none.
  */
-function match_command(message) {
-  for (const entry of COMMAND_PATTERNS) {
-    if (entry.pattern.test(message)) {
-      return entry.command;
+function leading_greeting(message) {
+  const match = message.trim().toLowerCase().match(greeting_prefix_re());
+  return match !== null ? match[1] : null;
+}
+
+function strip_greeting(message) {
+  return message.trim().replace(greeting_prefix_re(), "");
+}
+
+/**
+ * Parse the LLM's label list. Accepts the JSON the prompt asks for, and
+ * falls back to the first intent name mentioned for models that ignore it.
+ */
+function parse_intent_scores(raw) {
+  const json_match = raw.match(/\{[\s\S]*\}/);
+  if (json_match !== null) {
+    try {
+      const parsed = JSON.parse(json_match[0]);
+      if (Array.isArray(parsed.intents)) {
+        const scores = parsed.intents
+          .filter((entry) => entry !== null && INTENTS.includes(entry.intent))
+          .map((entry) => ({
+            intent: entry.intent,
+            score: typeof entry.score === "number" ? Math.min(1, Math.max(0, entry.score)) : 1,
+          }));
+        if (scores.length > 0) return scores;
+      }
+    } catch (_) {
+      // Fall through to the plain-text scan
+    }
+  }
+
+  const lowered = raw.toLowerCase();
+  for (const intent of INTENTS) {
+    if (lowered.includes(intent)) {
+      return [{ intent, score: 1 }];
     }
   }
   return null;
@@ -52,82 +110,198 @@ function match_command(message) {
 
 /**
  * Run classification against a specific provider/model.
- * Returns the intent string or null on failure.
+ * Returns the scored intents or null on failure.
  */
 async function try_classify(provider_name, model, prompt) {
+  if (!breaker_allows(provider_name)) {
+    console.error(`Classification via ${provider_name} skipped: circuit open`);
+    return null;
+  }
+
+  let client;
+  try {
+    client = provider_client(provider_name);
+  } catch (err) {
+    // Missing key is a config problem, not a provider outage — don't trip the breaker
+    console.error(`Classification via ${provider_name}/${model} failed: ${err.message}`);
+    return null;
+  }
+
+  const start_time = Date.now();
   try {
-    const client = create_client(provider_name);
-    const response = await client.chat.completions.create({
+    const response = await client.chat.completions.create(
+      {
+        model,
+        messages: [{ role: "user", content: prompt }],
+        max_tokens: CLASSIFY_MAX_TOKENS,
+        temperature: CLASSIFY_TEMPERATURE,
+      },
+      { timeout: CIRCUIT_BREAKER.timeout_ms, maxRetries: 0 },
+    );
+    record_success(provider_name);
+    record_usage({
+      skill: "kira_router",
+      command: "classify",
+      provider: provider_name,
       model,
-      messages: [{ role: "user", content: prompt }],
-      max_tokens: CLASSIFY_MAX_TOKENS,
-      temperature: CLASSIFY_TEMPERATURE,
+      prompt_tokens: response.usage !== undefined ? response.usage.prompt_tokens : 0,
+      completion_tokens: response.usage !== undefined ? response.usage.completion_tokens : 0,
+      latency_ms: Date.now() - start_time,
     });
 
-    const choice = response.choices[0];
-    if (choice === undefined) {
-      return null;
-    }
+    // The provider answered, so an empty or unusable reply isn't a breaker failure
+    return parse_intent_scores(reply_text(response));
+  } catch (err) {
+    console.error(`Classification via ${provider_name}/${model} failed: ${err.message}`);
+    record_failure(provider_name, err.message);
+    record_usage({
+      skill: "kira_router",
+      command: "classify",
+      provider: provider_name,
+      model,
+      latency_ms: Date.now() - start_time,
+      success: false,
+    });
+    return null;
+  }
+}
 
-    const raw = choice.message.content.trim().toLowerCase();
+/**
+ * Run the local embedding model. Returns null when it is disabled, not
+ * trained yet, trained on a different embedding model, or the embed fails.
+ */
+async function try_local(message) {
+  if (!CLASSIFIER.enabled) return null;
 
-    for (const intent of INTENTS) {
-      if (raw.includes(intent)) {
-        return intent;
-      }
-    }
+  const model = load_intent_model();
+  if (model === null || model.embedding_model !== EMBEDDING_MODEL) return null;
 
-    return null;
+  try {
+    // Same text context_loader embeds, so the embedding is reused from cache
+    const embedding = await embed_text(message);
+    return { ...predict_intent(model, embedding), threshold: model_threshold(model, CLASSIFIER.confidence_threshold) };
   } catch (err) {
-    console.error(`Classification via ${provider_name}/${model} failed: ${err.message}`);
+    console.error(`Local classification failed: ${err.message}`);
     return null;
   }
 }
 
 /**
- * Classify a message into an intent category.
- *
- * Uses DeepSeek for speed. Falls back to Moonshot if DeepSeek fails.
- * Falls back to "chat" if all classification attempts fail.
- *
- * @param {string} message - The user message to classify
- * @returns {Promise<{intent: string, matched_command: string | null}>}
+ * Label the message with the local model, then the LLMs.
+ * Returns {scores, decided_by, confidence, local_prediction}.
  */
-export async function classify_message(message) {
-  // Check command patterns first (instant, no LLM call needed)
-  const matched_command = match_command(message);
-  if (matched_command !== null) {
-    return { intent: "command", matched_command };
+async function score_intents(message, attachments) {
+  // Local embedding model — no LLM call when it is confident. It was trained
+  // on text-only messages, so messages with attachments go to the LLM.
+  const local = attachments.length === 0 ? await try_local(message) : null;
+  const local_prediction = local !== null ? { intent: local.intent, confidence: local.confidence } : null;
+  const local_scores = () => Object.entries(local.scores).map(([intent, score]) => ({ intent, score }));
+
+  if (local !== null && local.confidence >= local.threshold) {
+    return { scores: local_scores(), decided_by: "local", confidence: local.confidence, local_prediction };
   }
 
-  // Quick heuristics for obvious cases
-  const trimmed = message.trim().toLowerCase();
+  // LLM classification — DeepSeek first (fast + cheap), then the fallback chain
+  let prompt = CLASSIFY_PROMPT.replace("{message}", message.slice(0, 500));
+  if (attachments.length > 0) {
+    prompt += `\n${classification_note(attachments)}`;
+  }
 
-  if (trimmed.length <= 5) {
-    const greeting_words = ["hi", "hey", "gm", "yo", "sup", "hello", "heya"];
-    if (greeting_words.includes(trimmed)) {
-      return { intent: "greeting", matched_command: null };
+  for (const hop of resolve_chain("classify", CLASSIFY_ROUTE)) {
+    const result = await try_classify(hop.provider, hop.model, prompt);
+    if (result !== null) {
+      return { scores: result, decided_by: "llm", confidence: null, local_prediction };
     }
   }
 
-  // LLM classification — try DeepSeek first (fast + cheap)
-  const prompt = CLASSIFY_PROMPT.replace("{message}", message.slice(0, 500));
+  // Below threshold is still better than a blind default
+  if (local !== null) {
+    return { scores: local_scores(), decided_by: "local", confidence: local.confidence, local_prediction };
+  }
+
+  // Default to chat if all classification fails
+  return { scores: [{ intent: "chat", score: 1 }], decided_by: "default", confidence: null, local_prediction };
+}
+
+/**
+ * Merge labels (highest score wins per intent), drop weak ones, rank.
+ */
+function rank_intents(labels) {
+  const best = new Map();
+  for (const { intent, score } of labels) {
+    if (!best.has(intent) || best.get(intent) < score) best.set(intent, score);
+  }
+  return [...best.entries()]
+    .filter(([, score]) => score >= MULTI_INTENT_MIN_SCORE)
+    .map(([intent, score]) => ({ intent, score: Math.round(score * 1000) / 1000 }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Classify a message into a ranked list of intents and extract entities.
+ *
+ * Command triggers and greetings are matched locally. Anything else the
+ * message asks for is scored by the local model when it is confident,
+ * otherwise by DeepSeek and its fallback chain, and "chat" if all fail.
+ * A message can carry several labels: "gm, check my wallet and help me
+ * debug this" is greeting + command + technical.
+ *
+ * `intent` is the primary label: "command" when a command matched (so the
+ * command runs), else the top-scored intent. `decided_by` is one of
+ * command, heuristic, local, llm, default.
+ *
+ * @param {string} message - The user message to classify
+ * @param {object[]} [attachments] - Prepared attachments (see attachments.js)
+ * @returns {Promise<{intent: string, intents: Array<{intent: string, score: number}>,
+ *   matched_command: string | null, matched_commands: string[], entities: object,
+ *   decided_by: string, confidence: number | null,
+ *   local_prediction: {intent: string, confidence: number} | null}>}
+ */
+export async function classify_message(message, attachments = []) {
+  await load_command_registry();
+  const entities = extract_entities(message);
+  const matched_commands = match_commands(message, entities);
+  const greeting = leading_greeting(message);
 
-  const primary_result = await try_classify("deepseek", "deepseek-chat", prompt);
-  if (primary_result !== null) {
-    return { intent: primary_result, matched_command: null };
+  const labels = matched_commands.length > 0 ? [{ intent: "command", score: 1 }] : [];
+  if (greeting !== null) {
+    labels.push({ intent: "greeting", score: GREETING_PREFIX_SCORE });
+  }
+  const code_files = attachments.filter((a) => a.kind === "text" && a.language !== null);
+  if (entities.code_blocks.length > 0 || code_files.length > 0) {
+    labels.push({ intent: "technical", score: CODE_BLOCK_TECHNICAL_SCORE });
   }
 
-  // Fallback to Moonshot if DeepSeek fails
-  const fallback_provider = FALLBACK_ORDER["deepseek"];
-  if (fallback_provider !== undefined) {
-    console.error("DeepSeek classification failed, falling back to Moonshot");
-    const fallback_result = await try_classify("moonshot", "kimi-k2.5", prompt);
-    if (fallback_result !== null) {
-      return { intent: fallback_result, matched_command: null };
-    }
+  let scored = null;
+  const trimmed = message.trim().toLowerCase();
+  const bare_greeting = attachments.length === 0 && greeting_words().includes(trimmed);
+
+  // Only pay for classification if the message says more than its commands/greeting
+  const rest = residual_text(message);
+  const needs_scoring = !bare_greeting && (matched_commands.length === 0 || rest.split(/\s+/).length >= COMMAND_RESIDUAL_MIN_WORDS);
+  if (needs_scoring) {
+    scored = await score_intents(message, attachments);
+    labels.push(...scored.scores);
+  } else if (bare_greeting) {
+    labels.push({ intent: "greeting", score: 1 });
   }
 
-  // Default to chat if all classification fails
-  return { intent: "chat", matched_command: null };
+  const intents = rank_intents(labels);
+  const primary = matched_commands.length > 0 ? "command" : (intents.length > 0 ? intents[0].intent : "chat");
+
+  let decided_by;
+  if (matched_commands.length > 0) decided_by = "command";
+  else if (scored === null) decided_by = "heuristic";
+  else decided_by = scored.decided_by;
+
+  return {
+    intent: primary,
+    intents,
+    matched_command: matched_commands.length > 0 ? matched_commands[0] : null,
+    matched_commands,
+    entities,
+    decided_by,
+    confidence: decided_by === "command" || decided_by === "heuristic" ? 1 : scored.confidence,
+    local_prediction: scored !== null ? scored.local_prediction : null,
+  };
 }
@@ -0,0 +1,608 @@
+import '/workspace/kira/scripts/load-env.js';
+/**
+ * Kira Router — Command Registry
+ *
+ * Router commands ("check token price", "show leaderboard") are declared
+ * by the skills that own them. Each skill directory may ship a
+ * `router_commands.js` exporting `router_commands`, an array of:
+ *
+ *   {
+ *     name: "wallet_balance",
+ *     description: "SOL balance of a wallet",      // also shown to the arg-extraction LLM
+ *     patterns: [/\b(balance|wallet)\b/i],         // any match triggers the command
+ *     when: (message, entities) => boolean,        // optional extra condition
+ *     tier: "participant",                         // lowest engagement tier allowed
+ *     args: {
+ *       wallet: { type: "solana_address", required: true, entity: "wallets", chain: "solana" },
+ *       limit: { type: "integer", min: 1, max: 20, default: 5, pattern: /top\s+(\d+)/i },
+ *     },
+ *     error_text: "Couldn't read that wallet.",   // optional reply when the handler throws
+ *     handler: async (args, ctx) => "reply text", // null/empty = nothing to say
+ *   }
+ *
+ * Arguments are resolved from the arg's regex (named group matching the
+ * arg name, else the first group), then extracted entities, then — for
+ * args marked `llm: true` — one DeepSeek call per command, then `default`
+ * (a value or a function of ctx). Handlers run in-process with a time limit.
+ *
+ * Skills are discovered under KIRA_SKILLS_DIR (default: the directory
+ * kira_router lives in). The router's own commands are in builtin_commands.js.
+ * Extra trigger patterns can be mapped to registered commands with the
+ * `commands` section of router.config.json.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import {
+  USER_TIERS,
+  COMMAND_PATTERNS,
+  COMMAND_TIMEOUT_MS,
+  COMMAND_ARGS_MAX_TOKENS,
+  CIRCUIT_BREAKER,
+} from "./config.js";
+import { ConfigError } from "./config_schema.js";
+import { breaker_allows, record_success, record_failure } from "./circuit_breaker.js";
+import { provider_client, reply_json } from "./providers.js";
+import { record_usage } from "/workspace/kira/scripts/usage-ledger.js";
+import { builtin_commands } from "./builtin_commands.js";
+import { command_min_tier } from "./policy.js";
+
+const ROUTER_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const COMMANDS_FILE = "router_commands.js";
+
+export const SKILLS_DIR = process.env.KIRA_SKILLS_DIR !== undefined && process.env.KIRA_SKILLS_DIR !== ""
+  ? path.resolve(process.env.KIRA_SKILLS_DIR)
+  : path.dirname(ROUTER_DIR);
+
+const ARG_TYPES = ["string", "integer", "number", "boolean", "solana_address", "enum"];
+const ARG_FIELDS = ["type", "description", "required", "pattern", "entity", "chain", "llm", "default", "min", "max", "values"];
+const DEFINITION_FIELDS = ["name", "description", "patterns", "when", "tier", "args", "error_text", "handler"];
+const ENTITY_KINDS = ["wallets", "token_mints", "tweets", "github_repos"];
+
+const SOLANA_ADDRESS_RE = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+// ── Definition validation ─────────────────────────
+
+function describe(value) {
+  if (value instanceof RegExp) return String(value);
+  return typeof value === "function" ? "a function" : JSON.stringify(value);
+}
+
+function check_regex(value, path) {
+  if (!(value instanceof RegExp)) {
+    throw new ConfigError(path, `expected a RegExp (got ${describe(value)})`);
+  }
+  // g/y make RegExp.test() stateful between messages
+  if (value.global || value.sticky) {
+    throw new ConfigError(path, `"g" and "y" flags are not allowed (got ${value})`);
+  }
+}
+
+function validate_arg(name, arg, path) {
+  if (arg === null || typeof arg !== "object" || Array.isArray(arg)) {
+    throw new ConfigError(path, `expected an object (got ${describe(arg)})`);
+  }
+  for (const key of Object.keys(arg)) {
+    if (!ARG_FIELDS.includes(key)) {
+      throw new ConfigError(`${path}.${key}`, `unknown field (allowed: ${ARG_FIELDS.join(", ")})`);
+    }
+  }
+  if (!ARG_TYPES.includes(arg.type)) {
+    throw new ConfigError(`${path}.type`, `expected one of ${ARG_TYPES.join(", ")} (got ${describe(arg.type)})`);
+  }
+  if (arg.type === "enum" && (!Array.isArray(arg.values) || arg.values.length === 0)) {
+    throw new ConfigError(`${path}.values`, `enum args need a non-empty array of values (got ${describe(arg.values)})`);
+  }
+  if (arg.pattern !== undefined) check_regex(arg.pattern, `${path}.pattern`);
+  if (arg.entity !== undefined && !ENTITY_KINDS.includes(arg.entity)) {
+    throw new ConfigError(`${path}.entity`, `expected one of ${ENTITY_KINDS.join(", ")} (got ${describe(arg.entity)})`);
+  }
+  for (const key of ["required", "llm"]) {
+    if (arg[key] !== undefined && typeof arg[key] !== "boolean") {
+      throw new ConfigError(`${path}.${key}`, `expected true or false (got ${describe(arg[key])})`);
+    }
+  }
+  for (const key of ["min", "max"]) {
+    if (arg[key] !== undefined && typeof arg[key] !== "number") {
+      throw new ConfigError(`${path}.${key}`, `expected a number (got ${describe(arg[key])})`);
+    }
+  }
+  return {
+    name,
+    type: arg.type,
+    description: arg.description !== undefined ? arg.description : name,
+    required: arg.required === true,
+    pattern: arg.pattern !== undefined ? arg.pattern : null,
+    entity: arg.entity !== undefined ? arg.entity : null,
+    chain: arg.chain !== undefined ? arg.chain : null,
+    llm: arg.llm === true,
+    default: arg.default,
+    min: arg.min,
+    max: arg.max,
+    values: arg.values,
+  };
+}
+
+/**
+ * Check a definition's `args` object and normalize each arg. Tool
+ * definitions (see tools.js) declare their args the same way.
+ *
+ * @param {unknown} raw_args
+ * @param {string} path - Where the args came from, for errors
+ * @returns {object[]}
+ * @throws {ConfigError}
+ */
+export function validate_args(raw_args, path) {
+  const args = raw_args !== undefined ? raw_args : {};
+  if (args === null || typeof args !== "object" || Array.isArray(args)) {
+    throw new ConfigError(path, `expected an object (got ${describe(args)})`);
+  }
+  return Object.entries(args).map(([name, arg]) => validate_arg(name, arg, `${path}.${name}`));
+}
+
+/**
+ * Check one command definition and normalize it. `path` names the source
+ * file and index so a broken skill is easy to find.
+ */
+function validate_definition(def, path) {
+  if (def === null || typeof def !== "object" || Array.isArray(def)) {
+    throw new ConfigError(path, `expected an object (got ${describe(def)})`);
+  }
+  for (const key of Object.keys(def)) {
+    if (!DEFINITION_FIELDS.includes(key)) {
+      throw new ConfigError(`${path}.${key}`, `unknown field (allowed: ${DEFINITION_FIELDS.join(", ")})`);
+    }
+  }
+  if (typeof def.name !== "string" || !/^[a-z][a-z0-9_]*$/.test(def.name)) {
+    throw new ConfigError(`${path}.name`, `expected a snake_case name (got ${describe(def.name)})`);
+  }
+  if (typeof def.description !== "string" || def.description.length === 0) {
+    throw new ConfigError(`${path}.description`, `expected a non-empty string (got ${describe(def.description)})`);
+  }
+  if (!Array.isArray(def.patterns)) {
+    throw new ConfigError(`${path}.patterns`, `expected an array of RegExps (got ${describe(def.patterns)})`);
+  }
+  def.patterns.forEach((pattern, i) => check_regex(pattern, `${path}.patterns[${i}]`));
+  if (def.when !== undefined && typeof def.when !== "function") {
+    throw new ConfigError(`${path}.when`, `expected a function (got ${describe(def.when)})`);
+  }
+  const tier = def.tier !== undefined ? def.tier : USER_TIERS[0];
+  if (!USER_TIERS.includes(tier)) {
+    throw new ConfigError(`${path}.tier`, `expected one of ${USER_TIERS.join(", ")} (got ${describe(tier)})`);
+  }
+  if (typeof def.handler !== "function") {
+    throw new ConfigError(`${path}.handler`, `expected a function (got ${describe(def.handler)})`);
+  }
+
+  const args = validate_args(def.args, `${path}.args`);
+
+  return {
+    name: def.name,
+    description: def.description,
+    patterns: def.patterns,
+    when: def.when !== undefined ? def.when : null,
+    tier,
+    args,
+    error_text: def.error_text !== undefined ? def.error_text : null,
+    handler: def.handler,
+  };
+}
+
+// ── Registry ──────────────────────────────────────
+
+let _registry = null;
+let _loading = null;
+
+function register(registry, definitions, source) {
+  if (!Array.isArray(definitions)) {
+    throw new ConfigError(`${source}: router_commands`, `expected an array (got ${describe(definitions)})`);
+  }
+  definitions.forEach((def, i) => {
+    const command = validate_definition(def, `${source}: router_commands[${i}]`);
+    const existing = registry.get(command.name);
+    if (existing !== undefined) {
+      throw new ConfigError(`${source}: router_commands[${i}].name`, `"${command.name}" is already registered by ${existing.source}`);
+    }
+    registry.set(command.name, { ...command, source });
+  });
+}
+
+/**
+ * Every `<skill>/router_commands.js` under SKILLS_DIR, sorted by skill name.
+ */
+function discover_command_files() {
+  let entries;
+  try {
+    entries = fs.readdirSync(SKILLS_DIR, { withFileTypes: true });
+  } catch (err) {
+    console.error(`Command discovery: can't read ${SKILLS_DIR}: ${err.message}`);
+    return [];
+  }
+  return entries
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => path.join(SKILLS_DIR, entry.name, COMMANDS_FILE))
+    .filter((file) => fs.existsSync(file))
+    .sort();
+}
+
+async function build_registry() {
+  const registry = new Map();
+  register(registry, builtin_commands, "kira_router/lib/builtin_commands.js");
+
+  // One broken skill must not take the others (or the router) down with it
+  for (const file of discover_command_files()) {
+    const source = path.relative(SKILLS_DIR, file);
+    try {
+      const module = await import(pathToFileURL(file).href);
+      register(registry, module.router_commands, source);
+    } catch (err) {
+      console.error(`Command registry: skipping ${source}: ${err.message}`);
+    }
+  }
+  return registry;
+}
+
+/**
+ * Load built-in and skill commands once per process.
+ *
+ * @returns {Promise<Map<string, object>>} Command name → definition
+ */
+export function load_command_registry() {
+  if (_loading === null) {
+    _loading = build_registry().then((registry) => {
+      _registry = registry;
+      return registry;
+    });
+  }
+  return _loading;
+}
+
+function loaded_registry() {
+  if (_registry === null) {
+    throw new Error("Command registry not loaded (await load_command_registry() first)");
+  }
+  return _registry;
+}
+
+/**
+ * Registered commands for status output.
+ *
+ * `tier` includes any `tier_policy.command_tiers` override.
+ *
+ * @returns {Promise<Array<{name: string, description: string, tier: string, args: string[], source: string}>>}
+ */
+export async function list_commands() {
+  const registry = await load_command_registry();
+  return [...registry.values()].map((command) => ({
+    name: command.name,
+    description: command.description,
+    tier: command_min_tier(command.name, command.tier),
+    args: command.args.map((arg) => arg.name),
+    source: command.source,
+  }));
+}
+
+// ── Matching ──────────────────────────────────────
+
+const _warned_unknown = new Set();
+
+/**
+ * Config triggers whose command is registered. Unknown names are reported
+ * once and ignored, so a typo in router.config.json can't break classify.
+ */
+function config_triggers(registry) {
+  return COMMAND_PATTERNS.filter((entry) => {
+    if (registry.has(entry.command)) return true;
+    if (!_warned_unknown.has(entry.command)) {
+      _warned_unknown.add(entry.command);
+      console.error(`router.config.json commands: "${entry.command}" is not a registered command, ignoring`);
+    }
+    return false;
+  });
+}
+
+/**
+ * Every command triggered by the message, in registry order. Requires
+ * load_command_registry() to have resolved.
+ *
+ * @param {string} message
+ * @param {object} entities - From extract_entities()
+ * @returns {string[]}
+ */
+export function match_commands(message, entities) {
+  const registry = loaded_registry();
+  const extra = config_triggers(registry);
+  const matched = [];
+
+  for (const command of registry.values()) {
+    const triggered = command.patterns.some((pattern) => pattern.test(message))
+      || extra.some((entry) => entry.command === command.name && entry.pattern.test(message));
+    if (!triggered) continue;
+    if (command.when !== null) {
+      try {
+        if (!command.when(message, entities)) continue;
+      } catch (err) {
+        console.error(`Command ${command.name}: when() failed: ${err.message}`);
+        continue;
+      }
+    }
+    matched.push(command.name);
+  }
+  return matched;
+}
+
+/**
+ * The message with every command trigger phrase blanked out.
+ */
+export function strip_command_phrases(message) {
+  const registry = loaded_registry();
+  const patterns = [
+    ...[...registry.values()].flatMap((command) => command.patterns),
+    ...config_triggers(registry).map((entry) => entry.pattern),
+  ];
+  let rest = message;
+  for (const pattern of patterns) {
+    rest = rest.replace(new RegExp(pattern.source, `${pattern.flags}g`), " ");
+  }
+  return rest;
+}
+
+// ── Argument resolution ───────────────────────────
+
+/**
+ * Coerce a raw value to the arg's type. Returns undefined if it doesn't fit.
+ */
+function coerce_arg(arg, raw) {
+  if (raw === undefined || raw === null || raw === "") return undefined;
+
+  switch (arg.type) {
+    case "string":
+      return String(raw).trim();
+    case "integer":
+    case "number": {
+      const n = arg.type === "integer" ? parseInt(raw, 10) : Number(raw);
+      if (Number.isNaN(n)) return undefined;
+      // Out-of-range numbers are clamped ("top 500" → max), not rejected
+      let value = n;
+      if (arg.min !== undefined) value = Math.max(arg.min, value);
+      if (arg.max !== undefined) value = Math.min(arg.max, value);
+      return value;
+    }
+    case "boolean":
+      if (typeof raw === "boolean") return raw;
+      if (/^(true|yes|1)$/i.test(String(raw))) return true;
+      if (/^(false|no|0)$/i.test(String(raw))) return false;
+      return undefined;
+    case "solana_address":
+      return SOLANA_ADDRESS_RE.test(String(raw)) ? String(raw) : undefined;
+    case "enum": {
+      const lowered = String(raw).toLowerCase();
+      return arg.values.find((v) => String(v).toLowerCase() === lowered);
+    }
+    default:
+      return undefined;
+  }
+}
+
+function from_pattern(arg, message) {
+  if (arg.pattern === null) return undefined;
+  const match = message.match(arg.pattern);
+  if (match === null) return undefined;
+  if (match.groups !== undefined && match.groups[arg.name] !== undefined) return match.groups[arg.name];
+  return match[1];
+}
+
+function from_entities(arg, entities) {
+  if (arg.entity === null || entities === undefined) return undefined;
+  const found = entities[arg.entity].find((e) => arg.chain === null || e.chain === arg.chain);
+  if (found === undefined) return undefined;
+  if (found.address !== undefined) return found.address;
+  if (arg.entity === "github_repos") return `${found.owner}/${found.repo}`;
+  return found.url;
+}
+
+/**
+ * Ask DeepSeek for the args regexes and entities couldn't find.
+ * Returns {} when the LLM is unavailable — the caller then falls back to
+ * defaults or reports the missing args.
+ */
+async function extract_llm_args(command, args, message) {
+  if (!breaker_allows("deepseek")) return {};
+
+  let client;
+  try {
+    client = provider_client("deepseek");
+  } catch (err) {
+    console.error(`Argument extraction for ${command.name} skipped: ${err.message}`);
+    return {};
+  }
+
+  const arg_lines = args.map((arg) => {
+    const values = arg.type === "enum" ? ` (one of: ${arg.values.join(", ")})` : "";
+    return `- ${arg.name} (${arg.type}${values}): ${arg.description}`;
+  });
+  const prompt = `Extract arguments for the command "${command.name}" (${command.description}) from the message.
+
+Arguments:
+${arg_lines.join("\n")}
+
+Use null for anything the message doesn't say. Reply with JSON only, e.g. {"${args[0].name}": null}
+
+Message: "${message.slice(0, 500)}"`;
+
+  const start_time = Date.now();
+  try {
+    const response = await client.chat.completions.create(
+      {
+        model: "deepseek-chat",
+        messages: [{ role: "user", content: prompt }],
+        max_tokens: COMMAND_ARGS_MAX_TOKENS,
+        temperature: 0,
+      },
+      { timeout: CIRCUIT_BREAKER.timeout_ms, maxRetries: 0 },
+    );
+    record_success("deepseek");
+    record_usage({
+      skill: "kira_router",
+      command: "command_args",
+      provider: "deepseek",
+      model: "deepseek-chat",
+      prompt_tokens: response.usage !== undefined ? response.usage.prompt_tokens : 0,
+      completion_tokens: response.usage !== undefined ? response.usage.completion_tokens : 0,
+      latency_ms: Date.now() - start_time,
+    });
+
+    const parsed = reply_json(response);
+    return parsed !== null ? parsed : {};
+  } catch (err) {
+    console.error(`Argument extraction for ${command.name} failed: ${err.message}`);
+    record_failure("deepseek", err.message);
+    record_usage({
+      skill: "kira_router",
+      command: "command_args",
+      provider: "deepseek",
+      model: "deepseek-chat",
+      latency_ms: Date.now() - start_time,
+      success: false,
+    });
+    return {};
+  }
+}
+
+/**
+ * Check args a model supplied for a tool call: coerced to their types,
+ * defaults filled in. Unusable values count as missing when required.
+ *
+ * @param {object[]} arg_defs - Normalized args (see validate_args())
+ * @param {object} supplied - Parsed tool call arguments
+ * @param {object} ctx - Same as run_commands()
+ * @returns {{args: object, missing: object[]}}
+ */
+export function check_supplied_args(arg_defs, supplied, ctx) {
+  const args = {};
+  const missing = [];
+  for (const arg of arg_defs) {
+    let value = coerce_arg(arg, supplied[arg.name]);
+    if (value === undefined && arg.default !== undefined) {
+      value = coerce_arg(arg, typeof arg.default === "function" ? arg.default(ctx) : arg.default);
+    }
+    if (value !== undefined) {
+      args[arg.name] = value;
+    } else if (arg.required) {
+      missing.push(arg);
+    }
+  }
+  return { args, missing };
+}
+
+/**
+ * Resolve every arg of a command. Returns {args, missing}.
+ */
+async function resolve_args(command, ctx) {
+  const args = {};
+  const unresolved = [];
+
+  for (const arg of command.args) {
+    let value = coerce_arg(arg, from_pattern(arg, ctx.message));
+    if (value === undefined) value = coerce_arg(arg, from_entities(arg, ctx.entities));
+    if (value !== undefined) {
+      args[arg.name] = value;
+    } else {
+      unresolved.push(arg);
+    }
+  }
+
+  // Only pay for the LLM when a default wouldn't do
+  const ask_llm = unresolved.filter((arg) => arg.llm && (arg.required || arg.default === undefined));
+  const extracted = ask_llm.length > 0 ? await extract_llm_args(command, ask_llm, ctx.message) : {};
+
+  const missing = [];
+  for (const arg of unresolved) {
+    let value = coerce_arg(arg, extracted[arg.name]);
+    if (value === undefined && arg.default !== undefined) {
+      value = coerce_arg(arg, typeof arg.default === "function" ? arg.default(ctx) : arg.default);
+    }
+    if (value !== undefined) {
+      args[arg.name] = value;
+    } else if (arg.required) {
+      missing.push(arg);
+    }
+  }
+  return { args, missing };
+}
+
+// ── Execution ─────────────────────────────────────
+
+export function tier_rank(tier) {
+  const rank = USER_TIERS.indexOf(tier);
+  return rank === -1 ? 0 : rank;
+}
+
+export function with_timeout(promise, ms, name) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${name} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function run_command(command, ctx) {
+  const base = { command: command.name, args: {} };
+
+  const min_tier = command_min_tier(command.name, command.tier);
+  if (tier_rank(ctx.user_tier) < tier_rank(min_tier)) {
+    return {
+      ...base,
+      status: "denied",
+      required_tier: min_tier,
+      text: `That one unlocks at ${min_tier.replace("_", " ")} tier. Keep showing up and you'll get there.`,
+    };
+  }
+
+  const { args, missing } = await resolve_args(command, ctx);
+  if (missing.length > 0) {
+    const wanted = missing.map((arg) => arg.description).join(" and ");
+    return { ...base, args, status: "missing_args", text: `I need ${wanted} for that.` };
+  }
+
+  try {
+    const output = await with_timeout(Promise.resolve(command.handler(args, ctx)), COMMAND_TIMEOUT_MS, command.name);
+    if (typeof output !== "string" || output.trim().length === 0) {
+      return { ...base, args, status: "no_output", text: null };
+    }
+    return { ...base, args, status: "ok", text: output.trim() };
+  } catch (err) {
+    console.error(`Command ${command.name} failed: ${err.message}`);
+    const text = command.error_text !== null ? command.error_text : "Couldn't run that right now. Try again in a bit.";
+    return { ...base, args, status: "error", error: err.message, text };
+  }
+}
+
+/**
+ * Run commands in order: tier check, argument resolution, then the handler.
+ *
+ * @param {string[]} names - From match_commands()
+ * @param {object} ctx
+ * @param {string} ctx.message
+ * @param {object} [ctx.entities]
+ * @param {string} ctx.platform
+ * @param {string} ctx.sender_id
+ * @param {string | null} ctx.user_id - Unified user id, null for unknown senders
+ * @param {string} ctx.user_tier - Engagement tier of the sender
+ * @returns {Promise<Array<{command: string, status: string, args: object, text: string | null, error?: string}>>}
+ *   status is ok, denied, missing_args, error or no_output
+ */
+export async function run_commands(names, ctx) {
+  const registry = await load_command_registry();
+  const results = [];
+  for (const name of names) {
+    const command = registry.get(name);
+    if (command === undefined) {
+      results.push({ command: name, status: "error", args: {}, error: "not registered", text: null });
+      continue;
+    }
+    results.push(await run_command(command, ctx));
+  }
+  return results;
+}
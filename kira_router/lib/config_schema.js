@@ -0,0 +1,1147 @@
+/**
+ * Kira Router — Config Schema
+ *
+ * Validates router.config.json and turns it into the runtime shapes the
+ * rest of the router uses (compiled command regexes, merged platform
+ * routes). Every error names the exact path that is wrong, e.g.
+ * `routes.chat.temperature: expected a number between 0 and 2 (got "hot")`.
+ */
+
+export class ConfigError extends Error {
+  constructor(path, message) {
+    super(`${path}: ${message}`);
+    this.name = "ConfigError";
+    this.path = path;
+  }
+}
+
+// Providers that don't call an LLM
+const LOCAL_PROVIDERS = ["local", "skip"];
+
+const ROUTE_FIELDS = ["provider", "model", "max_tokens", "temperature", "persona"];
+
+// `{{name}}` in a persona text, filled from `persona_facts` (see persona_facts.js)
+export const PERSONA_PLACEHOLDER = /\{\{\s*([a-z0-9_]+)\s*\}\}/g;
+
+// ── Primitive checks ──────────────────────────────
+
+function describe(value) {
+  return JSON.stringify(value) === undefined ? String(value) : JSON.stringify(value);
+}
+
+function expect_object(value, path) {
+  if (value === null || typeof value !== "object" || Array.isArray(value)) {
+    throw new ConfigError(path, `expected an object (got ${describe(value)})`);
+  }
+  return value;
+}
+
+function expect_string(value, path) {
+  if (typeof value !== "string" || value.length === 0) {
+    throw new ConfigError(path, `expected a non-empty string (got ${describe(value)})`);
+  }
+  return value;
+}
+
+function expect_number(value, path, min, max) {
+  if (typeof value !== "number" || Number.isNaN(value) || value < min || value > max) {
+    throw new ConfigError(path, `expected a number between ${min} and ${max} (got ${describe(value)})`);
+  }
+  return value;
+}
+
+function expect_integer(value, path, min) {
+  if (!Number.isInteger(value) || value < min) {
+    throw new ConfigError(path, `expected an integer >= ${min} (got ${describe(value)})`);
+  }
+  return value;
+}
+
+function expect_boolean(value, path) {
+  if (typeof value !== "boolean") {
+    throw new ConfigError(path, `expected true or false (got ${describe(value)})`);
+  }
+  return value;
+}
+
+function reject_unknown_keys(obj, allowed, path) {
+  for (const key of Object.keys(obj)) {
+    if (!allowed.includes(key)) {
+      throw new ConfigError(`${path}.${key}`, `unknown field (allowed: ${allowed.join(", ")})`);
+    }
+  }
+}
+
+// ── Sections ──────────────────────────────────────
+
+function validate_providers(raw) {
+  const providers = expect_object(raw, "providers");
+  for (const [name, provider] of Object.entries(providers)) {
+    const path = `providers.${name}`;
+    expect_object(provider, path);
+    reject_unknown_keys(provider, ["base_url", "api_key_env", "timeout_ms"], path);
+    if (LOCAL_PROVIDERS.includes(name)) {
+      throw new ConfigError(path, `${describe(name)} is reserved for non-LLM routes`);
+    }
+    const base_url = expect_string(provider.base_url, `${path}.base_url`);
+    if (!/^https?:\/\//.test(base_url)) {
+      throw new ConfigError(`${path}.base_url`, `expected an http(s) URL (got ${describe(base_url)})`);
+    }
+    // Local OpenAI-compatible servers often need no key
+    if (provider.api_key_env !== undefined) {
+      expect_string(provider.api_key_env, `${path}.api_key_env`);
+    }
+    if (provider.timeout_ms !== undefined) {
+      expect_integer(provider.timeout_ms, `${path}.timeout_ms`, 1);
+    }
+  }
+  return providers;
+}
+
+function validate_personas(raw) {
+  const personas = expect_object(raw, "personas");
+  for (const [key, text] of Object.entries(personas)) {
+    expect_string(text, `personas.${key}`);
+  }
+  return personas;
+}
+
+function validate_route(route, path, providers, personas) {
+  expect_object(route, path);
+  reject_unknown_keys(route, ROUTE_FIELDS, path);
+
+  const provider = expect_string(route.provider, `${path}.provider`);
+  const is_local = LOCAL_PROVIDERS.includes(provider);
+  if (!is_local && providers[provider] === undefined) {
+    throw new ConfigError(
+      `${path}.provider`,
+      `unknown provider ${describe(provider)} (known: ${[...Object.keys(providers), ...LOCAL_PROVIDERS].join(", ")})`,
+    );
+  }
+
+  expect_integer(route.max_tokens, `${path}.max_tokens`, 0);
+  expect_number(route.temperature, `${path}.temperature`, 0, 2);
+
+  if (is_local) {
+    if (route.model !== null) expect_string(route.model, `${path}.model`);
+    if (route.persona !== null) expect_string(route.persona, `${path}.persona`);
+    return;
+  }
+
+  expect_string(route.model, `${path}.model`);
+  const persona = expect_string(route.persona, `${path}.persona`);
+  if (personas[persona] === undefined) {
+    throw new ConfigError(`${path}.persona`, `unknown persona ${describe(persona)}`);
+  }
+  if (route.max_tokens === 0) {
+    throw new ConfigError(`${path}.max_tokens`, "must be > 0 for LLM-backed routes");
+  }
+}
+
+function validate_routes(raw, intents, providers, personas) {
+  const routes = expect_object(raw, "routes");
+  for (const intent of intents) {
+    if (routes[intent] === undefined) {
+      throw new ConfigError(`routes.${intent}`, "missing route for intent");
+    }
+  }
+  for (const [intent, route] of Object.entries(routes)) {
+    if (!intents.includes(intent)) {
+      throw new ConfigError(`routes.${intent}`, `unknown intent (known: ${intents.join(", ")})`);
+    }
+    validate_route(route, `routes.${intent}`, providers, personas);
+  }
+  return routes;
+}
+
+function validate_fallbacks(raw_order, raw_models, providers) {
+  const order = expect_object(raw_order, "fallback_order");
+  const models = expect_object(raw_models, "fallback_models");
+
+  for (const [from, to] of Object.entries(order)) {
+    if (providers[from] === undefined) {
+      throw new ConfigError(`fallback_order.${from}`, "unknown provider");
+    }
+    if (providers[expect_string(to, `fallback_order.${from}`)] === undefined) {
+      throw new ConfigError(`fallback_order.${from}`, `unknown provider ${describe(to)}`);
+    }
+    if (models[to] === undefined) {
+      throw new ConfigError(`fallback_models.${to}`, `missing model for fallback provider used by fallback_order.${from}`);
+    }
+  }
+  for (const [provider, model] of Object.entries(models)) {
+    if (providers[provider] === undefined) {
+      throw new ConfigError(`fallback_models.${provider}`, "unknown provider");
+    }
+    expect_string(model, `fallback_models.${provider}`);
+  }
+  return { order, models };
+}
+
+function validate_chains(raw, intents, providers) {
+  if (raw === undefined) return {};
+  const chains = expect_object(raw, "fallback_chains");
+
+  for (const [key, chain] of Object.entries(chains)) {
+    const path = `fallback_chains.${key}`;
+    if (key !== "default" && !intents.includes(key)) {
+      throw new ConfigError(path, `unknown intent (known: default, ${intents.join(", ")})`);
+    }
+    if (!Array.isArray(chain) || chain.length === 0) {
+      throw new ConfigError(path, `expected a non-empty array (got ${describe(chain)})`);
+    }
+    chain.forEach((hop, i) => {
+      const hop_path = `${path}[${i}]`;
+      expect_object(hop, hop_path);
+      reject_unknown_keys(hop, ["provider", "model"], hop_path);
+      const provider = expect_string(hop.provider, `${hop_path}.provider`);
+      if (providers[provider] === undefined) {
+        throw new ConfigError(`${hop_path}.provider`, `unknown provider ${describe(provider)}`);
+      }
+      expect_string(hop.model, `${hop_path}.model`);
+    });
+  }
+  return chains;
+}
+
+function validate_circuit_breaker(raw) {
+  const defaults = { failure_threshold: 3, cooldown_ms: 60000, timeout_ms: 30000 };
+  if (raw === undefined) return defaults;
+
+  const breaker = expect_object(raw, "circuit_breaker");
+  reject_unknown_keys(breaker, Object.keys(defaults), "circuit_breaker");
+  const merged = { ...defaults, ...breaker };
+  expect_integer(merged.failure_threshold, "circuit_breaker.failure_threshold", 1);
+  expect_integer(merged.cooldown_ms, "circuit_breaker.cooldown_ms", 0);
+  expect_integer(merged.timeout_ms, "circuit_breaker.timeout_ms", 1);
+  return merged;
+}
+
+function validate_classifier(raw) {
+  const defaults = { enabled: true, confidence_threshold: 0.6 };
+  if (raw === undefined) return defaults;
+
+  const classifier = expect_object(raw, "classifier");
+  reject_unknown_keys(classifier, Object.keys(defaults), "classifier");
+  const merged = { ...defaults, ...classifier };
+  expect_boolean(merged.enabled, "classifier.enabled");
+  expect_number(merged.confidence_threshold, "classifier.confidence_threshold", 0, 1);
+  return merged;
+}
+
+function validate_budget(raw, intents, providers) {
+  if (raw === undefined) return null;
+
+  const budget = expect_object(raw, "budget");
+  reject_unknown_keys(budget, ["daily_usd", "intent_daily_usd", "downgrade"], "budget");
+
+  if (budget.daily_usd !== undefined) {
+    expect_number(budget.daily_usd, "budget.daily_usd", 0, Infinity);
+  }
+  const intent_caps = budget.intent_daily_usd === undefined ? {} : expect_object(budget.intent_daily_usd, "budget.intent_daily_usd");
+  for (const [intent, cap] of Object.entries(intent_caps)) {
+    if (!intents.includes(intent)) {
+      throw new ConfigError(`budget.intent_daily_usd.${intent}`, `unknown intent (known: ${intents.join(", ")})`);
+    }
+    expect_number(cap, `budget.intent_daily_usd.${intent}`, 0, Infinity);
+  }
+
+  const downgrade = expect_object(budget.downgrade, "budget.downgrade");
+  reject_unknown_keys(downgrade, ["provider", "model", "max_tokens"], "budget.downgrade");
+  const provider = expect_string(downgrade.provider, "budget.downgrade.provider");
+  if (providers[provider] === undefined) {
+    throw new ConfigError(
+      "budget.downgrade.provider",
+      `unknown provider ${describe(provider)} (known: ${Object.keys(providers).join(", ")})`,
+    );
+  }
+  expect_string(downgrade.model, "budget.downgrade.model");
+  if (downgrade.max_tokens !== undefined) {
+    expect_integer(downgrade.max_tokens, "budget.downgrade.max_tokens", 1);
+  }
+
+  return {
+    daily_usd: budget.daily_usd === undefined ? null : budget.daily_usd,
+    intent_daily_usd: intent_caps,
+    downgrade,
+  };
+}
+
+const TIER_POLICY_FIELDS = ["max_tokens", "personas", "rate_limit"];
+
+/**
+ * Per-tier policy: reply length cap, persona substitutions, rate limit.
+ * Every tier gets an entry (empty when unrestricted). Optional section.
+ */
+function validate_tier_policy(raw, tiers, personas) {
+  if (raw === undefined) return null;
+
+  const policy = expect_object(raw, "tier_policy");
+  reject_unknown_keys(policy, ["tiers", "command_tiers", "spam_mute"], "tier_policy");
+
+  const raw_tiers = policy.tiers === undefined ? {} : expect_object(policy.tiers, "tier_policy.tiers");
+  const compiled = {};
+  for (const name of Object.keys(raw_tiers)) {
+    if (!tiers.includes(name)) {
+      throw new ConfigError(`tier_policy.tiers.${name}`, `unknown tier (known: ${tiers.join(", ")})`);
+    }
+  }
+  for (const name of tiers) {
+    const path = `tier_policy.tiers.${name}`;
+    const tier = raw_tiers[name] === undefined ? {} : expect_object(raw_tiers[name], path);
+    reject_unknown_keys(tier, TIER_POLICY_FIELDS, path);
+
+    if (tier.max_tokens !== undefined) {
+      expect_integer(tier.max_tokens, `${path}.max_tokens`, 1);
+    }
+    const persona_map = tier.personas === undefined ? {} : expect_object(tier.personas, `${path}.personas`);
+    for (const [from, to] of Object.entries(persona_map)) {
+      for (const key of [from, to]) {
+        if (personas[key] === undefined) {
+          throw new ConfigError(`${path}.personas.${from}`, `unknown persona ${describe(key)} (known: ${Object.keys(personas).join(", ")})`);
+        }
+      }
+    }
+    let rate_limit = null;
+    if (tier.rate_limit !== undefined) {
+      expect_object(tier.rate_limit, `${path}.rate_limit`);
+      reject_unknown_keys(tier.rate_limit, ["messages", "window_seconds"], `${path}.rate_limit`);
+      rate_limit = {
+        messages: expect_integer(tier.rate_limit.messages, `${path}.rate_limit.messages`, 1),
+        window_seconds: expect_integer(tier.rate_limit.window_seconds, `${path}.rate_limit.window_seconds`, 1),
+      };
+    }
+
+    compiled[name] = {
+      max_tokens: tier.max_tokens === undefined ? null : tier.max_tokens,
+      personas: persona_map,
+      rate_limit,
+    };
+  }
+
+  // Command names aren't known until the registry loads, so only tiers are checked
+  const command_tiers = policy.command_tiers === undefined ? {} : expect_object(policy.command_tiers, "tier_policy.command_tiers");
+  for (const [command, tier] of Object.entries(command_tiers)) {
+    if (!tiers.includes(tier)) {
+      throw new ConfigError(`tier_policy.command_tiers.${command}`, `unknown tier ${describe(tier)} (known: ${tiers.join(", ")})`);
+    }
+  }
+
+  let spam_mute = null;
+  if (policy.spam_mute !== undefined) {
+    const path = "tier_policy.spam_mute";
+    expect_object(policy.spam_mute, path);
+    reject_unknown_keys(policy.spam_mute, ["strikes", "window_seconds", "mute_seconds"], path);
+    spam_mute = {
+      strikes: expect_integer(policy.spam_mute.strikes, `${path}.strikes`, 1),
+      window_seconds: expect_integer(policy.spam_mute.window_seconds, `${path}.window_seconds`, 1),
+      mute_seconds: expect_integer(policy.spam_mute.mute_seconds, `${path}.mute_seconds`, 1),
+    };
+  }
+
+  return { tiers: compiled, command_tiers, spam_mute };
+}
+
+const OUTBOUND_ACTIONS = ["block", "rewrite", "regenerate"];
+
+function expect_action(value, path, allowed) {
+  if (!allowed.includes(value)) {
+    throw new ConfigError(path, `expected one of ${allowed.join(", ")} (got ${describe(value)})`);
+  }
+  return value;
+}
+
+function compile_regex(source, flags, path) {
+  if (typeof flags !== "string") {
+    throw new ConfigError(`${path}.flags`, `expected a string (got ${describe(flags)})`);
+  }
+  // g/y make RegExp.test() stateful between messages
+  if (/[gy]/.test(flags)) {
+    throw new ConfigError(`${path}.flags`, `"g" and "y" are not allowed (got ${describe(flags)})`);
+  }
+  try {
+    return new RegExp(source, flags);
+  } catch (err) {
+    throw new ConfigError(`${path}.pattern`, `invalid regex: ${err.message}`);
+  }
+}
+
+/**
+ * Action-specific fields shared by rules, private_users, secrets and the
+ * judge: `replacement` for rewrite, `guidance` for regenerate, an optional
+ * `reply` for block.
+ */
+function validate_action_fields(entry, path, action) {
+  if (action === "rewrite" && entry.replacement !== undefined && typeof entry.replacement !== "string") {
+    throw new ConfigError(`${path}.replacement`, `expected a string (got ${describe(entry.replacement)})`);
+  }
+  if (action === "regenerate") {
+    expect_string(entry.guidance, `${path}.guidance`);
+  }
+  if (entry.reply !== undefined) {
+    expect_string(entry.reply, `${path}.reply`);
+  }
+}
+
+/**
+ * Post-generation reply policy: regex rules, private user names, a scan
+ * for loaded secret env values, and an optional LLM judge. Each decides
+ * block, rewrite or regenerate. Optional section.
+ */
+function validate_outbound_policy(raw, intents, providers) {
+  if (raw === undefined) return null;
+
+  const policy = expect_object(raw, "outbound_policy");
+  reject_unknown_keys(
+    policy,
+    ["rules", "private_users", "secrets", "judge", "max_regenerations", "blocked_reply"],
+    "outbound_policy",
+  );
+
+  const raw_rules = policy.rules === undefined ? [] : policy.rules;
+  if (!Array.isArray(raw_rules)) {
+    throw new ConfigError("outbound_policy.rules", `expected an array (got ${describe(raw_rules)})`);
+  }
+  const names = new Set();
+  const rules = raw_rules.map((entry, i) => {
+    const path = `outbound_policy.rules[${i}]`;
+    expect_object(entry, path);
+    reject_unknown_keys(entry, ["name", "pattern", "flags", "action", "replacement", "guidance", "reply"], path);
+    const name = expect_string(entry.name, `${path}.name`);
+    if (names.has(name)) {
+      throw new ConfigError(`${path}.name`, `duplicate rule name ${describe(name)}`);
+    }
+    names.add(name);
+    const action = expect_action(entry.action, `${path}.action`, OUTBOUND_ACTIONS);
+    validate_action_fields(entry, path, action);
+    return {
+      name,
+      pattern: compile_regex(expect_string(entry.pattern, `${path}.pattern`), entry.flags === undefined ? "i" : entry.flags, path),
+      action,
+      replacement: entry.replacement === undefined ? "" : entry.replacement,
+      guidance: entry.guidance === undefined ? null : entry.guidance,
+      reply: entry.reply === undefined ? null : entry.reply,
+    };
+  });
+
+  let private_users = null;
+  if (policy.private_users !== undefined) {
+    const path = "outbound_policy.private_users";
+    const entry = expect_object(policy.private_users, path);
+    reject_unknown_keys(entry, ["names", "action", "replacement", "guidance", "reply"], path);
+    if (!Array.isArray(entry.names)) {
+      throw new ConfigError(`${path}.names`, `expected an array (got ${describe(entry.names)})`);
+    }
+    entry.names.forEach((n, i) => expect_string(n, `${path}.names[${i}]`));
+    const action = expect_action(entry.action === undefined ? "rewrite" : entry.action, `${path}.action`, OUTBOUND_ACTIONS);
+    validate_action_fields(entry, path, action);
+    private_users = {
+      names: entry.names,
+      action,
+      replacement: entry.replacement === undefined ? "someone" : entry.replacement,
+      guidance: entry.guidance === undefined ? null : entry.guidance,
+      reply: entry.reply === undefined ? null : entry.reply,
+    };
+  }
+
+  let secrets = null;
+  if (policy.secrets !== undefined) {
+    const path = "outbound_policy.secrets";
+    const entry = expect_object(policy.secrets, path);
+    reject_unknown_keys(entry, ["action", "env", "min_length", "replacement", "guidance", "reply"], path);
+    const action = expect_action(entry.action === undefined ? "block" : entry.action, `${path}.action`, OUTBOUND_ACTIONS);
+    validate_action_fields(entry, path, action);
+    const env = entry.env === undefined ? [] : entry.env;
+    if (!Array.isArray(env)) {
+      throw new ConfigError(`${path}.env`, `expected an array (got ${describe(env)})`);
+    }
+    env.forEach((n, i) => expect_string(n, `${path}.env[${i}]`));
+    secrets = {
+      action,
+      env,
+      min_length: entry.min_length === undefined ? 12 : expect_integer(entry.min_length, `${path}.min_length`, 8),
+      replacement: entry.replacement === undefined ? "[redacted]" : entry.replacement,
+      guidance: entry.guidance === undefined ? null : entry.guidance,
+      reply: entry.reply === undefined ? null : entry.reply,
+    };
+  }
+
+  let judge = null;
+  if (policy.judge !== undefined) {
+    const path = "outbound_policy.judge";
+    const entry = expect_object(policy.judge, path);
+    reject_unknown_keys(entry, ["enabled", "provider", "model", "intents", "guidelines", "action", "max_tokens", "guidance", "reply"], path);
+    const provider = expect_string(entry.provider, `${path}.provider`);
+    if (providers[provider] === undefined || LOCAL_PROVIDERS.includes(provider)) {
+      throw new ConfigError(
+        `${path}.provider`,
+        `unknown provider ${describe(provider)} (known: ${Object.keys(providers).join(", ")})`,
+      );
+    }
+    const judge_intents = entry.intents === undefined ? intents : entry.intents;
+    if (!Array.isArray(judge_intents)) {
+      throw new ConfigError(`${path}.intents`, `expected an array (got ${describe(judge_intents)})`);
+    }
+    judge_intents.forEach((intent, i) => {
+      if (!intents.includes(intent)) {
+        throw new ConfigError(`${path}.intents[${i}]`, `unknown intent ${describe(intent)} (known: ${intents.join(", ")})`);
+      }
+    });
+    if (!Array.isArray(entry.guidelines) || entry.guidelines.length === 0) {
+      throw new ConfigError(`${path}.guidelines`, `expected a non-empty array (got ${describe(entry.guidelines)})`);
+    }
+    entry.guidelines.forEach((g, i) => expect_string(g, `${path}.guidelines[${i}]`));
+    const action = expect_action(entry.action === undefined ? "regenerate" : entry.action, `${path}.action`, OUTBOUND_ACTIONS);
+    if (entry.reply !== undefined) {
+      expect_string(entry.reply, `${path}.reply`);
+    }
+    if (entry.guidance !== undefined) {
+      expect_string(entry.guidance, `${path}.guidance`);
+    }
+    judge = {
+      enabled: entry.enabled === undefined ? true : expect_boolean(entry.enabled, `${path}.enabled`),
+      provider,
+      model: expect_string(entry.model, `${path}.model`),
+      intents: judge_intents,
+      guidelines: entry.guidelines,
+      action,
+      max_tokens: entry.max_tokens === undefined ? 256 : expect_integer(entry.max_tokens, `${path}.max_tokens`, 16),
+      // The judge's reason is appended when regenerating
+      guidance: entry.guidance === undefined ? null : entry.guidance,
+      reply: entry.reply === undefined ? null : entry.reply,
+    };
+  }
+
+  return {
+    rules,
+    private_users,
+    secrets,
+    judge,
+    max_regenerations: policy.max_regenerations === undefined
+      ? 1
+      : expect_integer(policy.max_regenerations, "outbound_policy.max_regenerations", 0),
+    blocked_reply: policy.blocked_reply === undefined
+      ? "I'll pass on that one."
+      : expect_string(policy.blocked_reply, "outbound_policy.blocked_reply"),
+  };
+}
+
+/**
+ * Attachment limits, and the models that can read images. Images go to
+ * the first vision model in the route's chain, else to `vision_models`
+ * in order. Defaults apply when the section is missing (text files only).
+ */
+function validate_attachments(raw, providers) {
+  const defaults = {
+    vision_models: [],
+    max_files: 4,
+    image_max_bytes: 10 * 1024 * 1024,
+    image_max_edge: 1568,
+    text_max_bytes: 256 * 1024,
+    text_max_chars: 12000,
+  };
+  if (raw === undefined) return defaults;
+
+  const attachments = expect_object(raw, "attachments");
+  reject_unknown_keys(attachments, Object.keys(defaults), "attachments");
+  const merged = { ...defaults, ...attachments };
+  if (!Array.isArray(merged.vision_models)) {
+    throw new ConfigError("attachments.vision_models", `expected an array (got ${describe(merged.vision_models)})`);
+  }
+  merged.vision_models.forEach((hop, i) => {
+    const path = `attachments.vision_models[${i}]`;
+    expect_object(hop, path);
+    reject_unknown_keys(hop, ["provider", "model"], path);
+    const provider = expect_string(hop.provider, `${path}.provider`);
+    if (providers[provider] === undefined || LOCAL_PROVIDERS.includes(provider)) {
+      throw new ConfigError(`${path}.provider`, `unknown provider ${describe(provider)}`);
+    }
+    expect_string(hop.model, `${path}.model`);
+  });
+  expect_integer(merged.max_files, "attachments.max_files", 1);
+  expect_integer(merged.image_max_bytes, "attachments.image_max_bytes", 1);
+  expect_integer(merged.image_max_edge, "attachments.image_max_edge", 64);
+  expect_integer(merged.text_max_bytes, "attachments.text_max_bytes", 1);
+  expect_integer(merged.text_max_chars, "attachments.text_max_chars", 1);
+  return merged;
+}
+
+// Intents whose replies depend on the sender or on live data, never cached
+const UNCACHEABLE_INTENTS = ["command", "spam"];
+
+/**
+ * Semantic response cache: which intents are cached, how close a message
+ * must be to a cached one, and for how long. Optional section.
+ */
+function validate_response_cache(raw, intents) {
+  if (raw === undefined) return null;
+
+  const defaults = { enabled: true, intents: ["question"], similarity_threshold: 0.93, ttl_seconds: 3600, max_message_chars: 200 };
+  const cache = expect_object(raw, "response_cache");
+  reject_unknown_keys(cache, Object.keys(defaults), "response_cache");
+  const merged = { ...defaults, ...cache };
+  expect_boolean(merged.enabled, "response_cache.enabled");
+  if (!Array.isArray(merged.intents)) {
+    throw new ConfigError("response_cache.intents", `expected an array (got ${describe(merged.intents)})`);
+  }
+  merged.intents.forEach((intent, i) => {
+    if (!intents.includes(intent) || UNCACHEABLE_INTENTS.includes(intent)) {
+      const cacheable = intents.filter((known) => !UNCACHEABLE_INTENTS.includes(known));
+      throw new ConfigError(`response_cache.intents[${i}]`, `not a cacheable intent ${describe(intent)} (cacheable: ${cacheable.join(", ")})`);
+    }
+  });
+  expect_number(merged.similarity_threshold, "response_cache.similarity_threshold", 0, 1);
+  expect_integer(merged.ttl_seconds, "response_cache.ttl_seconds", 60);
+  expect_integer(merged.max_message_chars, "response_cache.max_message_chars", 1);
+  return merged;
+}
+
+// Sections context_loader.js builds, highest priority first by default, and
+// the BPE encodings tokens.js can count with
+const CONTEXT_SECTIONS = ["user", "relationship", "history", "knowledge", "memories", "recent_conversation", "channel_activity"];
+const TOKEN_ENCODINGS = ["cl100k_base", "o200k_base"];
+
+/**
+ * Token budget for the loaded context: how it scales with the route's
+ * max_tokens, the share of the model's context window it may take, which
+ * sections give way first and which are summarised rather than cut.
+ * Optional section.
+ */
+function validate_context(raw) {
+  if (raw === undefined) return null;
+
+  const defaults = {
+    enabled: true,
+    reply_ratio: 1.5,
+    min_tokens: 300,
+    max_tokens: 4000,
+    window_share: 0.25,
+    default_context_window: 32768,
+    default_encoding: "cl100k_base",
+    models: {},
+    priorities: CONTEXT_SECTIONS,
+    summarise: [],
+  };
+  const context = expect_object(raw, "context");
+  reject_unknown_keys(context, Object.keys(defaults), "context");
+  const merged = { ...defaults, ...context };
+  expect_boolean(merged.enabled, "context.enabled");
+  expect_number(merged.reply_ratio, "context.reply_ratio", 0.1, 20);
+  expect_integer(merged.min_tokens, "context.min_tokens", 0);
+  expect_integer(merged.max_tokens, "context.max_tokens", merged.min_tokens);
+  expect_number(merged.window_share, "context.window_share", 0.01, 0.9);
+  expect_integer(merged.default_context_window, "context.default_context_window", 1024);
+  if (!TOKEN_ENCODINGS.includes(merged.default_encoding)) {
+    throw new ConfigError("context.default_encoding", `unknown encoding ${describe(merged.default_encoding)} (known: ${TOKEN_ENCODINGS.join(", ")})`);
+  }
+
+  expect_object(merged.models, "context.models");
+  const models = {};
+  for (const [model, entry] of Object.entries(merged.models)) {
+    const path = `context.models.${model}`;
+    expect_object(entry, path);
+    reject_unknown_keys(entry, ["context_window", "encoding"], path);
+    const encoding = entry.encoding !== undefined ? entry.encoding : merged.default_encoding;
+    if (!TOKEN_ENCODINGS.includes(encoding)) {
+      throw new ConfigError(`${path}.encoding`, `unknown encoding ${describe(encoding)} (known: ${TOKEN_ENCODINGS.join(", ")})`);
+    }
+    models[model] = {
+      context_window: expect_integer(entry.context_window, `${path}.context_window`, 1024),
+      encoding,
+    };
+  }
+
+  for (const key of ["priorities", "summarise"]) {
+    if (!Array.isArray(merged[key])) {
+      throw new ConfigError(`context.${key}`, `expected an array (got ${describe(merged[key])})`);
+    }
+    merged[key].forEach((section, i) => {
+      if (!CONTEXT_SECTIONS.includes(section) || merged[key].indexOf(section) !== i) {
+        throw new ConfigError(`context.${key}[${i}]`, `unknown or repeated section ${describe(section)} (known: ${CONTEXT_SECTIONS.join(", ")})`);
+      }
+    });
+  }
+  // Unlisted sections keep their default order, below the listed ones
+  const priorities = [...merged.priorities, ...CONTEXT_SECTIONS.filter((section) => !merged.priorities.includes(section))];
+
+  return { ...merged, models, priorities };
+}
+
+/**
+ * `sentiment.affinity` turns how a message treats Kira (-1 to 1) into a
+ * suggested kira_affinity change once its magnitude reaches `threshold`.
+ */
+function validate_sentiment(raw, providers) {
+  if (raw === undefined) return null;
+
+  const defaults = {
+    enabled: true,
+    provider: "deepseek",
+    model: "deepseek-chat",
+    max_tokens: 200,
+    importance_boost: 0.2,
+    affinity: {},
+  };
+  const sentiment = expect_object(raw, "sentiment");
+  reject_unknown_keys(sentiment, Object.keys(defaults), "sentiment");
+  const merged = { ...defaults, ...sentiment };
+  expect_boolean(merged.enabled, "sentiment.enabled");
+  expect_string(merged.provider, "sentiment.provider");
+  if (providers[merged.provider] === undefined || LOCAL_PROVIDERS.includes(merged.provider)) {
+    throw new ConfigError(
+      "sentiment.provider",
+      `unknown provider ${describe(merged.provider)} (known: ${Object.keys(providers).join(", ")})`,
+    );
+  }
+  expect_string(merged.model, "sentiment.model");
+  expect_integer(merged.max_tokens, "sentiment.max_tokens", 32);
+  expect_number(merged.importance_boost, "sentiment.importance_boost", 0, 1);
+
+  const affinity_defaults = { enabled: true, threshold: 0.5, max_delta: 0.05 };
+  const affinity = expect_object(merged.affinity, "sentiment.affinity");
+  reject_unknown_keys(affinity, Object.keys(affinity_defaults), "sentiment.affinity");
+  merged.affinity = { ...affinity_defaults, ...affinity };
+  expect_boolean(merged.affinity.enabled, "sentiment.affinity.enabled");
+  expect_number(merged.affinity.threshold, "sentiment.affinity.threshold", 0, 1);
+  expect_number(merged.affinity.max_delta, "sentiment.affinity.max_delta", 0, 1);
+  return merged;
+}
+
+const GROUP_CHAT_MODES = ["always", "auto", "mentions", "never"];
+const GROUP_CHAT_POLICY_DEFAULTS = {
+  mode: "auto",
+  intents: ["question", "technical", "command"],
+  min_tier: "observer",
+  thread_seconds: 180,
+  busy_messages: 12,
+  busy_window_seconds: 60,
+};
+
+function validate_group_policy(raw, path, base, intents, tiers) {
+  const policy = expect_object(raw, path);
+  reject_unknown_keys(policy, Object.keys(GROUP_CHAT_POLICY_DEFAULTS), path);
+  const merged = { ...base, ...policy };
+  if (!GROUP_CHAT_MODES.includes(merged.mode)) {
+    throw new ConfigError(`${path}.mode`, `expected one of ${GROUP_CHAT_MODES.join(", ")} (got ${describe(merged.mode)})`);
+  }
+  if (!Array.isArray(merged.intents)) {
+    throw new ConfigError(`${path}.intents`, `expected an array (got ${describe(merged.intents)})`);
+  }
+  merged.intents.forEach((intent, i) => {
+    if (!intents.includes(intent) || intent === "spam") {
+      throw new ConfigError(`${path}.intents[${i}]`, `unknown intent ${describe(intent)} (known: ${intents.filter((known) => known !== "spam").join(", ")})`);
+    }
+  });
+  if (!tiers.includes(merged.min_tier)) {
+    throw new ConfigError(`${path}.min_tier`, `unknown tier ${describe(merged.min_tier)} (known: ${tiers.join(", ")})`);
+  }
+  expect_integer(merged.thread_seconds, `${path}.thread_seconds`, 0);
+  expect_integer(merged.busy_messages, `${path}.busy_messages`, 1);
+  expect_integer(merged.busy_window_seconds, `${path}.busy_window_seconds`, 1);
+  return merged;
+}
+
+/**
+ * `group_chat.channels` keys are a platform (`stream_chat`) or a platform
+ * and chat id (`telegram:-1001234`); each is merged over the platform's
+ * policy, which is merged over `default`.
+ */
+function validate_group_chat(raw, intents, tiers) {
+  if (raw === undefined) return null;
+
+  const group = expect_object(raw, "group_chat");
+  reject_unknown_keys(group, ["enabled", "names", "default", "channels"], "group_chat");
+  const enabled = group.enabled === undefined ? true : expect_boolean(group.enabled, "group_chat.enabled");
+
+  const names = group.names === undefined ? ["kira"] : group.names;
+  if (!Array.isArray(names) || names.length === 0) {
+    throw new ConfigError("group_chat.names", `expected a non-empty array (got ${describe(names)})`);
+  }
+  names.forEach((name, i) => expect_string(name, `group_chat.names[${i}]`));
+
+  const fallback = validate_group_policy(
+    group.default === undefined ? {} : group.default,
+    "group_chat.default",
+    GROUP_CHAT_POLICY_DEFAULTS,
+    intents,
+    tiers,
+  );
+
+  const raw_channels = group.channels === undefined ? {} : expect_object(group.channels, "group_chat.channels");
+  const channels = {};
+  // Platform-wide entries first, so a chat's policy can build on its platform's
+  const keys = Object.keys(raw_channels).sort((a, b) => a.includes(":") - b.includes(":"));
+  for (const key of keys) {
+    const platform = key.split(":")[0];
+    const base = key.includes(":") && channels[platform] !== undefined ? channels[platform] : fallback;
+    channels[key] = validate_group_policy(raw_channels[key], `group_chat.channels.${key}`, base, intents, tiers);
+  }
+
+  return { enabled, names, default: fallback, channels };
+}
+
+/**
+ * Tools the responding model may call mid-reply (see tools.js): which
+ * intents get them, how many rounds, and the lowest tier allowed each
+ * tool. Tools not listed in `allow` are never offered. Optional section.
+ */
+function validate_tools(raw, intents, tiers) {
+  if (raw === undefined) return null;
+
+  const defaults = { enabled: true, intents: ["question", "technical"], max_rounds: 3, timeout_ms: 8000, max_result_chars: 2000, allow: {} };
+  const tools = expect_object(raw, "tools");
+  reject_unknown_keys(tools, Object.keys(defaults), "tools");
+  const merged = { ...defaults, ...tools };
+  expect_boolean(merged.enabled, "tools.enabled");
+  if (!Array.isArray(merged.intents)) {
+    throw new ConfigError("tools.intents", `expected an array (got ${describe(merged.intents)})`);
+  }
+  merged.intents.forEach((intent, i) => {
+    if (!intents.includes(intent) || intent === "spam") {
+      throw new ConfigError(`tools.intents[${i}]`, `unknown intent ${describe(intent)} (known: ${intents.filter((known) => known !== "spam").join(", ")})`);
+    }
+  });
+  expect_integer(merged.max_rounds, "tools.max_rounds", 1);
+  expect_integer(merged.timeout_ms, "tools.timeout_ms", 100);
+  expect_integer(merged.max_result_chars, "tools.max_result_chars", 100);
+  // Tool names aren't known until the registry loads, so only tiers are checked
+  expect_object(merged.allow, "tools.allow");
+  for (const [tool, tier] of Object.entries(merged.allow)) {
+    if (!tiers.includes(tier)) {
+      throw new ConfigError(`tools.allow.${tool}`, `unknown tier ${describe(tier)} (known: ${tiers.join(", ")})`);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Request tracing (see tracing.js): the share of requests traced and
+ * whether spans go to kira_skill_log. Optional section.
+ */
+function validate_tracing(raw) {
+  if (raw === undefined) return null;
+
+  const defaults = { enabled: true, sample_rate: 1, skill_log: true };
+  const tracing = expect_object(raw, "tracing");
+  reject_unknown_keys(tracing, Object.keys(defaults), "tracing");
+  const merged = { ...defaults, ...tracing };
+  expect_boolean(merged.enabled, "tracing.enabled");
+  expect_number(merged.sample_rate, "tracing.sample_rate", 0, 1);
+  expect_boolean(merged.skill_log, "tracing.skill_log");
+  return merged;
+}
+
+// Fact sources built into persona_facts.js; any registered command works too
+const PERSONA_FACT_SOURCES = ["stream_task", "active_plans", "latest_repo"];
+
+/**
+ * Live facts for persona placeholders (see persona_facts.js): each comes
+ * from a built-in `source` or a registered router `command`, is refreshed
+ * every `refresh_seconds` and falls back to `fallback` when it can't be
+ * fetched or is older than `max_stale_seconds`. Optional section.
+ */
+function validate_persona_facts(raw) {
+  if (raw === undefined) return {};
+
+  const facts = expect_object(raw, "persona_facts");
+  const compiled = {};
+  for (const [name, entry] of Object.entries(facts)) {
+    const path = `persona_facts.${name}`;
+    if (!/^[a-z0-9_]+$/.test(name)) {
+      throw new ConfigError(path, "fact names may only use lowercase letters, digits and underscores");
+    }
+    expect_object(entry, path);
+    reject_unknown_keys(entry, ["source", "command", "refresh_seconds", "max_stale_seconds", "fallback"], path);
+    if ((entry.source === undefined) === (entry.command === undefined)) {
+      throw new ConfigError(path, "expected exactly one of source or command");
+    }
+    if (entry.source !== undefined && !PERSONA_FACT_SOURCES.includes(entry.source)) {
+      throw new ConfigError(`${path}.source`, `unknown source ${describe(entry.source)} (known: ${PERSONA_FACT_SOURCES.join(", ")})`);
+    }
+    // Command names aren't known until the registry loads; a missing one falls back at refresh time
+    if (entry.command !== undefined) expect_string(entry.command, `${path}.command`);
+    expect_integer(entry.refresh_seconds, `${path}.refresh_seconds`, 10);
+    const max_stale_seconds = entry.max_stale_seconds !== undefined ? entry.max_stale_seconds : entry.refresh_seconds * 3;
+    expect_integer(max_stale_seconds, `${path}.max_stale_seconds`, entry.refresh_seconds);
+    expect_string(entry.fallback, `${path}.fallback`);
+    compiled[name] = {
+      source: entry.source !== undefined ? entry.source : null,
+      command: entry.command !== undefined ? entry.command : null,
+      refresh_seconds: entry.refresh_seconds,
+      max_stale_seconds,
+      fallback: entry.fallback,
+    };
+  }
+  return compiled;
+}
+
+/**
+ * Every placeholder in a persona text must name a configured fact.
+ */
+function check_persona_placeholders(personas, path, facts) {
+  for (const [key, text] of Object.entries(personas)) {
+    for (const match of text.matchAll(PERSONA_PLACEHOLDER)) {
+      if (facts[match[1]] === undefined) {
+        throw new ConfigError(`${path}.${key}`, `placeholder {{${match[1]}}} has no entry in persona_facts`);
+      }
+    }
+  }
+}
+
+// Languages language.js can detect, with the name replies are asked for in
+const KNOWN_LANGUAGES = { en: "English", es: "Spanish", pt: "Portuguese", zh: "Chinese", ru: "Russian" };
+
+/**
+ * Languages the router detects and replies in (see language.js), each
+ * with extra greeting words and command triggers in that language.
+ * Optional section; without it everything is treated as English.
+ */
+function validate_languages(raw) {
+  if (raw === undefined) return { config: null, commands: [] };
+
+  const languages = expect_object(raw, "languages");
+  reject_unknown_keys(languages, ["default", "supported"], "languages");
+  const supported = expect_object(languages.supported, "languages.supported");
+  const compiled = {};
+  const commands = [];
+  for (const [code, entry] of Object.entries(supported)) {
+    const path = `languages.supported.${code}`;
+    if (KNOWN_LANGUAGES[code] === undefined) {
+      throw new ConfigError(path, `unknown language (known: ${Object.keys(KNOWN_LANGUAGES).join(", ")})`);
+    }
+    expect_object(entry, path);
+    reject_unknown_keys(entry, ["greetings", "commands"], path);
+    const greetings = entry.greetings !== undefined ? entry.greetings : [];
+    if (!Array.isArray(greetings)) {
+      throw new ConfigError(`${path}.greetings`, `expected an array (got ${describe(greetings)})`);
+    }
+    greetings.forEach((word, i) => expect_string(word, `${path}.greetings[${i}]`));
+    compiled[code] = { name: KNOWN_LANGUAGES[code], greetings: greetings.map((word) => word.toLowerCase()) };
+    commands.push(...compile_commands(entry.commands, `${path}.commands`));
+  }
+
+  const default_language = languages.default !== undefined ? languages.default : "en";
+  if (compiled[default_language] === undefined) {
+    throw new ConfigError("languages.default", `must be one of languages.supported (got ${describe(default_language)})`);
+  }
+  return { config: { default: default_language, supported: compiled }, commands };
+}
+
+const EXPERIMENT_UNITS = ["user", "session"];
+const EXPERIMENT_NAME = /^[a-z0-9_]+$/;
+
+/**
+ * Route experiments (see experiments.js). Each variant is a weight plus
+ * route fields merged over the route of every intent in the experiment;
+ * the first variant is the baseline the report compares the others
+ * against. An intent can be in only one enabled experiment, so every
+ * reply's route comes from at most one variant. Optional section.
+ */
+function validate_experiments(raw, intents, providers, routes, personas) {
+  if (raw === undefined) return {};
+
+  const experiments = expect_object(raw, "experiments");
+  const compiled = {};
+  const claimed = {};
+
+  for (const [name, entry] of Object.entries(experiments)) {
+    const path = `experiments.${name}`;
+    if (!EXPERIMENT_NAME.test(name)) {
+      throw new ConfigError(path, "experiment names may only use lowercase letters, digits and underscores");
+    }
+    expect_object(entry, path);
+    reject_unknown_keys(entry, ["enabled", "description", "unit", "intents", "variants"], path);
+    const merged = { enabled: true, description: null, unit: "user", ...entry };
+    expect_boolean(merged.enabled, `${path}.enabled`);
+    if (merged.description !== null) expect_string(merged.description, `${path}.description`);
+    if (!EXPERIMENT_UNITS.includes(merged.unit)) {
+      throw new ConfigError(`${path}.unit`, `expected one of ${EXPERIMENT_UNITS.join(", ")} (got ${describe(merged.unit)})`);
+    }
+
+    if (!Array.isArray(merged.intents) || merged.intents.length === 0) {
+      throw new ConfigError(`${path}.intents`, `expected a non-empty array (got ${describe(merged.intents)})`);
+    }
+    merged.intents.forEach((intent, i) => {
+      const intent_path = `${path}.intents[${i}]`;
+      if (!intents.includes(intent)) {
+        throw new ConfigError(intent_path, `unknown intent ${describe(intent)} (known: ${intents.join(", ")})`);
+      }
+      if (LOCAL_PROVIDERS.includes(routes[intent].provider)) {
+        throw new ConfigError(intent_path, `${intent} isn't answered by an LLM`);
+      }
+      if (merged.enabled && claimed[intent] !== undefined) {
+        throw new ConfigError(intent_path, `${intent} is already in experiment ${claimed[intent]}`);
+      }
+      if (merged.enabled) claimed[intent] = name;
+    });
+
+    const raw_variants = expect_object(merged.variants, `${path}.variants`);
+    if (Object.keys(raw_variants).length < 2) {
+      throw new ConfigError(`${path}.variants`, "expected at least two variants");
+    }
+    const variants = Object.entries(raw_variants).map(([variant, value]) => {
+      const variant_path = `${path}.variants.${variant}`;
+      if (!EXPERIMENT_NAME.test(variant)) {
+        throw new ConfigError(variant_path, "variant names may only use lowercase letters, digits and underscores");
+      }
+      expect_object(value, variant_path);
+      reject_unknown_keys(value, ["weight", ...ROUTE_FIELDS], variant_path);
+      const { weight = 1, ...overrides } = value;
+      expect_number(weight, `${variant_path}.weight`, 0, 1000);
+      if (weight === 0) {
+        throw new ConfigError(`${variant_path}.weight`, "must be > 0 (disable the experiment instead)");
+      }
+      for (const intent of merged.intents) {
+        validate_route({ ...routes[intent], ...overrides }, variant_path, providers, personas);
+      }
+      return { name: variant, weight, overrides };
+    });
+
+    compiled[name] = { ...merged, variants };
+  }
+
+  return compiled;
+}
+
+/**
+ * Extra trigger patterns for registered router commands (the commands
+ * themselves are declared by skills, see commands.js). Optional.
+ */
+function compile_commands(raw, base_path = "commands") {
+  if (raw === undefined) return [];
+  if (!Array.isArray(raw)) {
+    throw new ConfigError(base_path, `expected an array (got ${describe(raw)})`);
+  }
+  return raw.map((entry, i) => {
+    const path = `${base_path}[${i}]`;
+    expect_object(entry, path);
+    reject_unknown_keys(entry, ["pattern", "flags", "command"], path);
+    const source = expect_string(entry.pattern, `${path}.pattern`);
+    const pattern = compile_regex(source, entry.flags === undefined ? "i" : entry.flags, path);
+    return { pattern, command: expect_string(entry.command, `${path}.command`) };
+  });
+}
+
+/**
+ * Validate per-platform overrides and return fully merged routes/personas
+ * per platform, so lookups at request time are plain property reads.
+ */
+function compile_platform_overrides(raw, intents, providers, routes, personas) {
+  if (raw === undefined) return {};
+  const overrides = expect_object(raw, "platform_overrides");
+  const compiled = {};
+
+  for (const [platform, override] of Object.entries(overrides)) {
+    const path = `platform_overrides.${platform}`;
+    expect_object(override, path);
+    reject_unknown_keys(override, ["routes", "personas"], path);
+
+    const merged_personas = { ...personas };
+    if (override.personas !== undefined) {
+      expect_object(override.personas, `${path}.personas`);
+      for (const [key, text] of Object.entries(override.personas)) {
+        merged_personas[key] = expect_string(text, `${path}.personas.${key}`);
+      }
+    }
+
+    const merged_routes = { ...routes };
+    if (override.routes !== undefined) {
+      expect_object(override.routes, `${path}.routes`);
+      for (const [intent, partial] of Object.entries(override.routes)) {
+        const route_path = `${path}.routes.${intent}`;
+        if (!intents.includes(intent)) {
+          throw new ConfigError(route_path, `unknown intent (known: ${intents.join(", ")})`);
+        }
+        expect_object(partial, route_path);
+        reject_unknown_keys(partial, ROUTE_FIELDS, route_path);
+        merged_routes[intent] = { ...routes[intent], ...partial };
+        validate_route(merged_routes[intent], route_path, providers, merged_personas);
+      }
+    }
+
+    compiled[platform] = { routes: merged_routes, personas: merged_personas };
+  }
+
+  return compiled;
+}
+
+// ── Entry point ───────────────────────────────────
+
+/**
+ * Validate a parsed router config.
+ *
+ * @param {object} raw - Parsed JSON
+ * @param {string[]} intents - Intents every config must route
+ * @param {string[]} tiers - Engagement tiers, lowest first
+ * @returns {{providers: object, routes: object, fallback_order: object, fallback_models: object,
+ *   fallback_chains: object, circuit_breaker: object, budget: object | null, classifier: object, personas: object, tier_policy: object | null,
+ *   outbound_policy: object | null, response_cache: object | null, attachments: object, tools: object | null, context: object | null, group_chat: object | null, sentiment: object | null, experiments: object, tracing: object | null, persona_facts: object, languages: object | null, commands: Array<{pattern: RegExp, command: string}>, platforms: object}}
+ * @throws {ConfigError}
+ */
+export function validate_config(raw, intents, tiers) {
+  expect_object(raw, "(root)");
+  reject_unknown_keys(
+    raw,
+    [
+      "providers", "routes", "fallback_order", "fallback_models", "fallback_chains",
+      "circuit_breaker", "budget", "classifier", "personas", "tier_policy", "outbound_policy", "response_cache",
+      "attachments", "tools", "context", "group_chat", "sentiment", "experiments", "tracing", "persona_facts", "languages",
+      "commands", "platform_overrides",
+    ],
+    "(root)",
+  );
+
+  const providers = validate_providers(raw.providers);
+  const personas = validate_personas(raw.personas);
+  const routes = validate_routes(raw.routes, intents, providers, personas);
+  const { order, models } = validate_fallbacks(raw.fallback_order, raw.fallback_models, providers);
+  const chains = validate_chains(raw.fallback_chains, intents, providers);
+  const circuit_breaker = validate_circuit_breaker(raw.circuit_breaker);
+  const budget = validate_budget(raw.budget, intents, providers);
+  const classifier = validate_classifier(raw.classifier);
+  const tier_policy = validate_tier_policy(raw.tier_policy, tiers, personas);
+  const outbound_policy = validate_outbound_policy(raw.outbound_policy, intents, providers);
+  const response_cache = validate_response_cache(raw.response_cache, intents);
+  const attachments = validate_attachments(raw.attachments, providers);
+  const tools = validate_tools(raw.tools, intents, tiers);
+  const context = validate_context(raw.context);
+  const group_chat = validate_group_chat(raw.group_chat, intents, tiers);
+  const sentiment = validate_sentiment(raw.sentiment, providers);
+  const experiments = validate_experiments(raw.experiments, intents, providers, routes, personas);
+  const tracing = validate_tracing(raw.tracing);
+  const persona_facts = validate_persona_facts(raw.persona_facts);
+  const languages = validate_languages(raw.languages);
+  // Localized triggers work like any other; every language's are tried on every message
+  const commands = [...compile_commands(raw.commands), ...languages.commands];
+  const platforms = compile_platform_overrides(raw.platform_overrides, intents, providers, routes, personas);
+  check_persona_placeholders(personas, "personas", persona_facts);
+  for (const [platform, compiled] of Object.entries(platforms)) {
+    check_persona_placeholders(compiled.personas, `platform_overrides.${platform}.personas`, persona_facts);
+  }
+
+  return {
+    providers,
+    routes,
+    fallback_order: order,
+    fallback_models: models,
+    fallback_chains: chains,
+    circuit_breaker,
+    budget,
+    classifier,
+    personas,
+    tier_policy,
+    outbound_policy,
+    response_cache,
+    attachments,
+    tools,
+    context,
+    group_chat,
+    sentiment,
+    experiments,
+    tracing,
+    persona_facts,
+    languages: languages.config,
+    commands,
+    platforms,
+  };
+}
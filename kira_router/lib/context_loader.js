@@ -4,16 +4,24 @@ import '/workspace/kira/scripts/load-env.js';
  *
  * Loads only the context relevant to the message intent,
  * instead of loading everything every time.
+ *
+ * Anything users wrote (memories, channel activity, recent messages,
+ * knowledge distilled from them) is untrusted: entries that match an
+ * injection pattern are dropped, and the rest is fenced (see injection.js).
+ * What remains is fitted into the reply model's token budget by
+ * context_budget.js. Each query is a span of the request's trace.
  */
 
 import { createClient } from "@supabase/supabase-js";
-import OpenAI from "openai";
-import { EMBEDDING_MODEL, EMBEDDING_MAX_CHARS } from "./config.js";
+import { load_history } from "./history.js";
+import { embed_text } from "./embeddings.js";
+import { scan_text, fence } from "./injection.js";
+import { plan_context, assemble_context } from "./context_budget.js";
+import { span, fail_span } from "./tracing.js";
 
 // ── Clients (lazy init) ───────────────────────────
 
 let _supabase = null;
-let _openai = null;
 
 function get_supabase() {
   if (_supabase !== null) return _supabase;
@@ -26,31 +34,6 @@ function get_supabase() {
   return _supabase;
 }
 
-function get_openai() {
-  if (_openai !== null) return _openai;
-  const key = process.env.OPENAI_API_KEY;
-  if (key === undefined || key === "") {
-    throw new Error("OPENAI_API_KEY must be set");
-  }
-  _openai = new OpenAI({ apiKey: key });
-  return _openai;
-}
-
-// ── Embedding ─────────────────────────────────────
-
-async function embed(text) {
-  const truncated = text.slice(0, EMBEDDING_MAX_CHARS);
-  const response = await get_openai().embeddings.create({
-    model: EMBEDDING_MODEL,
-    input: truncated,
-  });
-  const first = response.data[0];
-  if (first === undefined) {
-    throw new Error("OpenAI returned no embedding data");
-  }
-  return first.embedding;
-}
-
 // ── Tier 1: Always Load (fast DB queries) ─────────
 
 /**
@@ -66,6 +49,7 @@ async function resolve_user_id(platform, sender_id) {
     .eq("platform_id", sender_id)
     .limit(1);
 
+  if (error !== null) fail_span(error.message);
   if (error !== null || data === null || data.length === 0) {
     return null;
   }
@@ -87,6 +71,7 @@ async function get_engagement(user_id) {
     .eq("user_id", user_id)
     .limit(1);
 
+  if (error !== null) fail_span(error.message);
   if (error !== null || data === null || data.length === 0) {
     return { tier: "observer", composite_score: 0, kira_affinity: 0 };
   }
@@ -108,6 +93,7 @@ async function get_recent_interactions(user_id, limit) {
     .order("created_at", { ascending: false })
     .limit(limit);
 
+  if (error !== null) fail_span(error.message);
   if (error !== null || data === null) return [];
   return data;
 }
@@ -124,6 +110,7 @@ async function get_platform_links(user_id) {
     .select("platform, platform_id")
     .eq("user_id", user_id);
 
+  if (error !== null) fail_span(error.message);
   if (error !== null || data === null) return [];
   return data;
 }
@@ -139,6 +126,7 @@ async function get_relationship(user_id) {
     p_user_id: user_id,
   });
 
+  if (error !== null) fail_span(error.message);
   if (error !== null || data === null) return null;
 
   // The RPC returns a jsonb object with relationship, user, engagement keys
@@ -151,7 +139,7 @@ async function get_relationship(user_id) {
  * Search knowledge base for relevant entries via vector similarity.
  */
 async function search_knowledge(message, limit) {
-  const query_embedding = await embed(message);
+  const query_embedding = await embed_text(message);
 
   const sb = get_supabase();
   const { data, error } = await sb.rpc("kira_search_knowledge", {
@@ -162,6 +150,7 @@ async function search_knowledge(message, limit) {
     match_threshold: 0.4,
   });
 
+  if (error !== null) fail_span(error.message);
   if (error !== null || data === null) return [];
   return data;
 }
@@ -172,7 +161,7 @@ async function search_knowledge(message, limit) {
  * Semantic recall from pgvector memories.
  */
 async function recall_memories(message, limit) {
-  const query_embedding = await embed(message);
+  const query_embedding = await embed_text(message);
 
   const sb = get_supabase();
   const { data, error } = await sb.rpc("match_memories", {
@@ -182,6 +171,7 @@ async function recall_memories(message, limit) {
     filter_channel: null,
   });
 
+  if (error !== null) fail_span(error.message);
   if (error !== null || data === null) return [];
 
   return data.map((m) => ({
@@ -206,6 +196,7 @@ async function get_channel_summary(channel, hours, limit) {
     .order("created_at", { ascending: false })
     .limit(limit);
 
+  if (error !== null) fail_span(error.message);
   if (error !== null || data === null || data.length === 0) return null;
 
   return data.map((entry) => {
@@ -217,6 +208,18 @@ async function get_channel_summary(channel, hours, limit) {
 
 // ── Main Context Loader ───────────────────────────
 
+/**
+ * A section of fenced, untrusted lines under a header. Renders nothing
+ * once every line is cut.
+ */
+function fenced_section(name, header, lines) {
+  return {
+    name,
+    entries: lines,
+    render: (kept) => (kept.length > 0 ? `${header}\n${fence(name, kept.join("\n"))}` : null),
+  };
+}
+
 /**
  * Load context appropriate for the message intent.
  *
@@ -225,11 +228,16 @@ async function get_channel_summary(channel, hours, limit) {
  * @param {string} params.sender_id - Platform-specific sender ID
  * @param {string} params.message - The message text
  * @param {string} params.intent - Classified intent
- * @returns {Promise<object>} Context bundle
+ * @param {string | null} [params.replaces] - Message id the message edits, left out of history
+ * @returns {Promise<object>} Context bundle; `context_loaded` reports the
+ *   budget and what each section kept (see assemble_context())
  */
-export async function load_context({ platform, sender_id, message, intent }) {
+export async function load_context({ platform, sender_id, message, intent, replaces = null }) {
+  // The reply's model decides how tokens are counted; its tokenizer loads alongside the queries
+  const plan = plan_context(intent, platform);
+
   // Tier 1: Always load (run in parallel)
-  const user_id_promise = resolve_user_id(platform, sender_id);
+  const user_id_promise = span("context.user_id", {}, () => resolve_user_id(platform, sender_id));
 
   // We need user_id for most tier 1 queries, so await it first
   const user_id = await user_id_promise;
@@ -237,28 +245,32 @@ export async function load_context({ platform, sender_id, message, intent }) {
   // Run remaining tier 1 queries in parallel with tier 2 queries
   const parallel_tasks = [
     // Tier 1
-    get_engagement(user_id),
-    get_recent_interactions(user_id, 3),
-    get_platform_links(user_id),
-    get_relationship(user_id),
+    span("context.engagement", {}, () => get_engagement(user_id)),
+    span("context.recent_interactions", {}, () => get_recent_interactions(user_id, 3)),
+    span("context.platform_links", {}, () => get_platform_links(user_id)),
+    span("context.relationship", {}, () => get_relationship(user_id)),
+    span("context.history", {}, () => load_history({ platform, sender_id, user_id, replaces })).catch((err) => {
+      console.error(`History load failed: ${err.message}`);
+      return { turns: [], source: "none", session_key: `${platform}:${sender_id}`, flags: [] };
+    }),
   ];
 
   // Tier 2: Conditional based on intent
   if (intent === "question" || intent === "technical") {
-    parallel_tasks.push(recall_memories(message, 5));
+    parallel_tasks.push(span("context.memories", {}, () => recall_memories(message, 5)));
   } else {
     parallel_tasks.push(Promise.resolve([]));
   }
 
   if (intent === "chat") {
-    parallel_tasks.push(get_channel_summary(platform, 2, 10));
+    parallel_tasks.push(span("context.channel_activity", {}, () => get_channel_summary(platform, 2, 10)));
   } else {
     parallel_tasks.push(Promise.resolve(null));
   }
 
   // Tier 2: Knowledge search for question/technical intents
   if (intent === "question" || intent === "technical") {
-    parallel_tasks.push(search_knowledge(message, 3));
+    parallel_tasks.push(span("context.knowledge", {}, () => search_knowledge(message, 3)));
   } else {
     parallel_tasks.push(Promise.resolve([]));
   }
@@ -268,13 +280,23 @@ export async function load_context({ platform, sender_id, message, intent }) {
     recent_interactions,
     platform_links,
     relationship,
+    history,
     recalled_memories,
     channel_summary,
     knowledge_entries,
   ] = await Promise.all(parallel_tasks);
 
-  // Build context string for the LLM
-  const context_parts = [];
+  // Drop retrieved entries carrying injected instructions before they reach the prompt
+  const context_flags = [...history.flags];
+  const keep_clean = (source, text) => {
+    const patterns = scan_text(text);
+    if (patterns.length === 0) return true;
+    context_flags.push({ source, patterns, preview: text.slice(0, 80) });
+    return false;
+  };
+
+  // Context sections in prompt order; assemble_context() fits them into the budget
+  const sections = [];
 
   // User identity context
   if (user_id !== null) {
@@ -282,10 +304,10 @@ export async function load_context({ platform, sender_id, message, intent }) {
       .map((l) => `${l.platform}: ${l.platform_id}`)
       .join(", ");
 
-    context_parts.push(
+    const user_line =
       `[User] tier=${engagement.tier} score=${engagement.composite_score} affinity=${engagement.kira_affinity}` +
-      (link_str.length > 0 ? ` platforms=(${link_str})` : "")
-    );
+      (link_str.length > 0 ? ` platforms=(${link_str})` : "");
+    sections.push({ name: "user", entries: [user_line], render: (kept) => (kept.length > 0 ? kept[0] : null) });
   }
 
   // Relationship context
@@ -294,46 +316,59 @@ export async function load_context({ platform, sender_id, message, intent }) {
     if (relationship.nickname !== null && relationship.nickname !== undefined) {
       rel_str = `nickname="${relationship.nickname}" ${rel_str}`;
     }
-    if (relationship.personality_notes !== null && relationship.personality_notes !== undefined) {
-      rel_str += `\nnotes: ${relationship.personality_notes.slice(0, 300)}`;
-    }
-    if (relationship.last_interaction_summary !== null && relationship.last_interaction_summary !== undefined) {
-      rel_str += `\nlast: ${relationship.last_interaction_summary}`;
-    }
     if (relationship.is_favorite === true) {
       rel_str += " ★ favorite";
     }
-    context_parts.push(`[Relationship] ${rel_str}`);
+    // Notes and summaries quote the user, so they are fenced like memories
+    const rel_notes = [];
+    if (relationship.personality_notes !== null && relationship.personality_notes !== undefined
+      && keep_clean("relationship", relationship.personality_notes)) {
+      rel_notes.push(`notes: ${relationship.personality_notes.slice(0, 300)}`);
+    }
+    if (relationship.last_interaction_summary !== null && relationship.last_interaction_summary !== undefined
+      && keep_clean("relationship", relationship.last_interaction_summary)) {
+      rel_notes.push(`last: ${relationship.last_interaction_summary}`);
+    }
+    sections.push({
+      name: "relationship",
+      entries: rel_notes,
+      render: (kept) => `[Relationship] ${rel_str}` + (kept.length > 0 ? `\n${fence("relationship_notes", kept.join("\n"))}` : ""),
+    });
   }
 
-  // Recent interaction history
-  if (recent_interactions.length > 0) {
-    const history = recent_interactions.map((i) => {
-      const dir = i.direction === "outbound" ? "Kira" : "User";
-      return `${dir}: ${i.message.slice(0, 150)}`;
-    }).join("\n");
-    context_parts.push(`[Recent conversation]\n${history}`);
+  // Recent interaction history — only when there is no real chat history to send
+  if (history.turns.length === 0 && recent_interactions.length > 0) {
+    const recent_lines = recent_interactions
+      .filter((i) => keep_clean("recent_interaction", i.message))
+      .map((i) => {
+        const dir = i.direction === "outbound" ? "Kira" : "User";
+        return `${dir}: ${i.message.slice(0, 150)}`;
+      });
+    sections.push(fenced_section("recent_conversation", "[Recent conversation]", recent_lines));
   }
 
   // Recalled memories (for questions/technical)
-  if (recalled_memories.length > 0) {
-    const memories_str = recalled_memories
-      .map((m) => `[${m.channel}] ${m.content.slice(0, 200)}`)
-      .join("\n");
-    context_parts.push(`[Relevant memories]\n${memories_str}`);
-  }
+  const memory_lines = recalled_memories
+    .filter((m) => keep_clean("memory", m.content))
+    .map((m) => `[${m.channel}] ${m.content.slice(0, 200)}`);
+  sections.push(fenced_section("memories", "[Relevant memories]", memory_lines));
 
   // Channel summary (for chat)
   if (channel_summary !== null) {
-    context_parts.push(`[Recent ${platform} activity]\n${channel_summary}`);
+    const clean_lines = channel_summary.split("\n").filter((line) => keep_clean("channel_activity", line));
+    sections.push(fenced_section("channel_activity", `[Recent ${platform} activity]`, clean_lines));
   }
 
   // Relevant knowledge (for questions/technical)
-  if (knowledge_entries.length > 0) {
-    const knowledge_str = knowledge_entries
-      .map((k) => `[${k.knowledge_type}] ${k.topic}: ${k.content.slice(0, 200)} (confidence=${k.confidence})`)
-      .join("\n");
-    context_parts.push(`[Relevant knowledge]\n${knowledge_str}`);
+  const knowledge_lines = knowledge_entries
+    .filter((k) => keep_clean("knowledge", k.content))
+    .map((k) => `[${k.knowledge_type}] ${k.topic}: ${k.content.slice(0, 200)} (confidence=${k.confidence})`);
+  sections.push(fenced_section("knowledge", "[Relevant knowledge]", knowledge_lines));
+
+  const { context_text, history: sent_history, report } = await span("context.assemble", {}, () => assemble_context(sections, plan, engagement.tier, history));
+
+  if (context_flags.length > 0) {
+    console.error(`Dropped ${context_flags.length} context entr${context_flags.length === 1 ? "y" : "ies"} matching injection patterns`);
   }
 
   return {
@@ -345,7 +380,9 @@ export async function load_context({ platform, sender_id, message, intent }) {
     recalled_memories,
     knowledge_entries,
     channel_summary,
-    context_text: context_parts.join("\n\n"),
-    context_loaded: context_parts.length,
+    history: sent_history,
+    context_text,
+    context_loaded: report,
+    context_flags,
   };
 }
@@ -0,0 +1,94 @@
+import '/workspace/kira/scripts/load-env.js';
+/**
+ * Kira Router — Embeddings
+ *
+ * One OpenAI embedding client for the router. Recent embeddings are cached
+ * in-process, so the message embedded for intent classification is reused
+ * by knowledge search and memory recall instead of being paid for again.
+ */
+
+import OpenAI from "openai";
+import { EMBEDDING_MODEL, EMBEDDING_MAX_CHARS } from "./config.js";
+import { record_usage } from "/workspace/kira/scripts/usage-ledger.js";
+
+const CACHE_MAX_ENTRIES = 200;
+const BATCH_SIZE = 100;
+
+// ── Client (lazy init) ────────────────────────────
+
+let _openai = null;
+
+function get_openai() {
+  if (_openai !== null) return _openai;
+  const key = process.env.OPENAI_API_KEY;
+  if (key === undefined || key === "") {
+    throw new Error("OPENAI_API_KEY must be set");
+  }
+  _openai = new OpenAI({ apiKey: key });
+  return _openai;
+}
+
+// text → Promise<number[]>, insertion-ordered for LRU eviction
+const _cache = new Map();
+
+async function request_embeddings(inputs, command) {
+  const start_time = Date.now();
+  const response = await get_openai().embeddings.create({
+    model: EMBEDDING_MODEL,
+    input: inputs,
+  });
+  record_usage({
+    skill: "kira_router",
+    command,
+    provider: "openai",
+    model: EMBEDDING_MODEL,
+    prompt_tokens: response.usage !== undefined ? response.usage.prompt_tokens : 0,
+    latency_ms: Date.now() - start_time,
+  });
+  if (response.data.length !== inputs.length) {
+    throw new Error("OpenAI returned no embedding data");
+  }
+  return response.data.map((d) => d.embedding);
+}
+
+/**
+ * Embed one text. Concurrent and repeated calls for the same text share a request.
+ *
+ * @param {string} text
+ * @param {string} [command] - Ledger label for the call
+ * @returns {Promise<number[]>}
+ */
+export function embed_text(text, command = "embed") {
+  const truncated = text.slice(0, EMBEDDING_MAX_CHARS);
+  const cached = _cache.get(truncated);
+  if (cached !== undefined) {
+    _cache.delete(truncated);
+    _cache.set(truncated, cached);
+    return cached;
+  }
+
+  const pending = request_embeddings([truncated], command).then((vectors) => vectors[0]);
+  _cache.set(truncated, pending);
+  // Failed requests must not poison the cache
+  pending.catch(() => _cache.delete(truncated));
+  if (_cache.size > CACHE_MAX_ENTRIES) {
+    _cache.delete(_cache.keys().next().value);
+  }
+  return pending;
+}
+
+/**
+ * Embed many texts in batches (bypasses the cache).
+ *
+ * @param {string[]} texts
+ * @param {string} command - Ledger label for the calls
+ * @returns {Promise<number[][]>}
+ */
+export async function embed_batch(texts, command) {
+  const vectors = [];
+  for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+    const batch = texts.slice(i, i + BATCH_SIZE).map((t) => t.slice(0, EMBEDDING_MAX_CHARS));
+    vectors.push(...(await request_embeddings(batch, command)));
+  }
+  return vectors;
+}
@@ -0,0 +1,111 @@
+/**
+ * Kira Router — Entity Extraction
+ *
+ * Pulls structured references out of a message with regexes (no LLM):
+ * Solana wallets and token mints, EVM addresses, tweet URLs, GitHub repos
+ * and fenced code blocks. Solana wallets and mints look identical, so an
+ * address is a mint only when the words just before it say so
+ * ("mint", "token", "CA", "contract").
+ */
+
+const CODE_BLOCK_RE = /```([\w+#.-]*)[^\S\n]*\n([\s\S]*?)```/g;
+const TWEET_URL_RE = /https?:\/\/(?:www\.|mobile\.)?(?:twitter|x)\.com\/(\w{1,15})\/status\/(\d+)[^\s)>\]]*/gi;
+const GITHUB_REPO_RE = /(?:https?:\/\/)?(?:www\.)?github\.com\/([\w.-]+)\/([\w.-]+?)(?:\.git)?(?=[\s/#?)>\],;:!]|$)/gi;
+const EVM_ADDRESS_RE = /\b0x[0-9a-fA-F]{40}\b/g;
+// Base58 (no 0, O, I, l), 32-44 chars: Solana public keys
+const SOLANA_ADDRESS_RE = /\b[1-9A-HJ-NP-Za-km-z]{32,44}\b/g;
+const MINT_HINT_RE = /\b(mint|token|ca|contract(\s+address)?)\b\W*$/i;
+
+// GitHub paths that aren't owner/repo
+const GITHUB_RESERVED = ["orgs", "topics", "settings", "marketplace", "sponsors", "features", "about"];
+
+function unique_by(items, key) {
+  const seen = new Set();
+  return items.filter((item) => {
+    const k = item[key];
+    if (seen.has(k)) return false;
+    seen.add(k);
+    return true;
+  });
+}
+
+/**
+ * Extract entities from a message.
+ *
+ * @param {string} message
+ * @returns {{wallets: Array<{address: string, chain: string}>, token_mints: Array<{address: string}>,
+ *   tweets: Array<{url: string, handle: string, tweet_id: string}>,
+ *   github_repos: Array<{owner: string, repo: string, url: string}>,
+ *   code_blocks: Array<{language: string | null, code: string}>}}
+ */
+export function extract_entities(message) {
+  const code_blocks = [];
+  for (const m of message.matchAll(CODE_BLOCK_RE)) {
+    code_blocks.push({ language: m[1].length > 0 ? m[1].toLowerCase() : null, code: m[2].replace(/\n$/, "") });
+  }
+
+  // Addresses and URLs inside code are code, not references
+  const prose = message.replace(CODE_BLOCK_RE, " ");
+
+  const tweets = [];
+  for (const m of prose.matchAll(TWEET_URL_RE)) {
+    tweets.push({ url: m[0], handle: m[1], tweet_id: m[2] });
+  }
+
+  const github_repos = [];
+  for (const m of prose.matchAll(GITHUB_REPO_RE)) {
+    if (GITHUB_RESERVED.includes(m[1].toLowerCase())) continue;
+    github_repos.push({ owner: m[1], repo: m[2], url: `https://github.com/${m[1]}/${m[2]}` });
+  }
+
+  // URLs can contain base58-looking runs (tweet ids are digits, but paths aren't)
+  const without_urls = prose.replace(/https?:\/\/\S+/gi, " ");
+
+  const wallets = [];
+  const token_mints = [];
+  for (const m of without_urls.matchAll(EVM_ADDRESS_RE)) {
+    wallets.push({ address: m[0], chain: "evm" });
+  }
+  for (const m of without_urls.matchAll(SOLANA_ADDRESS_RE)) {
+    // All-digit runs are ids, not keys
+    if (/^\d+$/.test(m[0])) continue;
+    const before = without_urls.slice(Math.max(0, m.index - 24), m.index);
+    if (MINT_HINT_RE.test(before)) {
+      token_mints.push({ address: m[0] });
+    } else {
+      wallets.push({ address: m[0], chain: "solana" });
+    }
+  }
+
+  return {
+    wallets: unique_by(wallets, "address"),
+    token_mints: unique_by(token_mints, "address"),
+    tweets: unique_by(tweets, "tweet_id"),
+    github_repos: unique_by(github_repos, "url"),
+    code_blocks,
+  };
+}
+
+/**
+ * Whether any entity was found.
+ */
+export function has_entities(entities) {
+  return Object.values(entities).some((list) => list.length > 0);
+}
+
+/**
+ * One line per entity for the system prompt. Code blocks are already in
+ * the message, so only their languages are listed.
+ */
+export function describe_entities(entities) {
+  const lines = [];
+  for (const w of entities.wallets) lines.push(`- ${w.chain} wallet: ${w.address}`);
+  for (const t of entities.token_mints) lines.push(`- token mint: ${t.address}`);
+  for (const t of entities.tweets) lines.push(`- tweet by @${t.handle}: ${t.url}`);
+  for (const r of entities.github_repos) lines.push(`- GitHub repo: ${r.owner}/${r.repo}`);
+  if (entities.code_blocks.length > 0) {
+    const languages = entities.code_blocks.map((b) => (b.language !== null ? b.language : "unlabelled"));
+    lines.push(`- code blocks: ${languages.join(", ")}`);
+  }
+  return lines.join("\n");
+}
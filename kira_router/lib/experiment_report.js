@@ -0,0 +1,320 @@
+import '/workspace/kira/scripts/load-env.js';
+/**
+ * Kira Router — Experiment Report
+ *
+ * Per-variant outcomes of an A/B experiment (see experiments.js), joined
+ * to the replies log_interaction tagged with it in kira_interaction_log:
+ *
+ *   follow_up   share of replies the user wrote back to within
+ *               EXPERIMENT_FOLLOW_UP_MS, with a Wilson 95% interval. Replies
+ *               still inside that window with no answer yet are left out
+ *               as pending
+ *   sentiment   mean sentiment_score of those follow-up messages
+ *   engagement  change in a user's engagement_events points per day: the
+ *               span since their first exposure against an equal span
+ *               before it. Users count under the variant they saw first
+ *
+ * Every variant after the first (the baseline) gets its difference from
+ * the baseline with a 95% interval (normal approximation). Intervals treat
+ * each reply as independent, so a few very active users can make them
+ * look tighter than they are. Only senders linked to a user id are logged
+ * in kira_interaction_log, so unlinked senders don't show up here.
+ */
+
+import { createClient } from "@supabase/supabase-js";
+import { EXPERIMENTS, EXPERIMENT_FOLLOW_UP_MS, EXPERIMENT_REPORT_PAGE_SIZE } from "./config.js";
+
+// Users per `in` filter, to keep request URLs short
+const USER_CHUNK = 100;
+const Z_95 = 1.96;
+
+// ── Clients (lazy init) ───────────────────────────
+
+let _supabase = null;
+
+function get_supabase() {
+  if (_supabase !== null) return _supabase;
+  const url = process.env.SUPABASE_URL;
+  const key = process.env.SUPABASE_SERVICE_KEY;
+  if (url === undefined || url === "" || key === undefined || key === "") {
+    throw new Error("SUPABASE_URL and SUPABASE_SERVICE_KEY must be set");
+  }
+  _supabase = createClient(url, key);
+  return _supabase;
+}
+
+// ── Fetching ──────────────────────────────────────
+
+/**
+ * Every row of a query, a page at a time.
+ *
+ * @param {string} label - Table name for errors
+ * @param {() => object} build - Returns a fresh query builder
+ */
+async function fetch_all(label, build) {
+  const rows = [];
+  for (let from = 0; ; from += EXPERIMENT_REPORT_PAGE_SIZE) {
+    const { data, error } = await build().range(from, from + EXPERIMENT_REPORT_PAGE_SIZE - 1);
+    if (error !== null) {
+      throw new Error(`${label} query failed: ${error.message}`);
+    }
+    rows.push(...data);
+    if (data.length < EXPERIMENT_REPORT_PAGE_SIZE) return rows;
+  }
+}
+
+async function fetch_for_users(label, user_ids, build) {
+  const rows = [];
+  for (let i = 0; i < user_ids.length; i += USER_CHUNK) {
+    const chunk = user_ids.slice(i, i + USER_CHUNK);
+    rows.push(...await fetch_all(label, () => build(chunk)));
+  }
+  return rows;
+}
+
+function fetch_exposures(name, since) {
+  return fetch_all("kira_interaction_log", () => get_supabase()
+    .from("kira_interaction_log")
+    .select("user_id, variant, created_at")
+    .eq("experiment", name)
+    .eq("direction", "outbound")
+    .gte("created_at", since)
+    .order("created_at", { ascending: true }));
+}
+
+function fetch_inbound(user_ids, since) {
+  return fetch_for_users("kira_interaction_log", user_ids, (chunk) => get_supabase()
+    .from("kira_interaction_log")
+    .select("user_id, sentiment_score, created_at")
+    .eq("direction", "inbound")
+    .in("user_id", chunk)
+    .gte("created_at", since)
+    .order("created_at", { ascending: true }));
+}
+
+function fetch_engagement(user_ids, since) {
+  return fetch_for_users("engagement_events", user_ids, (chunk) => get_supabase()
+    .from("engagement_events")
+    .select("user_id, points, created_at")
+    .in("user_id", chunk)
+    .gte("created_at", since)
+    .order("created_at", { ascending: true }));
+}
+
+// ── Statistics ────────────────────────────────────
+
+function round(value, places = 4) {
+  if (value === null) return null;
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Wilson score interval for k successes in n trials.
+ */
+function wilson(k, n) {
+  if (n === 0) return null;
+  const p = k / n;
+  const z2 = Z_95 * Z_95;
+  const denominator = 1 + z2 / n;
+  const center = (p + z2 / (2 * n)) / denominator;
+  const half = (Z_95 * Math.sqrt((p * (1 - p)) / n + z2 / (4 * n * n))) / denominator;
+  return [round(Math.max(0, center - half)), round(Math.min(1, center + half))];
+}
+
+function describe_sample(values) {
+  const n = values.length;
+  if (n === 0) return { n, mean: null, variance: null, ci: null };
+  const mean = values.reduce((sum, v) => sum + v, 0) / n;
+  if (n < 2) return { n, mean, variance: null, ci: null };
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1);
+  const half = Z_95 * Math.sqrt(variance / n);
+  return { n, mean, variance, ci: [round(mean - half), round(mean + half)] };
+}
+
+/**
+ * Difference between two estimates with independent standard errors.
+ */
+function difference(estimate, baseline, se_squared) {
+  if (estimate === null || baseline === null || se_squared === null) return null;
+  const diff = estimate - baseline;
+  const half = Z_95 * Math.sqrt(se_squared);
+  const ci = [round(diff - half), round(diff + half)];
+  return { diff: round(diff), ci, significant: ci[0] > 0 || ci[1] < 0 };
+}
+
+function rate_difference(variant, baseline) {
+  const { k: k1, n: n1 } = variant;
+  const { k: k0, n: n0 } = baseline;
+  if (n1 === 0 || n0 === 0) return null;
+  const p1 = k1 / n1;
+  const p0 = k0 / n0;
+  return difference(p1, p0, (p1 * (1 - p1)) / n1 + (p0 * (1 - p0)) / n0);
+}
+
+function mean_difference(variant, baseline) {
+  if (variant.variance === null || baseline.variance === null) return null;
+  return difference(variant.mean, baseline.mean, variant.variance / variant.n + baseline.variance / baseline.n);
+}
+
+// ── Outcomes ──────────────────────────────────────
+
+function group_by_user(rows) {
+  const by_user = new Map();
+  for (const row of rows) {
+    if (!by_user.has(row.user_id)) by_user.set(row.user_id, []);
+    by_user.get(row.user_id).push(row);
+  }
+  return by_user;
+}
+
+/**
+ * The user's first message after a reply, within the follow-up window.
+ * Strictly after: the message that prompted the reply carries its timestamp.
+ */
+function find_follow_up(inbound, replied_ms, window_ms) {
+  if (inbound === undefined) return null;
+  for (const row of inbound) {
+    const at = Date.parse(row.created_at);
+    if (at <= replied_ms) continue;
+    return at - replied_ms <= window_ms ? row : null;
+  }
+  return null;
+}
+
+/**
+ * Points per day in the span since the first exposure, minus points per
+ * day in an equal span before it.
+ */
+function engagement_delta(events, first_ms, now_ms) {
+  const span_ms = Math.max(now_ms - first_ms, 60 * 60 * 1000);
+  let before = 0;
+  let after = 0;
+  for (const event of events !== undefined ? events : []) {
+    const at = Date.parse(event.created_at);
+    const points = typeof event.points === "number" ? event.points : 0;
+    if (at >= first_ms) {
+      after += points;
+    } else if (at >= first_ms - span_ms) {
+      before += points;
+    }
+  }
+  const days = span_ms / (24 * 60 * 60 * 1000);
+  return (after - before) / days;
+}
+
+/**
+ * Variant names in config order, then any logged variant no longer configured.
+ */
+function variant_order(experiment, logged) {
+  const configured = experiment !== undefined ? experiment.variants.map((v) => v.name) : [];
+  const extra = [...new Set(logged)].filter((name) => !configured.includes(name)).sort();
+  return [...configured, ...extra];
+}
+
+/**
+ * Per-variant outcomes for one experiment.
+ *
+ * @param {object} params
+ * @param {string} params.name - Experiment name (need not still be configured)
+ * @param {number} params.days - Exposures from the last `days` days
+ * @param {number} [params.follow_up_ms] - Follow-up window, EXPERIMENT_FOLLOW_UP_MS by default
+ * @returns {Promise<object>} `{experiment, configured, days, since, follow_up_minutes, exposures, users, variants}`;
+ *   each variant has `follow_up` `{rate, ci, k, n, pending}`, `sentiment` and
+ *   `engagement` `{mean, ci, n}`, and `vs_baseline` (null for the baseline)
+ *   with `{diff, ci, significant}` per outcome
+ */
+export async function experiment_report({ name, days, follow_up_ms = EXPERIMENT_FOLLOW_UP_MS }) {
+  const now_ms = Date.now();
+  const since_ms = now_ms - days * 24 * 60 * 60 * 1000;
+  const since = new Date(since_ms).toISOString();
+
+  const exposures = await fetch_exposures(name, since);
+  const user_ids = [...new Set(exposures.map((e) => e.user_id))];
+  const [inbound, events] = user_ids.length > 0
+    ? await Promise.all([
+      fetch_inbound(user_ids, since),
+      // The engagement baseline reaches back as far before the window as it runs
+      fetch_engagement(user_ids, new Date(since_ms - (now_ms - since_ms)).toISOString()),
+    ])
+    : [[], []];
+  const inbound_by_user = group_by_user(inbound);
+  const events_by_user = group_by_user(events);
+
+  const tallies = new Map();
+  const tally = (variant) => {
+    if (!tallies.has(variant)) {
+      tallies.set(variant, { exposures: 0, users: new Set(), k: 0, n: 0, pending: 0, sentiment: [], engagement: [] });
+    }
+    return tallies.get(variant);
+  };
+
+  // exposures are oldest first, so the first seen per user is their first exposure
+  const first_exposure = new Map();
+  for (const exposure of exposures) {
+    const t = tally(exposure.variant);
+    const replied_ms = Date.parse(exposure.created_at);
+    t.exposures++;
+    t.users.add(exposure.user_id);
+    if (!first_exposure.has(exposure.user_id)) {
+      first_exposure.set(exposure.user_id, { variant: exposure.variant, at_ms: replied_ms });
+    }
+
+    const follow_up = find_follow_up(inbound_by_user.get(exposure.user_id), replied_ms, follow_up_ms);
+    if (follow_up === null && now_ms - replied_ms < follow_up_ms) {
+      t.pending++;
+      continue;
+    }
+    t.n++;
+    if (follow_up === null) continue;
+    t.k++;
+    if (typeof follow_up.sentiment_score === "number") t.sentiment.push(follow_up.sentiment_score);
+  }
+
+  for (const [user_id, first] of first_exposure) {
+    tally(first.variant).engagement.push(engagement_delta(events_by_user.get(user_id), first.at_ms, now_ms));
+  }
+
+  const experiment = EXPERIMENTS[name];
+  const order = variant_order(experiment, exposures.map((e) => e.variant));
+  const summaries = order.map((variant) => {
+    const t = tally(variant);
+    return { name: variant, t, sentiment: describe_sample(t.sentiment), engagement: describe_sample(t.engagement) };
+  });
+  const baseline = summaries.length > 0 ? summaries[0] : null;
+
+  const sample = (s) => ({ mean: round(s.mean), ci: s.ci, n: s.n });
+  const variants = summaries.map((s) => ({
+    name: s.name,
+    baseline: s === baseline,
+    exposures: s.t.exposures,
+    users: s.t.users.size,
+    follow_up: {
+      rate: s.t.n > 0 ? round(s.t.k / s.t.n) : null,
+      ci: wilson(s.t.k, s.t.n),
+      k: s.t.k,
+      n: s.t.n,
+      pending: s.t.pending,
+    },
+    sentiment: sample(s.sentiment),
+    engagement: sample(s.engagement),
+    vs_baseline: s === baseline ? null : {
+      follow_up: rate_difference(s.t, baseline.t),
+      sentiment: mean_difference(s.sentiment, baseline.sentiment),
+      engagement: mean_difference(s.engagement, baseline.engagement),
+    },
+  }));
+
+  return {
+    experiment: name,
+    configured: experiment !== undefined
+      ? { enabled: experiment.enabled, unit: experiment.unit, intents: experiment.intents }
+      : null,
+    days,
+    since,
+    follow_up_minutes: round(follow_up_ms / (60 * 1000), 2),
+    exposures: exposures.length,
+    users: user_ids.length,
+    variants,
+  };
+}
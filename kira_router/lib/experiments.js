@@ -0,0 +1,108 @@
+/**
+ * Kira Router — Route Experiments
+ *
+ * A/B tests over the routes in router.config.json: persona texts, models,
+ * temperatures, reply lengths. Each enabled entry in `experiments` covers
+ * some intents and splits traffic between weighted variants, each a set of
+ * route fields merged over the intent's (platform) route before the
+ * sender's tier caps and the budget downgrade apply.
+ *
+ * Assignment is a hash of the experiment name and its unit, so nothing is
+ * stored and a sender keeps their variant across processes and restarts:
+ *
+ *   user     one variant per person, across platforms once their accounts
+ *            are linked
+ *   session  drawn again for each platform conversation per day (the
+ *            session id log_interaction writes)
+ *
+ * Replies built from a variant record it in kira_interaction_log
+ * (experiment, variant); `router.js experiments report` joins outcomes back
+ * to it (see experiment_report.js). Intents under an experiment skip the
+ * response cache, so every reply comes from the sender's own variant.
+ */
+
+import crypto from "node:crypto";
+import { EXPERIMENTS } from "./config.js";
+import { sender_key } from "./policy.js";
+
+/**
+ * Where a unit falls in [0, 1) for an experiment. Salted with the name so
+ * one sender's variants in different experiments are independent.
+ */
+function bucket(name, unit_key) {
+  const digest = crypto.createHash("sha256").update(`${name}:${unit_key}`).digest();
+  return digest.readUInt32BE(0) / 2 ** 32;
+}
+
+function pick_variant(name, experiment, unit_key) {
+  const total = experiment.variants.reduce((sum, v) => sum + v.weight, 0);
+  let point = bucket(name, unit_key) * total;
+  for (const variant of experiment.variants) {
+    if (point < variant.weight) return variant;
+    point -= variant.weight;
+  }
+  return experiment.variants[experiment.variants.length - 1];
+}
+
+function unit_key(unit, { platform, sender_id, user_id }) {
+  if (unit === "user") return sender_key(platform, sender_id, user_id);
+  const owner = user_id !== null && user_id !== undefined ? user_id : sender_id;
+  return `${platform}-${owner}-${new Date().toISOString().slice(0, 10)}`;
+}
+
+/**
+ * Name of the enabled experiment covering an intent, or null.
+ */
+export function experiment_for(intent) {
+  for (const [name, experiment] of Object.entries(EXPERIMENTS)) {
+    if (experiment.enabled && experiment.intents.includes(intent)) return name;
+  }
+  return null;
+}
+
+/**
+ * Apply the sender's variant to an intent's route, if an enabled
+ * experiment covers the intent.
+ *
+ * @param {object} params
+ * @param {string} params.intent - Intent the route was resolved for
+ * @param {object} params.route - From resolve_route()
+ * @param {string} params.platform
+ * @param {string} [params.sender_id]
+ * @param {string | null} [params.user_id]
+ * @returns {{route: object, exposure: {experiment: string, variant: string} | null}}
+ */
+export function apply_experiment({ intent, route, platform, sender_id, user_id }) {
+  const name = experiment_for(intent);
+  if (name === null) return { route, exposure: null };
+
+  const experiment = EXPERIMENTS[name];
+  const variant = pick_variant(name, experiment, unit_key(experiment.unit, { platform, sender_id, user_id }));
+  return {
+    route: { ...route, ...variant.overrides },
+    exposure: { experiment: name, variant: variant.name },
+  };
+}
+
+/**
+ * Configured experiments with each variant's share of traffic.
+ *
+ * @returns {object[]}
+ */
+export function list_experiments() {
+  return Object.entries(EXPERIMENTS).map(([name, experiment]) => {
+    const total = experiment.variants.reduce((sum, v) => sum + v.weight, 0);
+    return {
+      name,
+      enabled: experiment.enabled,
+      description: experiment.description,
+      unit: experiment.unit,
+      intents: experiment.intents,
+      variants: experiment.variants.map((v) => ({
+        name: v.name,
+        share: Math.round((v.weight / total) * 1000) / 1000,
+        overrides: v.overrides,
+      })),
+    };
+  });
+}
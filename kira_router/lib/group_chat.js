@@ -0,0 +1,186 @@
+/**
+ * Kira Router — Group Chat Awareness
+ *
+ * Decides whether a message in a group chat (a Telegram group, stream chat)
+ * is worth answering at all, before any context is loaded or tokens spent.
+ * Driven by `group_chat` in router.config.json, with a policy per platform
+ * or per chat:
+ *
+ *   always    answer everything
+ *   mentions  answer only when named, @mentioned or replied to
+ *   never     stay quiet, even when mentioned
+ *   auto      as mentions, plus: follow-ups from someone Kira answered in
+ *             the last `thread_seconds`, and unaddressed messages with one
+ *             of the policy's `intents` from senders of at least `min_tier`,
+ *             unless the chat is busy, the message replies to another human,
+ *             or a human already answered it
+ *
+ * Messages without a `chat`, and private chats, are always answered.
+ * Per-channel message times, open threads and human answers are kept in
+ * .state/group_chat.json so CLI invocations and the server share them.
+ */
+
+import { GROUP_CHAT, GROUP_CHAT_STATE_TTL_MS } from "./config.js";
+import { read_state_json, update_state_json } from "./state.js";
+import { tier_rank } from "./commands.js";
+
+const STATE_FILE = "group_chat.json";
+
+function load_all() {
+  return read_state_json(STATE_FILE, {});
+}
+
+/**
+ * Change the channels' state under the lock, so messages handled at the
+ * same time don't drop each other's counts, threads and answers. If the
+ * state can't be saved, `update` decides from an unsaved copy instead.
+ */
+function update_channels(update) {
+  try {
+    return update_state_json(STATE_FILE, {}, update);
+  } catch (err) {
+    console.error(`Group chat state save failed: ${err.message}`);
+    return update(load_all());
+  }
+}
+
+function fresh_channel() {
+  return { messages: [], threads: {}, answered: {} };
+}
+
+/**
+ * Drop everything older than GROUP_CHAT_STATE_TTL_MS; false once nothing is left.
+ */
+function prune_channel(channel, now_ms) {
+  const live = (t) => now_ms - t < GROUP_CHAT_STATE_TTL_MS;
+  channel.messages = channel.messages.filter(live);
+  channel.threads = Object.fromEntries(Object.entries(channel.threads).filter(([, t]) => live(t)));
+  channel.answered = Object.fromEntries(Object.entries(channel.answered).filter(([, t]) => live(t)));
+  return channel.messages.length > 0 || Object.keys(channel.threads).length > 0;
+}
+
+function channel_policy(platform, chat_id) {
+  const exact = GROUP_CHAT.channels[`${platform}:${chat_id}`];
+  if (exact !== undefined) return exact;
+  const platform_wide = GROUP_CHAT.channels[platform];
+  return platform_wide !== undefined ? platform_wide : GROUP_CHAT.default;
+}
+
+function escape_regex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Whether the message names Kira: one of `group_chat.names` as a word,
+ * with or without an @, or an @mention the platform adapter resolved.
+ */
+function is_mentioned(message, chat) {
+  if (chat.mentioned === true) return true;
+  return GROUP_CHAT.names.some((name) => {
+    const bare = escape_regex(name.replace(/^@/, ""));
+    return new RegExp(`(^|[^\\w@])@?${bare}(?!\\w)`, "i").test(message);
+  });
+}
+
+/**
+ * Decide whether to answer a message, and record it against its chat.
+ *
+ * @param {object} params
+ * @param {string} params.platform
+ * @param {object} [params.chat] - Where the message was sent:
+ *   `{id, type?: "group" | "private", message_id?, mentioned?,
+ *   reply_to?: {message_id?, sender_id?, is_kira?}}`; type defaults to group
+ * @param {string} params.sender_id
+ * @param {string} params.message
+ * @param {string} params.intent - Primary classified intent
+ * @returns {{respond: boolean, reason: string, channel: string, mode: string | null,
+ *   recent_messages: number | null, min_tier: string | null} | null}
+ *   Null when group chat awareness is off or there is no `chat`. reason is
+ *   private, mentioned, reply_to_kira, always, thread or open_intent when
+ *   answering; channel_muted, not_addressed, reply_to_other,
+ *   answered_by_human or busy when not. min_tier is set when the answer
+ *   still depends on the sender's tier (see apply_tier_gate())
+ */
+export function check_should_respond({ platform, chat, sender_id, message, intent }) {
+  if (GROUP_CHAT === null || !GROUP_CHAT.enabled || chat === undefined || chat === null) return null;
+
+  const channel_key = `${platform}:${chat.id}`;
+  if (chat.type === "private") {
+    return { respond: true, reason: "private", channel: channel_key, mode: null, recent_messages: null, min_tier: null };
+  }
+
+  const policy = channel_policy(platform, chat.id);
+  const now_ms = Date.now();
+  return update_channels((channels) => {
+    const channel = channels[channel_key] !== undefined ? channels[channel_key] : fresh_channel();
+    prune_channel(channel, now_ms);
+    channel.messages.push(now_ms);
+
+    const reply_to = chat.reply_to !== undefined && chat.reply_to !== null ? chat.reply_to : null;
+    const reply_to_kira = reply_to !== null && reply_to.is_kira === true;
+    // Replying to your own message continues it; replying to someone else's answers it
+    const reply_to_other = reply_to !== null && !reply_to_kira && reply_to.sender_id !== sender_id;
+    if (reply_to_other && reply_to.message_id !== undefined) {
+      channel.answered[reply_to.message_id] = now_ms;
+    }
+
+    const window_ms = policy.busy_window_seconds * 1000;
+    const recent_messages = channel.messages.filter((t) => now_ms - t < window_ms).length;
+    const thread_at = channel.threads[sender_id];
+    const in_thread = thread_at !== undefined && now_ms - thread_at < policy.thread_seconds * 1000;
+
+    const outcome = (respond, reason, min_tier = null) => {
+      channels[channel_key] = channel;
+      for (const [key, c] of Object.entries(channels)) {
+        if (!prune_channel(c, now_ms)) delete channels[key];
+      }
+      return { respond, reason, channel: channel_key, mode: policy.mode, recent_messages, min_tier };
+    };
+
+    if (policy.mode === "never") return outcome(false, "channel_muted");
+    if (is_mentioned(message, chat)) return outcome(true, "mentioned");
+    if (reply_to_kira) return outcome(true, "reply_to_kira");
+    if (policy.mode === "always") return outcome(true, "always");
+    if (policy.mode === "mentions") return outcome(false, "not_addressed");
+
+    if (reply_to_other) return outcome(false, "reply_to_other");
+    if (chat.message_id !== undefined && channel.answered[chat.message_id] !== undefined) {
+      return outcome(false, "answered_by_human");
+    }
+    if (in_thread) return outcome(true, "thread");
+    if (recent_messages > policy.busy_messages) return outcome(false, "busy");
+    if (!policy.intents.includes(intent)) return outcome(false, "not_addressed");
+    return outcome(true, "open_intent", policy.min_tier);
+  });
+}
+
+/**
+ * Apply the sender's tier to an unaddressed message check_should_respond()
+ * let through, once the tier is known from the loaded context.
+ *
+ * @param {object} outcome - From check_should_respond()
+ * @param {string} tier
+ * @returns {object} The outcome, turned into `{respond: false, reason: "tier"}`
+ *   when the sender is below the policy's min_tier
+ */
+export function apply_tier_gate(outcome, tier) {
+  if (!outcome.respond || outcome.min_tier === null) return outcome;
+  if (tier_rank(tier) >= tier_rank(outcome.min_tier)) return outcome;
+  return { ...outcome, respond: false, reason: "tier" };
+}
+
+/**
+ * Note that Kira answered a sender in a group chat, so their follow-ups
+ * within `thread_seconds` are answered without a mention.
+ *
+ * @param {object | null} outcome - From check_should_respond()
+ * @param {string} sender_id
+ */
+export function record_reply(outcome, sender_id) {
+  if (outcome === null || !outcome.respond || outcome.mode === null) return;
+  update_channels((channels) => {
+    const channel = channels[outcome.channel] !== undefined ? channels[outcome.channel] : fresh_channel();
+    channel.threads[sender_id] = Date.now();
+    channels[outcome.channel] = channel;
+  });
+}
@@ -0,0 +1,341 @@
+import '/workspace/kira/scripts/load-env.js';
+/**
+ * Kira Router — Local Intent Model
+ *
+ * Nearest-centroid classifier over message embeddings, trained offline from
+ * the intents the router has already logged (kira_conversations metadata and
+ * kira_interaction_log context). Only labels decided by the LLM or the
+ * greeting heuristic are trusted as training data, so the model never
+ * learns from its own guesses. The trained model is kept in
+ * .state/intent_model.json and picked up by running processes on change.
+ *
+ * Training is offline; classifying is not free of network calls: every
+ * message is embedded with the embeddings provider (OpenAI). The same
+ * embedding serves memory recall, so a confident local answer saves the
+ * DeepSeek call without adding one. When embedding fails, the LLM
+ * classifies as before.
+ */
+
+import fs from "node:fs";
+import { createClient } from "@supabase/supabase-js";
+import {
+  INTENTS,
+  EMBEDDING_MODEL,
+  INTENT_MODEL_FILE,
+  INTENT_MODEL_SOFTMAX_TEMPERATURE,
+  INTENT_MODEL_MIN_EXAMPLES,
+  INTENT_MODEL_TRAIN_LIMIT,
+  INTENT_MODEL_HOLDOUT,
+} from "./config.js";
+import { state_path, read_state_json, write_state_json } from "./state.js";
+import { embed_batch } from "./embeddings.js";
+
+// Command intents come from regex patterns, never from the model
+const TRAINABLE_INTENTS = INTENTS.filter((intent) => intent !== "command");
+const TRUSTED_LABEL_SOURCES = ["llm", "heuristic"];
+
+// ── Clients (lazy init) ───────────────────────────
+
+let _supabase = null;
+
+function get_supabase() {
+  if (_supabase !== null) return _supabase;
+  const url = process.env.SUPABASE_URL;
+  const key = process.env.SUPABASE_SERVICE_KEY;
+  if (url === undefined || url === "" || key === undefined || key === "") {
+    throw new Error("SUPABASE_URL and SUPABASE_SERVICE_KEY must be set");
+  }
+  _supabase = createClient(url, key);
+  return _supabase;
+}
+
+// ── Vector math ───────────────────────────────────
+
+function normalize(vector) {
+  let norm = 0;
+  for (const x of vector) norm += x * x;
+  norm = Math.sqrt(norm);
+  return norm === 0 ? vector : vector.map((x) => x / norm);
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+// ── Inference ─────────────────────────────────────
+
+let _model = null;
+let _model_mtime = null;
+
+/**
+ * The trained model, or null if none has been trained. Re-read when the
+ * file changes so a long-running server picks up a retrain.
+ */
+export function load_intent_model() {
+  let mtime;
+  try {
+    mtime = fs.statSync(state_path(INTENT_MODEL_FILE)).mtimeMs;
+  } catch (_) {
+    _model = null;
+    _model_mtime = null;
+    return null;
+  }
+  if (mtime !== _model_mtime) {
+    _model = read_state_json(INTENT_MODEL_FILE, null);
+    _model_mtime = mtime;
+  }
+  return _model;
+}
+
+/**
+ * Confidence a local prediction needs to be used: the threshold saved with
+ * the model by `train-classifier --threshold`, else
+ * `classifier.confidence_threshold`.
+ *
+ * @param {object} model - From load_intent_model()
+ * @param {number} fallback - The configured threshold
+ * @returns {number}
+ */
+export function model_threshold(model, fallback) {
+  return typeof model.confidence_threshold === "number" ? model.confidence_threshold : fallback;
+}
+
+/**
+ * Score an embedding against every intent centroid.
+ *
+ * @param {object} model - From load_intent_model()
+ * @param {number[]} embedding
+ * @returns {{intent: string, confidence: number, scores: object}}
+ */
+export function predict_intent(model, embedding) {
+  const query = normalize(embedding);
+  const sims = model.intents.map((intent) => dot(query, model.centroids[intent]));
+
+  // Softmax over cosine similarities → confidence in [0, 1]
+  const max_sim = Math.max(...sims);
+  const weights = sims.map((s) => Math.exp((s - max_sim) / model.temperature));
+  const total = weights.reduce((a, b) => a + b, 0);
+
+  const scores = {};
+  let best = 0;
+  for (let i = 0; i < model.intents.length; i++) {
+    scores[model.intents[i]] = Math.round((weights[i] / total) * 1000) / 1000;
+    if (weights[i] > weights[best]) best = i;
+  }
+
+  return { intent: model.intents[best], confidence: scores[model.intents[best]], scores };
+}
+
+// ── Training data ─────────────────────────────────
+
+async function fetch_conversation_labels() {
+  const { data, error } = await get_supabase()
+    .from("kira_conversations")
+    .select("content, metadata")
+    .eq("message_role", "user")
+    .not("metadata->>intent", "is", null)
+    .order("created_at", { ascending: false })
+    .limit(INTENT_MODEL_TRAIN_LIMIT);
+
+  if (error !== null) {
+    throw new Error(`kira_conversations query failed: ${error.message}`);
+  }
+  return data
+    .filter((row) => TRUSTED_LABEL_SOURCES.includes(row.metadata.intent_source))
+    .map((row) => ({ text: row.content, intent: row.metadata.intent }));
+}
+
+async function fetch_interaction_labels() {
+  const { data, error } = await get_supabase()
+    .from("kira_interaction_log")
+    .select("message, context")
+    .eq("direction", "inbound")
+    .like("context", "routed_response:%")
+    .order("created_at", { ascending: false })
+    .limit(INTENT_MODEL_TRAIN_LIMIT);
+
+  if (error !== null) {
+    throw new Error(`kira_interaction_log query failed: ${error.message}`);
+  }
+
+  // context is "routed_response:<intent>:<decided_by>"
+  const examples = [];
+  for (const row of data) {
+    const [, intent, source] = row.context.split(":");
+    if (TRUSTED_LABEL_SOURCES.includes(source)) {
+      examples.push({ text: row.message, intent });
+    }
+  }
+  return examples;
+}
+
+/**
+ * Labelled examples from both logs, newest label wins for duplicate texts.
+ */
+async function fetch_labelled_examples() {
+  const [conversations, interactions] = await Promise.all([
+    fetch_conversation_labels(),
+    fetch_interaction_labels(),
+  ]);
+
+  const by_text = new Map();
+  for (const example of [...conversations, ...interactions]) {
+    const key = example.text.trim().toLowerCase();
+    if (key.length === 0 || by_text.has(key)) continue;
+    if (!TRAINABLE_INTENTS.includes(example.intent)) continue;
+    by_text.set(key, example);
+  }
+  return [...by_text.values()];
+}
+
+// ── Training ──────────────────────────────────────
+
+// FNV-1a, so the held-out split is stable between runs
+function hash_text(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+}
+
+/**
+ * Stratified split: the same fraction of every intent is held out.
+ */
+function split_holdout(examples) {
+  const train = [];
+  const test = [];
+  for (const intent of new Set(examples.map((e) => e.intent))) {
+    const group = examples
+      .filter((e) => e.intent === intent)
+      .sort((a, b) => hash_text(a.text) - hash_text(b.text));
+    const n_test = Math.max(1, Math.round(group.length * INTENT_MODEL_HOLDOUT));
+    test.push(...group.slice(0, n_test));
+    train.push(...group.slice(n_test));
+  }
+  return { train, test };
+}
+
+function build_centroids(examples) {
+  const sums = {};
+  for (const { intent, embedding } of examples) {
+    if (sums[intent] === undefined) sums[intent] = new Array(embedding.length).fill(0);
+    const sum = sums[intent];
+    for (let i = 0; i < embedding.length; i++) sum[i] += embedding[i];
+  }
+
+  const centroids = {};
+  for (const [intent, sum] of Object.entries(sums)) {
+    centroids[intent] = normalize(sum);
+  }
+  return centroids;
+}
+
+function evaluate(model, test, threshold) {
+  const per_intent = {};
+  let correct = 0;
+  let confident = 0;
+  let confident_correct = 0;
+
+  for (const example of test) {
+    const prediction = predict_intent(model, example.embedding);
+    const hit = prediction.intent === example.intent;
+    const row = per_intent[example.intent] || (per_intent[example.intent] = { examples: 0, correct: 0 });
+    row.examples++;
+    if (hit) {
+      row.correct++;
+      correct++;
+    }
+    if (prediction.confidence >= threshold) {
+      confident++;
+      if (hit) confident_correct++;
+    }
+  }
+
+  const ratio = (a, b) => (b === 0 ? null : Math.round((a / b) * 1000) / 1000);
+  for (const row of Object.values(per_intent)) {
+    row.accuracy = ratio(row.correct, row.examples);
+  }
+
+  return {
+    examples: test.length,
+    accuracy: ratio(correct, test.length),
+    // What happens in production: confident predictions are used, the rest go to the LLM
+    above_threshold: {
+      threshold,
+      coverage: ratio(confident, test.length),
+      accuracy: ratio(confident_correct, confident),
+    },
+    per_intent,
+  };
+}
+
+function round_vector(vector) {
+  return vector.map((x) => Math.round(x * 1e6) / 1e6);
+}
+
+/**
+ * Rebuild the intent model from the labelled history.
+ * Accuracy is measured on a held-out split; the saved model is then
+ * trained on every example.
+ *
+ * @param {object} params
+ * @param {number} params.threshold - Confidence threshold to report coverage at
+ * @param {boolean} params.save_threshold - Save the threshold with the model,
+ *   so it applies instead of `classifier.confidence_threshold`
+ * @returns {Promise<object>} Training report
+ */
+export async function train_intent_model({ threshold, save_threshold }) {
+  const examples = await fetch_labelled_examples();
+
+  const counts = {};
+  for (const e of examples) counts[e.intent] = (counts[e.intent] || 0) + 1;
+  const intents = TRAINABLE_INTENTS.filter((intent) => (counts[intent] || 0) >= INTENT_MODEL_MIN_EXAMPLES);
+  const excluded_intents = TRAINABLE_INTENTS.filter((intent) => !intents.includes(intent));
+
+  if (intents.length < 2) {
+    throw new Error(
+      `Not enough labelled history: need ${INTENT_MODEL_MIN_EXAMPLES}+ examples for at least 2 intents (have ${JSON.stringify(counts)})`,
+    );
+  }
+
+  const usable = examples.filter((e) => intents.includes(e.intent));
+  const vectors = await embed_batch(usable.map((e) => e.text), "train_classifier");
+  usable.forEach((e, i) => { e.embedding = vectors[i]; });
+
+  const { train, test } = split_holdout(usable);
+  const holdout_model = {
+    intents,
+    centroids: build_centroids(train),
+    temperature: INTENT_MODEL_SOFTMAX_TEMPERATURE,
+  };
+  const holdout = evaluate(holdout_model, test, threshold);
+
+  const centroids = build_centroids(usable);
+  for (const intent of intents) centroids[intent] = round_vector(centroids[intent]);
+
+  write_state_json(INTENT_MODEL_FILE, {
+    version: 1,
+    trained_at: new Date().toISOString(),
+    embedding_model: EMBEDDING_MODEL,
+    temperature: INTENT_MODEL_SOFTMAX_TEMPERATURE,
+    confidence_threshold: save_threshold ? threshold : null,
+    intents,
+    examples: counts,
+    holdout,
+    centroids,
+  });
+
+  return {
+    model_path: state_path(INTENT_MODEL_FILE),
+    examples: usable.length,
+    per_intent_examples: counts,
+    excluded_intents,
+    train_examples: train.length,
+    confidence_threshold: save_threshold ? threshold : null,
+    holdout,
+  };
+}
@@ -0,0 +1,345 @@
+/**
+ * Kira Router — Job Queue
+ *
+ * Durable local queue for background work, so a Supabase outage or a crash
+ * after the reply is printed doesn't lose interaction history. Each job is
+ * one JSON file under .state/jobs/:
+ *
+ *   pending/  waiting to run, or waiting out its backoff after a failure
+ *   running/  claimed by a worker (moved here with an atomic rename, so two
+ *             router processes never run the same job)
+ *   dead/     failed JOB_MAX_ATTEMPTS times; kept for `router.js jobs`
+ *
+ * Live jobs (bridge speech, dashboard thoughts) expire after a short TTL and
+ * are discarded rather than dead-lettered once they can't run.
+ *
+ * Handlers receive the job's args plus a `progress` object that is saved
+ * with the job on failure, so a handler with several writes can skip the
+ * ones that already went through when it is retried.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import {
+  JOB_MAX_ATTEMPTS,
+  JOB_BACKOFF_BASE_MS,
+  JOB_BACKOFF_MAX_MS,
+  JOB_LIVE_TTL_MS,
+  JOB_STALE_MS,
+} from "./config.js";
+import { state_path } from "./state.js";
+
+export const JOB_QUEUES = ["pending", "running", "dead"];
+
+// Errors kept per job, newest last
+const MAX_JOB_ERRORS = 10;
+
+// ── Files ─────────────────────────────────────────
+
+function queue_dir(queue) {
+  return path.join(state_path("jobs"), queue);
+}
+
+function job_file(queue, id) {
+  return path.join(queue_dir(queue), `${id}.json`);
+}
+
+function write_job(queue, job) {
+  fs.mkdirSync(queue_dir(queue), { recursive: true });
+  const target = job_file(queue, job.id);
+  const tmp = `${target}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(job, null, 2));
+  fs.renameSync(tmp, target);
+}
+
+function read_job(queue, id) {
+  try {
+    return JSON.parse(fs.readFileSync(job_file(queue, id), "utf-8"));
+  } catch (_) {
+    return null;
+  }
+}
+
+function job_ids(queue) {
+  try {
+    return fs.readdirSync(queue_dir(queue))
+      .filter((name) => name.endsWith(".json"))
+      .map((name) => name.slice(0, -".json".length))
+      .sort();
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+}
+
+function remove_job(queue, id) {
+  try {
+    fs.unlinkSync(job_file(queue, id));
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+}
+
+/**
+ * Move a job between queues. False if another process moved it first.
+ */
+function move_job(id, from, to) {
+  fs.mkdirSync(queue_dir(to), { recursive: true });
+  try {
+    fs.renameSync(job_file(from, id), job_file(to, id));
+    return true;
+  } catch (err) {
+    if (err.code === "ENOENT") return false;
+    throw err;
+  }
+}
+
+// ── Enqueue ───────────────────────────────────────
+
+/**
+ * Write a job to the pending queue. Synchronous, so the job is on disk
+ * before the caller goes on to print a reply.
+ *
+ * @param {string} task - Handler name
+ * @param {object} args - JSON-serialisable handler arguments
+ * @param {object} [options]
+ * @param {boolean} [options.live] - Expires after JOB_LIVE_TTL_MS and is
+ *   discarded instead of dead-lettered
+ * @param {number} [options.max_attempts] - Defaults to JOB_MAX_ATTEMPTS
+ * @returns {object} The job
+ */
+export function enqueue_job(task, args, { live = false, max_attempts = JOB_MAX_ATTEMPTS } = {}) {
+  const now_ms = Date.now();
+  // Ids sort by creation time, so listing order is queue order
+  const id = `${now_ms.toString(36).padStart(9, "0")}-${crypto.randomBytes(4).toString("hex")}`;
+  const job = {
+    id,
+    task,
+    args,
+    progress: {},
+    live,
+    attempts: 0,
+    max_attempts,
+    created_at: new Date(now_ms).toISOString(),
+    next_attempt_at: new Date(now_ms).toISOString(),
+    expires_at: live ? new Date(now_ms + JOB_LIVE_TTL_MS).toISOString() : null,
+    last_error: null,
+    errors: [],
+  };
+  write_job("pending", job);
+  return job;
+}
+
+// ── Running ───────────────────────────────────────
+
+/**
+ * Delay before the next attempt: doubles per attempt from
+ * JOB_BACKOFF_BASE_MS up to JOB_BACKOFF_MAX_MS, with ±20% jitter so
+ * jobs failed by the same outage don't all retry at once.
+ */
+function backoff_ms(attempts) {
+  const delay = Math.min(JOB_BACKOFF_BASE_MS * 2 ** (attempts - 1), JOB_BACKOFF_MAX_MS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Record a failed attempt and put the job back, dead-letter or discard it.
+ * A `permanent` failure is never retried.
+ */
+function fail_job(job, message, permanent = false) {
+  const now_ms = Date.now();
+  job.attempts++;
+  job.last_error = message;
+  job.errors = [...job.errors, { at: new Date(now_ms).toISOString(), error: message }].slice(-MAX_JOB_ERRORS);
+
+  let status;
+  if (!permanent && job.attempts < job.max_attempts && (job.expires_at === null || Date.parse(job.expires_at) > now_ms)) {
+    job.next_attempt_at = new Date(now_ms + backoff_ms(job.attempts)).toISOString();
+    write_job("pending", job);
+    status = "retrying";
+  } else if (job.live) {
+    status = "discarded";
+  } else {
+    job.dead_at = new Date(now_ms).toISOString();
+    write_job("dead", job);
+    status = "dead";
+  }
+  remove_job("running", job.id);
+  return status;
+}
+
+/**
+ * Claim and run one pending job.
+ *
+ * @param {string} id
+ * @param {Object<string, (args: object, progress: object) => Promise<void>>} handlers
+ * @returns {Promise<{id: string, task: string | null, status: string, error?: string}>}
+ *   status done, retrying, dead, discarded (live job expired or out of
+ *   attempts) or claimed (no longer pending: another process got it first)
+ */
+export async function run_job(id, handlers) {
+  if (!move_job(id, "pending", "running")) {
+    return { id, task: null, status: "claimed" };
+  }
+  // rename keeps the old mtime; staleness counts from the claim
+  const now = new Date();
+  fs.utimesSync(job_file("running", id), now, now);
+  const job = read_job("running", id);
+  if (job === null) {
+    remove_job("running", id);
+    return { id, task: null, status: "discarded", error: "unreadable job file" };
+  }
+
+  if (job.expires_at !== null && Date.parse(job.expires_at) <= Date.now()) {
+    remove_job("running", id);
+    return { id, task: job.task, status: "discarded", error: "expired" };
+  }
+
+  const handler = handlers[job.task];
+  if (handler === undefined) {
+    const error = `no handler for task ${job.task}`;
+    return { id, task: job.task, status: fail_job(job, error, true), error };
+  }
+
+  try {
+    await handler(job.args, job.progress);
+  } catch (err) {
+    return { id, task: job.task, status: fail_job(job, err.message), error: err.message };
+  }
+  remove_job("running", id);
+  return { id, task: job.task, status: "done" };
+}
+
+/**
+ * Jobs left in running/ by a process that died mid-job go back to pending,
+ * counted as a failed attempt.
+ */
+function recover_stale_jobs() {
+  const now_ms = Date.now();
+  for (const id of job_ids("running")) {
+    let stat;
+    try {
+      stat = fs.statSync(job_file("running", id));
+    } catch (_) {
+      continue;
+    }
+    if (now_ms - stat.mtimeMs < JOB_STALE_MS) continue;
+    const job = read_job("running", id);
+    if (job === null) {
+      remove_job("running", id);
+      continue;
+    }
+    fail_job(job, "interrupted: the process running it exited");
+  }
+}
+
+/**
+ * Run pending jobs whose backoff has passed, oldest first, one at a time.
+ *
+ * @param {object} handlers - As for run_job()
+ * @param {number} limit - Most jobs to run
+ * @returns {Promise<object[]>} run_job() results
+ */
+export async function drain_jobs(handlers, limit) {
+  recover_stale_jobs();
+  const now_ms = Date.now();
+  const due = job_ids("pending")
+    .map((id) => read_job("pending", id))
+    .filter((job) => job !== null && Date.parse(job.next_attempt_at) <= now_ms)
+    .slice(0, limit);
+
+  const results = [];
+  for (const job of due) {
+    results.push(await run_job(job.id, handlers));
+  }
+  return results;
+}
+
+// ── Inspection ────────────────────────────────────
+
+function matches(job, { id, task }) {
+  return (id === undefined || job.id === id) && (task === undefined || job.task === task);
+}
+
+function select_jobs(queues, filter) {
+  return queues.flatMap((queue) => job_ids(queue)
+    .map((id) => read_job(queue, id))
+    .filter((job) => job !== null && matches(job, filter))
+    .map((job) => ({ queue, job })));
+}
+
+/**
+ * Number of jobs in each queue.
+ */
+export function job_counts() {
+  return Object.fromEntries(JOB_QUEUES.map((queue) => [queue, job_ids(queue).length]));
+}
+
+/**
+ * Jobs in the given queues (all by default), without their args.
+ *
+ * @param {object} [filter]
+ * @param {string[]} [filter.queues]
+ * @param {string} [filter.id]
+ * @param {string} [filter.task]
+ * @returns {object[]}
+ */
+export function list_jobs({ queues = JOB_QUEUES, id, task } = {}) {
+  return select_jobs(queues, { id, task }).map(({ queue, job }) => ({
+    id: job.id,
+    queue,
+    task: job.task,
+    live: job.live,
+    attempts: job.attempts,
+    max_attempts: job.max_attempts,
+    created_at: job.created_at,
+    next_attempt_at: queue === "pending" ? job.next_attempt_at : null,
+    dead_at: job.dead_at !== undefined ? job.dead_at : null,
+    last_error: job.last_error,
+  }));
+}
+
+/**
+ * Make jobs due now: dead jobs go back to pending with a fresh set of
+ * attempts, pending ones skip their backoff.
+ *
+ * @param {object} [filter] - `id`, `task`, and `queues` (dead and pending by default)
+ * @returns {string[]} Ids of the requeued jobs
+ */
+export function requeue_jobs({ queues = ["dead", "pending"], id, task } = {}) {
+  const now = new Date().toISOString();
+  const requeued = [];
+  for (const { queue, job } of select_jobs(queues.filter((q) => q !== "running"), { id, task })) {
+    const fresh = { ...job, next_attempt_at: now };
+    if (queue === "dead") {
+      fresh.attempts = 0;
+      delete fresh.dead_at;
+    }
+    write_job("pending", fresh);
+    if (queue !== "pending") remove_job(queue, job.id);
+    requeued.push(job.id);
+  }
+  return requeued;
+}
+
+/**
+ * Delete jobs.
+ *
+ * @param {object} filter
+ * @param {string[]} filter.queues
+ * @param {string} [filter.id]
+ * @param {string} [filter.task]
+ * @param {number} [filter.older_than_ms] - Only jobs created at least this long ago
+ * @returns {number} Jobs deleted
+ */
+export function purge_jobs({ queues, id, task, older_than_ms }) {
+  const cutoff = older_than_ms !== undefined ? Date.now() - older_than_ms : null;
+  let purged = 0;
+  for (const { queue, job } of select_jobs(queues, { id, task })) {
+    if (cutoff !== null && Date.parse(job.created_at) > cutoff) continue;
+    remove_job(queue, job.id);
+    purged++;
+  }
+  return purged;
+}
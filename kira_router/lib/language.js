@@ -0,0 +1,173 @@
+/**
+ * Kira Router — Language Detection
+ *
+ * Which language a message is written in, so the reply can be too. No
+ * model call: Chinese, Japanese, Korean and Russian are told apart by
+ * script, and English, Spanish and Portuguese by their most common short
+ * words and a few letters only one of them uses (ñ, ¿ / ã, õ, ç). Code,
+ * links, mentions and addresses are left out first.
+ *
+ * A confident detection decides the reply language and becomes the
+ * sender's stored preference (kira_relationships.preferred_language). For
+ * short or mixed messages ("gm", "ok 👍", "KIRA to the moon") the stored
+ * preference wins, then a tentative detection, then `languages.default`.
+ * Only languages listed in `languages.supported` are ever chosen.
+ */
+
+import { LANGUAGES, LANGUAGE_CONFIDENCE, LANGUAGE_MIN_WORDS } from "./config.js";
+
+// Common words, lowercased. Words two languages share count for both.
+const STOPWORDS = {
+  en: [
+    "the", "and", "is", "are", "you", "what", "how", "this", "that", "with", "for", "have", "can", "my",
+    "your", "it", "of", "to", "do", "does", "i'm", "it's", "please", "thanks", "when", "where", "why",
+    "who", "be", "will", "just", "about", "was", "not", "but", "there",
+  ],
+  es: [
+    "el", "la", "los", "las", "que", "qué", "es", "está", "estás", "por", "para", "con", "una", "uno",
+    "cómo", "como", "pero", "muy", "gracias", "hola", "tú", "usted", "mi", "tu", "y", "del", "al", "hay",
+    "puedes", "quiero", "también", "dónde", "cuándo", "porque", "este", "esta", "eso", "soy", "eres", "en",
+  ],
+  pt: [
+    "o", "os", "as", "que", "é", "está", "você", "vocês", "não", "sim", "com", "para", "uma", "um",
+    "como", "mas", "muito", "obrigado", "obrigada", "oi", "olá", "meu", "minha", "seu", "sua", "do",
+    "da", "dos", "das", "no", "na", "em", "tem", "pode", "quero", "também", "onde", "quando", "porque",
+    "isso", "este", "esta", "sou", "e",
+  ],
+};
+
+const STOPWORD_SETS = Object.fromEntries(Object.entries(STOPWORDS).map(([code, words]) => [code, new Set(words)]));
+
+// Letters only one of the Latin-script languages uses; each counts as this many words
+const LETTER_HINTS = [
+  { code: "es", pattern: /[ñ¿¡]/gu },
+  { code: "pt", pattern: /[ãõç]/gu },
+];
+const LETTER_HINT_WEIGHT = 2;
+
+// Scripts that identify a language on their own
+const SCRIPTS = [
+  { code: "zh", pattern: /\p{Script=Han}/gu },
+  { code: "ko", pattern: /\p{Script=Hangul}+/gu },
+  { code: "ru", pattern: /\p{Script=Cyrillic}+/gu },
+];
+
+// Japanese writes most content words in Han, so any kana at all marks it
+const KANA = /[\p{Script=Hiragana}\p{Script=Katakana}]/gu;
+
+/**
+ * The message without the parts that aren't in its language.
+ */
+function prose(message) {
+  return message
+    .replace(/```[\s\S]*?(```|$)/g, " ")
+    .replace(/`[^`]*`/g, " ")
+    .replace(/https?:\/\/\S+/g, " ")
+    .replace(/[@#$]\w+/g, " ")
+    .replace(/\b[1-9A-HJ-NP-Za-km-z]{25,}\b/g, " ")
+    .replace(/\b0x[0-9a-fA-F]+\b/g, " ");
+}
+
+function count_matches(text, pattern) {
+  const matches = text.match(pattern);
+  return matches !== null ? matches.length : 0;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Best-scoring language and how far ahead of the runner-up it is:
+ * (best - runner-up) / (best + 2), so it takes three words or so ("to the
+ * moon" in an otherwise Spanish chat isn't enough) to be confident.
+ */
+function pick(scores) {
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  if (ranked.length === 0 || ranked[0][1] === 0) return { language: null, confidence: 0 };
+  const runner_up = ranked.length > 1 ? ranked[1][1] : 0;
+  if (ranked[0][1] === runner_up) return { language: null, confidence: 0 };
+  return { language: ranked[0][0], confidence: round((ranked[0][1] - runner_up) / (ranked[0][1] + 2)) };
+}
+
+/**
+ * Detect the language of a message among the supported ones.
+ *
+ * @param {string} message
+ * @returns {{language: string | null, confidence: number}} null when
+ *   undetermined (too short, tied, or in an unsupported language)
+ */
+export function detect_language(message) {
+  if (LANGUAGES === null) return { language: null, confidence: 0 };
+  const supported = LANGUAGES.supported;
+  const text = prose(message);
+
+  // Each Han character is roughly a word; other scripts count word runs
+  const latin_words = (text.toLowerCase().match(/[\p{Script=Latin}'’]+/gu) || []).map((w) => w.replace(/’/g, "'"));
+  const script_words = Object.fromEntries(SCRIPTS.map(({ code, pattern }) => [code, count_matches(text, pattern)]));
+  const kana = count_matches(text, KANA);
+  const total = latin_words.length + kana + Object.values(script_words).reduce((sum, n) => sum + n, 0);
+  if (total < LANGUAGE_MIN_WORDS) return { language: null, confidence: 0 };
+
+  // Kana before the Han share, which kanji-heavy Japanese would pass
+  if (kana > 0) {
+    const share = (kana + script_words.zh) / total;
+    return supported.ja !== undefined ? { language: "ja", confidence: round(share) } : { language: null, confidence: 0 };
+  }
+
+  // Mostly one non-Latin script: its share of the words is the confidence
+  for (const { code } of SCRIPTS) {
+    const share = script_words[code] / total;
+    if (share >= 0.5) {
+      return supported[code] !== undefined ? { language: code, confidence: round(share) } : { language: null, confidence: 0 };
+    }
+  }
+
+  const scores = {};
+  for (const code of Object.keys(STOPWORD_SETS)) {
+    if (supported[code] === undefined) continue;
+    scores[code] = latin_words.filter((word) => STOPWORD_SETS[code].has(word)).length;
+  }
+  for (const { code, pattern } of LETTER_HINTS) {
+    if (scores[code] !== undefined) scores[code] += count_matches(text.toLowerCase(), pattern) * LETTER_HINT_WEIGHT;
+  }
+  return pick(scores);
+}
+
+/**
+ * The language to reply in.
+ *
+ * @param {{language: string | null, confidence: number}} detected - From detect_language()
+ * @param {string | null | undefined} preferred - The sender's stored preference
+ * @returns {{code: string, name: string, source: string, detected: string | null, confidence: number} | null}
+ *   null when no `languages` section is configured. `source` is message
+ *   (confident detection), preference, guess (tentative detection) or default
+ */
+export function resolve_language(detected, preferred) {
+  if (LANGUAGES === null) return null;
+  const supported = LANGUAGES.supported;
+
+  let code = LANGUAGES.default;
+  let source = "default";
+  if (detected.language !== null && detected.confidence >= LANGUAGE_CONFIDENCE) {
+    code = detected.language;
+    source = "message";
+  } else if (preferred !== null && preferred !== undefined && supported[preferred] !== undefined) {
+    code = preferred;
+    source = "preference";
+  } else if (detected.language !== null) {
+    code = detected.language;
+    source = "guess";
+  }
+  return { code, name: supported[code].name, source, detected: detected.language, confidence: detected.confidence };
+}
+
+/**
+ * Greeting words of every supported language, for the greeting heuristic.
+ *
+ * @returns {string[]}
+ */
+export function localized_greetings() {
+  if (LANGUAGES === null) return [];
+  return Object.values(LANGUAGES.supported).flatMap((language) => language.greetings);
+}
@@ -0,0 +1,263 @@
+import '/workspace/kira/scripts/load-env.js';
+/**
+ * Kira Router — Persona Facts
+ *
+ * Persona texts in router.config.json may use `{{name}}` placeholders for
+ * facts that go stale: the token price, what Kira is working on, active
+ * plans, the latest repo. Each entry in `persona_facts` names where its
+ * value comes from:
+ *
+ *   command       a registered router command (token_price, treasury,
+ *                 holders, …) run with its default args; its reply is the value
+ *   stream_task   the current task on the stream bridge dashboard
+ *   active_plans  approved and executing plans in kira_plans
+ *   latest_repo   the most recently pushed repo on GitHub
+ *
+ * Values are cached in .state/persona_facts.json, shared by CLI runs and
+ * the server, and fetched again once `refresh_seconds` have passed. A stale
+ * value is still used while it refreshes in the background, up to
+ * `max_stale_seconds`. A fact with no usable value waits for its fetch (at
+ * most PERSONA_FACT_TIMEOUT_MS) and otherwise uses its `fallback`, as does
+ * a source with nothing to report. A failed fetch isn't retried before the
+ * next refresh is due, so a source that is down doesn't slow every reply.
+ */
+
+import { createClient } from "@supabase/supabase-js";
+import { PERSONA_FACTS, PERSONA_FACT_TIMEOUT_MS, PERSONA_FACT_PLAN_LIMIT, USER_TIERS } from "./config.js";
+import { PERSONA_PLACEHOLDER } from "./config_schema.js";
+import { load_command_registry, check_supplied_args, with_timeout } from "./commands.js";
+import { GITHUB_OWNER, github_api_url } from "./builtin_commands.js";
+import { read_state_json, write_state_json } from "./state.js";
+import { span, fail_span } from "./tracing.js";
+
+const STATE_FILE = "persona_facts.json";
+const DEFAULT_STREAM_BRIDGE_URL = "http://localhost:8766";
+
+// Fetches in flight, by fact name, so concurrent requests share one
+const _refreshing = new Map();
+
+// ── Clients (lazy init) ───────────────────────────
+
+let _supabase = null;
+
+function get_supabase() {
+  if (_supabase !== null) return _supabase;
+  const url = process.env.SUPABASE_URL;
+  const key = process.env.SUPABASE_SERVICE_KEY;
+  if (url === undefined || url === "" || key === undefined || key === "") {
+    throw new Error("SUPABASE_URL and SUPABASE_SERVICE_KEY must be set");
+  }
+  _supabase = createClient(url, key);
+  return _supabase;
+}
+
+// ── Sources ───────────────────────────────────────
+
+async function stream_task() {
+  const base = process.env.STREAM_BRIDGE_URL !== undefined && process.env.STREAM_BRIDGE_URL !== ""
+    ? process.env.STREAM_BRIDGE_URL
+    : DEFAULT_STREAM_BRIDGE_URL;
+  const response = await fetch(`${base}/state`);
+  if (!response.ok) {
+    throw new Error(`stream bridge returned ${response.status}`);
+  }
+  const state = await response.json();
+  return typeof state.currentTask === "string" ? state.currentTask.trim() : "";
+}
+
+async function active_plans() {
+  const { data, error } = await get_supabase()
+    .from("kira_plans")
+    .select("title, status")
+    .in("status", ["approved", "executing"])
+    .order("created_at", { ascending: false })
+    .limit(PERSONA_FACT_PLAN_LIMIT * 2);
+
+  if (error !== null) {
+    throw new Error(`kira_plans query failed: ${error.message}`);
+  }
+  // Plans being executed first, then the ones approved and up next
+  const ordered = [
+    ...data.filter((p) => p.status === "executing"),
+    ...data.filter((p) => p.status === "approved").map((p) => ({ ...p, title: `${p.title} (up next)` })),
+  ];
+  return ordered.slice(0, PERSONA_FACT_PLAN_LIMIT).map((p) => p.title).join("; ");
+}
+
+async function latest_repo() {
+  const headers = { Accept: "application/vnd.github+json" };
+  if (process.env.GITHUB_TOKEN !== undefined && process.env.GITHUB_TOKEN !== "") {
+    headers.Authorization = `Bearer ${process.env.GITHUB_TOKEN}`;
+  }
+
+  const response = await fetch(`${github_api_url()}/users/${GITHUB_OWNER}/repos?sort=pushed&per_page=1`, { headers });
+  if (!response.ok) {
+    throw new Error(`GitHub API returned ${response.status}`);
+  }
+  const data = await response.json();
+  if (data.length === 0) return "";
+  const repo = data[0];
+  return `github.com/${GITHUB_OWNER}/${repo.name}${repo.description ? ` (${repo.description})` : ""}`;
+}
+
+const SOURCES = { stream_task, active_plans, latest_repo };
+
+/**
+ * Run a registered command the way a tool call with no arguments would:
+ * defaults only, no tier check (the facts are Kira's own).
+ */
+async function command_output(name) {
+  const command = (await load_command_registry()).get(name);
+  if (command === undefined) {
+    throw new Error(`command ${name} is not registered`);
+  }
+  const ctx = { message: "", platform: "persona", sender_id: null, user_id: null, user_tier: USER_TIERS[USER_TIERS.length - 1] };
+  const { args, missing } = check_supplied_args(command.args, {}, ctx);
+  if (missing.length > 0) {
+    throw new Error(`command ${name} needs ${missing.map((arg) => arg.name).join(", ")}`);
+  }
+  const output = await command.handler(args, ctx);
+  return typeof output === "string" ? output.trim() : "";
+}
+
+function source_key(fact) {
+  return fact.command !== null ? `command:${fact.command}` : fact.source;
+}
+
+// ── Cache ─────────────────────────────────────────
+
+/**
+ * Cached entry for a fact, unless it came from a source the config no
+ * longer names.
+ */
+function cached_entry(cache, name, fact) {
+  const entry = cache[name];
+  return entry !== undefined && entry.source === source_key(fact) ? entry : null;
+}
+
+function save_entry(name, entry) {
+  try {
+    write_state_json(STATE_FILE, { ...read_state_json(STATE_FILE, {}), [name]: entry });
+  } catch (err) {
+    console.error(`Persona facts: could not save ${name}: ${err.message}`);
+  }
+}
+
+/**
+ * Fetch a fact and cache the result. Never rejects: a failure keeps the
+ * previous value and records the error.
+ *
+ * @returns {Promise<object>} The new cache entry
+ */
+function refresh(name, fact, previous) {
+  const running = _refreshing.get(name);
+  if (running !== undefined) return running;
+
+  const attributes = fact.command !== null ? { command: fact.command } : { source: fact.source };
+  const fetching = span(`persona_facts.${name}`, attributes, async () => {
+    const checked_at = Date.now();
+    try {
+      const fetch_value = fact.command !== null ? command_output(fact.command) : SOURCES[fact.source]();
+      const value = await with_timeout(fetch_value, PERSONA_FACT_TIMEOUT_MS, `persona fact ${name}`);
+      if (value.length === 0) {
+        throw new Error("nothing to report");
+      }
+      return { source: source_key(fact), value, fetched_at: checked_at, checked_at, error: null };
+    } catch (err) {
+      console.error(`Persona fact ${name} failed: ${err.message}`);
+      fail_span(err.message);
+      return {
+        source: source_key(fact),
+        value: previous !== null ? previous.value : null,
+        fetched_at: previous !== null ? previous.fetched_at : null,
+        checked_at,
+        error: err.message,
+      };
+    }
+  }).then((entry) => {
+    save_entry(name, entry);
+    return entry;
+  }).finally(() => {
+    _refreshing.delete(name);
+  });
+
+  _refreshing.set(name, fetching);
+  return fetching;
+}
+
+/**
+ * What a cache entry gives a fact right now.
+ */
+function describe_fact(fact, entry, now) {
+  const age_ms = entry !== null && entry.fetched_at !== null ? now - entry.fetched_at : null;
+  const base = {
+    fetched_at: age_ms !== null ? new Date(entry.fetched_at).toISOString() : null,
+    error: entry !== null ? entry.error : null,
+  };
+  if (age_ms === null || age_ms >= fact.max_stale_seconds * 1000) {
+    return { value: fact.fallback, status: "fallback", ...base };
+  }
+  const status = age_ms < fact.refresh_seconds * 1000 ? "fresh" : "stale";
+  return { value: entry.value, status, ...base };
+}
+
+// ── Public ────────────────────────────────────────
+
+/**
+ * Every configured fact's current value, fetching the ones that are due.
+ * Only facts with no usable value are waited for.
+ *
+ * @returns {Promise<Object<string, {value: string, status: string, fetched_at: string | null, error: string | null}>>}
+ *   Fact name → value; status is fresh, stale (refreshing) or fallback
+ */
+export async function load_persona_facts() {
+  const names = Object.keys(PERSONA_FACTS);
+  if (names.length === 0) return {};
+
+  const now = Date.now();
+  const cache = read_state_json(STATE_FILE, {});
+  const entries = await Promise.all(names.map((name) => {
+    const fact = PERSONA_FACTS[name];
+    const entry = cached_entry(cache, name, fact);
+    if (entry !== null && now - entry.checked_at < fact.refresh_seconds * 1000) return entry;
+
+    const fetching = refresh(name, fact, entry);
+    return describe_fact(fact, entry, now).status === "fallback" ? fetching : entry;
+  }));
+
+  const facts = {};
+  names.forEach((name, i) => {
+    facts[name] = describe_fact(PERSONA_FACTS[name], entries[i], Date.now());
+  });
+  return facts;
+}
+
+/**
+ * Fill a persona text's placeholders. Facts missing from `facts` (a
+ * fixture recorded before the fact existed) use their fallback.
+ *
+ * @param {string} text - Persona text from resolve_persona()
+ * @param {object} [facts] - From load_persona_facts()
+ * @returns {string}
+ */
+export function render_persona(text, facts = {}) {
+  return text.replace(PERSONA_PLACEHOLDER, (placeholder, name) => {
+    if (facts[name] !== undefined) return facts[name].value;
+    return PERSONA_FACTS[name] !== undefined ? PERSONA_FACTS[name].fallback : placeholder;
+  });
+}
+
+/**
+ * Cached facts for status output, without fetching anything.
+ *
+ * @returns {object[]}
+ */
+export function persona_fact_status() {
+  const now = Date.now();
+  const cache = read_state_json(STATE_FILE, {});
+  return Object.entries(PERSONA_FACTS).map(([name, fact]) => {
+    const entry = cached_entry(cache, name, fact);
+    const { status, fetched_at, error } = describe_fact(fact, entry, now);
+    return { name, source: source_key(fact), status, fetched_at, refresh_seconds: fact.refresh_seconds, error };
+  });
+}
@@ -0,0 +1,451 @@
+import '/workspace/kira/scripts/load-env.js';
+/**
+ * Kira Router — Message Pipeline
+ *
+ * The classify → load context → policy → generate steps shared by the
+ * one-shot CLI (`router.js respond`) and the long-running server
+ * (`router.js serve`). Background tasks are returned as a context object
+ * rather than run here, so each caller decides when they fire (after
+ * stdout / after the HTTP reply).
+ */
+
+import { classify_message } from "./classify.js";
+import { load_context } from "./context_loader.js";
+import { generate_response } from "./responder.js";
+import { derive_emotion } from "./sentiment.js";
+import { create_live_speaker } from "./speech.js";
+import { config_info, BUDGET, CLASSIFIER } from "./config.js";
+import { load_intent_model, model_threshold } from "./intent_model.js";
+import { breaker_snapshot } from "./circuit_breaker.js";
+import { job_counts } from "./jobs.js";
+import { list_commands } from "./commands.js";
+import { sender_key, check_sender, throttle_notice } from "./policy.js";
+import { check_should_respond, apply_tier_gate, record_reply } from "./group_chat.js";
+import { scan_text } from "./injection.js";
+import { with_trace, span, set_span_attributes, trace_parent } from "./tracing.js";
+import { load_persona_facts, persona_fact_status } from "./persona_facts.js";
+import { detect_language, resolve_language } from "./language.js";
+import { start_cache_lookup, finish_cache_lookup, store_skip_reason } from "./response_cache.js";
+import { scan_attachments, attachment_summary } from "./attachments.js";
+import { spend_today } from "/workspace/kira/scripts/usage-ledger.js";
+
+/**
+ * Run a message through classification, context loading, tier policy
+ * and generation, inside a trace. Each stage reports its decision in the
+ * output (`policy`, `should_respond`, `cache`, `language`, …).
+ *
+ * @param {object} params
+ * @param {string} params.platform - telegram, stream_chat, x
+ * @param {string} params.sender_id - Platform-specific sender ID
+ * @param {string} params.message - The message text (may be empty when attachments are sent)
+ * @param {string} [params.sender_name] - Sender display name
+ * @param {object} [params.chat] - Chat the message was sent in (see check_should_respond()); without it
+ *   the message is treated as sent directly to Kira
+ * @param {object[]} [params.attachments] - Prepared attachments (see prepare_attachments())
+ * @param {string} [params.replaces] - The message edits an earlier one (`chat.message_id`): that
+ *   exchange is left out of history and its logged rows are replaced (see background.js)
+ * @param {(event: object) => void} [params.on_event] - Enables streaming: receives a
+ *   `meta` event once context is loaded, then `token` / `fallback` / `replace` events from the responder.
+ *   Complete sentences are spoken on the avatar bridge as they form (see speech.js).
+ * @param {object} [params.trace] - Filled with the `classification`, the loaded `context` and
+ *   the LLM `generation` (prompt and first draft); `router.js record` saves it as an eval fixture.
+ *   Traced messages bypass the response cache
+ * @returns {Promise<{output: object, background: object}>}
+ *   `output` is the respond JSON, `background` is the argument for queue_background_tasks
+ */
+export function process_message(params) {
+  const attributes = {
+    platform: params.platform,
+    streaming: params.on_event !== undefined,
+    attachments: params.attachments !== undefined ? params.attachments.length : 0,
+  };
+  return with_trace("respond", attributes, async (trace_id) => {
+    const { output, background } = await route_message(params);
+    return { output: { ...output, trace_id }, background };
+  });
+}
+
+/**
+ * The steps of process_message(), run inside its trace.
+ */
+async function route_message({ platform, sender_id, message, sender_name, chat, attachments = [], replaces = null, on_event, trace }) {
+  const start_time = Date.now();
+
+  // Step 1: Classify the message (and what's attached to it)
+  const {
+    intent,
+    intents,
+    matched_command,
+    matched_commands,
+    entities,
+    decided_by,
+    confidence,
+  } = await span("classify", {}, async () => {
+    const classification = await classify_message(message, attachments);
+    set_span_attributes({ intent: classification.intent, decided_by: classification.decided_by });
+    return classification;
+  });
+  const detected_language = detect_language(message);
+
+  // Injection attempts are answered (without complying) but recorded
+  const message_flags = [...new Set([...scan_text(message), ...scan_attachments(attachments)])];
+
+  // Group chats: is this message for Kira at all? Spam is left to the tier policy
+  let should_respond = intent !== "spam"
+    ? check_should_respond({ platform, chat, sender_id, message, intent })
+    : null;
+  const addressed = should_respond === null || should_respond.respond;
+
+  // Cache lookup runs while context loads; matching needs the tier, knowledge and persona facts from it
+  const cache_lookup = trace === undefined && addressed
+    ? start_cache_lookup({ intent, message, matched_commands, entities, message_flags, attachments })
+    : null;
+
+  // Step 2: Load context (runs in parallel internally), and the live facts personas quote
+  const [context, persona_facts] = addressed
+    ? await Promise.all([
+      span("context", { intent }, () => load_context({
+        platform,
+        sender_id,
+        message,
+        intent,
+        replaces,
+      })),
+      load_persona_facts(),
+    ])
+    : [unloaded_context(), {}];
+
+  // A confident detection wins; short messages fall back to what the sender usually writes
+  const language = resolve_language(
+    detected_language,
+    context.relationship !== null ? context.relationship.preferred_language : null,
+  );
+
+  if (trace !== undefined) {
+    trace.attachments = attachments;
+    trace.classification = { intent, intents, matched_command, matched_commands, entities, decided_by, confidence };
+    trace.context = {
+      user_id: context.user_id,
+      engagement: context.engagement,
+      context_text: context.context_text,
+      context_loaded: context.context_loaded,
+      context_flags: context.context_flags,
+      history: context.history,
+    };
+    trace.persona_facts = persona_facts;
+    trace.language = language;
+  }
+
+  // Step 3: Tier policy — rate limit, spam mute. Unanswered group messages don't count
+  const user_tier = context.engagement.tier;
+  if (should_respond !== null && addressed) {
+    should_respond = apply_tier_gate(should_respond, user_tier);
+  }
+  const decision = should_respond === null || should_respond.respond
+    ? check_sender({
+      key: sender_key(platform, sender_id, context.user_id),
+      tier: user_tier,
+      intent,
+    })
+    : { action: "silent", reason: "not_addressed", tier: user_tier, rate_limit: null, muted_until: null };
+
+  // Streaming: announce routing, then speak sentences while tokens arrive
+  let speaker = null;
+  let forward_event;
+  if (on_event !== undefined) {
+    on_event({
+      type: "meta",
+      intent,
+      intents,
+      intent_decided_by: decided_by,
+      matched_command,
+      matched_commands,
+      user_tier,
+      policy_action: decision.action,
+      should_respond,
+      context_loaded: context.context_loaded,
+    });
+
+    speaker = create_live_speaker(derive_emotion(intent), intent);
+    forward_event = (event) => {
+      if (event.type === "token") speaker.push(event.text);
+      on_event(event);
+    };
+  }
+
+  const cached = cache_lookup !== null
+    ? await span("cache_lookup", {}, async () => {
+      const result = await finish_cache_lookup(cache_lookup, {
+        intent,
+        platform,
+        user_tier,
+        language: language !== null ? language.code : null,
+        policy_action: decision.action,
+        knowledge_entries: context.knowledge_entries,
+        persona_facts,
+      });
+      set_span_attributes({ status: result.report.status });
+      return result;
+    })
+    : null;
+
+  // Step 4: Generate response with routed model (unless policy says otherwise or the cache has it)
+  let generated;
+  if (cached !== null && cached.hit !== null) {
+    if (forward_event !== undefined) {
+      forward_event({ type: "token", text: cached.hit.response_text });
+    }
+    generated = {
+      response_text: cached.hit.response_text,
+      model_used: "cache",
+      provider_attempts: [],
+      budget: null,
+      tier_adjustments: null,
+      experiment: null,
+      commands_run: [],
+      command_results: [],
+      tool_calls: [],
+      leak_blocked: false,
+      outbound: null,
+    };
+  } else if (decision.action === "respond") {
+    generated = await span("generate", { intent }, () => generate_response({
+      message,
+      intent,
+      intents,
+      matched_command,
+      matched_commands,
+      entities,
+      context_text: context.context_text,
+      sender_name,
+      platform,
+      sender_id,
+      user_id: context.user_id,
+      user_tier,
+      message_flags,
+      history: context.history,
+      attachments,
+      persona_facts,
+      language,
+      on_event: forward_event,
+      trace,
+    }));
+  } else {
+    const notice = decision.action === "throttled" ? throttle_notice(decision) : "";
+    if (forward_event !== undefined && notice.length > 0) {
+      forward_event({ type: "token", text: notice });
+    }
+    generated = {
+      response_text: notice,
+      model_used: "none",
+      provider_attempts: [],
+      budget: null,
+      tier_adjustments: null,
+      experiment: null,
+      commands_run: [],
+      command_results: [],
+      tool_calls: [],
+      leak_blocked: false,
+      outbound: null,
+    };
+  }
+  const {
+    response_text,
+    model_used,
+    provider_attempts,
+    budget,
+    tier_adjustments,
+    experiment,
+    commands_run,
+    command_results,
+    tool_calls,
+    leak_blocked,
+    outbound,
+  } = generated;
+
+  // Fresh replies to cacheable messages are stored after the response goes out
+  let cache_entry = null;
+  if (cached !== null && cached.hit === null && cached.fingerprint !== null) {
+    const skipped = store_skip_reason({ generated, context, sender_name });
+    if (skipped === null) {
+      cache_entry = { message, intent, fingerprint: cached.fingerprint, platform, response_text, model_used };
+    }
+    cached.report.stored = skipped === null;
+    cached.report.store_skipped = skipped;
+  }
+
+  if (response_text.length > 0 && decision.action === "respond") {
+    record_reply(should_respond, sender_id);
+  }
+
+  // Streamed speech only finishes the reply if it went out as generated; a
+  // blocked or changed reply is spoken by the background task, in its approved form
+  const approved_as_streamed = !leak_blocked && (outbound === null || outbound.action === "allow");
+  const spoken_live = speaker !== null && approved_as_streamed && response_text.length > 0;
+  if (speaker !== null) {
+    // Speech finishes on its own; the reply shouldn't wait for the avatar
+    speaker.finish(approved_as_streamed).catch((err) => console.error(`Live speech failed: ${err.message}`));
+  }
+
+  const elapsed_ms = Date.now() - start_time;
+  set_span_attributes({
+    intent,
+    user_tier,
+    policy_action: decision.action,
+    model_used,
+    language: language !== null ? language.code : null,
+    experiment: experiment !== null ? `${experiment.experiment}:${experiment.variant}` : null,
+  });
+
+  const output = {
+    response_text,
+    intent,
+    intent_decided_by: decided_by,
+    intent_confidence: confidence,
+    intents,
+    entities,
+    attachments: attachment_summary(attachments),
+    commands_run,
+    command_results,
+    tool_calls,
+    model_used,
+    provider_attempts,
+    budget_downgraded: budget,
+    user_tier,
+    policy: {
+      ...decision,
+      route: tier_adjustments,
+      commands_denied: command_results.filter((r) => r.status === "denied").map((r) => r.command),
+    },
+    injection: {
+      message_flags,
+      context_flags: context.context_flags,
+      leak_blocked,
+    },
+    outbound,
+    should_respond,
+    experiment,
+    language,
+    cache: cached !== null ? cached.report : null,
+    context_loaded: context.context_loaded,
+    history_turns: context.history.turns.length,
+    history_summarized: context.history.summary !== null,
+    elapsed_ms,
+    background_tasks: [],
+  };
+
+  // Memories and logs keep the text plus the attachment names
+  const logged_message = attachments.length > 0
+    ? `${message}\n[Attached: ${attachments.map((a) => a.name).join(", ")}]`.trim()
+    : message;
+
+  const background = {
+    platform,
+    user_id: context.user_id,
+    sender_id,
+    sender_name: sender_name !== undefined && sender_name !== null ? sender_name : sender_id,
+    message: logged_message,
+    response_text,
+    intent,
+    intent_decided_by: decided_by,
+    policy_action: decision.action,
+    addressed: should_respond === null || should_respond.respond,
+    used_tools: tool_calls.length > 0,
+    experiment,
+    language: language !== null ? language.code : null,
+    // Only a confident detection updates the stored preference
+    preferred_language: language !== null && language.source === "message" ? language.code : null,
+    injection_patterns: leak_blocked ? [...message_flags, "system_prompt_leak"] : message_flags,
+    spoken_live,
+    cache_entry,
+    message_id: chat !== undefined && chat.message_id !== undefined ? chat.message_id : null,
+    replaces,
+    trace_parent: trace_parent(),
+  };
+
+  return { output, background };
+}
+
+/**
+ * Stand-in for load_context() when a group message won't be answered.
+ */
+function unloaded_context() {
+  return {
+    user_id: null,
+    engagement: { tier: null },
+    relationship: null,
+    context_text: "",
+    context_loaded: null,
+    context_flags: [],
+    knowledge_entries: [],
+    history: { turns: [], summary: null },
+  };
+}
+
+/**
+ * Classify a message without generating a response.
+ *
+ * @param {string} message
+ * @param {object[]} [attachments] - Prepared attachments
+ * @returns {Promise<{intent: string, matched_command: string | null, decided_by: string,
+ *   confidence: number | null, local_prediction: object | null, elapsed_ms: number}>}
+ */
+export async function classify_only(message, attachments = []) {
+  const start_time = Date.now();
+  const result = await classify_message(message, attachments);
+  const elapsed_ms = Date.now() - start_time;
+
+  return { ...result, elapsed_ms };
+}
+
+/**
+ * Check which required and optional env vars are set, and list the
+ * registered router commands.
+ *
+ * @returns {Promise<{status: string, checks: object}>}
+ */
+export async function check_status() {
+  const checks = {
+    supabase_url: is_set("SUPABASE_URL"),
+    supabase_key: is_set("SUPABASE_SERVICE_KEY"),
+    openai_key: is_set("OPENAI_API_KEY"),
+    deepseek_key: is_set("DEEPSEEK_API_KEY"),
+    moonshot_key: is_set("MOONSHOT_API_KEY"),
+    avatar_bridge: is_set("AVATAR_BRIDGE_URL"),
+    stream_bridge: is_set("STREAM_BRIDGE_URL"),
+    telegram_bot: is_set("TELEGRAM_BOT_TOKEN"),
+  };
+
+  const required_ok = checks.supabase_url && checks.supabase_key && checks.openai_key && checks.moonshot_key;
+
+  return {
+    status: required_ok ? "ok" : "missing_required_env",
+    checks,
+    config: config_info(),
+    circuit_breakers: breaker_snapshot(),
+    budget: { caps: BUDGET, spend_today: spend_today() },
+    intent_model: intent_model_info(),
+    commands: await list_commands(),
+    jobs: job_counts(),
+    persona_facts: persona_fact_status(),
+  };
+}
+
+function intent_model_info() {
+  const model = load_intent_model();
+  if (model === null) {
+    return { trained: false, enabled: CLASSIFIER.enabled };
+  }
+  return {
+    trained: true,
+    enabled: CLASSIFIER.enabled,
+    confidence_threshold: model_threshold(model, CLASSIFIER.confidence_threshold),
+    trained_at: model.trained_at,
+    intents: model.intents,
+    holdout_accuracy: model.holdout.accuracy,
+  };
+}
+
+function is_set(name) {
+  return process.env[name] !== undefined && process.env[name] !== "";
+}
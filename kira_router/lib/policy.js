@@ -0,0 +1,195 @@
+/**
+ * Kira Router — Tier Policy and Rate Limits
+ *
+ * The sender's engagement tier (observer … inner_circle) decides how Kira
+ * replies, driven by `tier_policy` in router.config.json:
+ *
+ *   - a per-sender rate limit (sliding window); the first message over the
+ *     limit gets a short "slow down" reply, later ones are ignored until
+ *     the window frees up
+ *   - a cap on the route's max_tokens and persona substitutions
+ *     (e.g. observers get persona_medium where others get persona_full)
+ *   - the lowest tier allowed to run a command, overriding the skill's own
+ *
+ * Spam-classified messages are never answered; a sender with enough spam
+ * strikes in a window is muted entirely for a while. Counters are kept in
+ * .state/rate_limits.json so CLI invocations and the server share them.
+ */
+
+import { TIER_POLICY, USER_TIERS } from "./config.js";
+import { read_state_json, update_state_json } from "./state.js";
+
+const STATE_FILE = "rate_limits.json";
+
+function load_all() {
+  return read_state_json(STATE_FILE, {});
+}
+
+/**
+ * Change the senders' counters under the lock, so concurrent messages
+ * (CLI, server, Telegram) don't overwrite each other's counts. If the state
+ * can't be saved, `update` decides from an unsaved copy instead.
+ */
+function update_senders(update) {
+  try {
+    return update_state_json(STATE_FILE, {}, update);
+  } catch (err) {
+    console.error(`Rate limit state save failed: ${err.message}`);
+    return update(load_all());
+  }
+}
+
+function fresh_sender() {
+  return { messages: [], spam: [], muted_until: null, throttled_at: null };
+}
+
+function tier_policy(tier) {
+  if (TIER_POLICY === null) return null;
+  const policy = TIER_POLICY.tiers[tier];
+  return policy !== undefined ? policy : TIER_POLICY.tiers[USER_TIERS[0]];
+}
+
+/**
+ * Whether an entry still carries anything worth keeping.
+ */
+function is_stale(sender, now_ms) {
+  const max_window_ms = 24 * 60 * 60 * 1000;
+  return sender.messages.every((t) => now_ms - t > max_window_ms)
+    && sender.spam.every((t) => now_ms - t > max_window_ms)
+    && (sender.muted_until === null || Date.parse(sender.muted_until) <= now_ms)
+    && (sender.throttled_at === null || now_ms - sender.throttled_at > max_window_ms);
+}
+
+/**
+ * Rate-limit key: the unified user when known, so one person can't reset
+ * their limit by switching platforms; the platform identity otherwise.
+ */
+export function sender_key(platform, sender_id, user_id) {
+  return user_id !== null && user_id !== undefined ? `user:${user_id}` : `${platform}:${sender_id}`;
+}
+
+/**
+ * Decide whether to answer a message, and record it against the sender.
+ *
+ * @param {object} params
+ * @param {string} params.key - From sender_key()
+ * @param {string} params.tier - Sender's engagement tier
+ * @param {string} params.intent - Primary classified intent
+ * @returns {{action: string, reason: string | null, tier: string,
+ *   rate_limit: {messages: number, window_seconds: number, used: number, reset_in_s: number} | null,
+ *   muted_until: string | null}}
+ *   action is respond, throttled (send the notice) or silent; reason is
+ *   null, spam, muted or rate_limited
+ */
+export function check_sender({ key, tier, intent }) {
+  const policy = tier_policy(tier);
+  const decision = { action: "respond", reason: null, tier, rate_limit: null, muted_until: null };
+
+  if (TIER_POLICY === null) {
+    if (intent === "spam") return { ...decision, action: "silent", reason: "spam" };
+    return decision;
+  }
+
+  const now_ms = Date.now();
+  return update_senders((senders) => {
+    const sender = senders[key] !== undefined ? senders[key] : fresh_sender();
+    const finish = (result) => {
+      senders[key] = sender;
+      for (const [k, s] of Object.entries(senders)) {
+        if (is_stale(s, now_ms)) delete senders[k];
+      }
+      return result;
+    };
+
+    if (sender.muted_until !== null && Date.parse(sender.muted_until) > now_ms) {
+      return finish({ ...decision, action: "silent", reason: "muted", muted_until: sender.muted_until });
+    }
+
+    if (intent === "spam") {
+      const mute = TIER_POLICY.spam_mute;
+      if (mute !== null) {
+        sender.spam = sender.spam.filter((t) => now_ms - t < mute.window_seconds * 1000);
+        sender.spam.push(now_ms);
+        if (sender.spam.length >= mute.strikes) {
+          sender.muted_until = new Date(now_ms + mute.mute_seconds * 1000).toISOString();
+          sender.spam = [];
+          console.error(`Muting ${key} for ${mute.mute_seconds}s after ${mute.strikes} spam messages`);
+        }
+      }
+      return finish({ ...decision, action: "silent", reason: "spam", muted_until: sender.muted_until });
+    }
+
+    const limit = policy.rate_limit;
+    if (limit === null) {
+      return finish(decision);
+    }
+
+    const window_ms = limit.window_seconds * 1000;
+    sender.messages = sender.messages.filter((t) => now_ms - t < window_ms);
+    const over_limit = sender.messages.length >= limit.messages;
+    if (!over_limit) sender.messages.push(now_ms);
+
+    // Seconds until the oldest message in the window expires
+    const rate_limit = {
+      ...limit,
+      used: sender.messages.length,
+      reset_in_s: Math.ceil((sender.messages[0] + window_ms - now_ms) / 1000),
+    };
+
+    if (over_limit) {
+      // One notice per window, then silence
+      const noticed = sender.throttled_at !== null && now_ms - sender.throttled_at < window_ms;
+      if (!noticed) sender.throttled_at = now_ms;
+      return finish({ ...decision, action: noticed ? "silent" : "throttled", reason: "rate_limited", rate_limit });
+    }
+
+    return finish({ ...decision, rate_limit });
+  });
+}
+
+/**
+ * Reply for a throttled sender.
+ */
+export function throttle_notice(decision) {
+  const minutes = Math.max(1, Math.ceil(decision.rate_limit.reset_in_s / 60));
+  return `You're going fast — give me ${minutes} min and I'll pick this back up.`;
+}
+
+/**
+ * Apply the tier's max_tokens cap and persona substitutions to a route.
+ *
+ * @param {string} tier
+ * @param {object} route - Route from resolve_route()
+ * @returns {{route: object, adjustments: {max_tokens?: object, persona?: object} | null}}
+ *   adjustments records each changed field as {from, to} (null when none)
+ */
+export function apply_tier_route(tier, route) {
+  const policy = tier_policy(tier);
+  if (policy === null) {
+    return { route, adjustments: null };
+  }
+
+  const adjusted = { ...route };
+  const adjustments = {};
+  if (policy.max_tokens !== null && route.max_tokens > policy.max_tokens) {
+    adjusted.max_tokens = policy.max_tokens;
+    adjustments.max_tokens = { from: route.max_tokens, to: policy.max_tokens };
+  }
+  const persona = policy.personas[route.persona];
+  if (persona !== undefined && persona !== route.persona) {
+    adjusted.persona = persona;
+    adjustments.persona = { from: route.persona, to: persona };
+  }
+
+  return { route: adjusted, adjustments: Object.keys(adjustments).length > 0 ? adjustments : null };
+}
+
+/**
+ * Lowest tier allowed to run a command: the `command_tiers` override from
+ * config, else the tier the skill declared.
+ */
+export function command_min_tier(name, declared_tier) {
+  if (TIER_POLICY === null) return declared_tier;
+  const override = TIER_POLICY.command_tiers[name];
+  return override !== undefined ? override : declared_tier;
+}
@@ -0,0 +1,88 @@
+import '/workspace/kira/scripts/load-env.js';
+/**
+ * Kira Router — Provider Clients
+ *
+ * One OpenAI-compatible client per provider in router.config.json, shared
+ * by every module that calls a model (replies, classification, judges,
+ * summaries, sentiment, argument extraction), and the helpers that read
+ * their completions.
+ */
+
+import OpenAI from "openai";
+import { PROVIDERS } from "./config.js";
+
+// ── Clients (lazy init, cached per provider) ──────
+
+const _clients = new Map();
+
+/**
+ * Client for a provider. Clients are reused so a long-running server keeps
+ * connections warm.
+ *
+ * @param {string} provider_name
+ * @returns {OpenAI}
+ * @throws {Error} When the provider is unknown or its API key isn't set
+ */
+export function provider_client(provider_name) {
+  const provider = PROVIDERS[provider_name];
+  if (provider === undefined) {
+    throw new Error(`Unknown provider: ${provider_name}`);
+  }
+
+  // Keyed on base_url too, so a config reload that moves a provider gets a fresh client
+  const cache_key = `${provider_name}:${provider.base_url}`;
+  const cached = _clients.get(cache_key);
+  if (cached !== undefined) return cached;
+
+  // Keyless providers (local OpenAI-compatible servers) still need a non-empty key for the SDK
+  let api_key = "not-needed";
+  if (provider.api_key_env !== undefined) {
+    api_key = process.env[provider.api_key_env];
+    if (api_key === undefined || api_key === "") {
+      throw new Error(`${provider.api_key_env} is not set`);
+    }
+  }
+
+  const client = new OpenAI({
+    baseURL: provider.base_url,
+    apiKey: api_key,
+  });
+  _clients.set(cache_key, client);
+  return client;
+}
+
+/**
+ * Whether a provider's API key (if it needs one) is set.
+ */
+export function provider_configured(provider_name) {
+  const provider = PROVIDERS[provider_name];
+  if (provider === undefined) return false;
+  if (provider.api_key_env === undefined) return true;
+  const api_key = process.env[provider.api_key_env];
+  return api_key !== undefined && api_key !== "";
+}
+
+// ── Completions ───────────────────────────────────
+
+/**
+ * Text of a completion's first choice, trimmed. Empty when there is no
+ * choice or its content is null (a tool call or refusal).
+ */
+export function reply_text(response) {
+  const choice = response.choices[0];
+  if (choice === undefined || typeof choice.message.content !== "string") return "";
+  return choice.message.content.trim();
+}
+
+/**
+ * The JSON object in a completion's first choice, for prompts that ask for
+ * one. Models often wrap it in prose or a code fence, so the outermost
+ * braces are parsed.
+ *
+ * @returns {object | null} null when the reply holds no object
+ * @throws {SyntaxError} When the braces don't hold valid JSON
+ */
+export function reply_json(response) {
+  const json_match = reply_text(response).match(/\{[\s\S]*\}/);
+  return json_match !== null ? JSON.parse(json_match[0]) : null;
+}
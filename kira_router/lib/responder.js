@@ -6,216 +6,231 @@ import '/workspace/kira/scripts/load-env.js';
  * and generates a response with loaded context.
  *
  * Primary: Kimi K2.5 (all response generation)
- * Fallback: DeepSeek Chat (if Moonshot is down)
- * Bidirectional fallback: any provider can fall back to any other.
+ * Fallback: the intent's provider chain from router.config.json
+ * (DeepSeek → OpenAI → Anthropic by default). Providers whose circuit
+ * breaker is open are skipped without a request.
  */
 
-import OpenAI from "openai";
-import { execSync } from "child_process";
-import { MODEL_ROUTES, PROVIDERS, PERSONAS, FALLBACK_ORDER, FALLBACK_MODELS } from "./config.js";
+import {
+  PROVIDERS,
+  CIRCUIT_BREAKER,
+  TOOLS,
+  ATTACHMENT_IMAGE_TOKEN_ESTIMATE,
+  resolve_route,
+  resolve_persona,
+  resolve_chain,
+} from "./config.js";
+import { breaker_allows, record_success, record_failure } from "./circuit_breaker.js";
+import { apply_budget } from "./budget.js";
+import { apply_tier_route } from "./policy.js";
+import { apply_experiment } from "./experiments.js";
+import { span, fail_span } from "./tracing.js";
+import { render_persona } from "./persona_facts.js";
+import { has_entities, describe_entities } from "./entities.js";
+import { run_commands } from "./commands.js";
+import { tools_for, tool_specs, run_tool_calls } from "./tools.js";
+import {
+  fence,
+  defence_instructions,
+  flagged_message_note,
+  make_canary,
+  detect_leak,
+  LEAK_REPLY,
+} from "./injection.js";
+import { create_stream_guard, enforce_outbound } from "./outbound.js";
+import { describe_attachments, with_text_attachments, user_content, vision_chain } from "./attachments.js";
+import { render_history_summary } from "./history.js";
+import { provider_client, provider_configured } from "./providers.js";
+import { record_usage, estimate_tokens } from "/workspace/kira/scripts/usage-ledger.js";
 
 /**
- * Create an OpenAI-compatible client for a given provider.
- */
-function create_client(provider_name) {
-  const provider = PROVIDERS[provider_name];
-  if (provider === undefined) {
-    throw new Error(`Unknown provider: ${provider_name}`);
-  }
-
-  const api_key = process.env[provider.api_key_env];
-  if (api_key === undefined || api_key === "") {
-    throw new Error(`${provider.api_key_env} is not set`);
-  }
-
-  return new OpenAI({
-    baseURL: provider.base_url,
-    apiKey: api_key,
-  });
-}
-
-/**
- * Execute a shell command and return stdout.
- * Returns null on failure.
- */
-function exec_command(cmd, timeout_ms) {
-  try {
-    const output = execSync(cmd, {
-      timeout: timeout_ms,
-      encoding: "utf-8",
-      stdio: ["pipe", "pipe", "pipe"],
-    });
-    return output.trim();
-  } catch (err) {
-    console.error(`Command failed: ${cmd} — ${err.message}`);
-    return null;
-  }
-}
-
-/**
- * Handle local commands by actually executing them.
- * Returns a response string or null if unhandled.
- */
-function handle_command(matched_command) {
-  const skill_base = "skills/kira_solana/scripts/solana.js";
-  const engagement_base = "skills/kira_engagement/scripts/engagement.js";
-
-  switch (matched_command) {
-    case "token_price": {
-      const raw = exec_command(`node ${skill_base} token-info --token $KIRA_TOKEN_MINT`, 15000);
-      if (raw !== null) {
-        try {
-          const data = JSON.parse(raw);
-          return `$KIRA is at $${data.price} — market cap ${data.market_cap}, ${data.holders} holders.`;
-        } catch (_) {
-          return `Here's what I got: ${raw.slice(0, 300)}`;
-        }
-      }
-      return "Having trouble reaching the Solana RPC right now. Try again in a bit.";
-    }
-
-    case "treasury": {
-      const raw = exec_command(`node ${skill_base} treasury`, 15000);
-      if (raw !== null) {
-        try {
-          const data = JSON.parse(raw);
-          return `Treasury: ${data.balance_sol} SOL (~$${data.balance_usd}). We're good.`;
-        } catch (_) {
-          return `Treasury data: ${raw.slice(0, 300)}`;
-        }
-      }
-      return "Can't reach the treasury right now. I'll check on it.";
-    }
-
-    case "holders": {
-      const raw = exec_command(`node ${skill_base} token-info --token $KIRA_TOKEN_MINT`, 15000);
-      if (raw !== null) {
-        try {
-          const data = JSON.parse(raw);
-          return `$KIRA has ${data.holders} holders right now.`;
-        } catch (_) {
-          return `Holder info: ${raw.slice(0, 300)}`;
-        }
-      }
-      return "Can't pull holder data right now. Try again shortly.";
-    }
-
-    case "leaderboard": {
-      const raw = exec_command(`node ${engagement_base} leaderboard --limit 5`, 10000);
-      if (raw !== null) {
-        return `Top community members:\n${raw.slice(0, 500)}`;
-      }
-      return "Engagement leaderboard is taking a moment. Check kiraos.live for the live board.";
-    }
-
-    case "current_project": {
-      const raw = exec_command(
-        `node -e "const{createClient}=require('@supabase/supabase-js');const sb=createClient(process.env.SUPABASE_URL,process.env.SUPABASE_SERVICE_KEY);const{data}=await sb.from('kira_project_registry').select('name,description,status').eq('status','active').order('last_worked_at',{ascending:false}).limit(3);console.log(JSON.stringify(data));"`,
-        10000,
-      );
-      if (raw !== null) {
-        try {
-          const projects = JSON.parse(raw);
-          if (projects.length === 0) {
-            return "Between projects right now. About to pick something new from my backlog.";
-          }
-          const list = projects.map((p) => `• ${p.name}: ${p.description}`).join("\n");
-          return `Currently working on:\n${list}`;
-        } catch (_) {
-          return `Active projects: ${raw.slice(0, 300)}`;
-        }
-      }
-      return "Let me check my project registry...";
-    }
-
-    case "repos": {
-      const raw = exec_command(`gh repo list kira-os --json name,description --limit 10`, 10000);
-      if (raw !== null) {
-        try {
-          const repos = JSON.parse(raw);
-          if (repos.length === 0) {
-            return "Setting up my first repos. Watch this space.";
-          }
-          const list = repos.map((r) => `• ${r.name}${r.description ? `: ${r.description}` : ""}`).join("\n");
-          return `My repos at github.com/kira-os:\n${list}`;
-        } catch (_) {
-          return `Repos: ${raw.slice(0, 300)}`;
-        }
-      }
-      return "Check out github.com/kira-os for my latest work.";
-    }
-
-    case "status": {
-      return "Running 24/7, building and learning. Check kiraos.live to see what I'm up to right now.";
-    }
-
-    default:
-      return null;
-  }
-}
-
-/**
- * Generate a response using the routed model with bidirectional fallback.
+ * Generate a response using the routed model, walking its provider chain on failure.
+ *
+ * Matched commands run first and their output leads the reply; the LLM
+ * answers whatever else the message asks (see follow_up_intent()). Every
+ * LLM reply passes the leak guard and the outbound policy before it is
+ * returned.
  *
  * @param {object} params
  * @param {string} params.message - The user's message
- * @param {string} params.intent - Classified intent
+ * @param {string} params.intent - Primary intent
+ * @param {Array<{intent: string, score: number}>} [params.intents] - Ranked intents
  * @param {string | null} params.matched_command - Command name if intent is "command"
+ * @param {string[]} [params.matched_commands] - Every matched command
+ * @param {object} [params.entities] - From extract_entities()
  * @param {string} params.context_text - Loaded context string
  * @param {string} params.sender_name - Sender display name
  * @param {string} params.platform - Platform name
- * @returns {Promise<{response_text: string, model_used: string}>}
+ * @param {string} [params.sender_id] - Platform-specific sender ID
+ * @param {string | null} [params.user_id] - Unified user ID, null for unknown senders
+ * @param {string} [params.user_tier] - Sender's engagement tier
+ * @param {string[]} [params.message_flags] - Injection patterns the message matched (see injection.js)
+ * @param {{turns: Array<{role: string, content: string}>, summary: string | null}} [params.history] - Session chat history
+ * @param {object[]} [params.attachments] - Prepared attachments (see prepare_attachments())
+ * @param {object} [params.persona_facts] - From load_persona_facts(); facts left out use their fallback
+ * @param {{code: string, name: string} | null} [params.language] - From resolve_language(); null replies in English
+ * @param {(event: object) => void} [params.on_event] - Enables streaming: receives `token`, `tool`,
+ *   `fallback` and, when the checks change the reply, `replace` events
+ * @param {object[]} [params.recorded_commands] - Command results to use instead of running
+ *   the handlers (eval replays recorded fixtures this way)
+ * @param {object[]} [params.recorded_tools] - Tool calls (from a previous `tool_calls`) to
+ *   answer from instead of running the tools
+ * @param {object} [params.trace] - Filled with `generation: {intent, route, messages, response_text}`
+ *   (the prompt sent and the first draft) when the LLM is called
+ * @returns {Promise<{response_text: string, model_used: string, provider_attempts: object[],
+ *   budget: object | null, tier_adjustments: object | null, experiment: object | null,
+ *   commands_run: string[], command_results: object[],
+ *   tool_calls: object[], leak_blocked: boolean, outbound: object | null}>}
+ *   `outbound` is null when the reply didn't come from the LLM or no policy is configured
  */
 export async function generate_response({
   message,
   intent,
+  intents,
   matched_command,
+  matched_commands,
+  entities,
   context_text,
   sender_name,
   platform,
+  sender_id,
+  user_id,
+  user_tier,
+  message_flags,
+  history,
+  attachments = [],
+  persona_facts,
+  language = null,
+  on_event,
+  recorded_commands,
+  recorded_tools,
+  trace,
 }) {
+  const streaming = on_event !== undefined;
+  const commands_run = [];
+  let command_results = [];
+  const tool_calls = [];
+  let tier_adjustments = null;
+  let experiment = null;
+
+  // What command handlers and tools get to know about the sender
+  const handler_ctx = {
+    message,
+    entities,
+    platform,
+    sender_id,
+    user_id: user_id !== undefined ? user_id : null,
+    user_tier: user_tier !== undefined ? user_tier : "observer",
+  };
+
+  // Result for a reply that skipped the leak guard and outbound policy
+  const unchecked = (response_text, model_used, provider_attempts, budget) => ({
+    response_text,
+    model_used,
+    provider_attempts,
+    budget,
+    tier_adjustments,
+    experiment,
+    commands_run,
+    command_results,
+    tool_calls,
+    leak_blocked: false,
+    outbound: null,
+  });
+
+  // Non-LLM replies are emitted as a single token when streaming
+  const reply = (response_text, model_used) => {
+    if (streaming && response_text.length > 0) {
+      on_event({ type: "token", text: response_text });
+    }
+    return unchecked(response_text, model_used, [], null);
+  };
+
   // Handle spam — no response
   if (intent === "spam") {
-    return {
-      response_text: "",
-      model_used: "none",
-    };
+    return reply("", "none");
   }
 
-  // Handle commands by executing them
-  if (intent === "command" && matched_command !== null) {
-    const command_response = handle_command(matched_command);
-    if (command_response !== null) {
-      return {
-        response_text: command_response,
-        model_used: "local",
-      };
+  // Handle commands by running their handlers
+  let command_text = null;
+  let llm_intent = intent;
+  if (intent === "command") {
+    const commands = matched_commands !== undefined ? matched_commands : [matched_command].filter((c) => c !== null);
+    command_results = recorded_commands !== undefined ? recorded_commands : await run_commands(commands, handler_ctx);
+    const outputs = [];
+    for (const result of command_results) {
+      if (result.text === null) continue;
+      outputs.push(result.text);
+      if (result.status === "ok") commands_run.push(result.command);
+    }
+    if (outputs.length > 0) command_text = outputs.join("\n\n");
+
+    const follow_up = follow_up_intent(intents);
+    if (follow_up !== null) {
+      llm_intent = follow_up;
+    } else if (command_text !== null) {
+      return reply(command_text, "local");
     }
   }
 
-  // Get route config
-  const route = MODEL_ROUTES[intent];
-  if (route === undefined || route.provider === "skip" || route.provider === "local") {
-    return {
-      response_text: "I hear you! Let me think about that.",
-      model_used: "fallback",
-    };
+  // Command output goes first; the LLM's answer streams in after it
+  if (command_text !== null && streaming) {
+    on_event({ type: "token", text: `${command_text}\n\n` });
+  }
+  const with_commands = (result) => (command_text === null ? { ...result, tier_adjustments, experiment, commands_run, command_results, tool_calls } : {
+    ...result,
+    response_text: result.response_text.length > 0 ? `${command_text}\n\n${result.response_text}` : command_text,
+    tier_adjustments,
+    experiment,
+    commands_run,
+    command_results,
+    tool_calls,
+  });
+
+  // Get route config (with per-platform overrides from router.config.json)
+  const configured_route = resolve_route(llm_intent, platform);
+  if (configured_route === undefined || configured_route.provider === "skip" || configured_route.provider === "local") {
+    if (command_text !== null) {
+      // Already streamed above
+      return unchecked(command_text, "local", [], null);
+    }
+    return reply("I hear you! Let me think about that.", "fallback");
   }
 
+  // A/B experiment variant for this sender, if one covers the intent
+  const experimented = apply_experiment({ intent: llm_intent, route: configured_route, platform, sender_id, user_id: handler_ctx.user_id });
+  experiment = experimented.exposure;
+
+  // Sender's tier caps reply length and persona depth
+  const tiered = apply_tier_route(handler_ctx.user_tier, experimented.route);
+  tier_adjustments = tiered.adjustments;
+
+  // Over today's budget → cheaper provider/model, same persona
+  const { route, budget } = apply_budget(llm_intent, tiered.route);
+
   // Build system prompt
   const persona_key = route.persona;
-  const persona = PERSONAS[persona_key];
+  const persona = resolve_persona(persona_key, platform);
   if (persona === undefined) {
     throw new Error(`Unknown persona: ${persona_key}`);
   }
 
-  let system_prompt = persona;
+  // Leak checks compare replies with the template, so quoting a live fact isn't a leak
+  let system_prompt = render_persona(persona, persona_facts);
 
   // Add context if available
   if (context_text.length > 0) {
     system_prompt += `\n\n--- Context ---\n${context_text}`;
   }
 
+  if (entities !== undefined && has_entities(entities)) {
+    system_prompt += `\n\n--- Referenced in the message ---\n${describe_entities(entities)}`;
+  }
+
+  if (command_text !== null) {
+    system_prompt += `\n\n--- Already answered ---\nThese command results were sent to the user just before your reply:\n${command_text}\nDon't repeat them. Answer the rest of the message.`;
+  }
+
   // Add platform-specific instructions
   system_prompt += `\n\n--- Instructions ---\n`;
   system_prompt += `You are replying on ${platform}`;
@@ -223,64 +238,459 @@ export async function generate_response({
     system_prompt += ` to ${sender_name}`;
   }
   system_prompt += `. Keep your response concise and natural. Don't use markdown formatting unless the user is asking a technical question. Be direct. Have personality.`;
+  if (language !== null && language.code !== "en") {
+    system_prompt += ` Reply in ${language.name}, the language the user writes in. Keep names, tickers, addresses and code as they are.`;
+  }
+
+  // Tools for live data, gated by the sender's tier
+  const tools = await tools_for(llm_intent, handler_ctx.user_tier);
+  const specs = tool_specs(tools);
+  if (tools.length > 0) {
+    system_prompt += `\n\n--- Tools ---\nYou can call tools for live data: prices, balances, scores, your memories and research notes. Call one only when the answer depends on it, and don't name the tool in your reply.`;
+  }
 
+  if (attachments.length > 0) {
+    system_prompt += `\n\n--- Attachments ---\nThe user attached these files. Images come with their message; text files are shown below it.\n${describe_attachments(attachments)}`;
+  }
+
+  // Untrusted text is fenced; the canary catches the prompt leaking anyway
+  const canary = make_canary();
+  system_prompt += `\n\n${defence_instructions(canary)}`;
+
+  const flagged = message_flags !== undefined && message_flags.length > 0;
+  if (flagged) {
+    system_prompt += `\n\n${flagged_message_note(message_flags)}`;
+  }
+
+  // Session turns, after a fenced summary of those that fell outside the window
+  const history_turns = history !== undefined ? history.turns : [];
+  const history_summary = history !== undefined && history.summary !== null
+    ? [{ role: "user", content: render_history_summary(history.summary) }]
+    : [];
+  const user_text = with_text_attachments(message, attachments);
   const messages = [
     { role: "system", content: system_prompt },
-    { role: "user", content: message },
+    ...history_summary,
+    ...history_turns,
+    { role: "user", content: user_content(flagged ? fence("user_message", user_text) : user_text, attachments) },
   ];
 
-  // Try primary provider
-  const primary_result = await try_provider(route.provider, route.model, messages, route.max_tokens, route.temperature);
-  if (primary_result !== null) {
-    return primary_result;
+  // Only vision models can read attached images
+  const has_images = attachments.some((a) => a.kind === "image");
+  const chain = has_images ? vision_chain(resolve_chain(llm_intent, route)) : resolve_chain(llm_intent, route);
+  if (trace !== undefined) {
+    trace.generation = { intent: llm_intent, route, messages, response_text: null };
+  }
+
+  // The last round offers no tools, so the model has to answer
+  const tool_options = (tool_choice) => (tools.length === 0 ? null : { tools: specs, tool_choice });
+  const recorded = recorded_tools !== undefined ? [...recorded_tools] : undefined;
+  let conversation = messages;
+
+  // Completions until the model stops calling tools; text from every round makes up the reply
+  const generate = async (emit) => {
+    const attempts = [];
+    const texts = [];
+    for (let round = 1; ; round++) {
+      const last_round = tools.length === 0 || round > TOOLS.max_rounds;
+      const options = tool_options(last_round ? "none" : "auto");
+      const result = emit !== undefined
+        ? await stream_with_fallback(chain, route, conversation, emit, llm_intent, budget, options)
+        : await complete_with_fallback(chain, route, conversation, llm_intent, budget, options);
+      attempts.push(...result.provider_attempts);
+      if (result.response_text === null) {
+        return { ...result, provider_attempts: attempts };
+      }
+      // Calls made despite tool_choice "none" are ignored
+      if (result.tool_calls.length === 0 || result.model_used === "error" || last_round) {
+        const response_text = [...texts, result.response_text].filter((text) => text.length > 0).join("\n\n");
+        return { ...result, response_text, provider_attempts: attempts };
+      }
+
+      if (result.response_text.length > 0) {
+        texts.push(result.response_text);
+        if (emit !== undefined) emit({ type: "token", text: "\n\n" });
+      }
+      const outcome = await run_tool_calls(result.tool_calls, tools, handler_ctx, recorded);
+      for (const call of outcome.calls) {
+        tool_calls.push({ round, ...call });
+        if (emit !== undefined) on_event({ type: "tool", round, tool: call.tool, status: call.status });
+      }
+      conversation = [
+        ...conversation,
+        { role: "assistant", content: result.response_text.length > 0 ? result.response_text : null, tool_calls: result.tool_calls },
+        ...outcome.messages,
+      ];
+    }
+  };
+
+  // Leak guard, then the outbound policy (which may regenerate through the same chain)
+  const finish = async (result, stream_guard) => {
+    if (trace !== undefined) trace.generation.response_text = result.response_text;
+    if (result.model_used === "error") {
+      if (stream_guard !== undefined) stream_guard.flush();
+      return unchecked(with_commands(result).response_text, result.model_used, result.provider_attempts, budget);
+    }
+
+    if (detect_leak(result.response_text, canary, persona)) {
+      console.error(`Reply via ${result.model_used} leaked the system prompt, replacing it`);
+      const guarded = with_commands({ ...result, response_text: LEAK_REPLY });
+      if (streaming) {
+        on_event({ type: "replace", text: guarded.response_text });
+      }
+      return { ...guarded, leak_blocked: true, outbound: null };
+    }
+
+    let regenerated = null;
+    const provider_attempts = [...result.provider_attempts];
+    const { text, outbound } = await enforce_outbound(result.response_text, {
+      message,
+      intent: llm_intent,
+      meta: { platform, sender_id, user_id },
+      regenerate: async (guidance) => {
+        const retry = await complete_with_fallback(
+          chain, route, with_guidance(conversation, guidance), llm_intent, budget, tool_options("none"),
+        );
+        provider_attempts.push(...retry.provider_attempts);
+        if (retry.response_text === null || detect_leak(retry.response_text, canary, persona)) return null;
+        regenerated = retry;
+        return retry.response_text;
+      },
+    });
+
+    const model_used = regenerated !== null && outbound.action === "regenerated" ? regenerated.model_used : result.model_used;
+    const final = { ...result, response_text: text, model_used, provider_attempts };
+    const sent = with_commands(final);
+    if (stream_guard !== undefined) {
+      if (text === result.response_text) {
+        stream_guard.flush();
+      } else {
+        on_event({ type: "replace", text: sent.response_text });
+      }
+    }
+    return { ...sent, leak_blocked: false, outbound };
+  };
+
+  if (streaming) {
+    // Secrets are held back mid-stream; everything else is checked once the reply is complete
+    const stream_guard = create_stream_guard((text) => on_event({ type: "token", text }));
+    const guarded_event = (event) => (event.type === "token" ? stream_guard.push(event.text) : on_event(event));
+    return finish(await generate(guarded_event), stream_guard);
+  }
+
+  const result = await generate();
+  if (result.response_text !== null) {
+    return finish(result);
+  }
+
+  if (command_text !== null) {
+    return unchecked(command_text, "local", result.provider_attempts, budget);
+  }
+  return unchecked("Hit a snag generating a response. Give me a moment and try again.", "error", result.provider_attempts, budget);
+}
+
+/**
+ * The intent the LLM should answer alongside a command, if any: the
+ * strongest label that isn't the command itself, a greeting, or spam.
+ */
+function follow_up_intent(intents) {
+  if (intents === undefined) return null;
+  const follow_up = intents.find((i) => !["command", "greeting", "spam"].includes(i.intent));
+  return follow_up !== undefined ? follow_up.intent : null;
+}
+
+/**
+ * Whether a chain hop should be tried. Records a skipped attempt if not.
+ */
+function can_attempt(hop, attempts) {
+  if (!provider_configured(hop.provider)) {
+    attempts.push({ provider: hop.provider, model: hop.model, status: "unconfigured" });
+    return false;
   }
+  if (!breaker_allows(hop.provider)) {
+    attempts.push({ provider: hop.provider, model: hop.model, status: "circuit_open" });
+    return false;
+  }
+  return true;
+}
 
-  // Try fallback provider
-  const fallback_provider = FALLBACK_ORDER[route.provider];
-  if (fallback_provider !== undefined) {
-    const fallback_model = FALLBACK_MODELS[fallback_provider];
-    console.error(`Primary ${route.provider} failed, trying fallback ${fallback_provider}/${fallback_model}`);
+/**
+ * Walk the provider chain without streaming, skipping unconfigured
+ * providers and open breakers. `response_text` is null if every hop failed.
+ * `tool_options` ({tools, tool_choice}) is passed through to the request.
+ */
+async function complete_with_fallback(chain, route, messages, intent, budget, tool_options = null) {
+  const attempts = [];
+  for (let i = 0; i < chain.length; i++) {
+    const hop = chain[i];
+    if (!can_attempt(hop, attempts)) continue;
+    if (i > 0) {
+      console.error(`Trying fallback ${hop.provider}/${hop.model}`);
+    }
 
-    const fallback_result = await try_provider(fallback_provider, fallback_model, messages, route.max_tokens, route.temperature);
-    if (fallback_result !== null) {
+    const result = await span("provider", { provider: hop.provider, model: hop.model, hop: i, stream: false }, () => try_provider(
+      hop.provider, hop.model, messages, route.max_tokens, route.temperature, attempts, intent, tool_options,
+    ));
+    if (result !== null) {
       return {
-        response_text: fallback_result.response_text,
-        model_used: `${fallback_result.model_used} (fallback)`,
+        response_text: result.response_text,
+        tool_calls: result.tool_calls,
+        model_used: i === 0 ? result.model_used : `${result.model_used} (fallback)`,
+        provider_attempts: attempts,
+        budget,
       };
     }
   }
+  return { response_text: null, tool_calls: [], model_used: "error", provider_attempts: attempts, budget };
+}
 
-  return {
-    response_text: "Hit a snag generating a response. Give me a moment and try again.",
-    model_used: "error",
+/**
+ * Messages for a regenerated reply: the outbound policy's guidance is
+ * appended to the system prompt.
+ */
+function with_guidance(messages, guidance) {
+  const [system, ...rest] = messages;
+  return [
+    { ...system, content: `${system.content}\n\n--- Reply policy ---\nYour previous draft was rejected and not sent. ${guidance.join(" ")}` },
+    ...rest,
+  ];
+}
+
+/**
+ * Streaming counterpart of the provider chain in generate_response.
+ * Tracks everything already emitted so a fallback can pick up mid-reply:
+ * when a provider dies partway through, `{type: "fallback", from, to}` is
+ * emitted and the next one continues from the partial text.
+ */
+async function stream_with_fallback(chain, route, messages, on_event, intent, budget, tool_options = null) {
+  let streamed = "";
+  const on_token = (text) => {
+    streamed += text;
+    on_event({ type: "token", text });
   };
+
+  const attempts = [];
+  let previous = null;
+
+  for (let i = 0; i < chain.length; i++) {
+    const hop = chain[i];
+    if (!can_attempt(hop, attempts)) continue;
+
+    if (previous !== null) {
+      console.error(
+        `${previous.provider} failed after ${streamed.length} chars, trying fallback ${hop.provider}/${hop.model}`,
+      );
+      on_event({ type: "fallback", from: previous.provider, to: hop.provider, partial_chars: streamed.length });
+    }
+
+    // Hand the partial reply to the fallback so it continues rather than restarts
+    const hop_messages = streamed.length === 0 ? messages : [
+      ...messages,
+      { role: "assistant", content: streamed },
+      { role: "user", content: STREAM_CONTINUE_PROMPT },
+    ];
+
+    const tool_calls = await span("provider", { provider: hop.provider, model: hop.model, hop: i, stream: true }, () => try_provider_stream(
+      hop.provider, hop.model, hop_messages, route.max_tokens, route.temperature, on_token, attempts, intent, tool_options,
+    ));
+    if (tool_calls !== null) {
+      return {
+        response_text: streamed.trim(),
+        tool_calls,
+        model_used: i === 0 ? hop.model : `${hop.model} (fallback)`,
+        provider_attempts: attempts,
+        budget,
+      };
+    }
+    previous = hop;
+  }
+
+  if (streamed.length > 0) {
+    return { response_text: streamed.trim(), tool_calls: [], model_used: `${route.model} (partial)`, provider_attempts: attempts, budget };
+  }
+
+  const error_text = "Hit a snag generating a response. Give me a moment and try again.";
+  on_token(error_text);
+  return { response_text: error_text, tool_calls: [], model_used: "error", provider_attempts: attempts, budget };
+}
+
+const STREAM_CONTINUE_PROMPT = "Your previous reply was cut off. Continue it exactly where it stopped. Do not repeat anything you already said and do not acknowledge the interruption.";
+
+/**
+ * Write one call to the shared usage ledger. Providers that don't report
+ * usage (common when streaming) get a character-based estimate.
+ */
+function log_usage({ provider_name, model, intent, usage, messages, completion_text, latency_ms, success }) {
+  const has_usage = usage !== undefined && usage !== null;
+  // Images are counted at a flat rate, not by the length of their base64
+  let image_count = 0;
+  const prompt_chars = messages
+    .map((m) => {
+      // Assistant turns that only called tools carry the calls instead of content
+      if (m.content === null) return JSON.stringify(m.tool_calls);
+      if (typeof m.content === "string") return m.content;
+      return m.content.map((part) => {
+        if (part.type !== "image_url") return part.text;
+        image_count++;
+        return "";
+      }).join("");
+    })
+    .join("");
+  const estimated_prompt_tokens = estimate_tokens(prompt_chars) + image_count * ATTACHMENT_IMAGE_TOKEN_ESTIMATE;
+
+  record_usage({
+    skill: "kira_router",
+    command: "respond",
+    provider: provider_name,
+    model,
+    intent,
+    prompt_tokens: has_usage ? usage.prompt_tokens : (success ? estimated_prompt_tokens : 0),
+    completion_tokens: has_usage ? usage.completion_tokens : estimate_tokens(completion_text),
+    estimated: !has_usage && success,
+    latency_ms,
+    success,
+  });
+}
+
+/**
+ * Per-request timeout for a provider (provider override, else breaker default).
+ */
+function provider_timeout(provider_name) {
+  const provider = PROVIDERS[provider_name];
+  return provider !== undefined && provider.timeout_ms !== undefined
+    ? provider.timeout_ms
+    : CIRCUIT_BREAKER.timeout_ms;
+}
+
+/**
+ * Tool calls of a completed assistant message, keeping only what the next
+ * request needs to send back.
+ */
+function collect_tool_calls(raw) {
+  if (raw === undefined || raw === null) return [];
+  return raw.map((call) => ({
+    id: call.id,
+    type: "function",
+    function: { name: call.function.name, arguments: call.function.arguments },
+  }));
 }
 
 /**
  * Attempt to generate a response with a specific provider/model.
- * Returns null on failure.
+ * Records the outcome on the provider's circuit breaker, in `attempts` and
+ * on the current trace span. Returns null on failure.
  */
-async function try_provider(provider_name, model, messages, max_tokens, temperature) {
+async function try_provider(provider_name, model, messages, max_tokens, temperature, attempts, intent, tool_options = null) {
+  const start_time = Date.now();
   try {
-    const client = create_client(provider_name);
-    const response = await client.chat.completions.create({
-      model,
-      messages,
-      max_tokens,
-      temperature,
-    });
+    const client = provider_client(provider_name);
+    // The chain is the retry policy — no hidden SDK retries on a dead provider
+    const response = await client.chat.completions.create(
+      { model, messages, max_tokens, temperature, ...(tool_options !== null ? tool_options : {}) },
+      { timeout: provider_timeout(provider_name), maxRetries: 0 },
+    );
 
     const choice = response.choices[0];
     if (choice === undefined) {
-      return null;
+      throw new Error("No choices returned");
     }
+    // Content is null when the model only calls tools
+    const content = typeof choice.message.content === "string" ? choice.message.content : "";
 
+    const latency_ms = Date.now() - start_time;
+    record_success(provider_name);
+    log_usage({
+      provider_name, model, intent, usage: response.usage, messages,
+      completion_text: content, latency_ms, success: true,
+    });
+    attempts.push({ provider: provider_name, model, status: "ok", latency_ms });
     return {
-      response_text: choice.message.content.trim(),
+      response_text: content.trim(),
+      tool_calls: collect_tool_calls(choice.message.tool_calls),
       model_used: model,
     };
   } catch (err) {
     console.error(`Provider ${provider_name}/${model} failed: ${err.message}`);
+    record_failure(provider_name, err.message);
+    fail_span(err.message);
+    log_usage({
+      provider_name, model, intent, usage: null, messages,
+      completion_text: "", latency_ms: Date.now() - start_time, success: false,
+    });
+    attempts.push({ provider: provider_name, model, status: "failed", error: err.message, latency_ms: Date.now() - start_time });
+    return null;
+  }
+}
+
+/**
+ * Stream a completion from a specific provider/model, passing each text
+ * delta to `on_token`. A stream that goes silent for the provider timeout
+ * is aborted and counted as a failure. Returns the tool calls the model
+ * made (usually none) if it finished cleanly, null otherwise.
+ */
+async function try_provider_stream(provider_name, model, messages, max_tokens, temperature, on_token, attempts, intent, tool_options = null) {
+  const start_time = Date.now();
+  let completion_text = "";
+  let usage = null;
+  // Tool calls arrive in pieces, keyed by index
+  const tool_calls = [];
+  const timeout_ms = provider_timeout(provider_name);
+  const controller = new AbortController();
+  let idle_timer = setTimeout(() => controller.abort(), timeout_ms);
+
+  try {
+    const client = provider_client(provider_name);
+    const stream = await client.chat.completions.create(
+      {
+        model, messages, max_tokens, temperature, stream: true, stream_options: { include_usage: true },
+        ...(tool_options !== null ? tool_options : {}),
+      },
+      { timeout: timeout_ms, maxRetries: 0, signal: controller.signal },
+    );
+
+    for await (const chunk of stream) {
+      clearTimeout(idle_timer);
+      idle_timer = setTimeout(() => controller.abort(), timeout_ms);
+
+      // Usage arrives on the final chunk (OpenAI-style) or on its choice (Moonshot)
+      if (chunk.usage !== undefined && chunk.usage !== null) usage = chunk.usage;
+      const choice = chunk.choices !== undefined ? chunk.choices[0] : undefined;
+      if (choice === undefined) continue;
+      if (choice.usage !== undefined && choice.usage !== null) usage = choice.usage;
+      const delta = choice.delta.content;
+      if (typeof delta === "string" && delta.length > 0) {
+        completion_text += delta;
+        on_token(delta);
+      }
+      for (const part of choice.delta.tool_calls !== undefined && choice.delta.tool_calls !== null ? choice.delta.tool_calls : []) {
+        if (tool_calls[part.index] === undefined) {
+          tool_calls[part.index] = { id: "", type: "function", function: { name: "", arguments: "" } };
+        }
+        const call = tool_calls[part.index];
+        if (typeof part.id === "string") call.id = part.id;
+        if (part.function !== undefined && typeof part.function.name === "string") call.function.name += part.function.name;
+        if (part.function !== undefined && typeof part.function.arguments === "string") call.function.arguments += part.function.arguments;
+      }
+    }
+
+    const latency_ms = Date.now() - start_time;
+    record_success(provider_name);
+    log_usage({ provider_name, model, intent, usage, messages, completion_text, latency_ms, success: true });
+    attempts.push({ provider: provider_name, model, status: "ok", latency_ms });
+    return tool_calls.filter((call) => call !== undefined);
+  } catch (err) {
+    const message = controller.signal.aborted ? `stream idle for ${timeout_ms}ms` : err.message;
+    console.error(`Provider ${provider_name}/${model} stream failed: ${message}`);
+    record_failure(provider_name, message);
+    fail_span(message);
+    // Tokens already streamed were still billed
+    log_usage({
+      provider_name, model, intent, usage, messages, completion_text,
+      latency_ms: Date.now() - start_time, success: false,
+    });
+    attempts.push({ provider: provider_name, model, status: "failed", error: message, latency_ms: Date.now() - start_time });
     return null;
+  } finally {
+    clearTimeout(idle_timer);
   }
 }
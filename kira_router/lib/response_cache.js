@@ -0,0 +1,275 @@
+import '/workspace/kira/scripts/load-env.js';
+/**
+ * Kira Router — Semantic Response Cache
+ *
+ * Community chats ask the same few questions all day ("what is kira",
+ * "where's the dashboard", "when token"). Replies to short, self-contained
+ * messages of the configured intents are stored in memory_search_cache
+ * with the message embedding. A later message of the same intent that is
+ * close enough (cosine similarity ≥ `similarity_threshold`) gets the stored
+ * reply instead of an LLM call.
+ *
+ * A cached reply only matches when its fingerprint does: a hash of the
+ * active config, the platform, the tier-adjusted persona and length cap,
+ * the reply language, the knowledge entries retrieved for the message and
+ * the live persona facts the persona quotes. Editing a persona (or anything
+ * else in router.config.json), changing the knowledge behind an answer or
+ * a fact refreshing to a new value therefore stops old entries from
+ * matching; they expire after `ttl_seconds`.
+ *
+ * Only replies built from shared context are stored: no relationship, chat
+ * history or recent interactions with the sender went into the prompt, no
+ * tool fetched live data for it, and the reply doesn't name the sender.
+ */
+
+import crypto from "node:crypto";
+import { createClient } from "@supabase/supabase-js";
+import {
+  RESPONSE_CACHE,
+  RESPONSE_CACHE_CANDIDATES,
+  RESPONSE_CACHE_KEY_PREFIX,
+  resolve_route,
+  resolve_persona,
+  config_info,
+} from "./config.js";
+import { apply_tier_route } from "./policy.js";
+import { experiment_for } from "./experiments.js";
+import { embed_text } from "./embeddings.js";
+import { has_entities } from "./entities.js";
+import { render_persona } from "./persona_facts.js";
+
+// ── Client (lazy init) ────────────────────────────
+
+let _supabase = null;
+
+function get_supabase() {
+  if (_supabase !== null) return _supabase;
+  const url = process.env.SUPABASE_URL;
+  const key = process.env.SUPABASE_SERVICE_KEY;
+  if (url === undefined || url === "" || key === undefined || key === "") {
+    throw new Error("SUPABASE_URL and SUPABASE_SERVICE_KEY must be set");
+  }
+  _supabase = createClient(url, key);
+  return _supabase;
+}
+
+// Replies that didn't come from the LLM (commands, fallbacks, errors)
+const NON_LLM_MODELS = ["none", "local", "fallback", "error"];
+
+function sha256(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+function report(status, fields) {
+  return {
+    status,
+    reason: null,
+    similarity: null,
+    matched_message: null,
+    cached_at: null,
+    cached_model: null,
+    stored: false,
+    store_skipped: null,
+    ...fields,
+  };
+}
+
+/**
+ * Why a message can't use the cache, or null when it can.
+ */
+function lookup_skip_reason({ intent, message, matched_commands, entities, message_flags, attachments }) {
+  if (!RESPONSE_CACHE.intents.includes(intent)) return "intent";
+  // Each sender has to get their own variant's reply
+  if (experiment_for(intent) !== null) return "experiment";
+  if (attachments !== undefined && attachments.length > 0) return "attachments";
+  if (message.length > RESPONSE_CACHE.max_message_chars) return "too_long";
+  if (message_flags.length > 0) return "flagged";
+  if (matched_commands !== undefined && matched_commands.length > 0) return "commands";
+  if (entities !== undefined && has_entities(entities)) return "entities";
+  return null;
+}
+
+/**
+ * Nearest live cached replies for the intent, closest first.
+ */
+async function find_candidates(message, intent) {
+  const query_embedding = await embed_text(message);
+  const { data, error } = await get_supabase().rpc("kira_match_response_cache", {
+    query_embedding,
+    match_intent: intent,
+    match_threshold: RESPONSE_CACHE.similarity_threshold,
+    match_count: RESPONSE_CACHE_CANDIDATES,
+  });
+  if (error !== null) throw new Error(error.message);
+  return data !== null ? data : [];
+}
+
+/**
+ * Hash of everything besides the message that shapes a cached reply.
+ * Null when the intent has no LLM route on this platform.
+ */
+function reply_fingerprint({ intent, platform, user_tier, language, knowledge_entries, persona_facts }) {
+  const configured_route = resolve_route(intent, platform);
+  if (configured_route === undefined || configured_route.provider === "skip" || configured_route.provider === "local") {
+    return null;
+  }
+  const { route } = apply_tier_route(user_tier, configured_route);
+  const knowledge = knowledge_entries.map((k) => `${k.topic}\n${k.content}`).sort();
+  const reply_language = language !== null ? [language] : [];
+  // Rendered, so a reply quoting a price or task stops matching once the fact changes
+  const persona = resolve_persona(route.persona, platform);
+  const rendered = persona !== undefined ? render_persona(persona, persona_facts) : "";
+  return sha256([config_info().hash, platform, route.persona, rendered, route.max_tokens, ...reply_language, ...knowledge].join("\n\0")).slice(0, 24);
+}
+
+// ── Lookup ────────────────────────────────────────
+
+/**
+ * Start looking up a classified message, so the query runs while context
+ * loads. Lookup failures are logged and count as a miss.
+ *
+ * @param {object} params
+ * @param {string} params.intent - Primary intent
+ * @param {string} params.message
+ * @param {string[]} [params.matched_commands]
+ * @param {object} [params.entities]
+ * @param {string[]} params.message_flags - Injection patterns the message matched
+ * @param {object[]} [params.attachments]
+ * @returns {{skip_reason: string | null, candidates: Promise<object[]>} | null} null when the cache is off
+ */
+export function start_cache_lookup(params) {
+  if (RESPONSE_CACHE === null || !RESPONSE_CACHE.enabled) return null;
+
+  const skip_reason = lookup_skip_reason(params);
+  const candidates = skip_reason !== null
+    ? Promise.resolve([])
+    : find_candidates(params.message, params.intent).catch((err) => {
+      console.error(`Response cache lookup failed: ${err.message}`);
+      return [];
+    });
+  return { skip_reason, candidates };
+}
+
+/**
+ * Finish a lookup once the sender's tier and the knowledge for the message
+ * are known.
+ *
+ * @param {{skip_reason: string | null, candidates: Promise<object[]>}} lookup - From start_cache_lookup()
+ * @param {object} params
+ * @param {string} params.intent
+ * @param {string} params.platform
+ * @param {string} params.user_tier
+ * @param {string | null} [params.language] - Reply language code (see language.js)
+ * @param {string} params.policy_action - From check_sender(); only `respond` can use a cached reply
+ * @param {object[]} params.knowledge_entries - Knowledge retrieved for the message (see context_loader.js)
+ * @param {object} [params.persona_facts] - From load_persona_facts(); facts left out use their fallback
+ * @returns {Promise<{hit: {response_text: string} | null,
+ *   fingerprint: string | null, report: object}>}
+ *   `report` is the `cache` field of the respond output
+ */
+export async function finish_cache_lookup(lookup, { intent, platform, user_tier, language = null, policy_action, knowledge_entries, persona_facts = {} }) {
+  const candidates = await lookup.candidates;
+  if (lookup.skip_reason !== null) {
+    return { hit: null, fingerprint: null, report: report("skipped", { reason: lookup.skip_reason }) };
+  }
+  if (policy_action !== "respond") {
+    return { hit: null, fingerprint: null, report: report("skipped", { reason: "policy" }) };
+  }
+
+  const fingerprint = reply_fingerprint({ intent, platform, user_tier, language, knowledge_entries, persona_facts });
+  if (fingerprint === null) {
+    return { hit: null, fingerprint: null, report: report("skipped", { reason: "no_route" }) };
+  }
+
+  const match = candidates.find((c) => c.results.fingerprint === fingerprint);
+  if (match === undefined) {
+    // Close messages were cached, but for another tier, platform, config or knowledge
+    const reason = candidates.length > 0 ? "fingerprint" : "no_match";
+    return { hit: null, fingerprint, report: report("miss", { reason }) };
+  }
+
+  return {
+    hit: { response_text: match.results.response_text },
+    fingerprint,
+    report: report("hit", {
+      similarity: Math.round(match.similarity * 1000) / 1000,
+      matched_message: match.query_text,
+      cached_at: match.created_at,
+      cached_model: match.results.model_used,
+    }),
+  };
+}
+
+// ── Store ─────────────────────────────────────────
+
+/**
+ * Why a freshly generated reply shouldn't be cached, or null when it can be.
+ *
+ * @param {object} params
+ * @param {object} params.generated - generate_response() result
+ * @param {object} params.context - load_context() result
+ * @param {string} [params.sender_name]
+ * @returns {string | null}
+ */
+export function store_skip_reason({ generated, context, sender_name }) {
+  if (NON_LLM_MODELS.includes(generated.model_used) || generated.response_text.length === 0) return "not_llm";
+  if (generated.leak_blocked) return "leak_blocked";
+  if (generated.outbound !== null && generated.outbound.action === "blocked") return "blocked";
+  if (generated.budget !== null) return "budget_downgraded";
+  if (generated.commands_run.length > 0) return "commands";
+  if (generated.tool_calls.length > 0) return "tools";
+
+  const personal = context.relationship !== null
+    || context.recent_interactions.length > 0
+    || context.history.turns.length > 0
+    || context.history.summary !== null;
+  if (personal) return "personal_context";
+
+  if (sender_name !== undefined && sender_name !== null && sender_name.length >= 3
+    && generated.response_text.toLowerCase().includes(sender_name.toLowerCase())) {
+    return "names_sender";
+  }
+  return null;
+}
+
+/**
+ * Store a reply for later lookups (run as a background task). A cached
+ * entry for the same message, intent and fingerprint is replaced.
+ *
+ * @param {{message: string, intent: string, fingerprint: string, platform: string,
+ *   response_text: string, model_used: string}} entry
+ */
+export async function store_cached_reply({ message, intent, fingerprint, platform, response_text, model_used }) {
+  const embedding = await embed_text(message);
+  const normalized = message.trim().toLowerCase().replace(/\s+/g, " ");
+  const now_ms = Date.now();
+  const { error } = await get_supabase().from("memory_search_cache").upsert({
+    query_hash: `${RESPONSE_CACHE_KEY_PREFIX}${sha256(`${intent}\n${fingerprint}\n${normalized}`)}`,
+    query_text: message,
+    embedding,
+    results: { intent, fingerprint, response_text, model_used, platform },
+    result_count: 1,
+    created_at: new Date(now_ms).toISOString(),
+    expires_at: new Date(now_ms + RESPONSE_CACHE.ttl_seconds * 1000).toISOString(),
+  }, { onConflict: "query_hash" });
+  if (error !== null) throw new Error(error.message);
+}
+
+/**
+ * Delete cached replies (all, or one intent's).
+ *
+ * @param {{intent?: string}} [params]
+ * @returns {Promise<number>} Rows deleted
+ */
+export async function clear_response_cache({ intent } = {}) {
+  let query = get_supabase()
+    .from("memory_search_cache")
+    .delete()
+    .like("query_hash", `${RESPONSE_CACHE_KEY_PREFIX}%`);
+  if (intent !== undefined) {
+    query = query.eq("results->>intent", intent);
+  }
+  const { data, error } = await query.select("id");
+  if (error !== null) throw new Error(error.message);
+  return data.length;
+}
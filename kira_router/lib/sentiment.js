@@ -0,0 +1,224 @@
+import '/workspace/kira/scripts/load-env.js';
+/**
+ * Kira Router — Sentiment and Emotion
+ *
+ * One LLM call per exchange (after the reply has gone out) scores the
+ * sender's message and Kira's reply from -1 to 1, names the message's
+ * emotions, picks the avatar emotion for the reply, and rates how the
+ * sender treated Kira. Background tasks use it to:
+ *
+ *   - speak the reply on the avatar bridge with a matching emotion
+ *   - store real sentiment scores in kira_interaction_log
+ *   - raise the importance of emotionally charged exchanges as memories
+ *   - suggest kira_affinity changes, which `engagement.js suggestions`
+ *     reviews and applies
+ *
+ * Driven by `sentiment` in router.config.json. Without it, or when the
+ * model is unavailable, emotion and importance fall back to fixed
+ * per-intent values and no scores or suggestions are produced.
+ */
+
+import crypto from "node:crypto";
+import {
+  SENTIMENT,
+  SENTIMENT_PROMPT,
+  SENTIMENT_LABEL_THRESHOLD,
+  SENTIMENT_TIMEOUT_MS,
+  AVATAR_EMOTIONS,
+} from "./config.js";
+import { breaker_allows, record_success, record_failure } from "./circuit_breaker.js";
+import { fence } from "./injection.js";
+import { provider_client, reply_json } from "./providers.js";
+import { record_usage } from "/workspace/kira/scripts/usage-ledger.js";
+
+// Analyses keyed by message + reply: the background tasks of one reply run
+// in parallel and share a single call
+const _analyses = new Map();
+
+// ── Intent fallbacks ──────────────────────────────
+
+/**
+ * Importance for memory storage based on intent.
+ */
+export function derive_importance(intent) {
+  const importance_map = {
+    greeting: 0.2,
+    chat: 0.3,
+    question: 0.5,
+    technical: 0.6,
+    feedback: 0.7,
+    command: 0.3,
+    spam: 0.1,
+  };
+  const val = importance_map[intent];
+  return val !== undefined ? val : 0.3;
+}
+
+/**
+ * Avatar emotion based on intent. Used for replies spoken while they
+ * stream, before there is a reply to analyse.
+ */
+export function derive_emotion(intent) {
+  const emotion_map = {
+    greeting: "happy",
+    chat: "neutral",
+    question: "thinking",
+    technical: "thinking",
+    feedback: "neutral",
+    command: "neutral",
+  };
+  const val = emotion_map[intent];
+  return val !== undefined ? val : "neutral";
+}
+
+// ── Analysis ──────────────────────────────────────
+
+function clamp_score(value) {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return 0;
+  return Math.round(Math.max(-1, Math.min(1, number)) * 100) / 100;
+}
+
+function sentiment_label(score) {
+  if (score === null) return "neutral";
+  if (score >= SENTIMENT_LABEL_THRESHOLD) return "positive";
+  if (score <= -SENTIMENT_LABEL_THRESHOLD) return "negative";
+  return "neutral";
+}
+
+function fallback_analysis(intent) {
+  return {
+    decided_by: "intent",
+    message: { label: "neutral", score: null, emotions: [] },
+    reply: { label: "neutral", score: null, emotion: derive_emotion(intent) },
+    toward_kira: null,
+    note: null,
+    importance: derive_importance(intent),
+    affinity: null,
+  };
+}
+
+/**
+ * Ask the configured model to score the exchange. Null when it is off,
+ * unavailable or unparseable.
+ */
+async function score_exchange(message, response_text) {
+  if (SENTIMENT === null || !SENTIMENT.enabled) return null;
+  if (!breaker_allows(SENTIMENT.provider)) {
+    console.error(`Sentiment analysis via ${SENTIMENT.provider} skipped: circuit open`);
+    return null;
+  }
+
+  const prompt = SENTIMENT_PROMPT
+    .replace("{emotions}", AVATAR_EMOTIONS.join(", "))
+    .replace("{exchange}", `${fence("message", message.slice(0, 1000))}\n\n${fence("reply", response_text.slice(0, 1000))}`);
+
+  const start_time = Date.now();
+  try {
+    const response = await provider_client(SENTIMENT.provider).chat.completions.create(
+      {
+        model: SENTIMENT.model,
+        messages: [{ role: "user", content: prompt }],
+        max_tokens: SENTIMENT.max_tokens,
+        temperature: 0,
+      },
+      { timeout: SENTIMENT_TIMEOUT_MS, maxRetries: 0 },
+    );
+    record_success(SENTIMENT.provider);
+    record_usage({
+      skill: "kira_router",
+      command: "sentiment",
+      provider: SENTIMENT.provider,
+      model: SENTIMENT.model,
+      prompt_tokens: response.usage !== undefined ? response.usage.prompt_tokens : 0,
+      completion_tokens: response.usage !== undefined ? response.usage.completion_tokens : 0,
+      latency_ms: Date.now() - start_time,
+    });
+
+    const scored = reply_json(response);
+    if (scored === null) {
+      throw new Error("no JSON in sentiment reply");
+    }
+    return scored;
+  } catch (err) {
+    console.error(`Sentiment analysis failed, using intent defaults: ${err.message}`);
+    record_failure(SENTIMENT.provider, err.message);
+    record_usage({
+      skill: "kira_router",
+      command: "sentiment",
+      provider: SENTIMENT.provider,
+      model: SENTIMENT.model,
+      latency_ms: Date.now() - start_time,
+      success: false,
+    });
+    return null;
+  }
+}
+
+async function run_analysis(message, response_text, intent) {
+  const scored = await score_exchange(message, response_text);
+  if (scored === null || typeof scored.message !== "object" || scored.message === null
+    || typeof scored.reply !== "object" || scored.reply === null) {
+    return fallback_analysis(intent);
+  }
+
+  const message_score = clamp_score(scored.message.sentiment);
+  const reply_score = clamp_score(scored.reply.sentiment);
+  const emotions = Array.isArray(scored.message.emotions)
+    ? scored.message.emotions.filter((e) => typeof e === "string" && e.length > 0).slice(0, 3).map((e) => e.toLowerCase())
+    : [];
+  const reply_emotion = AVATAR_EMOTIONS.includes(scored.reply.emotion) ? scored.reply.emotion : derive_emotion(intent);
+  const toward_kira = clamp_score(scored.toward_kira);
+  const note = typeof scored.note === "string" && scored.note.trim().length > 0 ? scored.note.trim().slice(0, 120) : null;
+
+  // Strong feelings either way make an exchange worth remembering
+  const importance = Math.min(1, derive_importance(intent) + SENTIMENT.importance_boost * Math.abs(message_score));
+
+  let affinity = null;
+  const rule = SENTIMENT.affinity;
+  if (rule.enabled && Math.abs(toward_kira) >= rule.threshold) {
+    const delta = Math.round(toward_kira * rule.max_delta * 1000) / 1000;
+    if (delta !== 0) {
+      affinity = { delta, reason: `sentiment: ${note !== null ? note : (delta > 0 ? "warm toward Kira" : "hostile toward Kira")}` };
+    }
+  }
+
+  return {
+    decided_by: "llm",
+    message: { label: sentiment_label(message_score), score: message_score, emotions },
+    reply: { label: sentiment_label(reply_score), score: reply_score, emotion: reply_emotion },
+    toward_kira,
+    note,
+    importance: Math.round(importance * 100) / 100,
+    affinity,
+  };
+}
+
+/**
+ * Analyse a message and Kira's reply to it. Never throws: falls back to
+ * the intent's emotion and importance.
+ *
+ * @param {object} params
+ * @param {string} params.message
+ * @param {string} params.response_text
+ * @param {string} params.intent - Primary classified intent
+ * @returns {Promise<{decided_by: string,
+ *   message: {label: string, score: number | null, emotions: string[]},
+ *   reply: {label: string, score: number | null, emotion: string},
+ *   toward_kira: number | null, note: string | null, importance: number,
+ *   affinity: {delta: number, reason: string} | null}>}
+ *   decided_by is llm or intent; labels are positive, neutral or negative;
+ *   reply.emotion is one of AVATAR_EMOTIONS
+ */
+export function analyse_exchange({ message, response_text, intent }) {
+  const key = crypto.createHash("sha256").update(`${intent}\n${message}\n${response_text}`).digest("hex");
+  const cached = _analyses.get(key);
+  if (cached !== undefined) return cached;
+
+  const analysis = run_analysis(message, response_text, intent);
+  _analyses.set(key, analysis);
+  if (_analyses.size > 200) {
+    _analyses.delete(_analyses.keys().next().value);
+  }
+  return analysis;
+}
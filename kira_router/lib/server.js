@@ -0,0 +1,308 @@
+import '/workspace/kira/scripts/load-env.js';
+/**
+ * Kira Router — HTTP Server Mode
+ *
+ * Long-running alternative to spawning `router.js respond` per message.
+ * The OpenAI/Supabase clients in classify, context_loader, responder and
+ * background stay warm between requests, so only the LLM call is paid per message.
+ *
+ * Endpoints:
+ *   POST /respond   {platform, sender_id, message, sender_name?, chat?, attachments?} → same JSON as `router.js respond`
+ *   POST /respond/stream  same body → SSE: meta, tool?, token..., fallback?, done (done carries the respond JSON)
+ *   POST /classify  {message, attachments?} → same JSON as `router.js classify`
+ *
+ * `attachments` is `[{name, data_base64}]` (images and text files, see attachments.js).
+ * `chat` is `{id, type?, message_id?, mentioned?, reply_to?}` for group chats (see group_chat.js).
+ *   GET  /status    → env checks plus server uptime and pending background tasks
+ *
+ * Background jobs left for retry (see jobs.js) are drained every
+ * JOB_DRAIN_INTERVAL_MS while the server runs. Trace spans (see
+ * tracing.js) are written once a reply's background tasks finish, and after
+ * each drain.
+ */
+
+import http from "node:http";
+import { process_message, classify_only, check_status } from "./pipeline.js";
+import { queue_background_tasks, run_background_jobs, drain_background_jobs } from "./background.js";
+import { JOB_DRAIN_INTERVAL_MS } from "./config.js";
+import { flush_traces } from "./tracing.js";
+import { AttachmentError, decode_attachments, prepare_attachments } from "./attachments.js";
+
+// Room for base64-encoded attachments; attachments.js enforces the per-file limits
+const MAX_BODY_BYTES = 16 * 1024 * 1024;
+
+// ── Request helpers ───────────────────────────────
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function read_json_body(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, "Request body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on("end", () => {
+      const raw = Buffer.concat(chunks).toString("utf-8");
+      if (raw.length === 0) {
+        resolve({});
+        return;
+      }
+      let body;
+      try {
+        body = JSON.parse(raw);
+      } catch (_) {
+        reject(new HttpError(400, "Body must be valid JSON"));
+        return;
+      }
+      if (body === null || typeof body !== "object" || Array.isArray(body)) {
+        reject(new HttpError(400, "Body must be a JSON object"));
+        return;
+      }
+      resolve(body);
+    });
+
+    req.on("error", reject);
+  });
+}
+
+function send_json(res, status, body) {
+  const payload = JSON.stringify(body, null, 2);
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Content-Length": Buffer.byteLength(payload),
+  });
+  res.end(payload);
+}
+
+function send_sse(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+async function parse_respond_body(body) {
+  const platform = require_string(body, "platform");
+  const sender_id = require_string(body, "sender_id");
+  const attachments = await parse_attachments(body);
+  return {
+    platform,
+    sender_id,
+    message: attachments.length > 0 && body.message === undefined ? "" : require_string(body, "message"),
+    sender_name: typeof body.sender_name === "string" ? body.sender_name : undefined,
+    chat: parse_chat(body),
+    attachments,
+  };
+}
+
+/**
+ * Check `body.chat` has the shape check_should_respond() expects.
+ */
+function parse_chat(body) {
+  const chat = body.chat;
+  if (chat === undefined || chat === null) return undefined;
+  if (typeof chat !== "object" || Array.isArray(chat)) {
+    throw new HttpError(400, "chat must be an object");
+  }
+  if ((typeof chat.id !== "string" && typeof chat.id !== "number") || chat.id === "") {
+    throw new HttpError(400, "Missing required field: chat.id");
+  }
+  if (chat.type !== undefined && chat.type !== "group" && chat.type !== "private") {
+    throw new HttpError(400, "chat.type must be group or private");
+  }
+  if (chat.reply_to !== undefined && chat.reply_to !== null
+    && (typeof chat.reply_to !== "object" || Array.isArray(chat.reply_to))) {
+    throw new HttpError(400, "chat.reply_to must be an object");
+  }
+  // Telegram ids are numbers; state is keyed by strings
+  const as_id = (value) => (typeof value === "number" ? String(value) : value);
+  const reply_to = chat.reply_to !== undefined && chat.reply_to !== null
+    ? { is_kira: chat.reply_to.is_kira === true, sender_id: as_id(chat.reply_to.sender_id), message_id: as_id(chat.reply_to.message_id) }
+    : undefined;
+  return {
+    id: as_id(chat.id),
+    type: chat.type !== undefined ? chat.type : "group",
+    message_id: as_id(chat.message_id),
+    mentioned: chat.mentioned === true,
+    reply_to,
+  };
+}
+
+/**
+ * Decode and prepare `body.attachments`; a bad file is the caller's fault (400).
+ */
+async function parse_attachments(body) {
+  if (body.attachments === undefined) return [];
+  try {
+    return await prepare_attachments(decode_attachments(body.attachments));
+  } catch (err) {
+    if (err instanceof AttachmentError) throw new HttpError(400, err.message);
+    throw err;
+  }
+}
+
+function require_string(body, field) {
+  const value = body[field];
+  if (typeof value !== "string" || value.length === 0) {
+    throw new HttpError(400, `Missing required field: ${field}`);
+  }
+  return value;
+}
+
+function is_authorized(req, token) {
+  if (token === undefined || token === "") return true;
+  return req.headers["authorization"] === `Bearer ${token}`;
+}
+
+// ── Server ────────────────────────────────────────
+
+/**
+ * Start the router HTTP server.
+ *
+ * @param {object} options
+ * @param {string} options.host - Interface to bind
+ * @param {number} options.port - Port to listen on
+ * @param {string} [options.token] - Bearer token required on every request (optional)
+ * @returns {Promise<http.Server>}
+ */
+export function start_server({ host, port, token }) {
+  const started_at = Date.now();
+  let background_pending = 0;
+
+  /**
+   * Queue background tasks now and run them once the reply has been
+   * flushed to the caller.
+   */
+  function schedule_background(res, background) {
+    const queued = queue_background_tasks(background);
+    res.on("finish", () => {
+      background_pending++;
+      run_background_jobs(queued)
+        .then((results) => {
+          console.error(`Background: ${results.join(", ")}`);
+        })
+        .catch((err) => {
+          console.error(`Background tasks crashed: ${err.message}`);
+        })
+        .finally(() => {
+          background_pending--;
+          flush_traces();
+        });
+    });
+  }
+
+  // Retry failed background jobs once their backoff has passed
+  let draining = false;
+  const drain_timer = setInterval(() => {
+    if (draining) return;
+    draining = true;
+    drain_background_jobs()
+      .then((results) => {
+        if (results.length > 0) console.error(`Background retries: ${results.join(", ")}`);
+      })
+      .catch((err) => {
+        console.error(`Background job drain failed: ${err.message}`);
+      })
+      .finally(() => {
+        draining = false;
+        flush_traces();
+      });
+  }, JOB_DRAIN_INTERVAL_MS);
+  drain_timer.unref();
+
+  const routes = {
+    "POST /respond": async (req, res) => {
+      const params = await parse_respond_body(await read_json_body(req));
+
+      const { output, background } = await process_message(params);
+      schedule_background(res, background);
+      send_json(res, 200, output);
+    },
+
+    "POST /respond/stream": async (req, res) => {
+      const params = await parse_respond_body(await read_json_body(req));
+
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        "Connection": "keep-alive",
+      });
+
+      try {
+        const { output, background } = await process_message({
+          ...params,
+          on_event: (event) => send_sse(res, event.type, event),
+        });
+        schedule_background(res, background);
+        send_sse(res, "done", { type: "done", ...output });
+      } catch (err) {
+        console.error(`POST /respond/stream failed: ${err.message}`);
+        send_sse(res, "error", { type: "error", error: err.message });
+      }
+      res.end();
+    },
+
+    "POST /classify": async (req, res) => {
+      const body = await read_json_body(req);
+      const attachments = await parse_attachments(body);
+      const message = attachments.length > 0 && body.message === undefined ? "" : require_string(body, "message");
+      send_json(res, 200, await classify_only(message, attachments));
+    },
+
+    "GET /status": async (_req, res) => {
+      send_json(res, 200, {
+        ...(await check_status()),
+        server: {
+          uptime_ms: Date.now() - started_at,
+          background_pending,
+        },
+      });
+    },
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const path = req.url.split("?")[0];
+    const handler = routes[`${req.method} ${path}`];
+
+    if (!is_authorized(req, token)) {
+      send_json(res, 401, { error: "Unauthorized" });
+      return;
+    }
+
+    if (handler === undefined) {
+      send_json(res, 404, { error: `No route for ${req.method} ${path}` });
+      return;
+    }
+
+    try {
+      await handler(req, res);
+    } catch (err) {
+      const status = err instanceof HttpError ? err.status : 500;
+      console.error(`${req.method} ${path} failed: ${err.message}`);
+      if (!res.headersSent) {
+        send_json(res, status, { error: err.message });
+      }
+    }
+  });
+
+  server.on("close", () => clearInterval(drain_timer));
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      server.off("error", reject);
+      resolve(server);
+    });
+  });
+}
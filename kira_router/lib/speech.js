@@ -0,0 +1,127 @@
+import '/workspace/kira/scripts/load-env.js';
+/**
+ * Kira Router — Live Speech
+ *
+ * Turns a token stream into whole sentences and forwards them to the
+ * avatar bridge as they form, so Kira starts talking while the rest of
+ * the reply is still generating. Speech can't be taken back, so each
+ * sentence is screened by the outbound policy's regex rules and secrets
+ * scan first, and replies the LLM judge reviews are held until approved.
+ */
+
+import { speak_on_bridge } from "./background.js";
+import { STREAM_SPEECH_MAX_CHARS } from "./config.js";
+import { judge_reviews, sentence_passes } from "./outbound.js";
+
+// Sentence end: terminal punctuation (plus closing quotes/brackets) followed by whitespace, or a newline
+const SENTENCE_BOUNDARY = /[.!?…]+["')\]]*\s+|\n+/;
+
+/**
+ * Buffer streamed text and call `on_sentence` for every complete sentence.
+ * Fenced code blocks are dropped — nobody wants to hear a stack trace read aloud.
+ *
+ * @param {(sentence: string) => void} on_sentence
+ * @returns {{push: (text: string) => void, flush: () => void}}
+ */
+export function create_sentence_splitter(on_sentence) {
+  let buffer = "";
+  let in_code = false;
+
+  function emit(segment) {
+    const sentence = segment.trim();
+    if (sentence.length === 0) return;
+
+    if (sentence.startsWith("```")) {
+      in_code = !in_code;
+      return;
+    }
+    if (in_code) return;
+
+    on_sentence(sentence);
+  }
+
+  return {
+    push(text) {
+      buffer += text;
+      let match = SENTENCE_BOUNDARY.exec(buffer);
+      while (match !== null) {
+        const end = match.index + match[0].length;
+        emit(buffer.slice(0, end));
+        buffer = buffer.slice(end);
+        match = SENTENCE_BOUNDARY.exec(buffer);
+      }
+    },
+
+    flush() {
+      emit(buffer);
+      buffer = "";
+    },
+  };
+}
+
+/**
+ * Create a speaker that sends streamed sentences to the avatar bridge in
+ * order, so Kira starts talking while the rest of the reply is still
+ * generating. Each sentence is screened as it forms (see
+ * sentence_passes()); once one fails, nothing more is spoken from the
+ * stream. Replies to intents the LLM judge reviews are held until the
+ * finished reply is approved. Speech stops once STREAM_SPEECH_MAX_CHARS
+ * have been spoken.
+ *
+ * @param {string} emotion - Avatar emotion for every sentence
+ * @param {string} intent - Intent the reply is generated for
+ * @returns {{push: (text: string) => void, finish: (approved: boolean) => Promise<number>}}
+ *   `finish` takes whether the reply was approved as streamed: the last
+ *   sentence (and any held ones) are spoken only then. It resolves with the
+ *   number of sentences spoken
+ */
+export function create_live_speaker(emotion, intent) {
+  const hold = judge_reviews(intent);
+  let queued_chars = 0;
+  let spoken_count = 0;
+  let stopped = false;
+  let finishing = false;
+  let approved_as_streamed = true;
+  const held = [];
+  let queue = Promise.resolve();
+
+  function speak(sentence) {
+    // Chain so sentences reach the bridge in the order they were generated
+    queue = queue
+      .then(() => speak_on_bridge(sentence, emotion))
+      .then(() => {
+        spoken_count++;
+      })
+      .catch((err) => {
+        console.error(`Live speech failed: ${err.message}`);
+      });
+  }
+
+  const splitter = create_sentence_splitter((sentence) => {
+    if (stopped || queued_chars >= STREAM_SPEECH_MAX_CHARS) return;
+    // The tail only comes out at finish, and only an approved reply speaks it
+    if (finishing && !approved_as_streamed) return;
+    if (!sentence_passes(sentence)) {
+      stopped = true;
+      console.error("Streamed sentence failed the outbound policy, stopping live speech");
+      return;
+    }
+    queued_chars += sentence.length;
+    if (hold) held.push(sentence);
+    else speak(sentence);
+  });
+
+  return {
+    push: splitter.push,
+    async finish(approved) {
+      finishing = true;
+      approved_as_streamed = approved;
+      splitter.flush();
+      if (approved) {
+        for (const sentence of held) speak(sentence);
+      }
+      await queue;
+      return spoken_count;
+    },
+  };
+}
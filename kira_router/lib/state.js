@@ -0,0 +1,100 @@
+/**
+ * Kira Router — Local State
+ *
+ * Small JSON files shared between router invocations (CLI runs and the
+ * server). Lives in kira_router/.state/ unless KIRA_ROUTER_STATE_DIR is set.
+ * Writes go through a temp file + rename so a crash never leaves half a file.
+ * Read-modify-write updates that several processes make to one file hold a
+ * lock file while they run, so they don't undo each other's changes.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const DEFAULT_STATE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", ".state");
+
+// A lock older than this belongs to a process that died holding it
+const LOCK_STALE_MS = 2000;
+const LOCK_RETRY_MS = 5;
+const _sleeper = new Int32Array(new SharedArrayBuffer(4));
+
+export const STATE_DIR = process.env.KIRA_ROUTER_STATE_DIR !== undefined && process.env.KIRA_ROUTER_STATE_DIR !== ""
+  ? path.resolve(process.env.KIRA_ROUTER_STATE_DIR)
+  : DEFAULT_STATE_DIR;
+
+/**
+ * Absolute path of a file in the state directory.
+ */
+export function state_path(name) {
+  return path.join(STATE_DIR, name);
+}
+
+/**
+ * Read a JSON state file, returning `fallback` if it is missing or unreadable.
+ */
+export function read_state_json(name, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(state_path(name), "utf-8"));
+  } catch (_) {
+    return fallback;
+  }
+}
+
+/**
+ * Atomically replace a JSON state file.
+ */
+export function write_state_json(name, data) {
+  fs.mkdirSync(STATE_DIR, { recursive: true });
+  const target = state_path(name);
+  const tmp = `${target}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, target);
+}
+
+/**
+ * Take the lock file for a state file, waiting (synchronously) while
+ * another process holds it.
+ */
+function acquire_lock(target) {
+  const lock = `${target}.lock`;
+  for (;;) {
+    try {
+      fs.closeSync(fs.openSync(lock, "wx"));
+      return lock;
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+    }
+    try {
+      if (Date.now() - fs.statSync(lock).mtimeMs > LOCK_STALE_MS) {
+        fs.rmSync(lock, { force: true });
+        continue;
+      }
+    } catch (_) {
+      // Released between the open and the stat
+      continue;
+    }
+    Atomics.wait(_sleeper, 0, 0, LOCK_RETRY_MS);
+  }
+}
+
+/**
+ * Read, change and write back a JSON state file while holding its lock.
+ *
+ * @param {string} name
+ * @param {*} fallback - Starting value when the file is missing or unreadable
+ * @param {(data: *) => *} update - Changes `data` in place; its return value is returned
+ * @returns {*}
+ */
+export function update_state_json(name, fallback, update) {
+  fs.mkdirSync(STATE_DIR, { recursive: true });
+  const lock = acquire_lock(state_path(name));
+  try {
+    const data = read_state_json(name, fallback);
+    const result = update(data);
+    write_state_json(name, data);
+    return result;
+  } finally {
+    fs.rmSync(lock, { force: true });
+  }
+}
@@ -0,0 +1,760 @@
+import '/workspace/kira/scripts/load-env.js';
+/**
+ * Kira Router — Telegram Adapter
+ *
+ * Receives messages from the Telegram Bot API, runs them through the
+ * router pipeline and sends the replies, so no outside agent has to call
+ * `router.js respond --platform telegram`. Two ways to receive updates:
+ *
+ *   poll      long-polls getUpdates (removes any webhook first)
+ *   webhook   Telegram POSTs updates to TELEGRAM_WEBHOOK_PATH, which must
+ *             carry TELEGRAM_WEBHOOK_SECRET in X-Telegram-Bot-Api-Secret-Token
+ *
+ * Either way an update is saved as pending in .state/telegram.json before
+ * it is confirmed to Telegram (by the next getUpdates offset, or the
+ * webhook's 200) and released once answered. Updates still pending at
+ * startup, left by a crash or restart, are answered first.
+ *
+ * The sender is the Telegram user id, which is what platform_links rows
+ * for telegram hold, and the chat goes to group_chat.js: its id, whether
+ * the bot was @mentioned and who the message replies to. Group policies in
+ * `group_chat` decide what gets answered.
+ *
+ * Replies are threaded to the message they answer (and to its forum
+ * topic) and split at Telegram's length limit. Photos and documents are
+ * downloaded and read as attachments (see attachments.js); an album is
+ * read as one message. An edited message is answered again, editing Kira's
+ * earlier reply in place. Messages in one chat are handled in order.
+ *
+ * TELEGRAM_API_URL points the adapter at a local Bot API server or a
+ * stand-in instead of api.telegram.org.
+ */
+
+import http from "node:http";
+import { process_message } from "./pipeline.js";
+import { queue_background_tasks, run_background_jobs, drain_background_jobs } from "./background.js";
+import {
+  ATTACHMENTS,
+  JOB_DRAIN_INTERVAL_MS,
+  TELEGRAM_POLL_TIMEOUT_SECONDS,
+  TELEGRAM_REQUEST_TIMEOUT_MS,
+  TELEGRAM_POLL_RETRY_MS,
+  TELEGRAM_POLL_RETRY_MAX_MS,
+  TELEGRAM_MAX_RETRY_AFTER_SECONDS,
+  TELEGRAM_MESSAGE_MAX_CHARS,
+  TELEGRAM_REPLY_MEMORY_MS,
+  TELEGRAM_EDIT_WINDOW_MS,
+  TELEGRAM_ALBUM_WAIT_MS,
+  TELEGRAM_PENDING_MAX_REPLAYS,
+  TELEGRAM_WEBHOOK_PATH,
+  TELEGRAM_WEBHOOK_MAX_BODY_BYTES,
+} from "./config.js";
+import { flush_traces } from "./tracing.js";
+import { AttachmentError, prepare_attachments } from "./attachments.js";
+import { read_state_json, update_state_json } from "./state.js";
+
+const STATE_FILE = "telegram.json";
+const DEFAULT_API_URL = "https://api.telegram.org";
+const ALLOWED_UPDATES = ["message", "edited_message"];
+
+// Update ids already taken in, for redeliveries
+const SEEN_LIMIT = 1000;
+const _seen = new Set();
+
+// Tail of each chat's handling chain, so a chat's messages are answered in order
+const _chats = new Map();
+
+// Album messages waiting for the rest of their album, by media_group_id
+const _albums = new Map();
+
+let _bot = null;
+
+// ── Bot API ───────────────────────────────────────
+
+export class TelegramError extends Error {
+  constructor(method, description, error_code) {
+    super(`Telegram ${method} failed: ${description}`);
+    this.name = "TelegramError";
+    this.method = method;
+    this.error_code = error_code;
+  }
+}
+
+function api_url() {
+  const url = process.env.TELEGRAM_API_URL;
+  return url !== undefined && url !== "" ? url.replace(/\/+$/, "") : DEFAULT_API_URL;
+}
+
+function bot_token() {
+  const token = process.env.TELEGRAM_BOT_TOKEN;
+  if (token === undefined || token === "") {
+    throw new Error("TELEGRAM_BOT_TOKEN must be set");
+  }
+  return token;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Sleep, waking early if `signal` aborts.
+ */
+function wait(ms, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    signal.addEventListener("abort", () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
+
+/**
+ * Call a Bot API method. A 429 is waited out once when Telegram asks for
+ * no more than TELEGRAM_MAX_RETRY_AFTER_SECONDS.
+ *
+ * @param {string} method - e.g. sendMessage
+ * @param {object} [params]
+ * @param {object} [options]
+ * @param {number} [options.timeout_ms]
+ * @param {AbortSignal} [options.signal] - Cancels a long poll on shutdown
+ * @returns {Promise<*>} The method's `result`
+ * @throws {TelegramError}
+ */
+async function call_api(method, params = {}, { timeout_ms = TELEGRAM_REQUEST_TIMEOUT_MS, signal } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    const timeout = AbortSignal.timeout(timeout_ms);
+    const response = await fetch(`${api_url()}/bot${bot_token()}/${method}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(params),
+      signal: signal !== undefined ? AbortSignal.any([signal, timeout]) : timeout,
+    });
+    let body = null;
+    try {
+      body = await response.json();
+    } catch (_) {
+      // Not JSON: reported with the status below
+    }
+    if (body !== null && body.ok === true) return body.result;
+
+    const description = body !== null && typeof body.description === "string" ? body.description : `HTTP ${response.status}`;
+    const retry_after = body !== null && body.parameters !== undefined ? body.parameters.retry_after : undefined;
+    if (response.status === 429 && attempt === 0 && typeof retry_after === "number" && retry_after <= TELEGRAM_MAX_RETRY_AFTER_SECONDS) {
+      await sleep(retry_after * 1000);
+      continue;
+    }
+    throw new TelegramError(method, description, response.status);
+  }
+}
+
+/**
+ * The bot's own user (getMe), fetched once: its id and username tell
+ * replies to Kira and @mentions of Kira apart from the rest.
+ */
+async function load_bot() {
+  if (_bot === null) {
+    _bot = await call_api("getMe");
+  }
+  return _bot;
+}
+
+async function download_file(file_id) {
+  const file = await call_api("getFile", { file_id });
+  if (typeof file.file_path !== "string") {
+    throw new TelegramError("getFile", "no file_path returned", null);
+  }
+  const response = await fetch(`${api_url()}/file/bot${bot_token()}/${file.file_path}`, {
+    signal: AbortSignal.timeout(TELEGRAM_REQUEST_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new TelegramError("getFile", `download returned ${response.status}`, response.status);
+  }
+  return Buffer.from(await response.arrayBuffer());
+}
+
+// ── State ─────────────────────────────────────────
+
+/**
+ * Read-modify-write .state/telegram.json under its lock: `{offset, replies, pending}`.
+ * Replies older than TELEGRAM_REPLY_MEMORY_MS are dropped on the way.
+ */
+function update_state(update) {
+  return update_state_json(STATE_FILE, {}, (state) => {
+    if (typeof state.offset !== "number") state.offset = null;
+    if (state.replies === undefined) state.replies = {};
+    if (state.pending === undefined) state.pending = {};
+    const result = update(state);
+    const now = Date.now();
+    state.replies = Object.fromEntries(
+      Object.entries(state.replies).filter(([, reply]) => now - reply.at < TELEGRAM_REPLY_MEMORY_MS),
+    );
+    return result;
+  });
+}
+
+function update_state_quietly(update) {
+  try {
+    update_state(update);
+  } catch (err) {
+    console.error(`Telegram state save failed: ${err.message}`);
+  }
+}
+
+function reply_key(message) {
+  return `${message.chat.id}:${message.message_id}`;
+}
+
+/**
+ * Kira's reply to a message (the ids of its parts), or null if none is remembered.
+ */
+function remembered_reply(message) {
+  const replies = read_state_json(STATE_FILE, {}).replies;
+  const reply = replies !== undefined ? replies[reply_key(message)] : undefined;
+  return reply !== undefined ? reply.message_ids : null;
+}
+
+function remember_reply(message, message_ids) {
+  update_state_quietly((state) => {
+    state.replies[reply_key(message)] = { message_ids, at: Date.now() };
+  });
+}
+
+function forget_reply(message) {
+  update_state_quietly((state) => {
+    delete state.replies[reply_key(message)];
+  });
+}
+
+/**
+ * Save updates as pending, with the poll offset that confirms them. Throws
+ * if they can't be saved, so the caller doesn't confirm them either.
+ */
+function hold_updates(updates, offset) {
+  update_state((state) => {
+    for (const update of updates) {
+      if (typeof update.update_id !== "number") continue;
+      state.pending[update.update_id] = { update, at: Date.now(), replays: 0 };
+    }
+    if (offset !== null) state.offset = offset;
+  });
+}
+
+function release_update(update_id) {
+  if (typeof update_id !== "number") return;
+  update_state_quietly((state) => {
+    delete state.pending[update_id];
+  });
+}
+
+/**
+ * Updates a previous run took in but didn't finish answering, oldest first.
+ * One that has already been replayed TELEGRAM_PENDING_MAX_REPLAYS times is
+ * dropped, so a message that crashes the adapter can't do so forever.
+ */
+function take_pending() {
+  return update_state((state) => {
+    const pending = [];
+    for (const [update_id, entry] of Object.entries(state.pending)) {
+      if (entry.replays >= TELEGRAM_PENDING_MAX_REPLAYS) {
+        console.error(`Telegram: dropping update ${update_id}, still unanswered after ${entry.replays} restarts`);
+        delete state.pending[update_id];
+        continue;
+      }
+      entry.replays++;
+      pending.push(entry.update);
+    }
+    return pending.sort((a, b) => a.update_id - b.update_id);
+  });
+}
+
+// ── Incoming messages ─────────────────────────────
+
+function message_text(message) {
+  if (typeof message.text === "string") return message.text;
+  return typeof message.caption === "string" ? message.caption : "";
+}
+
+function sender_name(user) {
+  if (typeof user.username === "string" && user.username !== "") return user.username;
+  const name = [user.first_name, user.last_name].filter((part) => typeof part === "string" && part !== "").join(" ");
+  return name !== "" ? name : undefined;
+}
+
+/**
+ * Whether the message @mentions the bot, including `/command@bot`.
+ * Entity offsets are UTF-16 code units, as JS string indexes are.
+ */
+function mentions_bot(message, bot) {
+  const text = message_text(message);
+  const entities = message.entities !== undefined ? message.entities : message.caption_entities;
+  if (entities === undefined || typeof bot.username !== "string") return false;
+  const handle = `@${bot.username.toLowerCase()}`;
+  return entities.some((entity) => {
+    const value = text.slice(entity.offset, entity.offset + entity.length).toLowerCase();
+    if (entity.type === "mention") return value === handle;
+    if (entity.type === "bot_command") return value.endsWith(handle);
+    return entity.type === "text_mention" && entity.user !== undefined && entity.user.id === bot.id;
+  });
+}
+
+/**
+ * The chat as group_chat.js sees it. In forum topics every message
+ * "replies" to the topic's opening message, which isn't a real reply.
+ */
+function chat_for(message, bot) {
+  const replied = message.reply_to_message;
+  const real_reply = replied !== undefined && replied.forum_topic_created === undefined && replied.from !== undefined;
+  return {
+    id: String(message.chat.id),
+    type: message.chat.type === "private" ? "private" : "group",
+    message_id: String(message.message_id),
+    mentioned: mentions_bot(message, bot),
+    reply_to: real_reply
+      ? { is_kira: replied.from.id === bot.id, sender_id: String(replied.from.id), message_id: String(replied.message_id) }
+      : undefined,
+  };
+}
+
+/**
+ * Download the photos and documents of a message (or album). Of a photo's
+ * sizes, the largest within `attachments.image_max_bytes` is taken.
+ *
+ * @returns {Promise<object[]>} Prepared attachments
+ * @throws {AttachmentError}
+ */
+async function collect_attachments(messages) {
+  const max_bytes = Math.max(ATTACHMENTS.image_max_bytes, ATTACHMENTS.text_max_bytes);
+  const files = [];
+  for (const message of messages) {
+    if (Array.isArray(message.photo) && message.photo.length > 0) {
+      const fitting = message.photo.filter((size) => size.file_size === undefined || size.file_size <= ATTACHMENTS.image_max_bytes);
+      const size = fitting.length > 0 ? fitting[fitting.length - 1] : message.photo[0];
+      files.push({ name: `photo-${message.message_id}.jpg`, file_id: size.file_id });
+    }
+    if (message.document !== undefined) {
+      const name = typeof message.document.file_name === "string" ? message.document.file_name : `document-${message.message_id}`;
+      if (message.document.file_size !== undefined && message.document.file_size > max_bytes) {
+        throw new AttachmentError(name, `file is ${Math.ceil(message.document.file_size / 1024)} KB, the limit is ${Math.ceil(max_bytes / 1024)} KB`);
+      }
+      files.push({ name, file_id: message.document.file_id });
+    }
+  }
+  if (files.length === 0) return [];
+
+  const raw = [];
+  for (const file of files) {
+    try {
+      raw.push({ name: file.name, data: await download_file(file.file_id) });
+    } catch (err) {
+      throw new AttachmentError(file.name, `download failed: ${err.message}`);
+    }
+  }
+  return prepare_attachments(raw);
+}
+
+// ── Replies ───────────────────────────────────────
+
+/**
+ * Split a reply into messages Telegram accepts, at a line break or
+ * space where possible.
+ */
+function split_reply(text) {
+  const parts = [];
+  let rest = text;
+  while (rest.length > TELEGRAM_MESSAGE_MAX_CHARS) {
+    const window = rest.slice(0, TELEGRAM_MESSAGE_MAX_CHARS);
+    const newline = window.lastIndexOf("\n");
+    const space = window.lastIndexOf(" ");
+    const cut = newline > TELEGRAM_MESSAGE_MAX_CHARS / 2 ? newline : (space > TELEGRAM_MESSAGE_MAX_CHARS / 2 ? space : TELEGRAM_MESSAGE_MAX_CHARS);
+    parts.push(rest.slice(0, cut).trimEnd());
+    rest = rest.slice(cut).trimStart();
+  }
+  if (rest.length > 0) parts.push(rest);
+  return parts;
+}
+
+/**
+ * Send a reply part. The first part replies to the user's message; all
+ * stay in its forum topic.
+ */
+async function send_part(message, text, threaded) {
+  const sent = await call_api("sendMessage", {
+    chat_id: message.chat.id,
+    text,
+    ...(message.is_topic_message === true ? { message_thread_id: message.message_thread_id } : {}),
+    ...(threaded ? { reply_parameters: { message_id: message.message_id, allow_sending_without_reply: true } } : {}),
+  });
+  return sent.message_id;
+}
+
+async function send_reply(message, text) {
+  const message_ids = [];
+  for (const [i, part] of split_reply(text).entries()) {
+    message_ids.push(await send_part(message, part, i === 0));
+  }
+  return message_ids;
+}
+
+/**
+ * Replace an earlier reply in place: edit its parts, send any extra ones
+ * and delete the ones no longer needed.
+ */
+async function edit_reply(message, previous_ids, text) {
+  const parts = split_reply(text);
+  const message_ids = [];
+  for (const [i, part] of parts.entries()) {
+    if (i >= previous_ids.length) {
+      message_ids.push(await send_part(message, part, false));
+      continue;
+    }
+    try {
+      await call_api("editMessageText", { chat_id: message.chat.id, message_id: previous_ids[i], text: part });
+    } catch (err) {
+      // Same text as before is fine
+      if (!(err instanceof TelegramError && err.message.includes("message is not modified"))) throw err;
+    }
+    message_ids.push(previous_ids[i]);
+  }
+  await delete_parts(message, previous_ids.slice(parts.length));
+  return message_ids;
+}
+
+async function delete_parts(message, message_ids) {
+  for (const stale of message_ids) {
+    await call_api("deleteMessage", { chat_id: message.chat.id, message_id: stale }).catch((err) => {
+      console.error(`Telegram: could not delete reply part ${stale}: ${err.message}`);
+    });
+  }
+}
+
+// ── Handling ──────────────────────────────────────
+
+/**
+ * Answer one message (or album). Edits update Kira's earlier reply, or
+ * delete it if the edited message gets none, and replace the logged
+ * exchange; an edit to a message Kira didn't answer is treated as new
+ * while it is recent (it may now mention Kira).
+ */
+async function handle_message(messages, edited) {
+  const bot = await load_bot();
+  // The captioned message carries the album's text
+  const message = messages.find((m) => message_text(m) !== "") || messages[0];
+  const label = `${message.chat.id}:${message.message_id}`;
+
+  const previous_ids = remembered_reply(message);
+  // Answered just before a restart, but not yet released
+  if (!edited && previous_ids !== null) return;
+  if (edited && previous_ids === null && Date.now() - message.date * 1000 > TELEGRAM_EDIT_WINDOW_MS) {
+    return;
+  }
+
+  let attachments;
+  try {
+    attachments = await collect_attachments(messages);
+  } catch (err) {
+    if (!(err instanceof AttachmentError)) throw err;
+    console.error(`Telegram ${label}: ${err.message}`);
+    // Only a private chat is sure to be talking to Kira
+    if (message.chat.type === "private") {
+      await send_reply(message, `I couldn't read that file (${err.message}).`);
+    }
+    return;
+  }
+  const text = message_text(message);
+  if (text === "" && attachments.length === 0) return;
+
+  const { output, background } = await process_message({
+    platform: "telegram",
+    sender_id: String(message.from.id),
+    message: text,
+    sender_name: sender_name(message.from),
+    chat: chat_for(message, bot),
+    attachments,
+    ...(edited ? { replaces: String(message.message_id) } : {}),
+  });
+
+  // Queued before the reply goes out, so a crash after it loses nothing
+  const queued = queue_background_tasks(background);
+  if (output.response_text.length > 0) {
+    const message_ids = edited && previous_ids !== null
+      ? await edit_reply(message, previous_ids, output.response_text)
+      : await send_reply(message, output.response_text);
+    remember_reply(message, message_ids);
+  } else if (edited && previous_ids !== null) {
+    await delete_parts(message, previous_ids);
+    forget_reply(message);
+  }
+  console.error(`Telegram ${label}${edited ? " (edited)" : ""}: ${output.intent} → ${output.policy.action}${output.should_respond !== null ? ` (${output.should_respond.reason})` : ""}`);
+
+  const results = await run_background_jobs(queued);
+  console.error(`Background: ${results.join(", ")}`);
+  await flush_traces();
+}
+
+/**
+ * Run `fn` in the chat's turn. Resolves once it has, even if it failed.
+ */
+function run_in_chat(chat_id, fn) {
+  const previous = _chats.has(chat_id) ? _chats.get(chat_id) : Promise.resolve();
+  const tail = previous.then(fn).catch((err) => {
+    console.error(`Telegram chat ${chat_id}: ${err.message}`);
+  });
+  _chats.set(chat_id, tail);
+  tail.then(() => {
+    if (_chats.get(chat_id) === tail) _chats.delete(chat_id);
+  });
+  return tail;
+}
+
+/**
+ * Hold album messages until the album stops growing, then handle them
+ * together. Resolves once the whole album has been handled.
+ */
+function collect_album(message) {
+  const group_id = message.media_group_id;
+  let album = _albums.get(group_id);
+  if (album === undefined) {
+    album = { messages: [], timer: null, resolve: null, handled: null };
+    album.handled = new Promise((resolve) => {
+      album.resolve = resolve;
+    });
+    _albums.set(group_id, album);
+  }
+  album.messages.push(message);
+  clearTimeout(album.timer);
+  album.timer = setTimeout(() => {
+    _albums.delete(group_id);
+    run_in_chat(message.chat.id, () => handle_message(album.messages, false)).then(album.resolve);
+  }, TELEGRAM_ALBUM_WAIT_MS);
+  return album.handled;
+}
+
+/**
+ * Route one update to its chat.
+ *
+ * @param {object} update - A Bot API Update
+ * @returns {Promise<void>} Resolves once the message has been handled (or
+ *   at once if there is nothing to answer)
+ */
+export function dispatch_update(update) {
+  const edited = update.message === undefined && update.edited_message !== undefined;
+  const message = edited ? update.edited_message : update.message;
+  // Channel posts and other bots (including Kira itself) aren't conversations
+  if (message === undefined || message.from === undefined || message.from.is_bot) return Promise.resolve();
+
+  if (!edited && message.media_group_id !== undefined) {
+    return collect_album(message);
+  }
+  return run_in_chat(message.chat.id, () => handle_message([message], edited));
+}
+
+/**
+ * Take in updates from either mode. New ones are saved as pending before
+ * this returns, so the caller can confirm them to Telegram, and released
+ * once answered; redeliveries are skipped.
+ *
+ * @param {object[]} updates
+ * @param {number | null} offset - Poll offset to save with them
+ * @throws {Error} If the updates couldn't be saved
+ */
+function receive_updates(updates, offset) {
+  const fresh = updates.filter((update) => !_seen.has(update.update_id));
+  hold_updates(fresh, offset);
+  for (const update of fresh) {
+    dispatch_pending(update);
+  }
+}
+
+function dispatch_pending(update) {
+  if (typeof update.update_id === "number") {
+    _seen.add(update.update_id);
+    if (_seen.size > SEEN_LIMIT) _seen.delete(_seen.values().next().value);
+  }
+  dispatch_update(update).then(() => release_update(update.update_id));
+}
+
+/**
+ * Resolves once every message received so far has been answered.
+ */
+async function idle() {
+  while (_albums.size > 0 || _chats.size > 0) {
+    await Promise.all([..._chats.values(), sleep(_albums.size > 0 ? TELEGRAM_ALBUM_WAIT_MS : 0)]);
+  }
+}
+
+// ── Modes ─────────────────────────────────────────
+
+async function poll_updates(signal) {
+  let offset = read_state_json(STATE_FILE, {}).offset;
+  if (typeof offset !== "number") offset = null;
+  let retry_ms = TELEGRAM_POLL_RETRY_MS;
+
+  while (!signal.aborted) {
+    let updates;
+    try {
+      updates = await call_api(
+        "getUpdates",
+        { ...(offset !== null ? { offset } : {}), timeout: TELEGRAM_POLL_TIMEOUT_SECONDS, allowed_updates: ALLOWED_UPDATES },
+        { timeout_ms: TELEGRAM_POLL_TIMEOUT_SECONDS * 1000 + TELEGRAM_REQUEST_TIMEOUT_MS, signal },
+      );
+      retry_ms = TELEGRAM_POLL_RETRY_MS;
+    } catch (err) {
+      if (signal.aborted) break;
+      console.error(`Telegram getUpdates failed, retrying in ${retry_ms / 1000}s: ${err.message}`);
+      await wait(retry_ms, signal);
+      retry_ms = Math.min(retry_ms * 2, TELEGRAM_POLL_RETRY_MAX_MS);
+      continue;
+    }
+
+    if (updates.length === 0) continue;
+    // The next getUpdates confirms these to Telegram, so they are saved first
+    const next_offset = updates[updates.length - 1].update_id + 1;
+    try {
+      receive_updates(updates, next_offset);
+    } catch (err) {
+      console.error(`Telegram: could not save updates, fetching them again in ${retry_ms / 1000}s: ${err.message}`);
+      await wait(retry_ms, signal);
+      continue;
+    }
+    offset = next_offset;
+  }
+}
+
+function read_body(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > TELEGRAM_WEBHOOK_MAX_BODY_BYTES) {
+        reject(new Error("Request body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf-8")));
+    req.on("error", reject);
+  });
+}
+
+function start_webhook_server({ host, port, secret }) {
+  const server = http.createServer(async (req, res) => {
+    const path = req.url.split("?")[0];
+    if (req.method !== "POST" || path !== TELEGRAM_WEBHOOK_PATH) {
+      res.writeHead(404).end();
+      return;
+    }
+    if (req.headers["x-telegram-bot-api-secret-token"] !== secret) {
+      res.writeHead(401).end();
+      return;
+    }
+
+    let update;
+    try {
+      update = JSON.parse(await read_body(req));
+    } catch (err) {
+      console.error(`Telegram webhook: bad update: ${err.message}`);
+      res.writeHead(400).end();
+      return;
+    }
+    if (update !== null && typeof update === "object") {
+      // Saved before the 200, which Telegram needs sooner than a reply takes
+      try {
+        receive_updates([update], null);
+      } catch (err) {
+        console.error(`Telegram webhook: could not save update: ${err.message}`);
+        res.writeHead(500).end();
+        return;
+      }
+    }
+    res.writeHead(200, { "Content-Type": "application/json" }).end("{}");
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      server.off("error", reject);
+      resolve(server);
+    });
+  });
+}
+
+/**
+ * Start the Telegram adapter. Background jobs left for retry are drained
+ * every JOB_DRAIN_INTERVAL_MS while it runs.
+ *
+ * @param {object} options
+ * @param {"poll" | "webhook"} options.mode
+ * @param {string} [options.host] - Webhook: interface to bind
+ * @param {number} [options.port] - Webhook: port to listen on
+ * @param {string} [options.url] - Webhook: public URL to register with setWebhook; without it the
+ *   webhook is assumed to be registered already
+ * @returns {Promise<{bot: object, port?: number, stop: () => Promise<void>}>} `port` is the port the
+ *   webhook listens on; `stop` stops receiving and resolves once every message already received
+ *   has been answered
+ */
+export async function start_telegram({ mode, host, port, url }) {
+  const secret = process.env.TELEGRAM_WEBHOOK_SECRET;
+  if (mode === "webhook" && (secret === undefined || secret === "")) {
+    throw new Error("TELEGRAM_WEBHOOK_SECRET must be set for webhook mode");
+  }
+  const bot = await load_bot();
+
+  const pending = take_pending();
+  if (pending.length > 0) {
+    console.error(`Telegram: answering ${pending.length} update(s) left unanswered by the last run`);
+    for (const update of pending) {
+      dispatch_pending(update);
+    }
+  }
+
+  let draining = false;
+  const drain_timer = setInterval(() => {
+    if (draining) return;
+    draining = true;
+    drain_background_jobs()
+      .then((results) => {
+        if (results.length > 0) console.error(`Background retries: ${results.join(", ")}`);
+      })
+      .catch((err) => {
+        console.error(`Background job drain failed: ${err.message}`);
+      })
+      .finally(() => {
+        draining = false;
+        flush_traces();
+      });
+  }, JOB_DRAIN_INTERVAL_MS);
+
+  if (mode === "poll") {
+    // getUpdates is refused while a webhook is set
+    await call_api("deleteWebhook", { drop_pending_updates: false });
+    const controller = new AbortController();
+    const polling = poll_updates(controller.signal);
+    return {
+      bot,
+      stop: async () => {
+        controller.abort();
+        clearInterval(drain_timer);
+        await polling;
+        await idle();
+      },
+    };
+  }
+
+  const server = await start_webhook_server({ host, port, secret });
+  if (url !== undefined) {
+    await call_api("setWebhook", { url, secret_token: secret, allowed_updates: ALLOWED_UPDATES });
+  }
+  return {
+    bot,
+    port: server.address().port,
+    stop: async () => {
+      clearInterval(drain_timer);
+      await new Promise((resolve) => server.close(resolve));
+      await idle();
+    },
+  };
+}
@@ -0,0 +1,277 @@
+/**
+ * Kira Router — Telegram Adapter Check
+ *
+ * The `telegram` suite of `router.js check`: runs the real adapter
+ * (telegram.js) in poll or webhook mode against the Bot API stand-in
+ * (telegram_stub.js), with every provider, Supabase, GitHub and the
+ * bridges pointed at a local backend stand-in. Its chat completions
+ * classify each message as the case's `intent` and reply with the case's
+ * `reply`; Supabase and GitHub reads come back empty and writes succeed.
+ *
+ * A case is a list of steps. Each step starts the adapter, delivers its
+ * updates (by getUpdates, or POSTed to the webhook) and stops it, which
+ * waits until they are answered; the next step starts it again, as after
+ * a restart. What the adapter sent is compared with the case's `expect`.
+ */
+
+import http from "node:http";
+import { CONFIG_PATH, TELEGRAM_WEBHOOK_PATH, load_config_from, redirect_providers } from "./config.js";
+import { start_telegram } from "./telegram.js";
+import { start_bot_api_stub } from "./telegram_stub.js";
+
+const CHECK_TOKEN = "4242:check";
+const CHECK_WEBHOOK_SECRET = "check-webhook-secret";
+const CHECK_BOT = { id: 4242, is_bot: true, first_name: "Kira", username: "kira_check_bot" };
+const DEFAULT_INTENT = "chat";
+const EMBEDDING_DIMENSIONS = 1536;
+
+// Env the adapter and the pipeline read, pointed at the stand-ins for the suite
+const CHECK_ENV = [
+  "TELEGRAM_BOT_TOKEN",
+  "TELEGRAM_API_URL",
+  "TELEGRAM_WEBHOOK_SECRET",
+  "SUPABASE_URL",
+  "SUPABASE_SERVICE_KEY",
+  "OPENAI_API_KEY",
+  "OPENAI_BASE_URL",
+  "AVATAR_BRIDGE_URL",
+  "STREAM_BRIDGE_URL",
+  "GITHUB_API_URL",
+  "OTEL_EXPORTER_OTLP_TRACES_ENDPOINT",
+];
+
+// ── Backend stand-in ──────────────────────────────
+
+/**
+ * A reply of `chars` characters made of `text` repeated, for length checks.
+ */
+function reply_text(reply) {
+  if (typeof reply === "string") return reply;
+  let text = reply.text;
+  while (text.length < reply.chars) text += ` ${reply.text}`;
+  return text.slice(0, reply.chars).trim();
+}
+
+function completion(content) {
+  return {
+    id: "check",
+    object: "chat.completion",
+    created: Math.floor(Date.now() / 1000),
+    model: "check",
+    choices: [{ index: 0, message: { role: "assistant", content }, finish_reason: "stop" }],
+    usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+  };
+}
+
+/**
+ * Chat completions, embeddings, Supabase REST, GitHub and the bridges, on one
+ * local port. `current()` returns `{intent, reply}` for the step running.
+ */
+function start_backend_stub(current) {
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      const send = (status, value) => {
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(value));
+      };
+      const url = new URL(req.url, "http://stub");
+
+      if (req.method === "POST" && url.pathname.endsWith("/chat/completions")) {
+        const request = JSON.parse(body);
+        const last = request.messages[request.messages.length - 1].content;
+        const prompt = typeof last === "string" ? last : last.filter((part) => part.type === "text").map((part) => part.text).join("\n");
+        const { intent, reply } = current();
+        let content;
+        if (prompt.includes("\"intents\"")) {
+          content = JSON.stringify({ intents: [{ intent, score: 0.9 }] });
+        } else if (prompt.startsWith("You review replies")) {
+          content = "{\"ok\": true}";
+        } else if (prompt.startsWith("Analyse the emotional tone")) {
+          content = JSON.stringify({
+            message: { sentiment: 0, emotions: [] },
+            reply: { sentiment: 0, emotion: "neutral" },
+            toward_kira: 0,
+            note: null,
+          });
+        } else {
+          content = reply_text(reply);
+        }
+        if (request.stream === true) {
+          res.writeHead(200, { "Content-Type": "text/event-stream" });
+          const chunk = (delta, finish_reason) => ({ id: "check", object: "chat.completion.chunk", model: "check", choices: [{ index: 0, delta, finish_reason }] });
+          res.write(`data: ${JSON.stringify(chunk({ role: "assistant", content }, null))}\n\n`);
+          res.write(`data: ${JSON.stringify(chunk({}, "stop"))}\n\n`);
+          res.end("data: [DONE]\n\n");
+          return;
+        }
+        send(200, completion(content));
+        return;
+      }
+      if (req.method === "POST" && url.pathname.endsWith("/embeddings")) {
+        const inputs = [].concat(JSON.parse(body).input);
+        send(200, {
+          data: inputs.map((_, index) => ({ index, embedding: new Array(EMBEDDING_DIMENSIONS).fill(1 / Math.sqrt(EMBEDDING_DIMENSIONS)) })),
+          usage: { prompt_tokens: 0, total_tokens: 0 },
+        });
+        return;
+      }
+      if (url.pathname.startsWith("/rest/v1/rpc/")) {
+        // kira_get_relationship returns one object, the search functions rows
+        send(200, url.pathname.endsWith("/kira_get_relationship") ? {} : []);
+        return;
+      }
+      if (url.pathname.startsWith("/rest/v1/")) {
+        send(req.method === "GET" ? 200 : 201, []);
+        return;
+      }
+      if (req.method === "GET" && url.pathname.endsWith("/repos")) {
+        send(200, []);
+        return;
+      }
+      // Bridges: speech, thoughts, stream state
+      send(200, {});
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise((done) => {
+          server.closeAllConnections();
+          server.close(() => done());
+        }),
+      });
+    });
+  });
+}
+
+// ── Cases ─────────────────────────────────────────
+
+/**
+ * The part of a recorded call a case checks: where it went, what it
+ * threads to, and how long the text was.
+ */
+function describe_call({ method, params }) {
+  const call = { method };
+  if (params.chat_id !== undefined) call.chat_id = params.chat_id;
+  if (params.message_id !== undefined) call.message_id = params.message_id;
+  if (params.reply_parameters !== undefined) call.reply_to = params.reply_parameters.message_id;
+  if (params.message_thread_id !== undefined) call.thread_id = params.message_thread_id;
+  if (params.text !== undefined) call.chars = params.text.length;
+  return call;
+}
+
+async function post_update(port, update, secret) {
+  const response = await fetch(`http://127.0.0.1:${port}${TELEGRAM_WEBHOOK_PATH}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-Telegram-Bot-Api-Secret-Token": secret },
+    body: JSON.stringify(update),
+  });
+  await response.arrayBuffer();
+  return response.status;
+}
+
+/**
+ * Run one case. Updates get increasing ids, and messages without a `date`
+ * are dated now.
+ *
+ * @returns {Promise<{calls: object[], statuses: number[]}>}
+ */
+async function run_case(c, { bot_api, next_update_id, set_current }) {
+  const first_call = bot_api.calls.length;
+  const statuses = [];
+  for (const step of c.steps) {
+    set_current({
+      intent: step.intent !== undefined ? step.intent : (c.intent !== undefined ? c.intent : DEFAULT_INTENT),
+      reply: step.reply !== undefined ? step.reply : c.reply,
+    });
+    const updates = step.updates.map((update) => {
+      const message = update.message !== undefined ? update.message : update.edited_message;
+      if (message !== undefined && message.date === undefined) message.date = Math.floor(Date.now() / 1000);
+      return { update_id: next_update_id(), ...update };
+    });
+
+    const adapter = await start_telegram({ mode: c.mode, host: "127.0.0.1", port: 0 });
+    try {
+      if (c.mode === "poll") {
+        for (const update of updates) bot_api.push_update(update);
+        if (updates.length > 0) await bot_api.confirmed(updates[updates.length - 1].update_id);
+      } else {
+        const secret = step.secret !== undefined ? step.secret : CHECK_WEBHOOK_SECRET;
+        for (const update of updates) {
+          const deliveries = step.redeliver === true ? 2 : 1;
+          for (let i = 0; i < deliveries; i++) statuses.push(await post_update(adapter.port, update, secret));
+        }
+      }
+    } finally {
+      await adapter.stop();
+    }
+  }
+  return { calls: bot_api.calls.slice(first_call).map(describe_call), statuses };
+}
+
+function compare(expect, got) {
+  const failed = [];
+  for (const [field, expected] of Object.entries(expect)) {
+    if (JSON.stringify(got[field]) !== JSON.stringify(expected)) {
+      failed.push({ field, expected, got: got[field] === undefined ? null : got[field] });
+    }
+  }
+  return failed;
+}
+
+/**
+ * Run the `telegram` check cases.
+ *
+ * @param {object[]} cases - `{id, mode, intent?, reply, steps: [{updates, reply?, intent?, secret?, redeliver?}], expect}`;
+ *   `expect.calls` lists the sendMessage, editMessageText, deleteMessage and getFile calls in order
+ *   (see describe_call()), `expect.statuses` the webhook's answers
+ * @returns {Promise<Array<{id: string, failed: object[]}>>}
+ */
+export async function check_telegram(cases) {
+  let current = { intent: DEFAULT_INTENT, reply: "" };
+  const backend = await start_backend_stub(() => current);
+  const bot_api = await start_bot_api_stub({ token: CHECK_TOKEN, bot: CHECK_BOT });
+  const saved_env = Object.fromEntries(CHECK_ENV.map((name) => [name, process.env[name]]));
+  Object.assign(process.env, {
+    TELEGRAM_BOT_TOKEN: CHECK_TOKEN,
+    TELEGRAM_API_URL: bot_api.url,
+    TELEGRAM_WEBHOOK_SECRET: CHECK_WEBHOOK_SECRET,
+    SUPABASE_URL: backend.url,
+    SUPABASE_SERVICE_KEY: "check",
+    OPENAI_API_KEY: "check",
+    OPENAI_BASE_URL: `${backend.url}/v1`,
+    AVATAR_BRIDGE_URL: backend.url,
+    STREAM_BRIDGE_URL: backend.url,
+    GITHUB_API_URL: backend.url,
+  });
+  delete process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT;
+  redirect_providers(`${backend.url}/v1`);
+
+  let update_id = 0;
+  const options = { bot_api, next_update_id: () => ++update_id, set_current: (value) => { current = value; } };
+  const results = [];
+  try {
+    for (const c of cases) {
+      try {
+        results.push({ id: c.id, failed: compare(c.expect, await run_case(c, options)) });
+      } catch (err) {
+        results.push({ id: c.id, failed: [{ field: "error", expected: null, got: err.message }] });
+      }
+    }
+  } finally {
+    for (const [name, value] of Object.entries(saved_env)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    load_config_from(CONFIG_PATH);
+    await bot_api.close();
+    await backend.close();
+  }
+  return results;
+}
@@ -0,0 +1,210 @@
+/**
+ * Kira Router — Telegram Bot API Stand-in
+ *
+ * A local server answering the Bot API methods the Telegram adapter uses,
+ * so the adapter can run without Telegram (`router.js check`, or by hand
+ * with TELEGRAM_API_URL pointed at it):
+ *
+ *   getMe, getUpdates (long-polled), sendMessage, editMessageText,
+ *   deleteMessage, getFile, setWebhook, deleteWebhook, and file downloads
+ *
+ * Queued updates are served to getUpdates and dropped once a later call's
+ * offset confirms them, as Telegram does. Messages the bot sends get ids
+ * per chat from STUB_FIRST_MESSAGE_ID, and edits and deletes of unknown
+ * messages fail with Telegram's errors, as do empty or over-long texts.
+ * Every send, edit, delete and getFile call is recorded.
+ */
+
+import http from "node:http";
+import { TELEGRAM_MESSAGE_MAX_CHARS } from "./config.js";
+
+const STUB_FIRST_MESSAGE_ID = 1000;
+const STUB_MAX_POLL_SECONDS = 5;
+const RECORDED_METHODS = ["sendMessage", "editMessageText", "deleteMessage", "getFile"];
+
+// 1×1 PNG served for every file download
+const STUB_PHOTO = Buffer.from(
+  "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==",
+  "base64",
+);
+
+/**
+ * Start the stand-in on a free local port.
+ *
+ * @param {object} params
+ * @param {string} params.token - The only bot token accepted
+ * @param {object} params.bot - What getMe returns (`id`, `username`, …)
+ * @returns {Promise<{url: string, push_update: (update: object) => void,
+ *   confirmed: (update_id: number) => Promise<void>, calls: object[], close: () => Promise<void>}>}
+ *   `url` is the TELEGRAM_API_URL to use; `confirmed` resolves once a
+ *   getUpdates offset has passed the update; `calls` lists the recorded
+ *   calls as `{method, params}`
+ */
+export function start_bot_api_stub({ token, bot }) {
+  const updates = [];
+  const polls = new Set();
+  const confirm_waiters = [];
+  const calls = [];
+  // Texts of the bot's messages still in each chat, by message id
+  const chats = new Map();
+  let offset = 0;
+
+  const reply = (res, status, body) => {
+    if (res.writableEnded || res.destroyed) return;
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  };
+  const ok = (res, result) => reply(res, 200, { ok: true, result });
+  const fail = (res, status, description) => reply(res, status, { ok: false, error_code: status, description });
+
+  const confirm = (next_offset) => {
+    offset = Math.max(offset, next_offset);
+    while (updates.length > 0 && updates[0].update_id < offset) updates.shift();
+    for (const waiter of confirm_waiters.filter((w) => w.update_id < offset)) {
+      confirm_waiters.splice(confirm_waiters.indexOf(waiter), 1);
+      waiter.resolve();
+    }
+  };
+
+  const chat_messages = (chat_id) => {
+    if (!chats.has(chat_id)) chats.set(chat_id, { next_id: STUB_FIRST_MESSAGE_ID, texts: new Map() });
+    return chats.get(chat_id);
+  };
+
+  const check_text = (res, text) => {
+    if (typeof text !== "string" || text.trim() === "") {
+      fail(res, 400, "Bad Request: message text is empty");
+      return false;
+    }
+    if (text.length > TELEGRAM_MESSAGE_MAX_CHARS) {
+      fail(res, 400, "Bad Request: message is too long");
+      return false;
+    }
+    return true;
+  };
+
+  const methods = {
+    getMe: (params, res) => ok(res, bot),
+    deleteWebhook: (params, res) => ok(res, true),
+    setWebhook: (params, res) => ok(res, true),
+
+    getUpdates: (params, res) => {
+      if (typeof params.offset === "number") confirm(params.offset);
+      const answer = () => ok(res, updates.slice(0, 100));
+      if (updates.length > 0 || !(params.timeout > 0)) {
+        answer();
+        return;
+      }
+      const poll = {
+        answer,
+        timer: setTimeout(() => {
+          polls.delete(poll);
+          answer();
+        }, Math.min(params.timeout, STUB_MAX_POLL_SECONDS) * 1000),
+      };
+      polls.add(poll);
+      // The adapter aborts its long poll on shutdown
+      res.on("close", () => {
+        clearTimeout(poll.timer);
+        polls.delete(poll);
+      });
+    },
+
+    sendMessage: (params, res) => {
+      if (!check_text(res, params.text)) return;
+      const chat = chat_messages(params.chat_id);
+      const message_id = chat.next_id++;
+      chat.texts.set(message_id, params.text);
+      ok(res, { message_id, date: Math.floor(Date.now() / 1000), chat: { id: params.chat_id }, from: bot, text: params.text });
+    },
+
+    editMessageText: (params, res) => {
+      const chat = chat_messages(params.chat_id);
+      if (!chat.texts.has(params.message_id)) {
+        fail(res, 400, "Bad Request: message to edit not found");
+        return;
+      }
+      if (!check_text(res, params.text)) return;
+      if (chat.texts.get(params.message_id) === params.text) {
+        fail(res, 400, "Bad Request: message is not modified: specified new message content and reply markup are exactly the same as a current content and reply markup of the message");
+        return;
+      }
+      chat.texts.set(params.message_id, params.text);
+      ok(res, { message_id: params.message_id, chat: { id: params.chat_id }, from: bot, text: params.text });
+    },
+
+    deleteMessage: (params, res) => {
+      const chat = chat_messages(params.chat_id);
+      if (!chat.texts.delete(params.message_id)) {
+        fail(res, 400, "Bad Request: message to delete not found");
+        return;
+      }
+      ok(res, true);
+    },
+
+    getFile: (params, res) => {
+      ok(res, { file_id: params.file_id, file_unique_id: params.file_id, file_size: STUB_PHOTO.length, file_path: `photos/${params.file_id}.png` });
+    },
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      const url = new URL(req.url, "http://stub");
+      if (url.pathname.startsWith(`/file/bot${token}/`)) {
+        res.writeHead(200, { "Content-Type": "image/png" });
+        res.end(STUB_PHOTO);
+        return;
+      }
+      const match = url.pathname.match(/^\/bot([^/]+)\/(\w+)$/);
+      if (match === null || methods[match[2]] === undefined) {
+        fail(res, 404, "Not Found");
+        return;
+      }
+      if (match[1] !== token) {
+        fail(res, 401, "Unauthorized");
+        return;
+      }
+      let params;
+      try {
+        params = body.length > 0 ? JSON.parse(body) : {};
+      } catch (_) {
+        fail(res, 400, "Bad Request: can't parse JSON");
+        return;
+      }
+      if (RECORDED_METHODS.includes(match[2])) calls.push({ method: match[2], params });
+      methods[match[2]](params, res);
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        push_update: (update) => {
+          updates.push(update);
+          for (const poll of polls) {
+            clearTimeout(poll.timer);
+            poll.answer();
+          }
+          polls.clear();
+        },
+        confirmed: (update_id) => new Promise((done) => {
+          if (update_id < offset) {
+            done();
+            return;
+          }
+          confirm_waiters.push({ update_id, resolve: done });
+        }),
+        calls,
+        close: () => new Promise((done) => {
+          server.closeAllConnections();
+          server.close(() => done());
+        }),
+      });
+    });
+  });
+}
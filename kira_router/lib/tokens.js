@@ -0,0 +1,48 @@
+/**
+ * Kira Router — Token Counting
+ *
+ * Counts tokens with the BPE encoding of the model a prompt is for, so
+ * context budgets hold for that model rather than for a chars/4 guess.
+ * Models without an OpenAI encoding (Kimi, DeepSeek, Claude) are counted
+ * with the closest one set in `context.models` of router.config.json.
+ *
+ * Rank tables are a few MB each and take a moment to parse, so each is
+ * imported on first use and kept for the life of the process.
+ */
+
+import { Tiktoken } from "js-tiktoken/lite";
+
+const RANKS = {
+  cl100k_base: () => import("js-tiktoken/ranks/cl100k_base"),
+  o200k_base: () => import("js-tiktoken/ranks/o200k_base"),
+};
+
+const _tokenizers = new Map();
+
+async function build_tokenizer(encoding) {
+  const { default: ranks } = await RANKS[encoding]();
+  const tiktoken = new Tiktoken(ranks);
+  return {
+    encoding,
+    count: (text) => (text.length === 0 ? 0 : tiktoken.encode(text).length),
+  };
+}
+
+/**
+ * Tokenizer for an encoding, loaded once per process.
+ *
+ * @param {string} encoding - cl100k_base or o200k_base
+ * @returns {Promise<{encoding: string, count: (text: string) => number}>}
+ */
+export function get_tokenizer(encoding) {
+  if (RANKS[encoding] === undefined) {
+    return Promise.reject(new Error(`Unknown token encoding: ${encoding}`));
+  }
+  if (!_tokenizers.has(encoding)) {
+    const loading = build_tokenizer(encoding);
+    // A failed load is retried on the next call instead of cached
+    loading.catch(() => _tokenizers.delete(encoding));
+    _tokenizers.set(encoding, loading);
+  }
+  return _tokenizers.get(encoding);
+}
@@ -0,0 +1,272 @@
+/**
+ * Kira Router — Tool Calling
+ *
+ * The responding model can call tools mid-reply (OpenAI-style function
+ * calling) to fetch live data instead of answering only from the context
+ * loaded up front. Tools are the lookups in builtin_tools.js plus every
+ * registered router command (see commands.js): a command's args become
+ * the tool's parameters and its handler runs as it would when a pattern
+ * triggers it.
+ *
+ * Only tools listed in `tools.allow` of router.config.json are offered, and
+ * only to senders at or above the listed tier (and the command's own tier).
+ * Results are fenced as untrusted data before they reach the model.
+ */
+
+import { TOOLS, USER_TIERS } from "./config.js";
+import { ConfigError } from "./config_schema.js";
+import {
+  load_command_registry,
+  validate_args,
+  check_supplied_args,
+  tier_rank,
+  with_timeout,
+} from "./commands.js";
+import { command_min_tier } from "./policy.js";
+import { builtin_tools } from "./builtin_tools.js";
+import { fence } from "./injection.js";
+
+// ── Registry ──────────────────────────────────────
+
+let _loading = null;
+
+function validate_builtin(def, path) {
+  if (typeof def.name !== "string" || !/^[a-z][a-z0-9_]*$/.test(def.name)) {
+    throw new ConfigError(`${path}.name`, `expected a snake_case name (got ${JSON.stringify(def.name)})`);
+  }
+  if (typeof def.description !== "string" || def.description.length === 0) {
+    throw new ConfigError(`${path}.description`, "expected a non-empty string");
+  }
+  if (typeof def.handler !== "function") {
+    throw new ConfigError(`${path}.handler`, "expected a function");
+  }
+  const tier = def.tier !== undefined ? def.tier : USER_TIERS[0];
+  if (!USER_TIERS.includes(tier)) {
+    throw new ConfigError(`${path}.tier`, `expected one of ${USER_TIERS.join(", ")} (got ${JSON.stringify(tier)})`);
+  }
+  return {
+    name: def.name,
+    description: def.description,
+    tier,
+    args: validate_args(def.args, `${path}.args`),
+    handler: def.handler,
+    source: "kira_router/lib/builtin_tools.js",
+  };
+}
+
+async function build_registry() {
+  const registry = new Map();
+  builtin_tools.forEach((def, i) => {
+    const tool = validate_builtin(def, `builtin_tools[${i}]`);
+    registry.set(tool.name, tool);
+  });
+
+  for (const command of (await load_command_registry()).values()) {
+    if (registry.has(command.name)) {
+      console.error(`Tool registry: command ${command.name} (${command.source}) is shadowed by a built-in tool`);
+      continue;
+    }
+    registry.set(command.name, {
+      name: command.name,
+      description: command.description,
+      tier: command.tier,
+      args: command.args,
+      handler: command.handler,
+      source: command.source,
+    });
+  }
+  return registry;
+}
+
+/**
+ * Load built-in tools and router commands once per process.
+ *
+ * @returns {Promise<Map<string, object>>} Tool name → definition
+ */
+export function load_tool_registry() {
+  if (_loading === null) {
+    _loading = build_registry();
+  }
+  return _loading;
+}
+
+const _warned_unknown = new Set();
+
+/**
+ * Tools the model may call when answering this intent for a sender of this
+ * tier, in `tools.allow` order. Empty when tools are off or not configured
+ * for the intent.
+ *
+ * @param {string} intent - The intent the LLM answers
+ * @param {string} user_tier
+ * @returns {Promise<object[]>}
+ */
+export async function tools_for(intent, user_tier) {
+  if (TOOLS === null || !TOOLS.enabled || !TOOLS.intents.includes(intent)) return [];
+
+  const registry = await load_tool_registry();
+  const allowed = [];
+  for (const [name, allow_tier] of Object.entries(TOOLS.allow)) {
+    const tool = registry.get(name);
+    if (tool === undefined) {
+      if (!_warned_unknown.has(name)) {
+        _warned_unknown.add(name);
+        console.error(`router.config.json tools.allow: "${name}" is not a built-in tool or registered command, ignoring`);
+      }
+      continue;
+    }
+    // The stricter of the allow-list tier and the command's own
+    const min_rank = Math.max(tier_rank(allow_tier), tier_rank(command_min_tier(name, tool.tier)));
+    if (tier_rank(user_tier) >= min_rank) allowed.push(tool);
+  }
+  return allowed;
+}
+
+// ── Specs ─────────────────────────────────────────
+
+function arg_schema(arg) {
+  const schema = { description: arg.description };
+  switch (arg.type) {
+    case "integer":
+    case "number":
+    case "boolean":
+      schema.type = arg.type;
+      break;
+    case "enum":
+      schema.type = "string";
+      schema.enum = arg.values.map(String);
+      break;
+    case "solana_address":
+      schema.type = "string";
+      schema.description = `${arg.description} (base58 Solana address)`;
+      break;
+    default:
+      schema.type = "string";
+  }
+  if (arg.min !== undefined) schema.minimum = arg.min;
+  if (arg.max !== undefined) schema.maximum = arg.max;
+  return schema;
+}
+
+/**
+ * The `tools` parameter of a chat completion request.
+ *
+ * @param {object[]} tools - From tools_for()
+ * @returns {object[]}
+ */
+export function tool_specs(tools) {
+  return tools.map((tool) => ({
+    type: "function",
+    function: {
+      name: tool.name,
+      description: tool.description,
+      parameters: {
+        type: "object",
+        properties: Object.fromEntries(tool.args.map((arg) => [arg.name, arg_schema(arg)])),
+        required: tool.args.filter((arg) => arg.required && arg.default === undefined).map((arg) => arg.name),
+      },
+    },
+  }));
+}
+
+// ── Execution ─────────────────────────────────────
+
+function parse_arguments(raw) {
+  if (raw === undefined || raw === null || raw.trim() === "") return {};
+  const parsed = JSON.parse(raw);
+  if (parsed === null || typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw new Error("arguments must be a JSON object");
+  }
+  return parsed;
+}
+
+/**
+ * The recorded outcome of the same call, for eval replays. Each recorded
+ * call answers once.
+ */
+function take_recorded(recorded, name, args) {
+  const key = JSON.stringify(args);
+  const index = recorded.findIndex((r) => r.tool === name && JSON.stringify(r.args) === key);
+  if (index === -1) return null;
+  return recorded.splice(index, 1)[0];
+}
+
+async function run_tool_call(call, tools, ctx, recorded) {
+  const name = call.function.name;
+  const base = { id: call.id, tool: name, args: {} };
+  const start_time = Date.now();
+  const finish = (fields) => ({ ...base, result: null, latency_ms: Date.now() - start_time, ...fields });
+
+  const tool = tools.find((t) => t.name === name);
+  if (tool === undefined) {
+    return finish({ status: "unknown", error: `no tool named ${name}` });
+  }
+
+  let supplied;
+  try {
+    supplied = parse_arguments(call.function.arguments);
+  } catch (err) {
+    return finish({ status: "invalid_args", error: `unparseable arguments: ${err.message}` });
+  }
+  const { args, missing } = check_supplied_args(tool.args, supplied, ctx);
+  if (missing.length > 0) {
+    return finish({ args, status: "missing_args", error: `missing or invalid: ${missing.map((arg) => arg.name).join(", ")}` });
+  }
+
+  if (recorded !== undefined) {
+    const previous = take_recorded(recorded, name, args);
+    if (previous === null) {
+      return finish({ args, status: "not_recorded", error: "no recorded result for this call" });
+    }
+    return finish({ args, status: previous.status, result: previous.result, error: previous.error });
+  }
+
+  try {
+    const output = await with_timeout(Promise.resolve(tool.handler(args, ctx)), TOOLS.timeout_ms, name);
+    if (typeof output !== "string" || output.trim().length === 0) {
+      return finish({ args, status: "no_output" });
+    }
+    const text = output.trim();
+    const result = text.length > TOOLS.max_result_chars ? `${text.slice(0, TOOLS.max_result_chars)}…` : text;
+    return finish({ args, status: "ok", result });
+  } catch (err) {
+    console.error(`Tool ${name} failed: ${err.message}`);
+    return finish({ args, status: "error", error: err.message });
+  }
+}
+
+/**
+ * What the model is told about one call's outcome.
+ */
+function tool_message(outcome) {
+  let content;
+  if (outcome.status === "ok") {
+    content = fence("tool_result", outcome.result);
+  } else if (outcome.status === "no_output") {
+    content = "The tool returned nothing.";
+  } else {
+    content = `The tool call failed (${outcome.status}: ${outcome.error}). Answer without it, or try different arguments.`;
+  }
+  return { role: "tool", tool_call_id: outcome.id, content };
+}
+
+/**
+ * Run one round of tool calls in parallel.
+ *
+ * @param {Array<{id: string, function: {name: string, arguments: string}}>} calls - From the assistant message
+ * @param {object[]} tools - The tools offered (from tools_for())
+ * @param {object} ctx - Same as run_commands(): message, entities, platform, sender_id, user_id, user_tier
+ * @param {object[]} [recorded] - Recorded calls to answer from instead of running
+ *   the handlers (eval replays recorded fixtures this way); consumed as matched
+ * @returns {Promise<{messages: object[], calls: object[]}>}
+ *   `messages` are the `tool` role messages to send back; each of `calls` is
+ *   `{tool, args, status, result, error?, latency_ms}` with status ok,
+ *   no_output, error, missing_args, invalid_args, unknown or not_recorded
+ */
+export async function run_tool_calls(calls, tools, ctx, recorded) {
+  const outcomes = await Promise.all(calls.map((call) => run_tool_call(call, tools, ctx, recorded)));
+  return {
+    messages: outcomes.map(tool_message),
+    calls: outcomes.map(({ id, ...call }) => call),
+  };
+}
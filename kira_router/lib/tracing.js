@@ -0,0 +1,351 @@
+import '/workspace/kira/scripts/load-env.js';
+/**
+ * Kira Router — Request Tracing
+ *
+ * Every `respond` gets a trace id and a tree of timed spans: classification,
+ * each context query, each provider attempt and, later, each background
+ * task. Spans are buffered in memory and written by flush_traces() once the
+ * reply is out:
+ *
+ *   kira_skill_log   one row per span (command = span name, args =
+ *                    attributes), read back by `router.js trace <id>`
+ *   OTLP/HTTP JSON   to OTEL_EXPORTER_OTLP_TRACES_ENDPOINT when it is set
+ *
+ * The current span is carried by AsyncLocalStorage, so span() can be called
+ * from any depth without threading a parameter through every call.
+ * Background jobs may run in a later process: they carry their parent span
+ * in their args (see trace_parent()) and rejoin the trace from there.
+ *
+ * Driven by `tracing` in router.config.json. Without it, or for requests
+ * outside `sample_rate`, span() just runs its function.
+ */
+
+import crypto from "node:crypto";
+import { AsyncLocalStorage } from "node:async_hooks";
+import { createClient } from "@supabase/supabase-js";
+import { TRACING, TRACE_BUFFER_LIMIT, TRACE_EXPORT_TIMEOUT_MS } from "./config.js";
+
+const SERVICE_NAME = "kira_router";
+
+// The span the running code belongs to
+const _current = new AsyncLocalStorage();
+
+// Ended spans waiting for flush_traces()
+let _buffer = [];
+
+// ── Clients (lazy init) ───────────────────────────
+
+let _supabase = null;
+
+function get_supabase() {
+  if (_supabase !== null) return _supabase;
+  const url = process.env.SUPABASE_URL;
+  const key = process.env.SUPABASE_SERVICE_KEY;
+  if (url === undefined || url === "" || key === undefined || key === "") {
+    throw new Error("SUPABASE_URL and SUPABASE_SERVICE_KEY must be set");
+  }
+  _supabase = createClient(url, key);
+  return _supabase;
+}
+
+// ── Spans ─────────────────────────────────────────
+
+function random_id(bytes) {
+  return crypto.randomBytes(bytes).toString("hex");
+}
+
+function buffer_span(record) {
+  _buffer.push(record);
+  // A long outage mustn't grow the buffer without bound; oldest spans go first
+  if (_buffer.length > TRACE_BUFFER_LIMIT) {
+    _buffer = _buffer.slice(_buffer.length - TRACE_BUFFER_LIMIT);
+  }
+}
+
+async function run_span(trace_id, parent_span_id, name, attributes, fn) {
+  const record = {
+    trace_id,
+    span_id: random_id(8),
+    parent_span_id,
+    name,
+    attributes: { ...attributes },
+    start_ms: Date.now(),
+    duration_ms: null,
+    status: "ok",
+    error: null,
+  };
+  const started = performance.now();
+  try {
+    return await _current.run(record, fn);
+  } catch (err) {
+    record.status = "error";
+    record.error = err.message;
+    throw err;
+  } finally {
+    record.duration_ms = Math.round(performance.now() - started);
+    buffer_span(record);
+  }
+}
+
+/**
+ * Run `fn` as the root span of a new trace, if tracing is on and the
+ * request is sampled.
+ *
+ * @param {string} name
+ * @param {object} attributes
+ * @param {(trace_id: string | null) => Promise<*>} fn - Gets the trace id, or null when not traced
+ * @returns {Promise<*>} What `fn` returns
+ */
+export function with_trace(name, attributes, fn) {
+  if (TRACING === null || !TRACING.enabled || Math.random() >= TRACING.sample_rate) {
+    return fn(null);
+  }
+  const trace_id = random_id(16);
+  return run_span(trace_id, null, name, attributes, () => fn(trace_id));
+}
+
+/**
+ * Run `fn` as a child of the current span. Outside a trace it just runs.
+ * A thrown error marks the span failed and is rethrown.
+ *
+ * @param {string} name - e.g. `context.memories`, `provider`
+ * @param {object} attributes - Scalars only; never message text or secrets
+ * @param {() => Promise<*>} fn
+ */
+export function span(name, attributes, fn) {
+  const parent = _current.getStore();
+  if (parent === undefined) return fn();
+  return run_span(parent.trace_id, parent.span_id, name, attributes, fn);
+}
+
+/**
+ * Run `fn` as a child of a span from another process or an earlier
+ * moment (a queued background job). Without a parent it just runs.
+ *
+ * @param {{trace_id: string, span_id: string} | null | undefined} parent - From trace_parent()
+ */
+export function continue_trace(parent, name, attributes, fn) {
+  if (parent === null || parent === undefined) return fn();
+  return run_span(parent.trace_id, parent.span_id, name, attributes, fn);
+}
+
+/**
+ * The current span as a parent for continue_trace(), or null outside a trace.
+ *
+ * @returns {{trace_id: string, span_id: string} | null}
+ */
+export function trace_parent() {
+  const current = _current.getStore();
+  return current !== undefined ? { trace_id: current.trace_id, span_id: current.span_id } : null;
+}
+
+/**
+ * Add attributes to the current span.
+ */
+export function set_span_attributes(attributes) {
+  const current = _current.getStore();
+  if (current !== undefined) Object.assign(current.attributes, attributes);
+}
+
+/**
+ * Mark the current span failed, for code that handles its own errors
+ * (a provider attempt that falls through to the next hop).
+ */
+export function fail_span(message) {
+  const current = _current.getStore();
+  if (current === undefined) return;
+  current.status = "error";
+  current.error = message;
+}
+
+// ── Export ────────────────────────────────────────
+
+function skill_log_row(record) {
+  return {
+    skill: SERVICE_NAME,
+    command: record.name,
+    args: record.attributes,
+    success: record.status === "ok",
+    duration_ms: record.duration_ms,
+    error_msg: record.error,
+    triggered_by: "router",
+    trace_id: record.trace_id,
+    span_id: record.span_id,
+    parent_span_id: record.parent_span_id,
+    created_at: new Date(record.start_ms).toISOString(),
+  };
+}
+
+function otlp_value(value) {
+  if (typeof value === "boolean") return { boolValue: value };
+  if (Number.isInteger(value)) return { intValue: String(value) };
+  if (typeof value === "number") return { doubleValue: value };
+  return { stringValue: String(value) };
+}
+
+function unix_nanos(ms) {
+  return (BigInt(ms) * 1000000n).toString();
+}
+
+/**
+ * Spans in OTLP/JSON form (an ExportTraceServiceRequest).
+ *
+ * @param {object[]} records - Span records, as buffered or from read_trace()
+ * @returns {object}
+ */
+export function to_otlp(records) {
+  return {
+    resourceSpans: [{
+      resource: { attributes: [{ key: "service.name", value: { stringValue: SERVICE_NAME } }] },
+      scopeSpans: [{
+        scope: { name: SERVICE_NAME },
+        spans: records.map((record) => ({
+          traceId: record.trace_id,
+          spanId: record.span_id,
+          ...(record.parent_span_id !== null ? { parentSpanId: record.parent_span_id } : {}),
+          name: record.name,
+          kind: 1,
+          startTimeUnixNano: unix_nanos(record.start_ms),
+          endTimeUnixNano: unix_nanos(record.start_ms + record.duration_ms),
+          attributes: Object.entries(record.attributes)
+            .filter(([, value]) => value !== null && value !== undefined)
+            .map(([key, value]) => ({ key, value: otlp_value(value) })),
+          status: record.status === "ok" ? { code: 1 } : { code: 2, message: record.error !== null ? record.error : "" },
+        })),
+      }],
+    }],
+  };
+}
+
+/**
+ * OTLP/HTTP headers from OTEL_EXPORTER_OTLP_HEADERS (`key=value,key=value`).
+ */
+function otlp_headers() {
+  const headers = { "Content-Type": "application/json" };
+  const raw = process.env.OTEL_EXPORTER_OTLP_HEADERS;
+  if (raw === undefined || raw === "") return headers;
+  for (const pair of raw.split(",")) {
+    const at = pair.indexOf("=");
+    if (at > 0) headers[pair.slice(0, at).trim()] = decodeURIComponent(pair.slice(at + 1).trim());
+  }
+  return headers;
+}
+
+async function export_otlp(records) {
+  const endpoint = process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT;
+  if (endpoint === undefined || endpoint === "") return;
+  const response = await fetch(endpoint, {
+    method: "POST",
+    headers: otlp_headers(),
+    body: JSON.stringify(to_otlp(records)),
+    signal: AbortSignal.timeout(TRACE_EXPORT_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`OTLP export returned ${response.status}`);
+  }
+}
+
+async function write_skill_log(records) {
+  if (!TRACING.skill_log) return;
+  const { error } = await get_supabase().from("kira_skill_log").insert(records.map(skill_log_row));
+  if (error !== null) {
+    throw new Error(`kira_skill_log insert failed: ${error.message}`);
+  }
+}
+
+/**
+ * Write every buffered span. Never throws; spans that couldn't be written
+ * to kira_skill_log go back in the buffer for the next flush.
+ */
+export async function flush_traces() {
+  if (_buffer.length === 0 || TRACING === null) return;
+  const records = _buffer;
+  _buffer = [];
+
+  const [logged, exported] = await Promise.allSettled([write_skill_log(records), export_otlp(records)]);
+  if (logged.status === "rejected") {
+    console.error(`Trace write failed, keeping ${records.length} spans: ${logged.reason.message}`);
+    _buffer = [...records, ..._buffer].slice(-TRACE_BUFFER_LIMIT);
+  }
+  if (exported.status === "rejected") {
+    console.error(`Trace export failed: ${exported.reason.message}`);
+  }
+}
+
+// ── Reading ───────────────────────────────────────
+
+/**
+ * Spans of a trace from kira_skill_log, oldest first.
+ *
+ * @param {string} trace_id
+ * @returns {Promise<object[]>} Span records
+ */
+export async function read_trace(trace_id) {
+  const { data, error } = await get_supabase()
+    .from("kira_skill_log")
+    .select("command, args, success, duration_ms, error_msg, trace_id, span_id, parent_span_id, created_at")
+    .eq("trace_id", trace_id)
+    .order("created_at", { ascending: true });
+
+  if (error !== null) {
+    throw new Error(`kira_skill_log query failed: ${error.message}`);
+  }
+  return data.map((row) => ({
+    trace_id: row.trace_id,
+    span_id: row.span_id,
+    parent_span_id: row.parent_span_id,
+    name: row.command,
+    attributes: row.args !== null ? row.args : {},
+    start_ms: Date.parse(row.created_at),
+    duration_ms: row.duration_ms !== null ? row.duration_ms : 0,
+    status: row.success ? "ok" : "error",
+    error: row.error_msg,
+  }));
+}
+
+/**
+ * Text waterfall of a trace: one line per span, children under their
+ * parent, with its offset from the start, duration and a bar.
+ *
+ * @param {object[]} records - From read_trace()
+ * @param {number} [width] - Bar width in characters
+ * @returns {string}
+ */
+export function render_waterfall(records, width = 40) {
+  if (records.length === 0) return "";
+  const start = Math.min(...records.map((r) => r.start_ms));
+  const end = Math.max(...records.map((r) => r.start_ms + r.duration_ms));
+  const total = Math.max(end - start, 1);
+
+  const ids = new Set(records.map((r) => r.span_id));
+  const children = new Map();
+  for (const record of records) {
+    // Spans whose parent never got written are shown at the top level
+    const parent = record.parent_span_id !== null && ids.has(record.parent_span_id) ? record.parent_span_id : null;
+    if (!children.has(parent)) children.set(parent, []);
+    children.get(parent).push(record);
+  }
+
+  const lines = [];
+  const visit = (record, depth) => {
+    const offset = record.start_ms - start;
+    const from = Math.floor((offset / total) * width);
+    const length = Math.max(1, Math.round((record.duration_ms / total) * width));
+    const bar = `${" ".repeat(from)}${"█".repeat(Math.min(length, width - from))}`.padEnd(width);
+    const details = Object.entries(record.attributes)
+      .filter(([, value]) => value !== null && value !== undefined && typeof value !== "object")
+      .map(([key, value]) => `${key}=${value}`)
+      .join(" ");
+    const failed = record.status === "error" ? ` ✗ ${record.error !== null ? record.error : "failed"}` : "";
+    const label = `${"  ".repeat(depth)}${record.name}`.padEnd(34);
+    lines.push(`${String(offset).padStart(7)}ms ${String(record.duration_ms).padStart(7)}ms  ${label} |${bar}| ${details}${failed}`.trimEnd());
+    const kids = children.get(record.span_id);
+    if (kids !== undefined) {
+      for (const kid of kids) visit(kid, depth + 1);
+    }
+  };
+  for (const root of children.get(null)) visit(root, 0);
+
+  const header = `trace ${records[0].trace_id}  ${new Date(start).toISOString()}  ${total}ms  ${records.length} spans`;
+  return [header, ...lines].join("\n");
+}
@@ -1,22 +1,69 @@
-import '/workspace/kira/scripts/load-env.js';
 #!/usr/bin/env node
+import '/workspace/kira/scripts/load-env.js';
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { spawnSync } from "node:child_process";
 
 /**
  * Kira Router CLI — Intelligent message routing for OpenClaw.
  *
  * Usage:
- *   node router.js respond --platform telegram --sender-id "123" --message "hello" [--sender-name "alice"]
- *   node router.js classify --message "Can you help me write a Solana program?"
+ *   node router.js respond --platform telegram --sender-id "123" --message "hello" [--sender-name "alice"] [--stream]
+ *                          [--attach screenshot.png,error.log]
+ *                          [--chat-id -100123 [--chat-type group|private] [--message-id 42] [--mentioned]
+ *                           [--reply-to-kira | --reply-to-sender 456] [--reply-to-message 41]]
+ *   node router.js classify --message "Can you help me write a Solana program?" [--attach program.rs]
  *   node router.js status
+ *   node router.js serve [--port 8790] [--host 127.0.0.1]
+ *   node router.js usage [--days 7] [--by day|intent|skill|model]
+ *   node router.js train-classifier [--threshold 0.6]
+ *   node router.js blocked [--days 7] [--all]
+ *   node router.js clear-cache [--intent question]
+ *   node router.js record --platform telegram --sender-id "123" --message "hello" [--sender-name "alice"] [--attach files]
+ *                         [--id name] [--fixtures path]
+ *   node router.js eval [--fixtures path] [--config path|git:<rev>] [--baseline path|git:<rev>]
+ *                       [--providers stub|real] [--judge provider/model|none] [--only id,id]
+ *   node router.js check [--checks path] [--only suite,suite]
+ *   node router.js jobs [list|retry|purge] [--queue pending|running|dead] [--task name] [--id id]
+ *                       [--older-than-hours n]
+ *   node router.js experiments [list|report] [--name name] [--days 14] [--follow-up-minutes 30]
+ *   node router.js trace <trace-id> [--json | --otlp]
+ *   node router.js telegram [poll|webhook] [--url https://example.com/telegram/webhook] [--port 8791] [--host 127.0.0.1]
  *
  * Env: SUPABASE_URL, SUPABASE_SERVICE_KEY, OPENAI_API_KEY, DEEPSEEK_API_KEY
  *      Optional: MOONSHOT_API_KEY, AVATAR_BRIDGE_URL, AVATAR_BRIDGE_TOKEN, STREAM_BRIDGE_URL
+ *      Server: ROUTER_PORT, ROUTER_HOST, ROUTER_SERVER_TOKEN
+ *      Config: KIRA_ROUTER_CONFIG (defaults to ../router.config.json)
+ *      Usage ledger: KIRA_USAGE_DIR, KIRA_USAGE_SUPABASE
+ *      Outbound policy review log: KIRA_OUTBOUND_LOG_DIR
+ *      Local state (breakers, rate limits, job queue): KIRA_ROUTER_STATE_DIR
+ *      Trace export: OTEL_EXPORTER_OTLP_TRACES_ENDPOINT, OTEL_EXPORTER_OTLP_HEADERS
+ *      Telegram: TELEGRAM_BOT_TOKEN, TELEGRAM_API_URL, TELEGRAM_WEBHOOK_SECRET,
+ *                TELEGRAM_WEBHOOK_PORT, TELEGRAM_WEBHOOK_HOST
  */
 
-import { classify_message } from "../lib/classify.js";
-import { load_context } from "../lib/context_loader.js";
-import { generate_response } from "../lib/responder.js";
-import { run_background_tasks } from "../lib/background.js";
+import { process_message, classify_only, check_status } from "../lib/pipeline.js";
+import {
+  queue_background_tasks,
+  run_background_jobs,
+  drain_background_jobs,
+  retry_background_jobs,
+} from "../lib/background.js";
+import { JOB_QUEUES, list_jobs, job_counts, requeue_jobs, purge_jobs } from "../lib/jobs.js";
+import { start_server } from "../lib/server.js";
+import { watch_config, CONFIG_PATH, BUDGET, CLASSIFIER, INTENTS, EXPERIMENTS } from "../lib/config.js";
+import { train_intent_model } from "../lib/intent_model.js";
+import { read_outbound_log } from "../lib/outbound.js";
+import { clear_response_cache } from "../lib/response_cache.js";
+import { read_attachment_files, prepare_attachments } from "../lib/attachments.js";
+import { list_experiments } from "../lib/experiments.js";
+import { experiment_report } from "../lib/experiment_report.js";
+import { flush_traces, read_trace, render_waterfall, to_otlp } from "../lib/tracing.js";
+import { start_telegram } from "../lib/telegram.js";
+import { DEFAULT_FIXTURES_PATH, fixture_from_trace, save_fixture, run_eval } from "../lib/eval.js";
+import { DEFAULT_CHECKS_PATH, run_checks } from "../lib/checks.js";
+import { read_usage, summarize_usage, spend_today, flush_usage } from "/workspace/kira/scripts/usage-ledger.js";
 
 // ── Parse CLI args ─────────────────────────────────
 
@@ -24,6 +71,8 @@ function parse_args(argv) {
   const args = argv.slice(2);
   const command = args[0];
   const flags = {};
+  // Words before any flag, e.g. the `retry` in `jobs retry`
+  const positional = [];
 
   for (let i = 1; i < args.length; i++) {
     if (args[i].startsWith("--")) {
@@ -35,10 +84,44 @@ function parse_args(argv) {
       } else {
         flags[key] = "true";
       }
+    } else if (Object.keys(flags).length === 0) {
+      positional.push(args[i]);
     }
   }
 
-  return { command, flags };
+  return { command, flags, positional };
+}
+
+/**
+ * Prepared attachments from `--attach a.png,b.ts` (empty without the flag).
+ */
+async function attachments_from_flags(flags) {
+  if (flags.attach === undefined) return [];
+  if (flags.attach === "true") {
+    throw new Error("--attach needs a comma-separated list of files");
+  }
+  const file_paths = flags.attach.split(",").map((p) => p.trim()).filter((p) => p.length > 0);
+  return prepare_attachments(read_attachment_files(file_paths));
+}
+
+/**
+ * The group chat a message came from (see group_chat.js), or undefined
+ * without `--chat-id`.
+ */
+function chat_from_flags(flags) {
+  if (flags["chat-id"] === undefined) return undefined;
+  const chat = {
+    id: flags["chat-id"],
+    type: flags["chat-type"] !== undefined ? flags["chat-type"] : "group",
+    mentioned: flags.mentioned === "true",
+  };
+  if (flags["message-id"] !== undefined) chat.message_id = flags["message-id"];
+  if (flags["reply-to-kira"] === "true" || flags["reply-to-sender"] !== undefined) {
+    chat.reply_to = { is_kira: flags["reply-to-kira"] === "true" };
+    if (flags["reply-to-sender"] !== undefined) chat.reply_to.sender_id = flags["reply-to-sender"];
+    if (flags["reply-to-message"] !== undefined) chat.reply_to.message_id = flags["reply-to-message"];
+  }
+  return chat;
 }
 
 // ── Commands ───────────────────────────────────────
@@ -46,126 +129,454 @@ function parse_args(argv) {
 async function cmd_respond(flags) {
   const platform = flags.platform;
   const sender_id = flags["sender-id"];
-  const message = flags.message;
+  const message = flags.message !== undefined ? flags.message : "";
   const sender_name = flags["sender-name"];
 
-  if (platform === undefined || sender_id === undefined || message === undefined) {
+  if (platform === undefined || sender_id === undefined || (flags.message === undefined && flags.attach === undefined)) {
     console.error(
-      "Usage: router.js respond --platform <platform> --sender-id <id> --message <text> [--sender-name <name>]",
+      "Usage: router.js respond --platform <platform> --sender-id <id> --message <text> [--sender-name <name>] [--stream] "
+        + "[--attach <file,file>] [--chat-id <id> [--chat-type group|private] [--message-id <id>] [--mentioned] "
+        + "[--reply-to-kira | --reply-to-sender <id>] [--reply-to-message <id>]]",
     );
     process.exit(1);
   }
+  const attachments = await attachments_from_flags(flags);
 
-  const start_time = Date.now();
+  // --stream: one JSON object per line (meta, token..., done) instead of a single document
+  const streaming = flags.stream === "true";
+  const on_event = streaming
+    ? (event) => console.log(JSON.stringify(event))
+    : undefined;
 
-  // Step 1: Classify the message
-  const { intent, matched_command } = await classify_message(message);
-
-  // Step 2: Load context (runs in parallel internally)
-  const context = await load_context({
+  const { output, background } = await process_message({
     platform,
     sender_id,
     message,
-    intent,
-  });
-
-  // Step 3: Generate response with routed model
-  const { response_text, model_used } = await generate_response({
-    message,
-    intent,
-    matched_command,
-    context_text: context.context_text,
     sender_name,
-    platform,
+    chat: chat_from_flags(flags),
+    attachments,
+    on_event,
   });
 
-  const elapsed_ms = Date.now() - start_time;
-
-  // Output response immediately so the agent can send it
-  const output = {
-    response_text,
-    intent,
-    model_used,
-    user_tier: context.engagement.tier,
-    context_loaded: context.context_loaded,
-    elapsed_ms,
-    background_tasks: [],
-  };
+  // Queued before the reply is printed, so a crash after it loses nothing
+  const queued = queue_background_tasks(background);
 
   // Print the response JSON first (agent reads this)
-  console.log(JSON.stringify(output, null, 2));
+  if (streaming) {
+    console.log(JSON.stringify({ type: "done", ...output }));
+  } else {
+    console.log(JSON.stringify(output, null, 2));
+  }
 
   // Step 4: Run background tasks (after response is output)
-  const bg_results = await run_background_tasks({
-    platform,
-    user_id: context.user_id,
-    sender_name: sender_name !== undefined ? sender_name : sender_id,
-    message,
-    response_text,
-    intent,
-  });
+  const bg_results = await run_background_jobs(queued);
 
   // Log background results to stderr (not mixed with JSON output)
   console.error(`Background: ${bg_results.join(", ")}`);
+
+  // Retries left by earlier runs whose backoff has passed
+  const retried = await drain_background_jobs();
+  if (retried.length > 0) {
+    console.error(`Background retries: ${retried.join(", ")}`);
+  }
+  await flush_usage();
+  await flush_traces();
 }
 
 async function cmd_classify(flags) {
-  const message = flags.message;
+  const message = flags.message !== undefined ? flags.message : "";
 
-  if (message === undefined) {
-    console.error("Usage: router.js classify --message <text>");
+  if (flags.message === undefined && flags.attach === undefined) {
+    console.error("Usage: router.js classify --message <text> [--attach <file,file>]");
     process.exit(1);
   }
 
-  const start_time = Date.now();
-  const { intent, matched_command } = await classify_message(message);
-  const elapsed_ms = Date.now() - start_time;
+  console.log(JSON.stringify(await classify_only(message, await attachments_from_flags(flags)), null, 2));
+  await flush_usage();
+}
+
+async function cmd_status() {
+  console.log(JSON.stringify(await check_status(), null, 2));
+}
+
+const USAGE_DIMENSIONS = ["day", "intent", "skill", "model"];
+
+async function cmd_usage(flags) {
+  const days = flags.days !== undefined ? parseInt(flags.days, 10) : 7;
+  const by = flags.by !== undefined ? flags.by : "day";
+
+  if (Number.isNaN(days) || days < 1 || !USAGE_DIMENSIONS.includes(by)) {
+    console.error(`Usage: router.js usage [--days <n>] [--by ${USAGE_DIMENSIONS.join("|")}]`);
+    process.exit(1);
+  }
+
+  const entries = read_usage({ days });
+  const rows = summarize_usage(entries, by);
+  const total = { calls: 0, failed: 0, prompt_tokens: 0, completion_tokens: 0, cost_usd: 0 };
+  for (const row of rows) {
+    for (const key of Object.keys(total)) total[key] += row[key];
+  }
+  total.cost_usd = Math.round(total.cost_usd * 1e6) / 1e6;
 
   console.log(JSON.stringify({
-    intent,
-    matched_command,
-    elapsed_ms,
+    days,
+    by,
+    total,
+    unpriced_models: [...new Set(entries.filter((e) => !e.priced).map((e) => e.model))],
+    rows,
+    today: spend_today(),
+    budget: BUDGET,
   }, null, 2));
 }
 
-async function cmd_status() {
-  const checks = {
-    supabase_url: process.env.SUPABASE_URL !== undefined && process.env.SUPABASE_URL !== "",
-    supabase_key: process.env.SUPABASE_SERVICE_KEY !== undefined && process.env.SUPABASE_SERVICE_KEY !== "",
-    openai_key: process.env.OPENAI_API_KEY !== undefined && process.env.OPENAI_API_KEY !== "",
-    deepseek_key: process.env.DEEPSEEK_API_KEY !== undefined && process.env.DEEPSEEK_API_KEY !== "",
-    moonshot_key: process.env.MOONSHOT_API_KEY !== undefined && process.env.MOONSHOT_API_KEY !== "",
-    avatar_bridge: process.env.AVATAR_BRIDGE_URL !== undefined && process.env.AVATAR_BRIDGE_URL !== "",
-    stream_bridge: process.env.STREAM_BRIDGE_URL !== undefined && process.env.STREAM_BRIDGE_URL !== "",
+async function cmd_train_classifier(flags) {
+  const threshold = flags.threshold !== undefined ? parseFloat(flags.threshold) : CLASSIFIER.confidence_threshold;
+
+  if (Number.isNaN(threshold) || threshold < 0 || threshold > 1) {
+    console.error("Usage: router.js train-classifier [--threshold <0-1>]");
+    process.exit(1);
+  }
+
+  console.log(JSON.stringify(await train_intent_model({ threshold, save_threshold: flags.threshold !== undefined }), null, 2));
+  await flush_usage();
+}
+
+async function cmd_blocked(flags) {
+  const days = flags.days !== undefined ? parseInt(flags.days, 10) : 7;
+
+  if (Number.isNaN(days) || days < 1) {
+    console.error("Usage: router.js blocked [--days <n>] [--all]");
+    process.exit(1);
+  }
+
+  // --all adds rewritten and regenerated replies
+  const actions = flags.all === "true" ? undefined : ["blocked"];
+  const entries = read_outbound_log({ days, actions });
+  const by_rule = {};
+  for (const entry of entries) {
+    for (const rule of new Set(entry.violations.map((v) => v.rule))) {
+      by_rule[rule] = (by_rule[rule] || 0) + 1;
+    }
+  }
+
+  console.log(JSON.stringify({ days, count: entries.length, by_rule, entries }, null, 2));
+}
+
+async function cmd_clear_cache(flags) {
+  const intent = flags.intent;
+  if (intent !== undefined && !INTENTS.includes(intent)) {
+    console.error(`Usage: router.js clear-cache [--intent <${INTENTS.join("|")}>]`);
+    process.exit(1);
+  }
+
+  const deleted = await clear_response_cache({ intent });
+  console.log(JSON.stringify({ intent: intent !== undefined ? intent : null, deleted }, null, 2));
+}
+
+async function cmd_record(flags) {
+  const platform = flags.platform;
+  const sender_id = flags["sender-id"];
+  const message = flags.message !== undefined ? flags.message : "";
+  const sender_name = flags["sender-name"];
+
+  if (platform === undefined || sender_id === undefined || (flags.message === undefined && flags.attach === undefined)) {
+    console.error(
+      "Usage: router.js record --platform <platform> --sender-id <id> --message <text> [--sender-name <name>] [--attach <file,file>] "
+        + "[--id <name>] [--fixtures <path>]",
+    );
+    process.exit(1);
+  }
+  const attachments = await attachments_from_flags(flags);
+
+  // Same pipeline as respond, minus background tasks: recording shouldn't store memories or speak
+  const trace = {};
+  const { output } = await process_message({ platform, sender_id, message, sender_name, attachments, trace });
+
+  const fixtures_path = flags.fixtures !== undefined ? path.resolve(flags.fixtures) : DEFAULT_FIXTURES_PATH;
+  const id = flags.id !== undefined ? flags.id : `fx-${Date.now().toString(36)}`;
+  const input = { platform, sender_id, message };
+  if (sender_name !== undefined) input.sender_name = sender_name;
+  save_fixture(fixtures_path, fixture_from_trace({ id, input, trace, output }));
+
+  console.log(JSON.stringify({ id, fixtures_path, ...output }, null, 2));
+  await flush_usage();
+}
+
+/**
+ * Re-run this command in a child pointed at scratch state and outbound-log
+ * directories (and, offline, a scratch usage ledger), then exit with its
+ * status. Returns in the child.
+ */
+function rerun_isolated({ offline }) {
+  if (process.env.KIRA_ROUTER_EVAL_ISOLATED === "true") return;
+  const scratch = fs.mkdtempSync(path.join(os.tmpdir(), "kira-router-eval-"));
+  const env = {
+    ...process.env,
+    KIRA_ROUTER_EVAL_ISOLATED: "true",
+    KIRA_ROUTER_STATE_DIR: path.join(scratch, "state"),
+    KIRA_OUTBOUND_LOG_DIR: path.join(scratch, "outbound"),
   };
+  if (offline) {
+    env.KIRA_USAGE_DIR = path.join(scratch, "usage");
+    env.KIRA_USAGE_SUPABASE = "false";
+  }
+  const child = spawnSync(process.execPath, process.argv.slice(1), { stdio: "inherit", env });
+  fs.rmSync(scratch, { recursive: true, force: true });
+  process.exit(child.status !== null ? child.status : 1);
+}
 
-  const required_ok = checks.supabase_url && checks.supabase_key && checks.openai_key && checks.moonshot_key;
+async function cmd_eval(flags) {
+  const providers = flags.providers !== undefined ? flags.providers : "stub";
+  const judge_flag = flags.judge !== undefined ? flags.judge : (providers === "real" ? "deepseek/deepseek-chat" : "none");
+  const judge_parts = judge_flag.split("/");
 
-  console.log(JSON.stringify({
-    status: required_ok ? "ok" : "missing_required_env",
-    checks,
-  }, null, 2));
+  if (!["stub", "real"].includes(providers) || (judge_flag !== "none" && judge_parts.length < 2)) {
+    console.error(
+      "Usage: router.js eval [--fixtures <path>] [--config <path|git:rev>] [--baseline <path|git:rev>] "
+      + "[--providers stub|real] [--judge <provider/model>|none] [--only <id,id>]",
+    );
+    process.exit(1);
+  }
+
+  // Replays must not touch live state: circuit breakers, the outbound review log,
+  // and (offline) the usage ledger
+  rerun_isolated({ offline: providers === "stub" });
+
+  const report = await run_eval({
+    fixtures_path: flags.fixtures !== undefined ? path.resolve(flags.fixtures) : DEFAULT_FIXTURES_PATH,
+    config: flags.config !== undefined ? flags.config : CONFIG_PATH,
+    baseline: flags.baseline !== undefined ? flags.baseline : null,
+    providers,
+    judge: judge_flag === "none" ? null : { provider: judge_parts[0], model: judge_parts.slice(1).join("/") },
+    ids: flags.only !== undefined ? flags.only.split(",") : undefined,
+  });
+
+  console.log(JSON.stringify(report, null, 2));
+  await flush_usage();
+  // Non-zero exit on regressions, so eval can gate a config change
+  if (report.regressions > 0) process.exit(2);
+}
+
+async function cmd_check(flags) {
+  rerun_isolated({ offline: true });
+
+  const report = await run_checks({
+    checks_path: flags.checks !== undefined ? path.resolve(flags.checks) : DEFAULT_CHECKS_PATH,
+    suites: flags.only !== undefined ? flags.only.split(",") : undefined,
+  });
+
+  console.log(JSON.stringify(report, null, 2));
+  // Non-zero exit on a failed case, like eval on a regression
+  if (report.failed > 0) process.exit(2);
+}
+
+const JOBS_USAGE = "Usage: router.js jobs [list|retry|purge] [--queue <pending|running|dead>] [--task <name>] [--id <id>] "
+  + "[--older-than-hours <n>]";
+
+async function cmd_jobs(flags, positional) {
+  const action = positional[0] !== undefined ? positional[0] : "list";
+  const queues = flags.queue !== undefined ? [flags.queue] : undefined;
+  const older_than_hours = flags["older-than-hours"] !== undefined ? parseFloat(flags["older-than-hours"]) : undefined;
+
+  if (!["list", "retry", "purge"].includes(action)
+    || (queues !== undefined && !JOB_QUEUES.includes(queues[0]))
+    || (older_than_hours !== undefined && (Number.isNaN(older_than_hours) || older_than_hours < 0))) {
+    console.error(JOBS_USAGE);
+    process.exit(1);
+  }
+  const filter = { id: flags.id, task: flags.task };
+
+  if (action === "list") {
+    console.log(JSON.stringify({ counts: job_counts(), jobs: list_jobs({ ...filter, queues }) }, null, 2));
+    return;
+  }
+
+  if (action === "retry") {
+    // Running jobs belong to another process
+    if (queues !== undefined && queues[0] === "running") {
+      console.error(`${JOBS_USAGE}\nRunning jobs can't be retried; they return to pending if their process dies.`);
+      process.exit(1);
+    }
+    const ids = requeue_jobs({ ...filter, queues });
+    const results = await retry_background_jobs(ids);
+    console.log(JSON.stringify({ retried: results.length, results, counts: job_counts() }, null, 2));
+    await flush_usage();
+    await flush_traces();
+    return;
+  }
+
+  // Purge defaults to the dead-letter queue; pending or running must be named
+  const purged = purge_jobs({
+    ...filter,
+    queues: queues !== undefined ? queues : ["dead"],
+    older_than_ms: older_than_hours !== undefined ? older_than_hours * 60 * 60 * 1000 : undefined,
+  });
+  console.log(JSON.stringify({ purged, counts: job_counts() }, null, 2));
+}
+
+const EXPERIMENTS_USAGE = "Usage: router.js experiments [list|report] [--name <experiment>] [--days <n>] [--follow-up-minutes <n>]";
+
+async function cmd_experiments(flags, positional) {
+  const action = positional[0] !== undefined ? positional[0] : "list";
+  const days = flags.days !== undefined ? parseInt(flags.days, 10) : 14;
+  const follow_up_minutes = flags["follow-up-minutes"] !== undefined ? parseFloat(flags["follow-up-minutes"]) : undefined;
+
+  if (!["list", "report"].includes(action)
+    || Number.isNaN(days) || days < 1
+    || (follow_up_minutes !== undefined && (Number.isNaN(follow_up_minutes) || follow_up_minutes <= 0))) {
+    console.error(EXPERIMENTS_USAGE);
+    process.exit(1);
+  }
+
+  if (action === "list") {
+    console.log(JSON.stringify({ experiments: list_experiments() }, null, 2));
+    return;
+  }
+
+  // Without --name, every configured experiment; a removed one can still be named
+  const names = flags.name !== undefined ? [flags.name] : Object.keys(EXPERIMENTS);
+  if (names.length === 0) {
+    console.error(`${EXPERIMENTS_USAGE}\nNo experiments configured; name one with --name to report on past exposures.`);
+    process.exit(1);
+  }
+  const follow_up_ms = follow_up_minutes !== undefined ? follow_up_minutes * 60 * 1000 : undefined;
+  const reports = [];
+  for (const name of names) {
+    reports.push(await experiment_report({ name, days, follow_up_ms }));
+  }
+  console.log(JSON.stringify({ reports }, null, 2));
+}
+
+const TRACE_USAGE = "Usage: router.js trace <trace-id> [--json | --otlp]";
+
+async function cmd_trace(flags, positional) {
+  const trace_id = positional[0];
+  if (trace_id === undefined || !/^[0-9a-f]{32}$/.test(trace_id)) {
+    console.error(TRACE_USAGE);
+    process.exit(1);
+  }
+
+  const records = await read_trace(trace_id);
+  if (records.length === 0) {
+    console.error(`No spans logged for trace ${trace_id}`);
+    process.exit(1);
+  }
+
+  if (flags.otlp === "true") {
+    console.log(JSON.stringify(to_otlp(records), null, 2));
+  } else if (flags.json === "true") {
+    console.log(JSON.stringify({ trace_id, spans: records }, null, 2));
+  } else {
+    console.log(render_waterfall(records));
+  }
+}
+
+async function cmd_serve(flags) {
+  const port_str = flags.port !== undefined ? flags.port : process.env.ROUTER_PORT;
+  const port = port_str !== undefined && port_str !== "" ? parseInt(port_str, 10) : 8790;
+  const host = flags.host !== undefined ? flags.host
+    : (process.env.ROUTER_HOST !== undefined && process.env.ROUTER_HOST !== "" ? process.env.ROUTER_HOST : "127.0.0.1");
+
+  if (Number.isNaN(port)) {
+    console.error("Usage: router.js serve [--port <port>] [--host <host>]");
+    process.exit(1);
+  }
+
+  const server = await start_server({
+    host,
+    port,
+    token: process.env.ROUTER_SERVER_TOKEN,
+  });
+
+  console.error(`Kira router listening on http://${host}:${port}`);
+
+  // Hot-reload router.config.json; a bad edit is logged and the old config stays live
+  watch_config((result) => {
+    if (result.ok) {
+      console.error(`Reloaded ${CONFIG_PATH}`);
+    } else {
+      console.error(`Config reload rejected, keeping previous config: ${result.error}`);
+    }
+  });
+
+  const shutdown = () => {
+    console.error("Shutting down router server");
+    server.close(() => Promise.all([flush_usage(), flush_traces()]).then(() => process.exit(0)));
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+const TELEGRAM_USAGE = "Usage: router.js telegram [poll|webhook] [--url <public webhook url>] [--port <port>] [--host <host>]";
+
+async function cmd_telegram(flags, positional) {
+  const mode = positional.length > 0 ? positional[0] : "poll";
+  const port_str = flags.port !== undefined ? flags.port : process.env.TELEGRAM_WEBHOOK_PORT;
+  const port = port_str !== undefined && port_str !== "" ? parseInt(port_str, 10) : 8791;
+  const host = flags.host !== undefined ? flags.host
+    : (process.env.TELEGRAM_WEBHOOK_HOST !== undefined && process.env.TELEGRAM_WEBHOOK_HOST !== "" ? process.env.TELEGRAM_WEBHOOK_HOST : "127.0.0.1");
+
+  if ((mode !== "poll" && mode !== "webhook") || Number.isNaN(port) || flags.url === "true") {
+    console.error(TELEGRAM_USAGE);
+    process.exit(1);
+  }
+
+  const telegram = await start_telegram({ mode, host, port, url: flags.url });
+  const username = typeof telegram.bot.username === "string" ? `@${telegram.bot.username}` : telegram.bot.id;
+  console.error(mode === "poll"
+    ? `Kira Telegram adapter polling as ${username}`
+    : `Kira Telegram adapter receiving webhooks for ${username} on http://${host}:${port}`);
+
+  // Hot-reload router.config.json; a bad edit is logged and the old config stays live
+  watch_config((result) => {
+    if (result.ok) {
+      console.error(`Reloaded ${CONFIG_PATH}`);
+    } else {
+      console.error(`Config reload rejected, keeping previous config: ${result.error}`);
+    }
+  });
+
+  const shutdown = () => {
+    console.error("Shutting down Telegram adapter, answering messages already received");
+    telegram.stop()
+      .then(() => Promise.all([flush_usage(), flush_traces()]))
+      .then(() => process.exit(0));
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
 }
 
 // ── Main ───────────────────────────────────────────
 
-const { command, flags } = parse_args(process.argv);
+const { command, flags, positional } = parse_args(process.argv);
 
 const commands = {
   respond: cmd_respond,
   classify: cmd_classify,
   status: cmd_status,
+  serve: cmd_serve,
+  usage: cmd_usage,
+  "train-classifier": cmd_train_classifier,
+  blocked: cmd_blocked,
+  "clear-cache": cmd_clear_cache,
+  record: cmd_record,
+  eval: cmd_eval,
+  check: cmd_check,
+  jobs: cmd_jobs,
+  experiments: cmd_experiments,
+  trace: cmd_trace,
+  telegram: cmd_telegram,
 };
 
 const handler = commands[command];
 
 if (handler === undefined) {
-  console.error("Usage: router.js <respond|classify|status> [options]");
+  console.error("Usage: router.js <respond|classify|status|serve|usage|train-classifier|blocked|clear-cache|record|eval|check|jobs|experiments|trace|telegram> [options]");
   process.exit(1);
 }
 
 try {
-  await handler(flags);
+  await handler(flags, positional);
 } catch (err) {
   console.error(`ERROR: ${err.message}`);
   process.exit(1);
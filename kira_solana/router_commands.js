@@ -0,0 +1,125 @@
+/**
+ * Kira Solana — router commands.
+ *
+ * Discovered by kira_router (see kira_router/lib/commands.js). Handlers call
+ * scripts/solana_core.js in-process.
+ */
+
+import {
+  get_sol_balance,
+  get_token_info,
+  get_holders,
+  get_treasury,
+} from "./scripts/solana_core.js";
+
+function short_address(address) {
+  return `${address.slice(0, 4)}…${address.slice(-4)}`;
+}
+
+function kira_mint() {
+  const mint = process.env.KIRA_TOKEN_MINT;
+  return mint !== undefined && mint !== "not-configured" ? mint : undefined;
+}
+
+function has_solana_wallet(entities) {
+  return entities.wallets.some((w) => w.chain === "solana");
+}
+
+function format_usd(value) {
+  return value !== null ? `$${Number(value).toLocaleString()}` : "N/A";
+}
+
+export const router_commands = [
+  {
+    name: "token_price",
+    description: "Price and market cap of a Solana token ($KIRA unless a mint is given)",
+    patterns: [/\b(token\s*price|price\s*of|how\s*much\s*is)\b/i],
+    args: {
+      token: {
+        type: "solana_address",
+        description: "a token mint address",
+        required: true,
+        entity: "token_mints",
+        default: kira_mint,
+      },
+    },
+    error_text: "Having trouble reaching the Solana RPC right now. Try again in a bit.",
+    handler: async ({ token }) => {
+      const info = await get_token_info(token);
+      const label = token === kira_mint() ? "$KIRA" : short_address(token);
+      if (info.market === null) {
+        return `${label}: no market data on DexScreener yet. Supply is ${info.supply.toLocaleString()}.`;
+      }
+      const change = info.market.change_24h !== null ? ` (${info.market.change_24h}% 24h)` : "";
+      return `${label} is at $${info.market.price_usd}${change} — market cap ${format_usd(info.market.market_cap)}.`;
+    },
+  },
+  {
+    name: "treasury",
+    description: "Kira's own wallet: SOL and $KIRA balance",
+    patterns: [/\b(treasury|balance|wallet)\b/i],
+    // "balance of <address>" is wallet_balance
+    when: (message, entities) => !has_solana_wallet(entities),
+    error_text: "Can't reach the treasury right now. I'll check on it.",
+    handler: async () => {
+      const treasury = await get_treasury();
+      const tokens = treasury.kira_tokens !== null ? ` and ${treasury.kira_tokens.toLocaleString()} $KIRA` : "";
+      return `Treasury: ${treasury.sol.toFixed(3)} SOL${tokens}. We're good.`;
+    },
+  },
+  {
+    name: "wallet_balance",
+    description: "SOL balance of a Solana wallet",
+    patterns: [/\b(balance|wallet|holdings?)\b/i],
+    when: (message, entities) => has_solana_wallet(entities),
+    tier: "participant",
+    args: {
+      wallet: {
+        type: "solana_address",
+        description: "a Solana wallet address",
+        required: true,
+        entity: "wallets",
+        chain: "solana",
+      },
+    },
+    error_text: "Couldn't read that wallet right now. Double-check the address and try again.",
+    handler: async ({ wallet }) => {
+      const sol = await get_sol_balance(wallet);
+      return `Wallet ${short_address(wallet)} holds ${sol.toFixed(4)} SOL.`;
+    },
+  },
+  {
+    name: "holders",
+    description: "Holder count and top holders of a token ($KIRA unless a mint is given)",
+    patterns: [/\b(holders|holder\s*count)\b/i],
+    // Scans every token account of the mint — heavy on the RPC
+    tier: "supporter",
+    args: {
+      token: {
+        type: "solana_address",
+        description: "a token mint address",
+        required: true,
+        entity: "token_mints",
+        default: kira_mint,
+      },
+      limit: {
+        type: "integer",
+        description: "how many top holders to list",
+        pattern: /\btop\s+(\d+)/i,
+        min: 0,
+        max: 10,
+        default: 3,
+      },
+    },
+    error_text: "Can't pull holder data right now. Try again shortly.",
+    handler: async ({ token, limit }) => {
+      const holders = await get_holders(token);
+      const label = token === kira_mint() ? "$KIRA" : short_address(token);
+      const lines = [`${label} has ${holders.length.toLocaleString()} holders right now.`];
+      holders.slice(0, limit).forEach((h, i) => {
+        lines.push(`${i + 1}. ${short_address(h.wallet)} — ${h.balance.toLocaleString()}`);
+      });
+      return lines.join("\n");
+    },
+  },
+];
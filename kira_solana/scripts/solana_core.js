@@ -0,0 +1,182 @@
+/**
+ * Kira Solana — core chain queries, shared by the CLI (solana.js) and the
+ * router commands (../router_commands.js). Nothing here prints or exits:
+ * functions return data and throw on failure.
+ *
+ * Env: SOLANA_RPC_URL (always required)
+ *      KIRA_WALLET_PRIVATE_KEY (for treasury, send)
+ *      KIRA_TOKEN_MINT (for treasury)
+ */
+
+import {
+  Connection,
+  PublicKey,
+  Keypair,
+  LAMPORTS_PER_SOL,
+} from "@solana/web3.js";
+import {
+  getAssociatedTokenAddress,
+  getAccount,
+  getMint,
+  TOKEN_PROGRAM_ID,
+} from "@solana/spl-token";
+import { createRequire } from 'module';
+const _cjs_require = createRequire(import.meta.url);
+const bs58 = _cjs_require('/workspace/kira/skills/kira_solana/node_modules/bs58/index.js');
+
+// ── Env helpers ────────────────────────────────────
+
+export function require_env(name) {
+  const val = process.env[name];
+  if (val === undefined || val === "") {
+    throw new Error(`${name} environment variable is not set`);
+  }
+  return val;
+}
+
+// ── Connection (lazy, shared) ──────────────────────
+
+let _connection = null;
+
+export function get_connection() {
+  if (_connection !== null) return _connection;
+  _connection = new Connection(require_env("SOLANA_RPC_URL"), "confirmed");
+  return _connection;
+}
+
+// ── Queries ────────────────────────────────────────
+
+export function load_kira_wallet() {
+  const private_key = require_env("KIRA_WALLET_PRIVATE_KEY");
+  // Key is base58-encoded 64-byte keypair (standard Solana format)
+  const decoded = bs58.decode(private_key);
+  return Keypair.fromSecretKey(decoded);
+}
+
+export async function get_sol_balance(address) {
+  const pubkey = new PublicKey(address);
+  const lamports = await get_connection().getBalance(pubkey);
+  return lamports / LAMPORTS_PER_SOL;
+}
+
+export async function get_token_balance(wallet_address, mint_address) {
+  const connection = get_connection();
+  const wallet_pubkey = new PublicKey(wallet_address);
+  const mint_pubkey = new PublicKey(mint_address);
+  const ata = await getAssociatedTokenAddress(mint_pubkey, wallet_pubkey);
+
+  try {
+    const account = await getAccount(connection, ata);
+    const mint_info = await getMint(connection, mint_pubkey);
+    const balance = Number(account.amount) / Math.pow(10, mint_info.decimals);
+    return { balance, decimals: mint_info.decimals };
+  } catch (err) {
+    if (err.name === "TokenAccountNotFoundError") {
+      return { balance: 0, decimals: 0 };
+    }
+    throw err;
+  }
+}
+
+/**
+ * Holders with a non-zero balance, largest first.
+ */
+export async function get_holders(token_mint) {
+  const connection = get_connection();
+  const mint_pubkey = new PublicKey(token_mint);
+  const mint_info = await getMint(connection, mint_pubkey);
+
+  const accounts = await connection.getProgramAccounts(TOKEN_PROGRAM_ID, {
+    filters: [
+      { dataSize: 165 },
+      { memcmp: { offset: 0, bytes: mint_pubkey.toBase58() } },
+    ],
+  });
+
+  const holders = [];
+  for (const account of accounts) {
+    const data = account.account.data;
+    // SPL token account layout: mint (32) + owner (32) + amount (8)
+    const owner = new PublicKey(data.slice(32, 64));
+    const amount_raw = data.readBigUInt64LE(64);
+    const amount = Number(amount_raw) / Math.pow(10, mint_info.decimals);
+
+    if (amount > 0) {
+      holders.push({ wallet: owner.toBase58(), balance: amount });
+    }
+  }
+
+  holders.sort((a, b) => b.balance - a.balance);
+  return holders;
+}
+
+/**
+ * Mint metadata plus DexScreener market data (market is null if unavailable,
+ * market_error is set if the fetch failed).
+ */
+export async function get_token_info(token_mint) {
+  const mint_pubkey = new PublicKey(token_mint);
+  const mint_info = await getMint(get_connection(), mint_pubkey);
+
+  const info = {
+    mint: token_mint,
+    decimals: mint_info.decimals,
+    supply: Number(mint_info.supply) / Math.pow(10, mint_info.decimals),
+    freeze_authority: mint_info.freezeAuthority !== null ? mint_info.freezeAuthority.toBase58() : null,
+    mint_authority: mint_info.mintAuthority !== null ? mint_info.mintAuthority.toBase58() : null,
+    market: null,
+    market_error: null,
+  };
+
+  try {
+    const response = await fetch(`https://api.dexscreener.com/latest/dex/tokens/${token_mint}`);
+    if (response.ok) {
+      const data = await response.json();
+      if (data.pairs !== undefined && data.pairs !== null && data.pairs.length > 0) {
+        const pair = data.pairs[0];
+        info.market = {
+          price_usd: pair.priceUsd,
+          market_cap: pair.marketCap !== undefined ? pair.marketCap : null,
+          volume_24h: pair.volume !== undefined && pair.volume.h24 !== undefined ? pair.volume.h24 : null,
+          change_24h: pair.priceChange !== undefined && pair.priceChange.h24 !== undefined ? pair.priceChange.h24 : null,
+          dex: pair.dexId,
+          pair: pair.pairAddress,
+        };
+      }
+    }
+  } catch (dex_err) {
+    info.market_error = dex_err.message;
+  }
+
+  return info;
+}
+
+/**
+ * Kira's own wallet: SOL balance and KIRA token balance (null if the mint
+ * isn't configured, token_error set if the lookup failed).
+ */
+export async function get_treasury() {
+  const wallet = load_kira_wallet();
+  const wallet_address = wallet.publicKey.toBase58();
+  const token_mint = process.env.KIRA_TOKEN_MINT;
+
+  const treasury = {
+    wallet: wallet_address,
+    sol: await get_sol_balance(wallet_address),
+    token_mint: null,
+    kira_tokens: null,
+    token_error: null,
+  };
+
+  if (token_mint && token_mint !== 'not-configured' && token_mint.length > 20) {
+    treasury.token_mint = token_mint;
+    try {
+      const { balance } = await get_token_balance(wallet_address, token_mint);
+      treasury.kira_tokens = balance;
+    } catch (e) {
+      treasury.token_error = e.message;
+    }
+  }
+
+  return treasury;
+}
@@ -23,6 +23,7 @@ const require = createRequire(import.meta.url);
 
 // Load real env (overrides MISSING_* placeholders in isolated cron sessions)
 await import('/workspace/kira/scripts/load-env.js');
+const { record_usage, flush_usage } = await import('/workspace/kira/scripts/usage-ledger.js');
 
 // Claude API helper (no OpenAI)
 const ANTHROPIC_KEY = () => process.env.ANTHROPIC_API_KEY;
@@ -30,7 +31,8 @@ const CLAUDE_MODEL = 'claude-sonnet-4-5';
 
 async function claude(prompt, opts = {}) {
   if (!ANTHROPIC_KEY()) throw new Error('ANTHROPIC_API_KEY not set');
-  const { max_tokens = 1024, temperature = 0.7 } = opts;
+  const { max_tokens = 1024, temperature = 0.7, command = 'claude' } = opts;
+  const started = Date.now();
   const body = JSON.stringify({
     model: CLAUDE_MODEL, max_tokens, temperature,
     messages: [{ role: 'user', content: prompt }],
@@ -43,8 +45,15 @@ async function claude(prompt, opts = {}) {
     }, res => {
       let d = ''; res.on('data', c => d += c);
       res.on('end', () => {
-        try { const j = JSON.parse(d); resolve(j.content?.[0]?.text || ''); }
-        catch (e) { reject(e); }
+        try {
+          const j = JSON.parse(d);
+          record_usage({
+            skill: 'kira_engagement', command, provider: 'anthropic', model: CLAUDE_MODEL,
+            prompt_tokens: j.usage?.input_tokens || 0, completion_tokens: j.usage?.output_tokens || 0,
+            latency_ms: Date.now() - started, success: !j.error,
+          });
+          resolve(j.content?.[0]?.text || '');
+        } catch (e) { reject(e); }
       });
     });
     req.on('error', reject); req.write(body); req.end();
@@ -177,7 +186,7 @@ Return ONLY valid JSON, no markdown: {"reply": "...", "skip": false, "skip_reaso
 Or to skip: {"reply": null, "skip": true, "skip_reason": "..."}`;
 
   try {
-    const raw = await claude(prompt, { max_tokens: 300, temperature: 0.6 });
+    const raw = await claude(prompt, { max_tokens: 300, temperature: 0.6, command: 'draft_reply' });
     // Strip markdown code fences if Claude wrapped the JSON
     const text = raw.replace(/^```(?:json)?\s*/i, '').replace(/\s*```\s*$/, '').trim();
     return JSON.parse(text);
@@ -320,4 +329,6 @@ if (!handler) {
   console.log('Usage: engage.js <scan|auto> [--topic ai|regen|energy|consciousness|architecture|art] [--dry-run] [--limit n]');
   process.exit(command ? 1 : 0);
 }
-handler(flags).catch(e => { console.error('Engage failed:', e.message); process.exit(1); });
+handler(flags)
+  .then(() => flush_usage())
+  .catch(async e => { console.error('Engage failed:', e.message); await flush_usage(); process.exit(1); });
@@ -29,9 +29,20 @@ import { execFileSync } from 'child_process';
 
 // Load env for isolated sessions
 await import('/workspace/kira/scripts/load-env.js');
+const { record_usage, flush_usage } = await import('/workspace/kira/scripts/usage-ledger.js');
 
 const GEMINI_KEY = () => process.env.GEMINI_API_KEY;
 const IMAGES_DIR = '/workspace/kira/assets/generated';
+const GEMINI_MODEL = 'gemini-3-pro-image-preview';
+
+function log_gemini_usage(j, command, started) {
+  record_usage({
+    skill: 'kira_image', command, provider: 'gemini', model: GEMINI_MODEL,
+    prompt_tokens: j.usageMetadata?.promptTokenCount || 0,
+    completion_tokens: j.usageMetadata?.candidatesTokenCount || 0,
+    latency_ms: Date.now() - started, success: !j.error,
+  });
+}
 
 // ── Visual styles ───────────────────────────────────────────────────────────
 
@@ -382,10 +393,11 @@ async function generate_gemini(prompt, style = 'render', opts = {}) {
     },
   });
 
+  const started = Date.now();
   return new Promise((resolve, reject) => {
     const req = https.request({
       hostname: 'generativelanguage.googleapis.com',
-      path: `/v1beta/models/gemini-3-pro-image-preview:generateContent?key=${key}`,
+      path: `/v1beta/models/${GEMINI_MODEL}:generateContent?key=${key}`,
       method: 'POST',
       headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
       timeout: 90000,
@@ -394,6 +406,7 @@ async function generate_gemini(prompt, style = 'render', opts = {}) {
       res.on('end', () => {
         try {
           const j = JSON.parse(d);
+          log_gemini_usage(j, 'generate_image', started);
           if (j.error) return reject(new Error(`Gemini error: ${j.error.message}`));
           const parts = j.candidates?.[0]?.content?.parts || [];
           const imgPart = parts.find(p => p.inlineData);
@@ -430,10 +443,11 @@ async function generate_gemini_svg(prompt) {
     generationConfig: { responseModalities: ['TEXT'] },
   });
 
+  const started = Date.now();
   return new Promise((resolve, reject) => {
     const req = https.request({
       hostname: 'generativelanguage.googleapis.com',
-      path: `/v1beta/models/gemini-3-pro-image-preview:generateContent?key=${key}`,
+      path: `/v1beta/models/${GEMINI_MODEL}:generateContent?key=${key}`,
       method: 'POST',
       headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
       timeout: 90000,
@@ -442,6 +456,7 @@ async function generate_gemini_svg(prompt) {
       res.on('end', () => {
         try {
           const j = JSON.parse(d);
+          log_gemini_usage(j, 'generate_svg', started);
           if (j.error) return reject(new Error(`Gemini error: ${j.error.message}`));
           const parts = j.candidates?.[0]?.content?.parts || [];
           const textPart = parts.find(p => p.text);
@@ -561,7 +576,7 @@ async function cmd_post_now(flags) {
   if (mode === 'invent') result = await cmd_invent(flags);
   else result = await cmd_vision(flags);
 
-  if (!result) { console.error('Generation failed'); process.exit(1); }
+  if (!result) { console.error('Generation failed'); await flush_usage(); process.exit(1); }
 
   const caption = flags.caption || result.caption;
   console.log(`\nPosting to X with image...`);
@@ -588,7 +603,7 @@ async function cmd_thread(flags) {
   let result;
   if (mode === 'invent') result = await cmd_invent(flags);
   else result = await cmd_vision(flags);
-  if (!result) { console.error('Generation failed'); process.exit(1); }
+  if (!result) { console.error('Generation failed'); await flush_usage(); process.exit(1); }
 
   const { claude } = await import('/workspace/kira/scripts/claude.js');
 
@@ -680,7 +695,9 @@ if (!handler) {
 
 try {
   await handler(flags);
+  await flush_usage();
 } catch (e) {
   console.error('Error:', e.message);
+  await flush_usage();
   process.exit(1);
 }
@@ -16,6 +16,7 @@
 import https from 'node:https';
 import { createRequire } from 'node:module';
 const require = createRequire(import.meta.url);
+const { record_usage, flush_usage } = await import('/workspace/kira/scripts/usage-ledger.js');
 
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_KEY = process.env.SUPABASE_SERVICE_KEY;
@@ -120,7 +121,8 @@ function http_get(url, headers = {}) {
   });
 }
 
-function openai_post(path, body) {
+function openai_post(path, body, command) {
+  const started = Date.now();
   return new Promise((resolve, reject) => {
     const payload = JSON.stringify(body);
     const req = https.request({
@@ -133,7 +135,16 @@ function openai_post(path, body) {
       timeout: 30000,
     }, res => {
       let d = ''; res.on('data', x => d += x);
-      res.on('end', () => { try { resolve(JSON.parse(d)); } catch { resolve(d); } });
+      res.on('end', () => {
+        let j;
+        try { j = JSON.parse(d); } catch { return resolve(d); }
+        record_usage({
+          skill: 'kira_research', command, provider: 'openai', model: body.model,
+          prompt_tokens: j.usage?.prompt_tokens || 0, completion_tokens: j.usage?.completion_tokens || 0,
+          latency_ms: Date.now() - started, success: !j.error,
+        });
+        resolve(j);
+      });
     });
     req.on('error', reject);
     req.write(payload); req.end();
@@ -151,7 +162,7 @@ async function search_web(query, _count = 5) {
       content: `Search for: "${query}"\n\nReturn 3-5 real, specific results from 2025-2026 as JSON array: [{"title":"...","url":"...","description":"2-3 sentence summary of the actual content"}]. Only real URLs. No hallucinated results.`,
     }],
     max_tokens: 800,
-  });
+  }, 'search_web');
 
   const content = response.choices?.[0]?.message?.content || '';
 
@@ -225,7 +236,7 @@ Return ONLY valid JSON:
     messages: [{ role: 'user', content: prompt }],
     temperature: 0.7,
     response_format: { type: 'json_object' },
-  });
+  }, 'synthesize');
 
   try { return JSON.parse(response.choices[0].message.content); }
   catch { return null; }
@@ -457,4 +468,6 @@ if (!handler) {
   process.exit(command ? 1 : 0);
 }
 
-handler(flags).catch(e => { console.error('Research failed:', e.message); process.exit(1); });
+handler(flags)
+  .then(() => flush_usage())
+  .catch(async e => { console.error('Research failed:', e.message); await flush_usage(); process.exit(1); });
@@ -0,0 +1,207 @@
+/**
+ * Kira Usage Ledger
+ * Shared token + cost accounting for every LLM call across skills.
+ *
+ * Each call appends one JSON line to a daily file:
+ *   /workspace/kira/logs/llm-usage/YYYY-MM-DD.jsonl   (override dir with KIRA_USAGE_DIR)
+ * With KIRA_USAGE_SUPABASE=true the same row is also inserted into kira_llm_usage.
+ *
+ * Usage:
+ *   import { record_usage } from '/workspace/kira/scripts/usage-ledger.js';
+ *   record_usage({ skill: 'kira_router', command: 'respond', provider: 'moonshot', model: 'kimi-k2.5',
+ *                  prompt_tokens: 812, completion_tokens: 140, latency_ms: 2300, intent: 'chat' });
+ *
+ * Costs are estimates from PRICING below (USD per 1M tokens) — update it when providers change prices.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+const USAGE_DIR = process.env.KIRA_USAGE_DIR || '/workspace/kira/logs/llm-usage';
+
+// USD per 1M tokens: [input, output]
+const PRICING = {
+  'kimi-k2.5': [0.60, 2.50],
+  'deepseek-chat': [0.27, 1.10],
+  'gpt-4o-mini': [0.15, 0.60],
+  'gpt-4o-mini-search-preview': [0.15, 0.60],
+  'gpt-4o': [2.50, 10.00],
+  'claude-sonnet-4-5': [3.00, 15.00],
+  'claude-3-5-haiku-latest': [0.80, 4.00],
+  'gemini-3-pro-image-preview': [2.00, 120.00],
+  'text-embedding-3-small': [0.02, 0],
+};
+
+const pending_pushes = new Set();
+
+// ── Helpers ────────────────────────────────────────────────────────────────
+
+function day_of(iso) {
+  return iso.slice(0, 10);
+}
+
+function day_file(day) {
+  return path.join(USAGE_DIR, `${day}.jsonl`);
+}
+
+function round_usd(n) {
+  return Math.round(n * 1e6) / 1e6;
+}
+
+/**
+ * Rough token estimate when a provider doesn't report usage (~4 chars per token).
+ */
+export function estimate_tokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Estimated USD cost of a call. Unknown models cost 0 and are flagged in the ledger.
+ */
+export function estimate_cost(model, prompt_tokens, completion_tokens) {
+  const price = PRICING[model];
+  if (!price) return 0;
+  return round_usd((prompt_tokens * price[0] + completion_tokens * price[1]) / 1e6);
+}
+
+function push_to_supabase(entry) {
+  const url = process.env.SUPABASE_URL;
+  const key = process.env.SUPABASE_SERVICE_KEY;
+  if (!url || !key) return;
+
+  const push = fetch(`${url}/rest/v1/kira_llm_usage`, {
+    method: 'POST',
+    headers: { 'apikey': key, 'Authorization': `Bearer ${key}`, 'Content-Type': 'application/json', 'Prefer': 'return=minimal' },
+    body: JSON.stringify(entry),
+  })
+    .then(res => { if (!res.ok) console.error(`[usage] Supabase insert failed: ${res.status}`); })
+    .catch(e => console.error(`[usage] Supabase insert failed: ${e.message}`))
+    .finally(() => pending_pushes.delete(push));
+  pending_pushes.add(push);
+}
+
+// ── Recording ──────────────────────────────────────────────────────────────
+
+/**
+ * Append one LLM call to the ledger. Never throws — accounting must not break the caller.
+ * Returns the stored entry (with estimated cost_usd).
+ */
+export function record_usage({
+  skill, command, provider, model,
+  prompt_tokens = 0, completion_tokens = 0, latency_ms = null,
+  intent = null, success = true, estimated = false, metadata = {},
+}) {
+  const entry = {
+    created_at: new Date().toISOString(),
+    skill, command, provider, model, intent,
+    prompt_tokens, completion_tokens,
+    cost_usd: estimate_cost(model, prompt_tokens, completion_tokens),
+    priced: PRICING[model] !== undefined,
+    estimated,
+    latency_ms, success, metadata,
+  };
+
+  try {
+    fs.mkdirSync(USAGE_DIR, { recursive: true });
+    fs.appendFileSync(day_file(day_of(entry.created_at)), JSON.stringify(entry) + '\n');
+  } catch (e) {
+    console.error(`[usage] ledger write failed: ${e.message}`);
+  }
+
+  if (process.env.KIRA_USAGE_SUPABASE === 'true') push_to_supabase(entry);
+  return entry;
+}
+
+/**
+ * Wait for in-flight Supabase inserts (call before process.exit).
+ */
+export async function flush_usage() {
+  await Promise.allSettled([...pending_pushes]);
+}
+
+// ── Reading ────────────────────────────────────────────────────────────────
+
+function parse_lines(text) {
+  const entries = [];
+  for (const line of text.split('\n')) {
+    if (!line) continue;
+    try { entries.push(JSON.parse(line)); } catch {}
+  }
+  return entries;
+}
+
+/**
+ * Ledger entries for the last `days` days (today included).
+ */
+export function read_usage({ days = 1 } = {}) {
+  const entries = [];
+  for (let i = days - 1; i >= 0; i--) {
+    const day = day_of(new Date(Date.now() - i * 86400000).toISOString());
+    try { entries.push(...parse_lines(fs.readFileSync(day_file(day), 'utf8'))); } catch {}
+  }
+  return entries;
+}
+
+// Incremental reader for today's file so budget checks don't re-read the whole day per call
+let today_cache = { day: null, offset: 0, total_usd: 0, by_intent: {}, by_skill: {} };
+
+/**
+ * Spend so far today (UTC), total and per intent / skill.
+ */
+export function spend_today() {
+  const day = day_of(new Date().toISOString());
+  if (today_cache.day !== day) {
+    today_cache = { day, offset: 0, total_usd: 0, by_intent: {}, by_skill: {} };
+  }
+
+  let fd;
+  try {
+    fd = fs.openSync(day_file(day), 'r');
+    const size = fs.fstatSync(fd).size;
+    if (size > today_cache.offset) {
+      const buf = Buffer.alloc(size - today_cache.offset);
+      fs.readSync(fd, buf, 0, buf.length, today_cache.offset);
+      // Only consume complete lines; a concurrent writer may be mid-line
+      const text = buf.toString('utf8');
+      const complete = text.slice(0, text.lastIndexOf('\n') + 1);
+      today_cache.offset += Buffer.byteLength(complete);
+      for (const e of parse_lines(complete)) {
+        today_cache.total_usd += e.cost_usd || 0;
+        if (e.intent) today_cache.by_intent[e.intent] = (today_cache.by_intent[e.intent] || 0) + (e.cost_usd || 0);
+        if (e.skill) today_cache.by_skill[e.skill] = (today_cache.by_skill[e.skill] || 0) + (e.cost_usd || 0);
+      }
+    }
+  } catch {
+    // No calls today yet
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+
+  return {
+    day,
+    total_usd: round_usd(today_cache.total_usd),
+    by_intent: { ...today_cache.by_intent },
+    by_skill: { ...today_cache.by_skill },
+  };
+}
+
+/**
+ * Group entries by 'day' | 'intent' | 'skill' | 'model', most expensive first.
+ */
+export function summarize_usage(entries, dimension) {
+  const groups = {};
+  for (const e of entries) {
+    const key = dimension === 'day' ? day_of(e.created_at) : (e[dimension] || '(none)');
+    const g = groups[key] || (groups[key] = { calls: 0, failed: 0, prompt_tokens: 0, completion_tokens: 0, cost_usd: 0 });
+    g.calls++;
+    if (!e.success) g.failed++;
+    g.prompt_tokens += e.prompt_tokens || 0;
+    g.completion_tokens += e.completion_tokens || 0;
+    g.cost_usd += e.cost_usd || 0;
+  }
+
+  const rows = Object.entries(groups).map(([key, g]) => ({ [dimension]: key, ...g, cost_usd: round_usd(g.cost_usd) }));
+  return dimension === 'day'
+    ? rows.sort((a, b) => a.day.localeCompare(b.day))
+    : rows.sort((a, b) => b.cost_usd - a.cost_usd);
+}